@@ -1,89 +1,82 @@
 /**
  * audio.js — Web Audio API 기반 BGM/SFX 매니저
  *
+ * BGM은 music.js의 곡 데이터를 AudioContext 시계에 미리 예약해 재생한다 (look-ahead 스케줄링).
+ * 곡마다 게인 버스를 하나씩 두고, 곡이 바뀌면 두 버스를 엇갈려 올리고 내린다 (크로스페이드).
+ * 게임 이벤트에 따라 레이어(스타 파워, 출구 근처)를 켜고, 데드락 때는 필터로 먹먹하게 하며,
+ * 클리어하면 같은 조성의 징글로 마무리한다. 이벤트 연결은 main.js의 drainEvents 루프가 한다.
+ * AudioContext와 스케줄러 타이머는 생성자 옵션으로 바꿔 넣을 수 있다 (Node 테스트용).
+ *
  * @module  WormGameAudio
- * @depends (없음 — 독립 모듈, Web Audio API만 사용)
+ * @depends WormGameMusic (TRACKS, resolveTrack, scheduleSteps)
  * @exports global.WormGameAudio
  *
- * ES Module 전환 시: export class AudioManager { ... }
+ * ES Module 전환 시: import * as Music from './music.js'; export class AudioManager { ... }
  */
 (function attachAudio(global) {
   "use strict";
 
-  var MUSIC_PATTERNS = Object.freeze({
-    retro: Object.freeze([
-      { lead: 523, bass: 131 },
-      { lead: 659 },
-      { lead: 784, bass: 147 },
-      { lead: 659 },
-      { lead: 523, bass: 131 },
-      { lead: 659 },
-      { lead: 880, bass: 165 },
-      { lead: 659 },
-      { lead: 494, bass: 123 },
-      { lead: 659 },
-      { lead: 740, bass: 147 },
-      { lead: 659 },
-      { lead: 494, bass: 123 },
-      { lead: 587 },
-      { lead: 659, bass: 147 },
-      { lead: 740 },
-    ]),
-    arcade: Object.freeze([
-      { lead: 440, bass: 110 },
-      { lead: 554 },
-      { lead: 659, bass: 123 },
-      { lead: 740 },
-      { lead: 659, bass: 131 },
-      { lead: 554 },
-      { lead: 659, bass: 147 },
-      { lead: 880 },
-      { lead: 659, bass: 131 },
-      { lead: 554 },
-      { lead: 494, bass: 123 },
-      { lead: 554 },
-      { lead: 659, bass: 147 },
-      { lead: 740 },
-      { lead: 880, bass: 165 },
-      { lead: 988 },
-    ]),
-    chill: Object.freeze([
-      { lead: 392, bass: 98 },
-      { lead: 440 },
-      { lead: 523, bass: 110 },
-      { lead: 587 },
-      { lead: 523, bass: 98 },
-      { lead: 440 },
-      { lead: 392, bass: 87 },
-      { lead: 440 },
-      { lead: 392, bass: 98 },
-      { lead: 349 },
-      { lead: 330, bass: 82 },
-      { lead: 349 },
-      { lead: 392, bass: 98 },
-      { lead: 440 },
-      { lead: 523, bass: 110 },
-      { lead: 587 },
-    ]),
-  });
-
-  function normalizeTrack(track) {
-    if (track === "arcade" || track === "chill") {
-      return track;
-    }
-    return "retro";
+  var Music = global.WormGameMusic;
+
+  /** 스케줄러가 깨어나는 간격. 음 시각은 타이머가 아니라 AudioContext 시계로 정한다. */
+  var SCHEDULER_INTERVAL_MS = 25;
+  /** 이만큼 앞까지 미리 예약한다. 메인 스레드가 잠깐 막혀도 예약된 음은 제때 난다. */
+  var SCHEDULE_AHEAD_SEC = 0.2;
+  var CROSSFADE_SEC = 1.2;
+  var FADE_IN_SEC = 0.05;
+  /** 데드락 때 BGM 저역 통과 필터: 평소에는 사실상 열어 두고, 막히면 이 주파수까지 내린다. */
+  var MUSIC_FILTER_OPEN_HZ = 18000;
+  var MUSIC_FILTER_MUFFLED_HZ = 650;
+  var MUSIC_FILTER_RAMP_SEC = 0.4;
+  /** 클리어 징글이 끝난 뒤 원래 곡이 다시 올라오는 시간. */
+  var JINGLE_RESUME_FADE_SEC = 2;
+  /** BGM 음 하나의 믹스 비율 (볼륨 1에서 효과음보다 한 단계 작게). */
+  var BGM_MIX_GAIN = 0.5;
+  /** 볼륨 슬라이더 변경을 부드럽게 따라가는 시간 상수. */
+  var VOLUME_SMOOTHING_SEC = 0.015;
+  /** 더킹: 스팅어(클리어/포털/파워) 동안 BGM을 이 비율까지 잠깐 내린다. */
+  var DUCK_LEVEL = 0.35;
+  var DUCK_ATTACK_SEC = 0.04;
+  var DUCK_HOLD_SEC = 0.35;
+  var DUCK_RELEASE_SEC = 0.5;
+
+  function createDefaultContext() {
+    var AudioContextClass = global.AudioContext || global.webkitAudioContext;
+    return AudioContextClass ? new AudioContextClass() : null;
   }
 
-  function AudioManager() {
+  /**
+   * @param {Object} [options]
+   * @param {function(): AudioContext|null} [options.createContext] - 컨텍스트 팩토리. 기본은 브라우저 AudioContext,
+   *   테스트(scripts/test-core.js)는 예약된 노드를 기록하는 OfflineAudioContext 흉내 객체를 넣는다.
+   * @param {{ setInterval: Function, clearInterval: Function }} [options.timers] - BGM 스케줄러를 깨우는 타이머 (기본 window)
+   */
+  function AudioManager(options) {
+    var opts = options || {};
+    this.createContext = opts.createContext || createDefaultContext;
+    this.timers = opts.timers || global;
     this.context = null;
     this.enabled = true;
     this.unlocked = false;
     this.masterVolume = 0.8;
     this.sfxVolume = 0.8;
+    this.bgmVolume = 0.8;
+    /** 게인 버스 (ensureBuses): 곡 버스 → musicFilter → duck → bgm → master, 효과음 → sfx → master → destination */
+    this.buses = null;
+    /** 오디오를 멈춘 이유들 ("hidden", "game"). 하나라도 있으면 컨텍스트를 suspend한다. */
+    this.pauseReasons = {};
     this.bgmEnabled = true;
-    this.bgmTrack = "retro";
+    this.bgmTrack = "world";
+    this.bgmWorld = 1;
     this.bgmTimer = null;
-    this.bgmStep = 0;
+    /** 재생 중인 곡들. 크로스페이드 동안에는 나가는 곡(stopAt 있음)과 들어오는 곡이 함께 있다. */
+    this.musicPlayers = [];
+    /** 곡 버스들이 모이는 필터 (ensureBuses가 만든다). */
+    this.musicFilter = null;
+    this.musicMuffled = false;
+    /** 켜진 레이어 (music.js LAYERS). 다음 스케줄부터 반영된다. */
+    this.musicLayers = { star: false, exit: false };
+    this.noiseBuffer = null;
   }
 
   AudioManager.prototype.setEnabled = function setEnabled(enabled) {
@@ -104,22 +97,54 @@
     this.startMusic(false);
   };
 
+  /** @param {string} track - bgmTrack 설정값 ("world" = 월드별 자동, 또는 고정 곡 id) */
   AudioManager.prototype.setMusicTrack = function setMusicTrack(track) {
-    var normalized = normalizeTrack(track);
+    var normalized = Music.normalizeTrackSetting(track);
     if (this.bgmTrack === normalized) {
       return;
     }
     this.bgmTrack = normalized;
-    this.bgmStep = 0;
-    this.startMusic(true);
+    this.startMusic(false);
+  };
+
+  /** 현재 레벨의 월드. "world" 설정이면 곡이 바뀌고 크로스페이드한다. 숫자가 아니면 무시한다. */
+  AudioManager.prototype.setMusicWorld = function setMusicWorld(world) {
+    var value = Math.floor(Number(world));
+    if (!Number.isFinite(value) || value < 1 || value === this.bgmWorld) {
+      return;
+    }
+    this.bgmWorld = value;
+    this.startMusic(false);
+  };
+
+  AudioManager.prototype.getMusicTrackId = function getMusicTrackId() {
+    return Music.resolveTrack(this.bgmTrack, this.bgmWorld);
   };
 
+  function clampVolume(value) {
+    return Math.min(1, Math.max(0, Number(value) || 0));
+  }
+
+  /** 볼륨은 버스 게인에 걸리므로 이미 예약된 음에도 바로 반영된다. */
   AudioManager.prototype.setMasterVolume = function setMasterVolume(value) {
-    this.masterVolume = Math.min(1, Math.max(0, Number(value) || 0));
+    this.masterVolume = clampVolume(value);
+    this.applyBusVolume("master", this.masterVolume);
   };
 
   AudioManager.prototype.setSfxVolume = function setSfxVolume(value) {
-    this.sfxVolume = Math.min(1, Math.max(0, Number(value) || 0));
+    this.sfxVolume = clampVolume(value);
+    this.applyBusVolume("sfx", this.sfxVolume);
+  };
+
+  AudioManager.prototype.setBgmVolume = function setBgmVolume(value) {
+    this.bgmVolume = clampVolume(value);
+    this.applyBusVolume("bgm", this.bgmVolume);
+  };
+
+  AudioManager.prototype.applyBusVolume = function applyBusVolume(name, value) {
+    if (this.buses) {
+      this.buses[name].gain.setTargetAtTime(value, this.context.currentTime, VOLUME_SMOOTHING_SEC);
+    }
   };
 
   AudioManager.prototype.ensureContext = function ensureContext() {
@@ -127,35 +152,110 @@
       return this.context;
     }
 
-    var AudioContextClass = global.AudioContext || global.webkitAudioContext;
-    if (!AudioContextClass) {
-      return null;
+    this.context = this.createContext() || null;
+    if (this.context) {
+      this.ensureBuses();
+      if (this.isPaused() && this.context.state === "running") {
+        this.context.suspend();
+      }
     }
-
-    this.context = new AudioContextClass();
     return this.context;
   };
 
+  AudioManager.prototype.ensureBuses = function ensureBuses() {
+    var ctx = this.context;
+    var now = ctx.currentTime;
+    function createBus(value, target) {
+      var bus = ctx.createGain();
+      bus.gain.setValueAtTime(value, now);
+      bus.connect(target);
+      return bus;
+    }
+
+    var master = createBus(this.masterVolume, ctx.destination);
+    var bgm = createBus(this.bgmVolume, master);
+    var duck = createBus(1, bgm);
+    this.musicFilter = ctx.createBiquadFilter();
+    this.musicFilter.type = "lowpass";
+    this.musicFilter.frequency.setValueAtTime(this.musicMuffled ? MUSIC_FILTER_MUFFLED_HZ : MUSIC_FILTER_OPEN_HZ, now);
+    this.musicFilter.connect(duck);
+    this.buses = {
+      master: master,
+      bgm: bgm,
+      duck: duck,
+      sfx: createBus(this.sfxVolume, master),
+    };
+  };
+
+  /** 일시정지 이유가 모두 풀렸을 때만 컨텍스트를 다시 깨운다. */
+  AudioManager.prototype.resumeContext = function resumeContext() {
+    if (this.context && this.context.state === "suspended" && !this.isPaused()) {
+      this.context.resume();
+    }
+  };
+
+  AudioManager.prototype.isPaused = function isPaused() {
+    return Object.keys(this.pauseReasons).length > 0;
+  };
+
+  /**
+   * 탭이 숨겨지거나(reason "hidden") 게임이 일시정지되면(reason "game") 오디오를 통째로 멈춘다.
+   * AudioContext 시계도 함께 멈추므로 예약해 둔 BGM은 다시 깨울 때 그 자리에서 이어진다.
+   */
+  AudioManager.prototype.setPaused = function setPaused(reason, paused) {
+    if (paused) {
+      this.pauseReasons[reason] = true;
+    } else {
+      delete this.pauseReasons[reason];
+    }
+    if (!this.context) {
+      return;
+    }
+    if (this.isPaused()) {
+      if (this.context.state === "running") {
+        this.context.suspend();
+      }
+      return;
+    }
+    this.resumeContext();
+  };
+
   AudioManager.prototype.unlock = function unlock() {
     var ctx = this.ensureContext();
     if (!ctx) {
       return;
     }
 
-    if (ctx.state === "suspended") {
-      ctx.resume();
-    }
-
+    this.resumeContext();
     this.unlocked = true;
     this.startMusic(false);
   };
 
+  /** 스팅어가 울리는 동안 BGM을 잠깐 낮췄다가 되돌린다. */
+  AudioManager.prototype.duckMusic = function duckMusic() {
+    if (!this.buses || !this.enabled) {
+      return;
+    }
+    var now = this.context.currentTime;
+    var gain = this.buses.duck.gain;
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(gain.value, now);
+    gain.linearRampToValueAtTime(DUCK_LEVEL, now + DUCK_ATTACK_SEC);
+    gain.setValueAtTime(DUCK_LEVEL, now + DUCK_ATTACK_SEC + DUCK_HOLD_SEC);
+    gain.linearRampToValueAtTime(1, now + DUCK_ATTACK_SEC + DUCK_HOLD_SEC + DUCK_RELEASE_SEC);
+  };
+
   AudioManager.prototype.playTone = function playTone(options) {
     if (!this.enabled) {
       return;
     }
 
-    if (options.channel === "bgm" && !this.bgmEnabled) {
+    var isBgm = options.channel === "bgm";
+    if (isBgm && !this.bgmEnabled) {
+      return;
+    }
+    // 들리지 않을 음은 노드를 만들지 않는다. 일시정지 중 효과음은 재개 때 몰려 나오지 않게 버린다.
+    if (this.masterVolume * (isBgm ? this.bgmVolume : this.sfxVolume) <= 0 || (!isBgm && this.isPaused())) {
       return;
     }
 
@@ -164,22 +264,22 @@
       return;
     }
 
-    if (ctx.state === "suspended") {
-      ctx.resume();
-    }
+    this.resumeContext();
 
-    var now = ctx.currentTime;
+    var now = Math.max(ctx.currentTime, options.when || 0);
     var freq = options.frequency;
     var duration = options.duration;
     var type = options.type || "sine";
-    var channelGain = options.channel === "bgm" ? 0.5 : this.sfxVolume;
-    var gainValue = (options.gain || 0.08) * this.masterVolume * channelGain;
+    var gainValue = (options.gain || 0.08) * (isBgm ? BGM_MIX_GAIN : 1);
     var attack = options.attack || 0.005;
     var release = options.release || 0.03;
 
     var oscillator = ctx.createOscillator();
     oscillator.type = type;
     oscillator.frequency.setValueAtTime(freq, now);
+    if (options.endFrequency) {
+      oscillator.frequency.exponentialRampToValueAtTime(options.endFrequency, now + duration);
+    }
 
     var gain = ctx.createGain();
     gain.gain.setValueAtTime(0.0001, now);
@@ -187,19 +287,63 @@
     gain.gain.exponentialRampToValueAtTime(0.0001, now + duration + release);
 
     oscillator.connect(gain);
-    gain.connect(ctx.destination);
+    gain.connect(options.destination || this.buses.sfx);
 
     oscillator.start(now);
     oscillator.stop(now + duration + release + 0.01);
   };
 
+  /** BGM 타악기용 필터 노이즈. options: { when, duration, gain, filter, frequency, destination(곡 버스) } */
+  AudioManager.prototype.playNoise = function playNoise(options) {
+    var ctx = this.context;
+    if (!ctx || this.masterVolume * this.bgmVolume <= 0) {
+      return;
+    }
+    if (!this.noiseBuffer) {
+      var length = Math.floor(ctx.sampleRate * 0.5);
+      this.noiseBuffer = ctx.createBuffer(1, length, ctx.sampleRate);
+      var data = this.noiseBuffer.getChannelData(0);
+      for (var i = 0; i < length; i += 1) {
+        data[i] = Math.random() * 2 - 1;
+      }
+    }
+
+    var now = Math.max(ctx.currentTime, options.when || 0);
+    var source = ctx.createBufferSource();
+    source.buffer = this.noiseBuffer;
+
+    var filter = ctx.createBiquadFilter();
+    filter.type = options.filter || "highpass";
+    filter.frequency.setValueAtTime(options.frequency || 4000, now);
+
+    var gain = ctx.createGain();
+    gain.gain.setValueAtTime(options.gain * BGM_MIX_GAIN, now);
+    gain.gain.exponentialRampToValueAtTime(0.0001, now + options.duration);
+
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(options.destination);
+
+    source.start(now);
+    source.stop(now + options.duration + 0.02);
+  };
+
   AudioManager.prototype.stopMusic = function stopMusic() {
     if (this.bgmTimer) {
-      global.clearInterval(this.bgmTimer);
+      this.timers.clearInterval(this.bgmTimer);
       this.bgmTimer = null;
     }
+    // 곡 버스를 끊으면 이미 예약해 둔 음도 바로 조용해진다.
+    for (var i = 0; i < this.musicPlayers.length; i += 1) {
+      this.musicPlayers[i].bus.disconnect();
+    }
+    this.musicPlayers = [];
   };
 
+  /**
+   * 설정/월드에 맞는 곡을 재생한다. 이미 다른 곡이 나오고 있으면 크로스페이드하고,
+   * forceRestart면 페이드 없이 처음부터 다시 시작한다.
+   */
   AudioManager.prototype.startMusic = function startMusic(forceRestart) {
     if (!this.enabled || !this.bgmEnabled || !this.unlocked) {
       return;
@@ -210,58 +354,180 @@
       return;
     }
 
-    if (ctx.state === "suspended") {
-      ctx.resume();
-    }
+    this.resumeContext();
 
     if (forceRestart) {
       this.stopMusic();
     }
 
+    var trackId = this.getMusicTrackId();
+    var current = this.getActiveMusicPlayer();
+    if (!current || current.track.id !== trackId) {
+      this.crossfadeTo(trackId, current ? CROSSFADE_SEC : FADE_IN_SEC);
+    }
+
     if (this.bgmTimer) {
       return;
     }
 
     var self = this;
-    this.bgmTimer = global.setInterval(function onMusicTick() {
-      self.tickMusic();
-    }, 170);
+    this.bgmTimer = this.timers.setInterval(function onSchedulerTick() {
+      self.scheduleMusic();
+    }, SCHEDULER_INTERVAL_MS);
+
+    this.scheduleMusic();
+  };
 
-    this.tickMusic();
+  /** @param {string} name - "star" | "exit" */
+  AudioManager.prototype.setMusicLayer = function setMusicLayer(name, enabled) {
+    if (Object.prototype.hasOwnProperty.call(this.musicLayers, name)) {
+      this.musicLayers[name] = !!enabled;
+    }
   };
 
-  AudioManager.prototype.tickMusic = function tickMusic() {
-    var pattern = MUSIC_PATTERNS[this.bgmTrack] || MUSIC_PATTERNS.retro;
-    if (!pattern || !pattern.length) {
+  /** 데드락처럼 막힌 상황에서 BGM을 먹먹하게(저역 통과) 만든다. */
+  AudioManager.prototype.setMusicMuffled = function setMusicMuffled(muffled) {
+    var value = !!muffled;
+    if (this.musicMuffled === value) {
       return;
     }
+    this.musicMuffled = value;
+    if (!this.musicFilter) {
+      return;
+    }
+    var now = this.context.currentTime;
+    var frequency = this.musicFilter.frequency;
+    frequency.cancelScheduledValues(now);
+    frequency.setValueAtTime(frequency.value, now);
+    frequency.exponentialRampToValueAtTime(
+      value ? MUSIC_FILTER_MUFFLED_HZ : MUSIC_FILTER_OPEN_HZ,
+      now + MUSIC_FILTER_RAMP_SEC
+    );
+  };
 
-    var step = pattern[this.bgmStep % pattern.length];
-    this.bgmStep += 1;
+  /**
+   * 클리어 징글: 지금 곡을 다음 스텝에서 끊고 같은 조성의 징글을 박자에 맞춰 이어 붙인 뒤,
+   * 원래 곡을 처음부터 천천히 다시 올린다. BGM이 나오지 않는 중이면 클리어 효과음으로 대신한다.
+   */
+  AudioManager.prototype.playClearJingle = function playClearJingle() {
+    var current = this.getActiveMusicPlayer();
+    if (!this.enabled || !current || !current.track.jingle) {
+      this.playClear();
+      return;
+    }
 
-    if (step.bass) {
-      this.playTone({
-        frequency: step.bass,
-        duration: 0.13,
-        type: "triangle",
-        gain: 0.05,
-        attack: 0.01,
-        release: 0.04,
-        channel: "bgm",
-      });
+    var jingle = current.track.jingle;
+    var start = Math.max(current.cursor.time, this.context.currentTime);
+    // 반 스텝 일찍 끊어 한 바퀴 돌아온 첫 음이 예약되지 않게 한다 (징글 끝부분은 쉼표).
+    var end = start + (jingle.length - 0.5) * jingle.stepSec;
+    this.fadeOutMusicPlayer(current, start, 0.08);
+    this.addMusicPlayer(jingle, start, FADE_IN_SEC).stopAt = end;
+    this.addMusicPlayer(current.track, end, JINGLE_RESUME_FADE_SEC);
+  };
+
+  AudioManager.prototype.fadeOutMusicPlayer = function fadeOutMusicPlayer(player, at, fadeSec) {
+    var gain = player.bus.gain;
+    player.stopAt = at + fadeSec;
+    gain.cancelScheduledValues(at);
+    gain.setValueAtTime(gain.value, at);
+    gain.linearRampToValueAtTime(0.0001, at + fadeSec);
+  };
+
+  /** 곡 버스를 만들어 startTime부터 fadeSec 동안 올린다. */
+  AudioManager.prototype.addMusicPlayer = function addMusicPlayer(track, startTime, fadeSec) {
+    var bus = this.context.createGain();
+    bus.gain.setValueAtTime(0.0001, startTime);
+    bus.gain.linearRampToValueAtTime(1, startTime + fadeSec);
+    bus.connect(this.musicFilter);
+
+    var player = {
+      track: track,
+      cursor: { step: 0, time: startTime },
+      bus: bus,
+      stopAt: null,
+    };
+    this.musicPlayers.push(player);
+    return player;
+  };
+
+  /** 페이드 아웃 중이 아닌 곡 (없으면 null). */
+  AudioManager.prototype.getActiveMusicPlayer = function getActiveMusicPlayer() {
+    for (var i = this.musicPlayers.length - 1; i >= 0; i -= 1) {
+      if (this.musicPlayers[i].stopAt === null) {
+        return this.musicPlayers[i];
+      }
     }
+    return null;
+  };
 
-    if (step.lead) {
-      this.playTone({
-        frequency: step.lead,
-        duration: 0.1,
-        type: "square",
-        gain: 0.045,
-        attack: 0.004,
-        release: 0.02,
-        channel: "bgm",
+  /** 지금 곡들을 fadeSec 동안 내리고, 새 곡을 같은 시간 동안 올린다. */
+  AudioManager.prototype.crossfadeTo = function crossfadeTo(trackId, fadeSec) {
+    var now = this.context.currentTime;
+    for (var i = 0; i < this.musicPlayers.length; i += 1) {
+      if (this.musicPlayers[i].stopAt === null) {
+        this.fadeOutMusicPlayer(this.musicPlayers[i], now, fadeSec);
+      }
+    }
+    this.addMusicPlayer(Music.TRACKS[trackId], now + FADE_IN_SEC, fadeSec);
+  };
+
+  /**
+   * 스케줄러 한 번: 곡마다 SCHEDULE_AHEAD_SEC 앞까지의 음을 AudioContext 시각으로 예약한다.
+   * 탭이 오래 멈췄다 돌아와 커서가 한참 뒤처졌으면 밀린 음을 몰아 치지 않고 지금부터 이어 간다.
+   */
+  AudioManager.prototype.scheduleMusic = function scheduleMusic() {
+    var ctx = this.context;
+    if (!ctx) {
+      return;
+    }
+    var now = ctx.currentTime;
+    var horizon = now + SCHEDULE_AHEAD_SEC;
+
+    this.musicPlayers = this.musicPlayers.filter(function keepPlaying(player) {
+      if (player.stopAt !== null && now >= player.stopAt) {
+        player.bus.disconnect();
+        return false;
+      }
+      return true;
+    });
+
+    for (var i = 0; i < this.musicPlayers.length; i += 1) {
+      var player = this.musicPlayers[i];
+      if (player.cursor.time < now) {
+        player.cursor.time = now + 0.01;
+      }
+      var until = player.stopAt === null ? horizon : Math.min(horizon, player.stopAt);
+      var notes = Music.scheduleSteps(player.track, player.cursor, until, this.musicLayers);
+      for (var n = 0; n < notes.length; n += 1) {
+        this.playMusicNote(notes[n], player.bus);
+      }
+    }
+  };
+
+  AudioManager.prototype.playMusicNote = function playMusicNote(note, bus) {
+    if (note.noise) {
+      this.playNoise({
+        when: note.time,
+        duration: note.duration,
+        gain: note.gain,
+        filter: note.noise,
+        frequency: note.frequency,
+        destination: bus,
       });
+      return;
     }
+    this.playTone({
+      when: note.time,
+      frequency: note.frequency,
+      endFrequency: note.endFrequency,
+      duration: note.duration,
+      type: note.wave,
+      gain: note.gain,
+      attack: 0.005,
+      release: 0.03,
+      channel: "bgm",
+      destination: bus,
+    });
   };
 
   AudioManager.prototype.playItem = function playItem() {
@@ -288,7 +554,24 @@
     });
   };
 
+  /** 신 젤리: 낮고 거친 두 음으로 성장 젤리와 구분한다. */
+  AudioManager.prototype.playSour = function playSour() {
+    this.playTone({
+      frequency: 392,
+      duration: 0.09,
+      type: "sawtooth",
+      gain: 0.045,
+    });
+    this.playTone({
+      frequency: 277,
+      duration: 0.14,
+      type: "triangle",
+      gain: 0.06,
+    });
+  };
+
   AudioManager.prototype.playPower = function playPower() {
+    this.duckMusic();
     this.playTone({
       frequency: 660,
       duration: 0.08,
@@ -310,6 +593,7 @@
   };
 
   AudioManager.prototype.playPortal = function playPortal() {
+    this.duckMusic();
     this.playTone({
       frequency: 420,
       duration: 0.07,
@@ -333,6 +617,49 @@
     });
   };
 
+  /** 바위 밀기: 낮게 긁히는 소리. 구멍을 메우면 한 음 더 낮게 쿵. */
+  AudioManager.prototype.playBoulder = function playBoulder(filled) {
+    this.playTone({
+      frequency: 110,
+      duration: 0.12,
+      type: "sawtooth",
+      gain: 0.04,
+    });
+    if (filled) {
+      this.playTone({
+        frequency: 73,
+        duration: 0.2,
+        type: "triangle",
+        gain: 0.07,
+      });
+    }
+  };
+
+  /** 차단문: 열리면 올라가는 두 음, 닫히기만 하면 내려가는 한 음. */
+  AudioManager.prototype.playGate = function playGate(opened) {
+    if (opened) {
+      this.playTone({
+        frequency: 294,
+        duration: 0.07,
+        type: "square",
+        gain: 0.04,
+      });
+      this.playTone({
+        frequency: 440,
+        duration: 0.1,
+        type: "square",
+        gain: 0.04,
+      });
+      return;
+    }
+    this.playTone({
+      frequency: 220,
+      duration: 0.12,
+      type: "square",
+      gain: 0.045,
+    });
+  };
+
   AudioManager.prototype.playBlocked = function playBlocked() {
     this.playTone({
       frequency: 155,
@@ -342,6 +669,28 @@
     });
   };
 
+  /** 도전 실패: 세 음이 내려간다. */
+  AudioManager.prototype.playFail = function playFail() {
+    this.playTone({
+      frequency: 392,
+      duration: 0.12,
+      type: "square",
+      gain: 0.05,
+    });
+    this.playTone({
+      frequency: 311,
+      duration: 0.14,
+      type: "square",
+      gain: 0.05,
+    });
+    this.playTone({
+      frequency: 196,
+      duration: 0.22,
+      type: "triangle",
+      gain: 0.065,
+    });
+  };
+
   AudioManager.prototype.playUndo = function playUndo() {
     this.playTone({
       frequency: 250,
@@ -352,6 +701,7 @@
   };
 
   AudioManager.prototype.playClear = function playClear() {
+    this.duckMusic();
     this.playTone({
       frequency: 510,
       duration: 0.11,
@@ -367,6 +717,7 @@
   };
 
   AudioManager.prototype.playComplete = function playComplete() {
+    this.duckMusic();
     this.playTone({
       frequency: 520,
       duration: 0.16,
@@ -15,6 +15,10 @@
   var GRID_ROWS = 15;
   var CANVAS_WIDTH = GRID_COLS * TILE_SIZE;
   var CANVAS_HEIGHT = GRID_ROWS * TILE_SIZE;
+  // 레벨별 보드 크기 허용 범위 (GRID_COLS x GRID_ROWS는 기본값)
+  var MIN_GRID_SIZE = 4;
+  var MAX_GRID_COLS = 40;
+  var MAX_GRID_ROWS = 30;
 
   var TILE = Object.freeze({
     EMPTY: 0,
@@ -27,8 +31,40 @@
     STAR_ITEM: 7,
     PORTAL_A: 8,
     PORTAL_B: 9,
+    PORTAL_2: 10,
+    PORTAL_3: 11,
+    PORTAL_4: 12,
+    ONE_WAY_UP: 13,
+    ONE_WAY_DOWN: 14,
+    ONE_WAY_LEFT: 15,
+    ONE_WAY_RIGHT: 16,
+    CONVEYOR_UP: 17,
+    CONVEYOR_DOWN: 18,
+    CONVEYOR_LEFT: 19,
+    CONVEYOR_RIGHT: 20,
+    KEY: 21,
+    DOOR: 22,
+    SOUR_ITEM: 23,
+    BIG_SOUR_ITEM: 24,
+    BOULDER: 25,
+    HOLE: 26,
+    SWITCH: 27,
+    GATE: 28,
+    GATE_OPEN: 29,
+    KEY_BLUE: 30,
+    DOOR_BLUE: 31,
   });
 
+  /**
+   * 타일 메타. 방향 타일은 추가 필드를 가진다.
+   *   oneWay   — 그 방향으로 움직일 때만 들어갈 수 있다.
+   *   conveyor — 들어온 뒤 머리를 그 방향으로 한 칸 더 민다.
+   *   key      — 먹으면 그 색 열쇠를 얻고, 같은 색 door 타일이 모두 열린다 (빈 칸이 된다).
+   *   door     — 같은 색 열쇠를 얻기 전까지는 벽처럼 막힌다.
+   *   pushable — 머리로 밀면 한 칸 앞으로 움직인다 (바위). 구멍에 밀어 넣으면 둘 다 빈 칸이 된다.
+   *   gate     — 차단문. 같은 채널 스위치가 눌려 있는 동안 GATE_OPEN으로 바뀐다 (true = 닫힘).
+   */
+
   var TILE_META = Object.freeze({
     0: Object.freeze({ id: TILE.EMPTY, walkable: true, name: "empty" }),
     1: Object.freeze({ id: TILE.WALL, walkable: false, name: "wall" }),
@@ -40,8 +76,67 @@
     7: Object.freeze({ id: TILE.STAR_ITEM, walkable: true, name: "star_item" }),
     8: Object.freeze({ id: TILE.PORTAL_A, walkable: true, name: "portal_a" }),
     9: Object.freeze({ id: TILE.PORTAL_B, walkable: true, name: "portal_b" }),
+    10: Object.freeze({ id: TILE.PORTAL_2, walkable: true, name: "portal_2" }),
+    11: Object.freeze({ id: TILE.PORTAL_3, walkable: true, name: "portal_3" }),
+    12: Object.freeze({ id: TILE.PORTAL_4, walkable: true, name: "portal_4" }),
+    13: Object.freeze({ id: TILE.ONE_WAY_UP, walkable: true, name: "one_way_up", oneWay: "up" }),
+    14: Object.freeze({ id: TILE.ONE_WAY_DOWN, walkable: true, name: "one_way_down", oneWay: "down" }),
+    15: Object.freeze({ id: TILE.ONE_WAY_LEFT, walkable: true, name: "one_way_left", oneWay: "left" }),
+    16: Object.freeze({ id: TILE.ONE_WAY_RIGHT, walkable: true, name: "one_way_right", oneWay: "right" }),
+    17: Object.freeze({ id: TILE.CONVEYOR_UP, walkable: true, name: "conveyor_up", conveyor: "up" }),
+    18: Object.freeze({ id: TILE.CONVEYOR_DOWN, walkable: true, name: "conveyor_down", conveyor: "down" }),
+    19: Object.freeze({ id: TILE.CONVEYOR_LEFT, walkable: true, name: "conveyor_left", conveyor: "left" }),
+    20: Object.freeze({ id: TILE.CONVEYOR_RIGHT, walkable: true, name: "conveyor_right", conveyor: "right" }),
+    21: Object.freeze({ id: TILE.KEY, walkable: true, name: "key", key: "gold" }),
+    22: Object.freeze({ id: TILE.DOOR, walkable: false, name: "door", door: "gold" }),
+    23: Object.freeze({ id: TILE.SOUR_ITEM, walkable: true, name: "sour_item" }),
+    24: Object.freeze({ id: TILE.BIG_SOUR_ITEM, walkable: true, name: "big_sour_item" }),
+    25: Object.freeze({ id: TILE.BOULDER, walkable: false, name: "boulder", pushable: true }),
+    26: Object.freeze({ id: TILE.HOLE, walkable: false, name: "hole" }),
+    27: Object.freeze({ id: TILE.SWITCH, walkable: true, name: "switch" }),
+    28: Object.freeze({ id: TILE.GATE, walkable: false, name: "gate", gate: true }),
+    29: Object.freeze({ id: TILE.GATE_OPEN, walkable: true, name: "gate_open", gate: false }),
+    30: Object.freeze({ id: TILE.KEY_BLUE, walkable: true, name: "key_blue", key: "blue" }),
+    31: Object.freeze({ id: TILE.DOOR_BLUE, walkable: false, name: "door_blue", door: "blue" }),
   });
 
+  /**
+   * 포털 채널. 같은 채널의 두 끝이 서로 연결된다.
+   * 채널 1은 기존 P/Q 쌍(양 끝의 타일/색이 다름), 채널 2~4는 같은 숫자 문자 두 개가 한 쌍.
+   * colors는 tiles 순서와 같다.
+   */
+  var PORTAL_CHANNELS = Object.freeze([
+    Object.freeze({ channel: 1, tiles: Object.freeze([TILE.PORTAL_A, TILE.PORTAL_B]), colors: Object.freeze(["#37e5ff", "#ff6fd7"]) }),
+    Object.freeze({ channel: 2, tiles: Object.freeze([TILE.PORTAL_2]), colors: Object.freeze(["#5fe35a"]) }),
+    Object.freeze({ channel: 3, tiles: Object.freeze([TILE.PORTAL_3]), colors: Object.freeze(["#ffa726"]) }),
+    Object.freeze({ channel: 4, tiles: Object.freeze([TILE.PORTAL_4]), colors: Object.freeze(["#b388ff"]) }),
+  ]);
+
+  /** 포털 타일의 채널 정보 { channel, color } — 포털이 아니면 null. */
+  function getPortalInfo(tile) {
+    for (var i = 0; i < PORTAL_CHANNELS.length; i += 1) {
+      var index = PORTAL_CHANNELS[i].tiles.indexOf(tile);
+      if (index !== -1) {
+        return { channel: PORTAL_CHANNELS[i].channel, color: PORTAL_CHANNELS[i].colors[index] };
+      }
+    }
+    return null;
+  }
+
+  /** 열쇠/문 색 이름 → 표시 색. 새 색은 TILE_META의 key/door 필드와 함께 추가한다. */
+  var KEY_COLORS = Object.freeze({
+    gold: "#ffc83d",
+    blue: "#4f8dff",
+  });
+
+  /** 스위치/차단문 채널 색. 채널 n은 (n - 1) % 길이 번째 색을 쓴다. */
+  var GATE_CHANNEL_COLORS = Object.freeze(["#ff7a59", "#4fc3f7", "#c6ff00", "#f06292"]);
+
+  function getGateChannelColor(channel) {
+    var index = (Math.max(1, Math.floor(channel) || 1) - 1) % GATE_CHANNEL_COLORS.length;
+    return GATE_CHANNEL_COLORS[index];
+  }
+
   var GAME_STATE = Object.freeze({
     TITLE: "title",
     LEVEL_SELECT: "level_select",
@@ -49,15 +144,28 @@
     PAUSED: "paused",
     LEVEL_COMPLETE: "level_complete",
     GAME_COMPLETE: "game_complete",
+    EDITOR: "editor",
+    REPLAY: "replay",
+    LEVEL_FAILED: "level_failed",
   });
 
   var STATE_TRANSITIONS = Object.freeze({
-    title: Object.freeze(["level_select", "playing"]),
-    level_select: Object.freeze(["title", "playing"]),
-    playing: Object.freeze(["paused", "level_complete", "game_complete", "title"]),
-    paused: Object.freeze(["playing", "title", "level_select"]),
-    level_complete: Object.freeze(["playing", "title", "level_select"]),
-    game_complete: Object.freeze(["playing", "title", "level_select"]),
+    title: Object.freeze(["level_select", "playing", "editor", "replay"]),
+    level_select: Object.freeze(["title", "playing", "editor", "replay"]),
+    playing: Object.freeze(["paused", "level_complete", "game_complete", "level_failed", "title", "editor", "replay"]),
+    paused: Object.freeze(["playing", "title", "level_select", "editor", "replay"]),
+    level_complete: Object.freeze(["playing", "title", "level_select", "editor", "replay"]),
+    game_complete: Object.freeze(["playing", "title", "level_select", "editor", "replay"]),
+    editor: Object.freeze(["title", "level_select", "playing", "replay"]),
+    replay: Object.freeze(["playing", "title", "level_select"]),
+    level_failed: Object.freeze(["playing", "title", "level_select", "editor", "replay"]),
+  });
+
+  /** 도전 모드: 이동 예산(par 기반) 또는 제한 시간. 레벨 선택에서 고르고 settings.challengeMode에 저장한다. */
+  var CHALLENGE_MODE = Object.freeze({
+    OFF: "off",
+    MOVES: "moves",
+    TIMER: "timer",
   });
 
   var DIRECTIONS = Object.freeze({
@@ -76,8 +184,10 @@
     RESTART: "restart",
     PAUSE: "pause",
     NEXT: "next",
+    PREV: "prev",
     START: "start",
     LEVEL_SELECT: "level_select",
+    HINT: "hint",
   });
 
   var ACTION_TO_DIRECTION = Object.freeze({
@@ -98,22 +208,80 @@
     next: Object.freeze(["n"]),
     start: Object.freeze(["enter", " "]),
     level_select: Object.freeze(["l"]),
+    hint: Object.freeze(["h"]),
+  });
+
+  /**
+   * 게임패드 기본 버튼 (표준 매핑 인덱스). 이동은 D패드(12~15)와 왼쪽 스틱에 고정이고,
+   * 여기 있는 동작만 컨트롤러별로 바꿀 수 있다 (settings.gamepadBindings).
+   */
+  var DEFAULT_GAMEPAD_BINDINGS = Object.freeze({
+    start: 0,
+    undo: 1,
+    restart: 2,
+    hint: 3,
+    prev: 4,
+    next: 5,
+    level_select: 8,
+    pause: 9,
   });
 
+  /** 표준 매핑 버튼 이름. 목록에 없는 인덱스는 "B<번호>"로 표시한다. */
+  var GAMEPAD_BUTTON_NAMES = Object.freeze([
+    "A",
+    "B",
+    "X",
+    "Y",
+    "LB",
+    "RB",
+    "LT",
+    "RT",
+    "Back",
+    "Start",
+    "LS",
+    "RS",
+    "↑",
+    "↓",
+    "←",
+    "→",
+    "Home",
+  ]);
+
   var STORAGE_KEYS = Object.freeze({
     PROGRESS: "wormPuzzleProgress",
     PROGRESS_BACKUP: "wormPuzzleProgressBackup",
     SETTINGS: "wormPuzzleSettings",
     SETTINGS_BACKUP: "wormPuzzleSettingsBackup",
     LEGACY_PROGRESS_LEVEL: "wormPuzzleProgressLevel",
+    EDITOR_DRAFT: "wormPuzzleEditorDraft",
+    REPLAYS: "wormPuzzleReplays",
+    PROFILES: "wormPuzzleProfiles",
   });
 
-  var STORAGE_VERSION = 3;
+  // 저장 형식 버전. 올릴 때는 storage-migrations.js에 이전 버전 → 새 버전 단계를 등록한다.
+  var STORAGE_VERSION = 6;
+  var SETTINGS_VERSION = 3;
+
+  var PROFILE_SLOT_COUNT = 3;
+  var PROFILE_NAME_MAX = 16;
+  /** 프로필마다 따로 저장하는 설정. 나머지(볼륨, 성능 모드 등)는 기기 공통. */
+  var PROFILE_SETTING_KEYS = Object.freeze([
+    "language",
+    "handedness",
+    "highContrast",
+    "colorBlindAssist",
+    "reduceMotion",
+    "showMoveHints",
+    "tutorialCompleted",
+    "bgmTrack",
+    "customBindings",
+    "gamepadBindings",
+  ]);
 
   var DEFAULT_SETTINGS = Object.freeze({
     soundEnabled: true,
     bgmEnabled: true,
-    bgmTrack: "retro",
+    bgmTrack: "world",
     vibrationEnabled: true,
     highContrast: false,
     colorBlindAssist: false,
@@ -127,8 +295,10 @@
     mobilePerformanceMode: "auto",
     masterVolume: 0.8,
     sfxVolume: 0.8,
+    bgmVolume: 0.8,
     dpadPosition: Object.freeze({ x: null, y: null }),
     replayDebugEnabled: false,
+    challengeMode: "off",
     customBindings: Object.freeze({
       move_up: "",
       move_down: "",
@@ -139,7 +309,10 @@
       pause: "",
       next: "",
       level_select: "",
+      hint: "",
     }),
+    // { [컨트롤러 id]: { [동작]: 버튼 인덱스 } } — 바꾼 컨트롤러만 저장한다.
+    gamepadBindings: Object.freeze({}),
   });
 
   var GAMEPLAY = Object.freeze({
@@ -154,11 +327,41 @@
     MOVE_HINT_FLASH_MS: 360,
     GAMEPAD_REPEAT_MS: 120,
     GAMEPAD_DEADZONE: 0.35,
+    GAMEPAD_NAV_REPEAT_MS: 220,
+    GAMEPAD_BUTTON_LIMIT: 32,
     HISTORY_LIMIT: 300,
     MAX_DEVICE_PIXEL_RATIO: 2,
     SHAKE_AMPLITUDE: 8,
     SHAKE_DURATION_MS: 180,
     STAR_POWER_MOVES: 8,
+    SOLVER_MAX_STATES: 350000,
+    // 인게임 힌트는 프레임마다 조금씩 탐색하고, 메모리를 지키려고 검증기보다 훨씬 낮은 상한을 쓴다
+    // (내장 레벨은 저장된 최적 경로 위에 있는 동안 탐색하지 않는다 — Game.getStoredRouteRest)
+    HINT_SOLVER_MAX_STATES: 80000,
+    HINT_SOLVER_STATES_PER_FRAME: 1000,
+    HINT_REVEAL_STEPS: Object.freeze([1, 3]),
+    REPLAY_STEP_MS: 240,
+    REPLAY_SPEEDS: Object.freeze([0.5, 1, 2, 4]),
+    MAX_STARS: 3,
+    /** 이동 별 기준: par × 이 값 이하. 젤리를 모으는 우회 경로를 허용하기 위한 여유. */
+    STAR_PAR_TOLERANCE: 1.5,
+    /** 도전 모드 이동 예산: ceil(par × 이 값). undo로 되돌린 이동도 예산에서 빠진다. */
+    CHALLENGE_MOVE_SLACK: 1.25,
+    /** 도전 모드 제한 시간: par 한 수당 시간, 최소 시간. */
+    CHALLENGE_MS_PER_PAR_MOVE: 1500,
+    CHALLENGE_MIN_TIME_MS: 20000,
+    /** 끝없는 모드 미로 검사: 미로 하나당 솔버 상태 상한, 풀리지 않거나 너무 쉬울 때 다시 만드는 횟수, 프레임당 탐색량. */
+    ENDLESS_SOLVER_MAX_STATES: 60000,
+    ENDLESS_MAX_ATTEMPTS: 12,
+    ENDLESS_SOLVER_STATES_PER_FRAME: 1000,
+    /**
+     * 끝없는 모드 최소 par: min(MAX, BASE + depth). 이보다 짧게 풀리는 미로는 다시 만든다.
+     * 보드 크기가 depth 21쯤에서 멈추고 장식이 지름길을 내므로 상한을 두어 시도 안에 통과할 수 있게 한다.
+     */
+    ENDLESS_MIN_PAR_BASE: 12,
+    ENDLESS_MIN_PAR_MAX: 36,
+    /** 머리가 열린 출구에서 이 칸 수(맨해튼 거리) 안에 들어오면 BGM에 타악기 레이어를 더한다. */
+    MUSIC_EXIT_NEAR_CELLS: 3,
     FRAME_STEP_MS: 1000 / 60,
     FRAME_STEP_CAP: 5,
   });
@@ -324,28 +527,52 @@
     return x + "," + y;
   }
 
+  /** 타일 2차원 배열에서 보드 크기를 구한다. 비어 있으면 기본 그리드 크기. */
+  function getBoardSize(tiles) {
+    if (!tiles || !tiles.length) {
+      return { width: GRID_COLS, height: GRID_ROWS };
+    }
+    return { width: tiles[0].length, height: tiles.length };
+  }
+
   global.WormGameConstants = Object.freeze({
     TILE_SIZE: TILE_SIZE,
     GRID_COLS: GRID_COLS,
     GRID_ROWS: GRID_ROWS,
     CANVAS_WIDTH: CANVAS_WIDTH,
     CANVAS_HEIGHT: CANVAS_HEIGHT,
+    MIN_GRID_SIZE: MIN_GRID_SIZE,
+    MAX_GRID_COLS: MAX_GRID_COLS,
+    MAX_GRID_ROWS: MAX_GRID_ROWS,
     TILE: TILE,
     TILE_META: TILE_META,
+    PORTAL_CHANNELS: PORTAL_CHANNELS,
+    KEY_COLORS: KEY_COLORS,
+    GATE_CHANNEL_COLORS: GATE_CHANNEL_COLORS,
     GAME_STATE: GAME_STATE,
     STATE_TRANSITIONS: STATE_TRANSITIONS,
+    CHALLENGE_MODE: CHALLENGE_MODE,
     DIRECTIONS: DIRECTIONS,
     ACTION: ACTION,
     ACTION_TO_DIRECTION: ACTION_TO_DIRECTION,
     DEFAULT_KEY_BINDINGS: DEFAULT_KEY_BINDINGS,
+    DEFAULT_GAMEPAD_BINDINGS: DEFAULT_GAMEPAD_BINDINGS,
+    GAMEPAD_BUTTON_NAMES: GAMEPAD_BUTTON_NAMES,
     STORAGE_KEYS: STORAGE_KEYS,
     STORAGE_VERSION: STORAGE_VERSION,
+    SETTINGS_VERSION: SETTINGS_VERSION,
+    PROFILE_SLOT_COUNT: PROFILE_SLOT_COUNT,
+    PROFILE_NAME_MAX: PROFILE_NAME_MAX,
+    PROFILE_SETTING_KEYS: PROFILE_SETTING_KEYS,
     DEFAULT_SETTINGS: DEFAULT_SETTINGS,
     GAMEPLAY: GAMEPLAY,
     THEMES: THEMES,
     isWalkableTile: isWalkableTile,
+    getPortalInfo: getPortalInfo,
+    getGateChannelColor: getGateChannelColor,
     clamp: clamp,
     normalizeKeyToken: normalizeKeyToken,
     pointKey: pointKey,
+    getBoardSize: getBoardSize,
   });
 })(window);
@@ -0,0 +1,149 @@
+/**
+ * endless.js — 끝없는 모드: 시드 미로 생성 + 솔버 검사 + 시드 공유 형식
+ *
+ * 한 번의 도전(런)은 런 시드 하나로 정해진다. depth번째 미로의 시드는 (런 시드, depth)에서 파생되므로
+ * 같은 런 시드를 입력하면 같은 미로가 같은 순서로 나온다.
+ * 만든 미로는 솔버로 클리어 가능 여부를 확인하고, 풀리지 않거나 par가 깊이별 최소값(minPar)보다 작으면
+ * 시도 번호를 올려 다시 만든다. 솔버 최단 이동 수가 그 미로의 par가 된다. 게임에서는 createGenerator로 검사를 여러 프레임에 나눠 진행한다.
+ *
+ * @module  WormGameEndless
+ * @depends WormGameConstants  (GAMEPLAY)
+ * @depends WormGameLevels     (generateEndlessDef, parseMap)
+ * @depends WormGameSnake      (Snake — 시작 세그먼트)
+ * @depends WormGameSimulation (createState)
+ * @depends WormGameSolver     (createSearch — 클리어 가능 여부, par)
+ * @exports global.WormGameEndless
+ *
+ * 시드 표기: 32bit 정수를 대문자 36진수로 (예: "1A2B3C"). 공유할 때 이 문자열을 그대로 쓴다.
+ *
+ * ES Module 전환 시: import { generateEndlessDef, parseMap } from './levels.js'; import { createSearch } from './solver.js'
+ */
+(function attachEndless(global) {
+  "use strict";
+
+  var constants = global.WormGameConstants;
+  var Levels = global.WormGameLevels;
+  var Snake = global.WormGameSnake;
+  var Simulation = global.WormGameSimulation;
+  var Solver = global.WormGameSolver;
+  var GAMEPLAY = constants.GAMEPLAY;
+
+  var MAX_SEED = 0xffffffff;
+
+  function formatSeed(seed) {
+    return (seed >>> 0).toString(36).toUpperCase();
+  }
+
+  /** 입력한 시드 문자열 → 정수. 앞의 "#"과 공백은 무시하고, 형식이 틀리면 null. */
+  function parseSeed(text) {
+    var cleaned = String(text || "").trim().replace(/^#/, "");
+    if (!/^[0-9a-z]{1,7}$/i.test(cleaned)) {
+      return null;
+    }
+    var seed = parseInt(cleaned, 36);
+    return seed <= MAX_SEED ? seed >>> 0 : null;
+  }
+
+  /** @param {function(): number} [rand] - 0~1 난수 (기본 Math.random) */
+  function randomSeed(rand) {
+    return Math.floor((rand || Math.random)() * (MAX_SEED + 1)) >>> 0;
+  }
+
+  /** 런 시드와 깊이, 재시도 번호로 미로 시드를 만든다 (정수 해시 섞기). */
+  function mazeSeed(runSeed, depth, attempt) {
+    var hash = (runSeed ^ Math.imul(depth, 0x9e3779b1) ^ Math.imul(attempt + 1, 0x85ebca6b)) >>> 0;
+    hash = Math.imul(hash ^ (hash >>> 16), 0x7feb352d) >>> 0;
+    hash = Math.imul(hash ^ (hash >>> 15), 0x846ca68b) >>> 0;
+    return (hash ^ (hash >>> 16)) >>> 0;
+  }
+
+  /** depth번째 미로가 넘어야 할 최소 par. 깊어질수록 올라가다가 ENDLESS_MIN_PAR_MAX에서 멈춘다. */
+  function minPar(depth) {
+    var level = Math.max(1, Math.floor(depth) || 1);
+    return Math.min(GAMEPLAY.ENDLESS_MIN_PAR_MAX, GAMEPLAY.ENDLESS_MIN_PAR_BASE + level);
+  }
+
+  function createLevelSearch(level) {
+    var snake = new Snake(level.spawn, level.snakeLength, level.tiles);
+    var start = Simulation.createState({
+      tiles: level.tiles,
+      segments: snake.cloneSegments(),
+      bodyCollision: level.bodyCollision,
+      goals: level.goals,
+      channels: level.channels,
+    });
+    return Solver.createSearch(start, { maxStates: GAMEPLAY.ENDLESS_SOLVER_MAX_STATES });
+  }
+
+  /**
+   * 런의 depth번째 미로를 나눠서 만드는 생성기. 솔버가 minPar(depth)수 이상으로 풀 수 있는 미로가 나올 때까지
+   * ENDLESS_MAX_ATTEMPTS번 시도한다.
+   * step(budget): 솔버 상태를 최대 budget개(생략하면 끝까지) 펼친다. 아직 검사 중이면 null,
+   *   끝나면 { level, depth, attempt }. level은 parseMap 결과 (par = 솔버 최단 이동 수), 못 만들었으면 null.
+   *   budget을 주면 버린 시도가 끝난 프레임에서는 다음 시도를 시작하지 않는다.
+   */
+  function createGenerator(runSeed, depth) {
+    var required = minPar(depth);
+    var attempt = -1;
+    var level = null;
+    var search = null;
+    var result = null;
+
+    /** 다음 시도의 미로를 만들어 솔버 검사를 건다. 시도를 다 썼으면 false. */
+    function nextAttempt() {
+      while (attempt + 1 < GAMEPLAY.ENDLESS_MAX_ATTEMPTS) {
+        attempt += 1;
+        try {
+          level = Levels.parseMap(Levels.generateEndlessDef(mazeSeed(runSeed, depth, attempt), depth));
+        } catch (_error) {
+          continue;
+        }
+        search = createLevelSearch(level);
+        return true;
+      }
+      return false;
+    }
+
+    function step(budget) {
+      while (!result) {
+        if (!search && !nextAttempt()) {
+          result = { level: null, depth: depth, attempt: attempt };
+          break;
+        }
+        var solved = search.step(budget);
+        if (!solved) {
+          return null;
+        }
+        search = null;
+        if (solved.solved && solved.moves.length >= required) {
+          level.par = solved.moves.length;
+          result = { level: level, depth: depth, attempt: attempt };
+        } else if (budget !== undefined) {
+          return null;
+        }
+      }
+      return result;
+    }
+
+    return { step: step };
+  }
+
+  /**
+   * 런의 depth번째 미로를 한 번에 만든다 (createGenerator를 끝까지 진행).
+   * @returns {{ level: Object, depth: number, attempt: number }|null} 조건에 맞는 미로를 못 만들면 null
+   */
+  function generateLevel(runSeed, depth) {
+    var result = createGenerator(runSeed, depth).step();
+    return result.level ? result : null;
+  }
+
+  global.WormGameEndless = Object.freeze({
+    formatSeed: formatSeed,
+    parseSeed: parseSeed,
+    randomSeed: randomSeed,
+    mazeSeed: mazeSeed,
+    minPar: minPar,
+    createGenerator: createGenerator,
+    generateLevel: generateLevel,
+  });
+})(window);
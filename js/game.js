@@ -5,6 +5,13 @@
  * @depends WormGameConstants (TILE, GAME_STATE, ACTION, GAMEPLAY, ...)
  * @depends WormGameLevels   (LEVELS)
  * @depends WormGameSnake    (Snake)
+ * @depends WormGameSimulation (simulateStep — 이동 규칙 단일 구현)
+ * @depends WormGameSolver     (solve — 힌트 경로)
+ * @depends WormGameEndless    (끝없는 모드 미로 생성/시드)
+ * @depends WormGameReplayStore (리플레이 영구 저장/가져오기)
+ * @depends WormGameProfileStore (저장 슬롯 — 슬롯별 저장 키, 프로필 설정 덮어쓰기)
+ * @depends WormGameStorageMigrations (진행도/설정 버전 마이그레이션)
+ * @depends WormGameSaveBundle (저장 데이터 백업 파일 내보내기/가져오기)
  * @depends WormGameI18N     (i18n — 선택적, getStateOverlayData에서 사용)
  * @exports global.WormPuzzleGame
  *
@@ -12,6 +19,13 @@
  *   import { TILE, GAME_STATE, ... } from './constants.js'
  *   import { LEVELS } from './levels.js'
  *   import { Snake } from './snake.js'
+ *   import * as Simulation from './simulation.js'
+ *   import { solve } from './solver.js'
+ *   import * as Endless from './endless.js'
+ *   import * as ReplayStore from './replay-store.js'
+ *   import * as ProfileStore from './profile-store.js'
+ *   import * as Migrations from './storage-migrations.js'
+ *   import * as SaveBundle from './save-bundle.js'
  */
 (function attachGame(global) {
   "use strict";
@@ -19,29 +33,77 @@
   var constants = global.WormGameConstants;
   var LEVELS = global.WormGameLevels.LEVELS;
   var Snake = global.WormGameSnake;
+  var Simulation = global.WormGameSimulation;
+  var Solver = global.WormGameSolver;
+  var Endless = global.WormGameEndless;
+  var ReplayStore = global.WormGameReplayStore;
+  var ProfileStore = global.WormGameProfileStore;
+  var Migrations = global.WormGameStorageMigrations;
+  var SaveBundle = global.WormGameSaveBundle;
 
   var TILE = constants.TILE;
   var TILE_META = constants.TILE_META;
   var GAME_STATE = constants.GAME_STATE;
   var STATE_TRANSITIONS = constants.STATE_TRANSITIONS;
+  var CHALLENGE_MODE = constants.CHALLENGE_MODE;
   var DIRECTIONS = constants.DIRECTIONS;
   var ACTION = constants.ACTION;
   var ACTION_TO_DIRECTION = constants.ACTION_TO_DIRECTION;
   var DEFAULT_KEY_BINDINGS = constants.DEFAULT_KEY_BINDINGS;
+  var DEFAULT_GAMEPAD_BINDINGS = constants.DEFAULT_GAMEPAD_BINDINGS;
   var STORAGE_KEYS = constants.STORAGE_KEYS;
   var STORAGE_VERSION = constants.STORAGE_VERSION;
+  var SETTINGS_VERSION = constants.SETTINGS_VERSION;
   var DEFAULT_SETTINGS = constants.DEFAULT_SETTINGS;
   var GAMEPLAY = constants.GAMEPLAY;
   var THEMES = constants.THEMES;
-  var GRID_COLS = constants.GRID_COLS;
-  var GRID_ROWS = constants.GRID_ROWS;
 
   var clamp = constants.clamp;
 
+  /** i18n 사전이 없을 때 상태 오버레이가 쓰는 출구 조건 문구. */
+  var GOAL_TEXT_FALLBACKS = {
+    goalItems: "젤리 {collected}/{need}",
+    goalAllItems: "젤리 전부 (남은 {left}개)",
+    goalLength: "길이 정확히 {target} (지금 {length})",
+  };
+
   function deepClone(value) {
     return JSON.parse(JSON.stringify(value));
   }
 
+  function isGamepadButtonIndex(value) {
+    return (
+      typeof value === "number" && Math.floor(value) === value && value >= 0 && value < GAMEPLAY.GAMEPAD_BUTTON_LIMIT
+    );
+  }
+
+  /** 컨트롤러별 버튼 맵을 검사한다. 모르는 동작이나 범위 밖 버튼은 버리고, 남는 게 없는 컨트롤러는 뺀다. */
+  function normalizeGamepadBindings(source) {
+    var result = {};
+    if (!source || typeof source !== "object") {
+      return result;
+    }
+
+    var ids = Object.keys(source);
+    for (var i = 0; i < ids.length; i += 1) {
+      var entry = source[ids[i]];
+      if (!ids[i] || !entry || typeof entry !== "object") {
+        continue;
+      }
+      var map = {};
+      var actions = Object.keys(DEFAULT_GAMEPAD_BINDINGS);
+      for (var j = 0; j < actions.length; j += 1) {
+        if (isGamepadButtonIndex(entry[actions[j]])) {
+          map[actions[j]] = entry[actions[j]];
+        }
+      }
+      if (Object.keys(map).length > 0) {
+        result[ids[i]] = map;
+      }
+    }
+    return result;
+  }
+
   function mergeSettings(base, incoming) {
     var merged = deepClone(base);
     if (!incoming || typeof incoming !== "object") {
@@ -56,10 +118,10 @@
     }
     if (Object.prototype.hasOwnProperty.call(incoming, "bgmTrack")) {
       var track = String(incoming.bgmTrack || "");
-      if (track === "arcade" || track === "chill") {
+      if (track === "retro" || track === "arcade" || track === "chill") {
         merged.bgmTrack = track;
       } else {
-        merged.bgmTrack = "retro";
+        merged.bgmTrack = "world";
       }
     }
     if (Object.prototype.hasOwnProperty.call(incoming, "vibrationEnabled")) {
@@ -106,9 +168,20 @@
     if (Object.prototype.hasOwnProperty.call(incoming, "sfxVolume")) {
       merged.sfxVolume = clamp(Number(incoming.sfxVolume) || 0, 0, 1);
     }
+    if (Object.prototype.hasOwnProperty.call(incoming, "bgmVolume")) {
+      merged.bgmVolume = clamp(Number(incoming.bgmVolume) || 0, 0, 1);
+    }
     if (Object.prototype.hasOwnProperty.call(incoming, "replayDebugEnabled")) {
       merged.replayDebugEnabled = !!incoming.replayDebugEnabled;
     }
+    if (Object.prototype.hasOwnProperty.call(incoming, "challengeMode")) {
+      var challengeMode = incoming.challengeMode;
+      if (challengeMode === CHALLENGE_MODE.MOVES || challengeMode === CHALLENGE_MODE.TIMER) {
+        merged.challengeMode = challengeMode;
+      } else {
+        merged.challengeMode = CHALLENGE_MODE.OFF;
+      }
+    }
 
     if (incoming.dpadPosition && typeof incoming.dpadPosition === "object") {
       var x = incoming.dpadPosition.x;
@@ -131,6 +204,10 @@
       }
     }
 
+    if (Object.prototype.hasOwnProperty.call(incoming, "gamepadBindings")) {
+      merged.gamepadBindings = normalizeGamepadBindings(incoming.gamepadBindings);
+    }
+
     return merged;
   }
 
@@ -149,6 +226,63 @@
 
   var tileKey = constants.pointKey;
 
+  var PROGRESS_FIELDS = [
+    "version",
+    "unlockedLevelIndex",
+    "bestMoves",
+    "totalMoves",
+    "clears",
+    "totalItems",
+    "hintsUsed",
+    "levelStars",
+    "challengeBestMoves",
+    "challengeBestTimes",
+    "endlessBestStreak",
+  ];
+
+  /** 알려진 필드를 뺀 나머지 (다음 저장 때 그대로 다시 쓴다). */
+  function pickUnknownFields(data, knownFields) {
+    var extras = {};
+    var keys = Object.keys(data || {});
+    for (var i = 0; i < keys.length; i += 1) {
+      if (knownFields.indexOf(keys[i]) === -1) {
+        extras[keys[i]] = data[keys[i]];
+      }
+    }
+    return extras;
+  }
+
+  function readStoredObject(key) {
+    try {
+      var raw = global.localStorage.getItem(key);
+      if (!raw) {
+        return null;
+      }
+      var parsed = JSON.parse(raw);
+      return parsed && typeof parsed === "object" ? { raw: raw, data: parsed } : null;
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  /**
+   * 클리어 별점 (1~3).
+   * 클리어 1개 + par 이내(STAR_PAR_TOLERANCE 여유 포함) 1개 + 젤리 starJelly개 이상 수집 1개.
+   * par가 없는 레벨은 이동 조건을 만족한 것으로 본다.
+   * starJelly는 levels.js resolveStarJelly (검증기가 두 조건을 한 번에 채울 수 있다고 확인한 수, 기본은 젤리 전부).
+   */
+  function rateClear(moves, par, collected, starJelly) {
+    var withinPar = !par || moves <= Math.ceil(par * GAMEPLAY.STAR_PAR_TOLERANCE);
+    var jellyMet = collected >= starJelly;
+    return {
+      stars: 1 + (withinPar ? 1 : 0) + (jellyMet ? 1 : 0),
+      par: par || 0,
+      starJelly: starJelly,
+      withinPar: withinPar,
+      jellyMet: jellyMet,
+    };
+  }
+
   function Game() {
     this.levels = LEVELS;
     this.state = GAME_STATE.TITLE;
@@ -180,28 +314,87 @@
     this.totalItemsCollected = 0;
     this.levelStartSegments = null;
     this.levelStartTiles = null;
-    this.replayArchive = {};
+    /** 저장 슬롯 인덱스 (profile-store.js). 진행도/리플레이/프로필 설정은 activeSlot 기준으로 읽고 쓴다. */
+    this.profiles = ProfileStore.loadIndex();
+    this.migrateProfileSettings();
+    this.activeSlot = this.profiles.activeSlot;
+    /** 레벨별 best/last 리플레이 버킷 (replay-store.js). */
+    this.replayBucket = ReplayStore.loadBucket(this.getStorageKey(STORAGE_KEYS.REPLAYS));
+    this.dropStaleReplays();
+    this.importedReplay = null;
+    /** 리플레이 디버그에서 선택한 항목 id ("imported" | "best:12" | "last:12"), null이면 현재 레벨 자동. */
+    this.replaySelection = null;
+    this.hydratedReplay = null;
+    /** 메인 캔버스 리플레이 재생 { replay, levelIndex, step, playing, speed, nextStepAt } — REPLAY 상태에서만 유지. */
+    this.playback = null;
     this.historyCheckpoints = [];
     this.discardedHistoryCount = 0;
     this.starMovesRemaining = 0;
+    /** 이번 레벨에서 얻은 열쇠 색 목록. 새 열쇠를 얻으면 배열을 새로 만든다 (undo delta가 이전 배열을 그대로 보관). */
+    this.heldKeys = [];
     this.portalLinks = {};
+    /** 에디터 플레이 테스트 중인 레벨 (null이면 일반 플레이). */
+    this.playtestLevel = null;
+    this.playtestStash = null;
+    /** 힌트 경로 { moves, reveal } — 플레이어가 경로를 벗어나면 null. */
+    this.hint = null;
+    /** 진행 중인 힌트 탐색 (Solver.createSearch). update()가 프레임마다 조금씩 진행하고, 상태가 바뀌면 버린다. */
+    this.hintSearch = null;
+    this.levelHintsUsed = 0;
+    this.hintsUsed = {};
+    /** 레벨별 최고 별점 { [levelId]: 1~3 }. */
+    this.levelStars = {};
+    /** 도전 모드 기록 { [levelId]: 이동 수 | ms } — 일반 bestMoves와 따로 둔다. */
+    this.challengeBestMoves = {};
+    this.challengeBestTimes = {};
+    /** 진행 중인 도전 { mode, moveBudget, movesUsed, timeLimitMs, elapsedMs } (도전 모드가 아니면 null). */
+    this.challenge = null;
+    /** 끝없는 모드 런 { seed, depth, streak, level } — 일반 레벨을 불러오면 null로 끝난다. */
+    this.endless = null;
+    this.endlessSearch = null;
+    this.endlessBestStreak = 0;
+    /** 저장 데이터의 모르는 필드 — 지우지 않고 다음 저장에 다시 쓴다. */
+    this.progressExtras = {};
+    this.settingsExtras = {};
+    /** 미리보기까지 마친 저장 백업 가져오기 (save-bundle.js parseBundle 결과). */
+    this.pendingSaveImport = null;
+
+    this.settings = this.buildProfileSettings();
+    this.applyProgressData(this.loadProgressData());
+    this.levelIndex = this.unlockedLevelIndex;
+
+    this.keyMap = this.buildKeyMap();
+  }
+
+  /** 활성 저장 슬롯의 localStorage 키. */
+  Game.prototype.getStorageKey = function getStorageKey(baseKey) {
+    return ProfileStore.slotKey(baseKey, this.activeSlot);
+  };
 
-    this.settings = mergeSettings(DEFAULT_SETTINGS, this.loadSettingsData());
-    this.progressData = this.loadProgressData();
+  /** 기기 공통 설정 위에 활성 프로필의 설정 덮어쓰기를 얹는다. */
+  Game.prototype.buildProfileSettings = function buildProfileSettings() {
+    var device = mergeSettings(DEFAULT_SETTINGS, ProfileStore.omitProfileSettings(this.loadSettingsData()));
+    var profile = ProfileStore.getSlot(this.profiles, this.activeSlot);
+    return mergeSettings(device, profile.settings);
+  };
 
+  Game.prototype.applyProgressData = function applyProgressData(progressData) {
+    this.progressData = progressData;
     this.unlockedLevelIndex = clamp(
-      this.progressData.unlockedLevelIndex,
+      progressData.unlockedLevelIndex,
       0,
       this.levels.length - 1
     );
-    this.levelIndex = this.unlockedLevelIndex;
-    this.bestMoves = this.progressData.bestMoves || {};
-    this.totalMoveCount = this.progressData.totalMoves || 0;
-    this.progressClears = this.progressData.clears || 0;
-    this.totalItemsCollected = this.progressData.totalItems || 0;
-
-    this.keyMap = this.buildKeyMap();
-  }
+    this.bestMoves = progressData.bestMoves || {};
+    this.totalMoveCount = progressData.totalMoves || 0;
+    this.progressClears = progressData.clears || 0;
+    this.totalItemsCollected = progressData.totalItems || 0;
+    this.hintsUsed = progressData.hintsUsed || {};
+    this.levelStars = progressData.levelStars || {};
+    this.challengeBestMoves = progressData.challengeBestMoves || {};
+    this.challengeBestTimes = progressData.challengeBestTimes || {};
+    this.endlessBestStreak = progressData.endlessBestStreak || 0;
+  };
 
   Game.prototype.emit = function emit(type, payload) {
     this.eventQueue.push({ type: type, payload: payload || null });
@@ -260,80 +453,138 @@
     return this.setBindingToken(action, "");
   };
 
-  Game.prototype.loadProgressData = function loadProgressData() {
-    var fallback = {
-      version: STORAGE_VERSION,
-      unlockedLevelIndex: 0,
-      bestMoves: {},
-      totalMoves: 0,
-      clears: 0,
-      totalItems: 0,
-    };
+  /** 컨트롤러의 동작 → 버튼 인덱스 맵 (기본값 위에 저장된 값을 얹는다). */
+  Game.prototype.getGamepadBindings = function getGamepadBindings(controllerId) {
+    var map = Object.assign({}, DEFAULT_GAMEPAD_BINDINGS);
+    var custom = this.settings.gamepadBindings[controllerId];
+    if (custom) {
+      Object.assign(map, custom);
+    }
+    return map;
+  };
 
-    try {
-      var raw = global.localStorage.getItem(STORAGE_KEYS.PROGRESS);
-      if (!raw) {
-        raw = global.localStorage.getItem(STORAGE_KEYS.PROGRESS_BACKUP);
-      }
-      if (!raw) {
-        var legacyRaw = global.localStorage.getItem(STORAGE_KEYS.LEGACY_PROGRESS_LEVEL);
-        if (legacyRaw !== null) {
-          var legacyValue = Number.parseInt(legacyRaw, 10);
-          if (!Number.isNaN(legacyValue)) {
-            fallback.unlockedLevelIndex = clamp(
-              legacyValue,
-              0,
-              this.levels.length - 1
-            );
-          }
-        }
-        return fallback;
-      }
+  /**
+   * 컨트롤러의 동작 버튼을 바꾼다. index가 null이면 기본 버튼으로 되돌린다.
+   * 다른 동작이 이미 그 버튼을 쓰고 있으면 두 동작의 버튼을 맞바꾼다.
+   */
+  Game.prototype.setGamepadButton = function setGamepadButton(controllerId, action, index) {
+    if (!controllerId || !Object.prototype.hasOwnProperty.call(DEFAULT_GAMEPAD_BINDINGS, action)) {
+      return false;
+    }
+    var button = index === null ? DEFAULT_GAMEPAD_BINDINGS[action] : index;
+    if (!isGamepadButtonIndex(button)) {
+      return false;
+    }
 
-      var parsed = JSON.parse(raw);
-      if (!parsed || typeof parsed !== "object") {
-        return fallback;
+    var map = this.getGamepadBindings(controllerId);
+    var actions = Object.keys(map);
+    for (var i = 0; i < actions.length; i += 1) {
+      if (actions[i] !== action && map[actions[i]] === button) {
+        map[actions[i]] = map[action];
       }
+    }
+    map[action] = button;
 
-      if (parsed.version !== STORAGE_VERSION) {
-        // Lightweight migration path. Unknown fields are dropped.
-      }
+    this.settings.gamepadBindings[controllerId] = map;
+    this.saveSettingsData();
+    return true;
+  };
 
-      fallback.unlockedLevelIndex = clamp(
-        Number(parsed.unlockedLevelIndex) || 0,
-        0,
-        this.levels.length - 1
-      );
-      fallback.bestMoves = parsed.bestMoves || {};
-      fallback.totalMoves = Math.max(0, Number(parsed.totalMoves) || 0);
-      fallback.clears = Math.max(0, Number(parsed.clears) || 0);
-      fallback.totalItems = Math.max(0, Number(parsed.totalItems) || 0);
-      return fallback;
+  Game.prototype.resetGamepadBindings = function resetGamepadBindings(controllerId) {
+    if (!Object.prototype.hasOwnProperty.call(this.settings.gamepadBindings, controllerId)) {
+      return false;
+    }
+    delete this.settings.gamepadBindings[controllerId];
+    this.saveSettingsData();
+    return true;
+  };
+
+  /**
+   * 저장 데이터를 현재 버전으로 올린다.
+   * 버전이 바뀌면 원본을 "<키>@v<원래 버전>"에 백업하고, 결과를 다시 저장한 뒤 storage_migrated를 알린다.
+   */
+  Game.prototype.migrateStoredData = function migrateStoredData(kind, stored, storageKey) {
+    var result = Migrations.migrate(kind, stored.data);
+    if (result.from === result.to) {
+      return result.data;
+    }
+
+    try {
+      global.localStorage.setItem(Migrations.backupKey(storageKey, result.from), stored.raw);
+      global.localStorage.setItem(storageKey, JSON.stringify(result.data));
     } catch (_error) {
-      try {
-        var backupRaw = global.localStorage.getItem(STORAGE_KEYS.PROGRESS_BACKUP);
-        if (backupRaw) {
-          var backupParsed = JSON.parse(backupRaw);
-          if (backupParsed && typeof backupParsed === "object") {
-            fallback.unlockedLevelIndex = clamp(
-              Number(backupParsed.unlockedLevelIndex) || 0,
-              0,
-              this.levels.length - 1
-            );
-            fallback.bestMoves = backupParsed.bestMoves || {};
-            fallback.totalMoves = Math.max(0, Number(backupParsed.totalMoves) || 0);
-            fallback.clears = Math.max(0, Number(backupParsed.clears) || 0);
-            fallback.totalItems = Math.max(0, Number(backupParsed.totalItems) || 0);
-          }
-        }
-      } catch (_backupError) {
-        // keep fallback
+      this.emit("storage_error", { operation: "migrate_" + kind });
+    }
+    this.emit("storage_migrated", {
+      kind: kind,
+      from: result.from,
+      to: result.to,
+      slot: this.activeSlot,
+    });
+    return result.data;
+  };
+
+  /**
+   * 프로필 설정 덮어쓰기를 현재 설정 버전으로 올린다.
+   * 덮어쓰기는 설정의 일부이므로 설정 마이그레이션 단계를 그대로 적용하고 프로필 키만 다시 고른다.
+   */
+  Game.prototype.migrateProfileSettings = function migrateProfileSettings() {
+    var from = this.profiles.settingsVersion;
+    if (from >= SETTINGS_VERSION) {
+      return;
+    }
+
+    for (var slot = 1; slot <= ProfileStore.SLOT_COUNT; slot += 1) {
+      var entry = ProfileStore.getSlot(this.profiles, slot);
+      if (entry.settings) {
+        var data = Object.assign({}, entry.settings, { version: from });
+        entry.settings = ProfileStore.pickProfileSettings(Migrations.migrate("settings", data).data);
+      }
+    }
+    this.profiles.settingsVersion = SETTINGS_VERSION;
+    if (!ProfileStore.saveIndex(this.profiles)) {
+      this.emit("storage_error", { operation: "migrate_profiles" });
+    }
+  };
+
+  Game.prototype.loadProgressData = function loadProgressData() {
+    var key = this.getStorageKey(STORAGE_KEYS.PROGRESS);
+    var stored = readStoredObject(key);
+    if (!stored) {
+      key = this.getStorageKey(STORAGE_KEYS.PROGRESS_BACKUP);
+      stored = readStoredObject(key);
+    }
+    if (!stored && this.activeSlot === 1) {
+      var legacyRaw = global.localStorage.getItem(STORAGE_KEYS.LEGACY_PROGRESS_LEVEL);
+      var legacy = legacyRaw !== null ? Migrations.fromLegacyLevel(legacyRaw) : null;
+      if (legacy) {
+        key = this.getStorageKey(STORAGE_KEYS.PROGRESS);
+        stored = { raw: legacyRaw, data: legacy };
       }
-      return fallback;
     }
+
+    var data = stored ? this.migrateStoredData("progress", stored, key) : {};
+    this.progressExtras = pickUnknownFields(data, PROGRESS_FIELDS);
+    return {
+      version: STORAGE_VERSION,
+      unlockedLevelIndex: clamp(Number(data.unlockedLevelIndex) || 0, 0, this.levels.length - 1),
+      bestMoves: data.bestMoves || {},
+      totalMoves: Math.max(0, Number(data.totalMoves) || 0),
+      clears: Math.max(0, Number(data.clears) || 0),
+      totalItems: Math.max(0, Number(data.totalItems) || 0),
+      hintsUsed: data.hintsUsed || {},
+      levelStars: data.levelStars || {},
+      challengeBestMoves: data.challengeBestMoves || {},
+      challengeBestTimes: data.challengeBestTimes || {},
+      endlessBestStreak: Math.max(0, Number(data.endlessBestStreak) || 0),
+    };
   };
 
   Game.prototype.saveProgressData = function saveProgressData() {
+    if (this.playtestLevel) {
+      // 플레이 테스트 중에는 진행도를 저장하지 않는다.
+      return;
+    }
     this.progressData = {
       version: STORAGE_VERSION,
       unlockedLevelIndex: this.unlockedLevelIndex,
@@ -341,63 +592,136 @@
       totalMoves: this.totalMoveCount,
       clears: this.progressClears,
       totalItems: this.totalItemsCollected,
+      hintsUsed: this.hintsUsed,
+      levelStars: this.levelStars,
+      challengeBestMoves: this.challengeBestMoves,
+      challengeBestTimes: this.challengeBestTimes,
+      endlessBestStreak: this.endlessBestStreak,
     };
+    var serialized = JSON.stringify(Object.assign({}, this.progressExtras, this.progressData));
 
     try {
-      global.localStorage.setItem(
-        STORAGE_KEYS.PROGRESS,
-        JSON.stringify(this.progressData)
-      );
-      global.localStorage.setItem(
-        STORAGE_KEYS.PROGRESS_BACKUP,
-        JSON.stringify(this.progressData)
-      );
+      global.localStorage.setItem(this.getStorageKey(STORAGE_KEYS.PROGRESS), serialized);
+      global.localStorage.setItem(this.getStorageKey(STORAGE_KEYS.PROGRESS_BACKUP), serialized);
     } catch (_error) {
       this.emit("storage_error", { operation: "save_progress" });
     }
   };
 
   Game.prototype.loadSettingsData = function loadSettingsData() {
-    try {
-      var raw = global.localStorage.getItem(STORAGE_KEYS.SETTINGS);
-      if (!raw) {
-        raw = global.localStorage.getItem(STORAGE_KEYS.SETTINGS_BACKUP);
-      }
-      if (!raw) {
-        return null;
-      }
-      var parsed = JSON.parse(raw);
-      if (!parsed || typeof parsed !== "object") {
-        return null;
-      }
-      return parsed;
-    } catch (_error) {
-      try {
-        var backupRaw = global.localStorage.getItem(STORAGE_KEYS.SETTINGS_BACKUP);
-        if (!backupRaw) {
-          return null;
-        }
-        var backupParsed = JSON.parse(backupRaw);
-        if (!backupParsed || typeof backupParsed !== "object") {
-          return null;
-        }
-        return backupParsed;
-      } catch (_backupError) {
-        return null;
-      }
+    var key = STORAGE_KEYS.SETTINGS;
+    var stored = readStoredObject(key);
+    if (!stored) {
+      key = STORAGE_KEYS.SETTINGS_BACKUP;
+      stored = readStoredObject(key);
+    }
+    if (!stored) {
+      this.settingsExtras = {};
+      return null;
     }
+
+    var data = this.migrateStoredData("settings", stored, key);
+    this.settingsExtras = pickUnknownFields(data, Object.keys(DEFAULT_SETTINGS).concat("version"));
+    return data;
   };
 
   Game.prototype.saveSettingsData = function saveSettingsData() {
+    var serialized = JSON.stringify(
+      Object.assign({}, this.settingsExtras, ProfileStore.omitProfileSettings(this.settings), {
+        version: SETTINGS_VERSION,
+      })
+    );
     try {
-      global.localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(this.settings));
-      global.localStorage.setItem(
-        STORAGE_KEYS.SETTINGS_BACKUP,
-        JSON.stringify(this.settings)
-      );
+      global.localStorage.setItem(STORAGE_KEYS.SETTINGS, serialized);
+      global.localStorage.setItem(STORAGE_KEYS.SETTINGS_BACKUP, serialized);
     } catch (_error) {
       this.emit("storage_error", { operation: "save_settings" });
     }
+
+    ProfileStore.getSlot(this.profiles, this.activeSlot).settings =
+      ProfileStore.pickProfileSettings(this.settings);
+    if (!ProfileStore.saveIndex(this.profiles)) {
+      this.emit("storage_error", { operation: "save_profiles" });
+    }
+  };
+
+  /**
+   * 저장 슬롯 목록 (타이틀 화면 프로필 선택용).
+   * @returns {Array<{ slot, name, active, started, unlockedLevelIndex, clears, stars }>}
+   */
+  Game.prototype.getProfiles = function getProfiles() {
+    var list = [];
+    for (var slot = 1; slot <= ProfileStore.SLOT_COUNT; slot += 1) {
+      var summary = ProfileStore.readSlotSummary(slot);
+      list.push({
+        slot: slot,
+        name: ProfileStore.getSlot(this.profiles, slot).name,
+        active: slot === this.activeSlot,
+        started: summary.started,
+        unlockedLevelIndex: summary.unlockedLevelIndex,
+        clears: summary.clears,
+        stars: summary.stars,
+      });
+    }
+    return list;
+  };
+
+  Game.prototype.getActiveProfile = function getActiveProfile() {
+    return {
+      slot: this.activeSlot,
+      name: ProfileStore.getSlot(this.profiles, this.activeSlot).name,
+    };
+  };
+
+  /**
+   * 저장 슬롯 전환 (타이틀/레벨 선택 화면에서만).
+   * 진행도, 최고 기록, 리플레이, 프로필 설정을 새 슬롯 것으로 다시 불러온다.
+   */
+  Game.prototype.switchProfile = function switchProfile(slot) {
+    var next = ProfileStore.normalizeSlot(slot);
+    if (this.state !== GAME_STATE.TITLE && this.state !== GAME_STATE.LEVEL_SELECT) {
+      return false;
+    }
+    if (next === this.activeSlot) {
+      return true;
+    }
+
+    if (this.replayLog && this.replayLog.moves.length > 0) {
+      this.storeReplayArchive(false);
+    }
+
+    this.activeSlot = next;
+    this.profiles.activeSlot = next;
+    if (!ProfileStore.saveIndex(this.profiles)) {
+      this.emit("storage_error", { operation: "save_profiles" });
+    }
+
+    this.settings = this.buildProfileSettings();
+    this.keyMap = this.buildKeyMap();
+    this.applyProgressData(this.loadProgressData());
+    this.replayBucket = ReplayStore.loadBucket(this.getStorageKey(STORAGE_KEYS.REPLAYS));
+    this.dropStaleReplays();
+    this.importedReplay = null;
+    this.replaySelection = null;
+    this.hydratedReplay = null;
+
+    this.loadLevel(this.unlockedLevelIndex);
+    this.setState(GAME_STATE.TITLE);
+    this.emit("profile_changed", this.getActiveProfile());
+    this.emit("settings_changed", { settings: this.settings });
+    this.emit("state", { state: this.state });
+    return true;
+  };
+
+  Game.prototype.renameProfile = function renameProfile(slot, name) {
+    var entry = ProfileStore.getSlot(this.profiles, slot);
+    entry.name = ProfileStore.normalizeName(name);
+    if (!ProfileStore.saveIndex(this.profiles)) {
+      this.emit("storage_error", { operation: "save_profiles" });
+      return false;
+    }
+    this.emit("profile_renamed", { slot: ProfileStore.normalizeSlot(slot), name: entry.name });
+    return true;
   };
 
   Game.prototype.updateSettings = function updateSettings(patch) {
@@ -413,9 +737,127 @@
     this.totalMoveCount = 0;
     this.progressClears = 0;
     this.totalItemsCollected = 0;
+    this.hintsUsed = {};
+    this.levelStars = {};
+    this.challengeBestMoves = {};
+    this.challengeBestTimes = {};
+    this.endlessBestStreak = 0;
     this.saveProgressData();
   };
 
+  /** 활성 프로필의 진행도/설정/키 바인딩/리플레이를 백업 파일 JSON으로. */
+  Game.prototype.exportSaveBundle = function exportSaveBundle() {
+    var bundle = SaveBundle.createBundle({
+      progress: Object.assign({}, this.progressExtras, this.progressData),
+      settings: Object.assign({}, this.settingsExtras, this.settings),
+      replays: this.replayBucket,
+    });
+    return SaveBundle.serializeBundle(bundle);
+  };
+
+  /** mode에 따라 가져온 뒤의 진행도/설정/리플레이. */
+  Game.prototype.buildSaveImport = function buildSaveImport(bundle, mode) {
+    if (mode === "replace") {
+      return {
+        progress: bundle.progress,
+        settings: mergeSettings(DEFAULT_SETTINGS, bundle.settings),
+        replays: bundle.replays,
+      };
+    }
+    return {
+      progress: SaveBundle.mergeProgress(
+        Object.assign({}, this.progressExtras, this.progressData),
+        bundle.progress
+      ),
+      settings: mergeSettings(this.settings, bundle.settings),
+      replays: SaveBundle.mergeReplays(this.replayBucket, bundle.replays),
+    };
+  };
+
+  /**
+   * 백업 파일을 검증하고 무엇이 바뀌는지 미리 보여준다. 반영은 applySaveImport.
+   * @returns {{ ok: true, preview: Object } | { ok: false, reason: string }}
+   */
+  Game.prototype.previewSaveImport = function previewSaveImport(text) {
+    var result = SaveBundle.parseBundle(text);
+    if (!result.ok) {
+      this.pendingSaveImport = null;
+      this.emit("save_import_failed", { reason: result.reason });
+      return result;
+    }
+
+    var bundle = result.bundle;
+    var merged = this.buildSaveImport(bundle, "merge");
+    var replaced = this.buildSaveImport(bundle, "replace");
+    this.pendingSaveImport = bundle;
+    return {
+      ok: true,
+      preview: {
+        createdAt: bundle.createdAt,
+        current: SaveBundle.summarize(this.progressData, this.replayBucket),
+        incoming: SaveBundle.summarize(bundle.progress, bundle.replays),
+        merged: SaveBundle.summarize(merged.progress, merged.replays),
+        mergeChanges: SaveBundle.diffSettings(this.settings, merged.settings),
+        replaceChanges: SaveBundle.diffSettings(this.settings, replaced.settings),
+      },
+    };
+  };
+
+  Game.prototype.cancelSaveImport = function cancelSaveImport() {
+    this.pendingSaveImport = null;
+  };
+
+  /**
+   * 미리 본 백업을 합치거나("merge") 덮어쓴다("replace") — 타이틀/레벨 선택 화면에서만.
+   * 설정은 mergeSettings로, 진행도는 저장 후 loadProgressData로 다시 읽어 정규화한다.
+   */
+  Game.prototype.applySaveImport = function applySaveImport(mode) {
+    var bundle = this.pendingSaveImport;
+    if (!bundle) {
+      return false;
+    }
+    if (this.state !== GAME_STATE.TITLE && this.state !== GAME_STATE.LEVEL_SELECT) {
+      this.emit("save_import_failed", { reason: "busy" });
+      return false;
+    }
+
+    var next = this.buildSaveImport(bundle, mode === "replace" ? "replace" : "merge");
+    this.pendingSaveImport = null;
+
+    var serialized = JSON.stringify(next.progress);
+    try {
+      global.localStorage.setItem(this.getStorageKey(STORAGE_KEYS.PROGRESS), serialized);
+      global.localStorage.setItem(this.getStorageKey(STORAGE_KEYS.PROGRESS_BACKUP), serialized);
+    } catch (_error) {
+      this.emit("storage_error", { operation: "import_save" });
+      return false;
+    }
+    this.applyProgressData(this.loadProgressData());
+
+    this.settings = next.settings;
+    this.keyMap = this.buildKeyMap();
+    this.saveSettingsData();
+
+    this.replayBucket = next.replays;
+    ReplayStore.dropStaleRecords(this.replayBucket, this.findLevelById.bind(this));
+    if (!ReplayStore.saveBucket(this.replayBucket, this.getStorageKey(STORAGE_KEYS.REPLAYS))) {
+      this.emit("storage_error", { operation: "save_replay" });
+    }
+    this.importedReplay = null;
+    this.replaySelection = null;
+    this.hydratedReplay = null;
+
+    this.loadLevel(this.unlockedLevelIndex);
+    this.setState(GAME_STATE.TITLE);
+    this.emit("save_imported", {
+      mode: mode === "replace" ? "replace" : "merge",
+      unlockedLevelIndex: this.unlockedLevelIndex,
+    });
+    this.emit("settings_changed", { settings: this.settings });
+    this.emit("state", { state: this.state });
+    return true;
+  };
+
   Game.prototype.isTransitionAllowed = function isTransitionAllowed(next) {
     var allowed = STATE_TRANSITIONS[this.state] || [];
     return allowed.indexOf(next) !== -1 || next === this.state;
@@ -426,7 +868,14 @@
       return false;
     }
 
+    if (next !== this.state && this.endlessSearch) {
+      // 미로를 만드는 동안 다른 화면으로 가면 생성을 취소한다. 첫 미로 전이면 런도 끝낸다.
+      this.cancelEndlessSearch();
+    }
     this.state = next;
+    if (next !== GAME_STATE.REPLAY) {
+      this.playback = null;
+    }
     return true;
   };
 
@@ -447,13 +896,20 @@
   };
 
   Game.prototype.openLevelSelect = function openLevelSelect() {
+    if (this.playtestLevel && this.state === GAME_STATE.PAUSED) {
+      this.loadLevel(this.levelIndex);
+    }
     if (
       this.state === GAME_STATE.TITLE ||
       this.state === GAME_STATE.PAUSED ||
       this.state === GAME_STATE.LEVEL_COMPLETE ||
-      this.state === GAME_STATE.GAME_COMPLETE
+      this.state === GAME_STATE.GAME_COMPLETE ||
+      this.state === GAME_STATE.LEVEL_FAILED ||
+      this.state === GAME_STATE.EDITOR ||
+      this.state === GAME_STATE.REPLAY
     ) {
       this.setState(GAME_STATE.LEVEL_SELECT);
+      this.emit("state", { state: this.state });
       return true;
     }
     return false;
@@ -464,6 +920,7 @@
       return false;
     }
     this.setState(GAME_STATE.TITLE);
+    this.emit("state", { state: this.state });
     return true;
   };
 
@@ -487,10 +944,22 @@
     return true;
   };
 
-  Game.prototype.loadLevel = function loadLevel(index) {
+  /**
+   * 레벨 로드.
+   * overrideLevel(parseMap 결과)을 주면 levelIndex는 유지한 채 해당 레벨을 불러온다 (플레이 테스트).
+   * overrideLevel 없이 호출하면 진행 중인 플레이 테스트와 끝없는 모드 런은 종료된다.
+   */
+  Game.prototype.loadLevel = function loadLevel(index, overrideLevel) {
     var normalized = clamp(index, 0, this.levels.length - 1);
     this.levelIndex = normalized;
-    var baseLevel = this.levels[normalized];
+    if (!overrideLevel && this.playtestLevel) {
+      this.endPlaytestSession();
+    }
+    if (!overrideLevel) {
+      this.endless = null;
+      this.endlessSearch = null;
+    }
+    var baseLevel = overrideLevel || this.levels[normalized];
     var clonedTiles = baseLevel.tiles.map(function copyRow(row) {
       return row.slice();
     });
@@ -503,6 +972,14 @@
       theme: baseLevel.theme,
       character: baseLevel.character || null,
       metrics: baseLevel.metrics || null,
+      bodyCollision: !!baseLevel.bodyCollision,
+      goals: baseLevel.goals || null,
+      channels: baseLevel.channels || null,
+      par: baseLevel.par || null,
+      starJelly: baseLevel.starJelly != null ? baseLevel.starJelly : null,
+      route: baseLevel.route || null,
+      width: clonedTiles[0].length,
+      height: clonedTiles.length,
       spawn: { x: baseLevel.spawn.x, y: baseLevel.spawn.y },
       tiles: clonedTiles,
     };
@@ -523,7 +1000,14 @@
     this.levelCollectedItems = 0;
     this.levelTotalItems = this.countItemsInCurrentLevel();
     this.starMovesRemaining = 0;
+    this.heldKeys = [];
     this.portalLinks = this.buildPortalLinks();
+    this.hint = null;
+    this.hintSearch = null;
+    this.levelHintsUsed = 0;
+    this.challenge = this.buildChallenge();
+    // 시작 몸통이 스위치 위에 있으면 차단문을 미리 열어 둔다
+    this.currentLevel.tiles = this.getSimulationState().tiles;
 
     this.replayLog = {
       levelId: this.currentLevel.id,
@@ -537,31 +1021,33 @@
     });
   };
 
+  /**
+   * 현재 레벨의 도전 조건을 settings.challengeMode로 만든다.
+   * 도전 모드가 꺼져 있거나, par가 없거나, 플레이 테스트 중이면 null.
+   */
+  Game.prototype.buildChallenge = function buildChallenge() {
+    var mode = this.settings.challengeMode;
+    var par = this.currentLevel.par;
+    if (this.playtestLevel || !par || (mode !== CHALLENGE_MODE.MOVES && mode !== CHALLENGE_MODE.TIMER)) {
+      return null;
+    }
+    return {
+      mode: mode,
+      moveBudget: mode === CHALLENGE_MODE.MOVES ? Math.ceil(par * GAMEPLAY.CHALLENGE_MOVE_SLACK) : 0,
+      movesUsed: 0,
+      timeLimitMs:
+        mode === CHALLENGE_MODE.TIMER
+          ? Math.max(GAMEPLAY.CHALLENGE_MIN_TIME_MS, par * GAMEPLAY.CHALLENGE_MS_PER_PAR_MOVE)
+          : 0,
+      elapsedMs: 0,
+    };
+  };
+
   Game.prototype.buildPortalLinks = function buildPortalLinks() {
     if (!this.currentLevel) {
       return {};
     }
-
-    var firstA = null;
-    var firstB = null;
-
-    for (var y = 0; y < GRID_ROWS; y += 1) {
-      for (var x = 0; x < GRID_COLS; x += 1) {
-        var tile = this.currentLevel.tiles[y][x];
-        if (tile === TILE.PORTAL_A && !firstA) {
-          firstA = { x: x, y: y };
-        } else if (tile === TILE.PORTAL_B && !firstB) {
-          firstB = { x: x, y: y };
-        }
-      }
-    }
-
-    var links = {};
-    if (firstA && firstB) {
-      links[tileKey(firstA.x, firstA.y)] = { x: firstB.x, y: firstB.y };
-      links[tileKey(firstB.x, firstB.y)] = { x: firstA.x, y: firstA.y };
-    }
-    return links;
+    return Simulation.buildPortalLinks(this.currentLevel.tiles);
   };
 
   Game.prototype.getPortalDestination = function getPortalDestination(x, y) {
@@ -572,14 +1058,36 @@
     return this.starMovesRemaining > 0;
   };
 
-  Game.prototype.canEnterTileType = function canEnterTileType(tileType) {
-    if (tileType === TILE.WALL) {
-      return false;
-    }
-    if (tileType === TILE.OBSTACLE && !this.isStarActive()) {
+  /** directionName을 주면 일방통행 타일의 방향까지 검사한다. */
+  Game.prototype.canEnterTileType = function canEnterTileType(tileType, directionName) {
+    return Simulation.canEnterTile(tileType, this.isStarActive(), directionName);
+  };
+
+  Game.prototype.isBodyCollisionEnabled = function isBodyCollisionEnabled() {
+    return !!(this.currentLevel && this.currentLevel.bodyCollision);
+  };
+
+  Game.prototype.isBlockedByBody = function isBlockedByBody(x, y) {
+    if (!this.snake) {
       return false;
     }
-    return true;
+    return Simulation.isBlockedByBody(this.getSimulationState(), x, y);
+  };
+
+  /** 현재 플레이 상태를 simulation.js 상태 형식으로 (복사 없이) 묶는다. */
+  Game.prototype.getSimulationState = function getSimulationState() {
+    return Simulation.createState({
+      tiles: this.currentLevel.tiles,
+      segments: this.snake.segments,
+      direction: this.snake.direction,
+      starMoves: this.starMovesRemaining,
+      bodyCollision: this.isBodyCollisionEnabled(),
+      portals: this.portalLinks,
+      keys: this.heldKeys,
+      goals: this.currentLevel.goals,
+      itemsCollected: this.levelCollectedItems,
+      channels: this.currentLevel.channels,
+    });
   };
 
   Game.prototype.countItemsInCurrentLevel = function countItemsInCurrentLevel() {
@@ -588,8 +1096,9 @@
     }
 
     var total = 0;
-    for (var y = 0; y < GRID_ROWS; y += 1) {
-      for (var x = 0; x < GRID_COLS; x += 1) {
+    var size = this.getBoardSize();
+    for (var y = 0; y < size.height; y += 1) {
+      for (var x = 0; x < size.width; x += 1) {
         var tile = this.currentLevel.tiles[y][x];
         if (tile === TILE.ITEM || tile === TILE.BIG_ITEM) {
           total += 1;
@@ -618,9 +1127,18 @@
     }
   };
 
-  Game.prototype.isInsideBoard = function isInsideBoard(x, y) {
-    return x >= 0 && y >= 0 && x < GRID_COLS && y < GRID_ROWS;
-  };
+  /** 현재 레벨의 보드 크기 (레벨이 없으면 기본 그리드 크기). */
+  Game.prototype.getBoardSize = function getBoardSize() {
+    if (!this.currentLevel) {
+      return constants.getBoardSize(null);
+    }
+    return { width: this.currentLevel.width, height: this.currentLevel.height };
+  };
+
+  Game.prototype.isInsideBoard = function isInsideBoard(x, y) {
+    var size = this.getBoardSize();
+    return x >= 0 && y >= 0 && x < size.width && y < size.height;
+  };
 
   Game.prototype.getTile = function getTile(x, y) {
     if (!this.currentLevel || !this.isInsideBoard(x, y)) {
@@ -636,13 +1154,15 @@
     return this.canEnterTileType(this.currentLevel.tiles[y][x]);
   };
 
-  Game.prototype.canMoveTo = function canMoveTo(x, y) {
+  Game.prototype.canMoveTo = function canMoveTo(x, y, directionName) {
     if (!this.currentLevel || !this.isInsideBoard(x, y)) {
       return false;
     }
 
-    var tile = this.currentLevel.tiles[y][x];
-    return this.canEnterTileType(tile);
+    if (!this.snake) {
+      return this.canEnterTileType(this.currentLevel.tiles[y][x], directionName);
+    }
+    return Simulation.getBlockReason(this.getSimulationState(), x, y, directionName) === null;
   };
 
   Game.prototype.getMoveCandidate = function getMoveCandidate(directionName) {
@@ -661,7 +1181,7 @@
     var directionNames = Object.keys(DIRECTIONS);
     for (var i = 0; i < directionNames.length; i += 1) {
       var next = this.getMoveCandidate(directionNames[i]);
-      if (this.canMoveTo(next.x, next.y)) {
+      if (this.canMoveTo(next.x, next.y, directionNames[i])) {
         return true;
       }
     }
@@ -680,26 +1200,47 @@
     });
   };
 
-  Game.prototype.storeReplayArchive = function storeReplayArchive() {
-    if (!this.replayLog) {
+  Game.prototype.findLevelById = function findLevelById(levelId) {
+    for (var i = 0; i < this.levels.length; i += 1) {
+      if (this.levels[i].id === levelId) {
+        return this.levels[i];
+      }
+    }
+    return null;
+  };
+
+  /** 레벨 정의가 바뀌어 시작 타일이 달라진 리플레이를 버킷에서 지운다. 지운 것이 있으면 저장한다. */
+  Game.prototype.dropStaleReplays = function dropStaleReplays() {
+    if (
+      ReplayStore.dropStaleRecords(this.replayBucket, this.findLevelById.bind(this)) > 0 &&
+      !ReplayStore.saveBucket(this.replayBucket, this.getStorageKey(STORAGE_KEYS.REPLAYS))
+    ) {
+      this.emit("storage_error", { operation: "save_replay" });
+    }
+  };
+
+  /**
+   * 현재 시도를 리플레이 버킷에 저장한다 (last 교체, 더 짧은 클리어면 best 교체).
+   * 같은 시도는 한 번만 저장하며, 플레이 테스트 레벨은 저장하지 않는다.
+   */
+  Game.prototype.storeReplayArchive = function storeReplayArchive(cleared) {
+    if (!this.replayLog || this.replayLog.archived || this.playtestLevel) {
+      return;
+    }
+    var level = this.findLevelById(this.currentLevel.id);
+    if (!level) {
       return;
     }
 
-    this.replayArchive[this.currentLevel.id] = {
-      levelId: this.currentLevel.id,
-      moveCount: this.moveCount,
-      moves: this.replayLog.moves.slice(),
-      startSegments: this.levelStartSegments
-        ? this.levelStartSegments.map(function copySegment(seg) {
-            return { x: seg.x, y: seg.y };
-          })
-        : [],
-      startTiles: this.levelStartTiles
-        ? this.levelStartTiles.map(function copyRow(row) {
-            return row.slice();
-          })
-        : [],
-    };
+    var record = ReplayStore.createRecord(level, this.replayLog.moves, cleared);
+    if (!ReplayStore.recordRun(this.replayBucket, record)) {
+      return;
+    }
+    this.replayLog.archived = true;
+    this.replaySelection = null;
+    if (!ReplayStore.saveBucket(this.replayBucket, this.getStorageKey(STORAGE_KEYS.REPLAYS))) {
+      this.emit("storage_error", { operation: "save_replay" });
+    }
   };
 
   Game.prototype.setBlockedFeedback = function setBlockedFeedback(candidate, reason) {
@@ -718,10 +1259,10 @@
     }
   };
 
-  Game.prototype.startMoveAnimation = function startMoveAnimation(fromSegments, toSegments) {
+  Game.prototype.startMoveAnimation = function startMoveAnimation(fromSegments, toSegments, durationMs) {
     var duration = this.settings.reduceMotion
       ? 0
-      : GAMEPLAY.MOVE_ANIMATION_MS;
+      : durationMs === undefined ? GAMEPLAY.MOVE_ANIMATION_MS : durationMs;
 
     this.moveAnimation = {
       fromSegments: fromSegments,
@@ -747,20 +1288,27 @@
       }
     }
 
-    var candidate = this.getMoveCandidate(directionName);
-    if (!candidate) {
+    var current = this.getSimulationState();
+    var step = Simulation.simulateStep(current, directionName);
+    if (step.state === current) {
+      var blocked = step.events[0];
+      if (blocked && blocked.type === "blocked") {
+        this.setBlockedFeedback(blocked.tile, blocked.reason);
+      }
       return false;
     }
 
-    var candidateTile = this.getTile(candidate.x, candidate.y);
-    if (!this.canEnterTileType(candidateTile)) {
-      this.setBlockedFeedback(
-        candidate,
-        candidateTile === TILE.OBSTACLE ? "obstacle" : "wall"
-      );
-      return false;
-    }
+    this.commitMove(step, directionName, inputAtMs, { live: true });
+    return true;
+  };
 
+  /**
+   * 이동 확정 서브 메서드 (undo delta, 상태 반영, 애니메이션, 리플레이 기록, move 이벤트).
+   * live=false(리플레이 재생)면 누적 통계·힌트·진행도 저장·클리어 판정을 건너뛴다.
+   * @param {{ live: boolean, animationMs?: number }} options
+   */
+  Game.prototype.commitMove = function commitMove(step, directionName, inputAtMs, options) {
+    var live = options.live;
     var beforeSegments = this.snake.cloneSegments();
     var tail = beforeSegments[beforeSegments.length - 1];
 
@@ -771,30 +1319,41 @@
       inputAtMs: inputAtMs,
       direction: directionName,
       growth: 0,
+      droppedTail: null,
       consumedItem: null,
       totalItemsBefore: this.totalItemsCollected,
       levelItemsBefore: this.levelCollectedItems,
       starMovesBefore: this.starMovesRemaining,
+      keysBefore: this.heldKeys,
+      collectedKey: null,
+      boulderPush: null,
+      gateChanges: null,
+      conveyorPush: null,
       portalJump: null,
     };
     this.pushHistoryDelta(delta);
 
-    this.snake.move(directionName);
-
-    var itemResult = this.handleItemCollection(candidate, candidateTile, tail, delta);
-
-    this.handlePortalWarp(candidate, candidateTile, delta);
-
-    this.tickStarPower(itemResult.activatedStar);
-
+    this.applySimulationStep(step, delta);
     this.moveCount += 1;
-    this.totalMoveCount += 1;
+    this.hintSearch = null;
+
+    if (live) {
+      this.advanceHint(directionName);
+      this.totalMoveCount += 1;
+      if (this.challenge) {
+        this.challenge.movesUsed += 1;
+      }
+    } else {
+      this.totalItemsCollected = delta.totalItemsBefore;
+    }
 
     var afterSegments = this.snake.cloneSegments();
-    this.startMoveAnimation(beforeSegments, afterSegments);
+    this.startMoveAnimation(beforeSegments, afterSegments, options.animationMs);
 
     this.recordReplayMove(directionName, inputAtMs || nowMs());
-    this.lastInputLatencyMs = Math.max(0, this.animationTimeMs - (inputAtMs || this.animationTimeMs));
+    if (live) {
+      this.lastInputLatencyMs = Math.max(0, this.animationTimeMs - (inputAtMs || this.animationTimeMs));
+    }
 
     this.emit("move", {
       direction: directionName,
@@ -802,125 +1361,104 @@
       starMoves: this.starMovesRemaining,
     });
 
-    this.checkPostMoveState();
-
-    this.saveProgressData();
-    return true;
-  };
-
-  /**
-   * 아이템 수집 처리 서브 메서드.
-   * 젤리/슈퍼젤리/스타 아이템을 수집하고 delta에 기록한다.
-   */
-  Game.prototype.handleItemCollection = function handleItemCollection(candidate, candidateTile, tail, delta) {
-    var growth = 0;
-    var collectedType = "";
-    var activatedStar = false;
-
-    if (candidateTile === TILE.ITEM) {
-      this.currentLevel.tiles[candidate.y][candidate.x] = TILE.EMPTY;
-      this.snake.growByTailPosition(tail);
-      growth = 1;
-      collectedType = "jelly";
-      delta.consumedItem = { x: candidate.x, y: candidate.y, tile: candidateTile };
-      this.levelCollectedItems += 1;
-      this.totalItemsCollected += 1;
-    } else if (candidateTile === TILE.BIG_ITEM) {
-      this.currentLevel.tiles[candidate.y][candidate.x] = TILE.EMPTY;
-      this.snake.growByTailPosition(tail);
-      this.snake.growByTailPosition(tail);
-      growth = 2;
-      collectedType = "super_jelly";
-      delta.consumedItem = { x: candidate.x, y: candidate.y, tile: candidateTile };
-      this.levelCollectedItems += 1;
-      this.totalItemsCollected += 1;
-    } else if (candidateTile === TILE.STAR_ITEM) {
-      this.currentLevel.tiles[candidate.y][candidate.x] = TILE.EMPTY;
-      this.starMovesRemaining = GAMEPLAY.STAR_POWER_MOVES;
-      collectedType = "star";
-      activatedStar = true;
-      delta.consumedItem = { x: candidate.x, y: candidate.y, tile: candidateTile };
-      this.emit("power_start", {
-        kind: "star",
-        turns: this.starMovesRemaining,
-      });
-    }
-
-    if (growth > 0) {
-      delta.growth = growth;
-      this.emit("item_collected", {
-        kind: collectedType,
-        growth: growth,
-        x: candidate.x,
-        y: candidate.y,
-        length: this.snake.segments.length,
-        collected: this.levelCollectedItems,
-        total: this.levelTotalItems,
-      });
-    } else if (collectedType === "star") {
-      this.emit("item_collected", {
-        kind: collectedType,
-        growth: 0,
-        x: candidate.x,
-        y: candidate.y,
-        length: this.snake.segments.length,
-        collected: this.levelCollectedItems,
-        total: this.levelTotalItems,
-        starTurns: this.starMovesRemaining,
-      });
-    }
-
-    return { growth: growth, collectedType: collectedType, activatedStar: activatedStar };
-  };
-
-  /**
-   * 포털 워프 처리 서브 메서드.
-   * 포털 타일 위에 있으면 반대편 포털로 이동시킨다.
-   */
-  Game.prototype.handlePortalWarp = function handlePortalWarp(candidate, candidateTile, delta) {
-    if (candidateTile !== TILE.PORTAL_A && candidateTile !== TILE.PORTAL_B) {
-      return;
-    }
-    var portalDestination = this.getPortalDestination(candidate.x, candidate.y);
-    if (!portalDestination) {
-      return;
-    }
-    var destinationTile = this.getTile(portalDestination.x, portalDestination.y);
-    if (!this.canEnterTileType(destinationTile)) {
-      return;
+    if (live) {
+      this.checkPostMoveState();
+      this.saveProgressData();
     }
-    this.snake.segments[0].x = portalDestination.x;
-    this.snake.segments[0].y = portalDestination.y;
-    delta.portalJump = {
-      from: { x: candidate.x, y: candidate.y },
-      to: { x: portalDestination.x, y: portalDestination.y },
-    };
-    this.emit("portal_used", delta.portalJump);
   };
 
   /**
-   * 스타 파워 턴 차감 서브 메서드.
-   * 이미 이번 턴에 스타를 활성화했으면 차감하지 않는다.
+   * simulateStep 결과 반영 서브 메서드.
+   * 새 상태를 뱀/타일/스타 턴에 적용하고, 규칙 이벤트를 undo delta와 게임 이벤트로 옮긴다.
    */
-  Game.prototype.tickStarPower = function tickStarPower(justActivated) {
-    if (this.starMovesRemaining > 0 && !justActivated) {
-      this.starMovesRemaining -= 1;
-      if (this.starMovesRemaining <= 0) {
-        this.starMovesRemaining = 0;
-        this.emit("power_end", { kind: "star" });
+  Game.prototype.applySimulationStep = function applySimulationStep(step, delta) {
+    var next = step.state;
+    this.snake.segments = next.segments.map(function copySegment(seg) {
+      return { x: seg.x, y: seg.y };
+    });
+    this.snake.direction = next.direction;
+    this.currentLevel.tiles = next.tiles;
+    this.starMovesRemaining = next.starMoves;
+    this.heldKeys = next.keys;
+
+    for (var i = 0; i < step.events.length; i += 1) {
+      var event = step.events[i];
+      if (event.type === "power_start") {
+        this.emit("power_start", { kind: event.kind, turns: event.turns });
+      } else if (event.type === "item_collected") {
+        delta.consumedItem = { x: event.x, y: event.y, tile: event.tile };
+        var payload = {
+          kind: event.kind,
+          growth: event.growth,
+          x: event.x,
+          y: event.y,
+          length: this.snake.segments.length,
+          collected: this.levelCollectedItems,
+          total: this.levelTotalItems,
+        };
+        if (event.growth > 0) {
+          delta.growth = event.growth;
+          this.levelCollectedItems += 1;
+          this.totalItemsCollected += 1;
+          payload.collected = this.levelCollectedItems;
+        } else if (event.kind === "star") {
+          payload.starTurns = next.starMoves;
+        }
+        if (event.dropped && event.dropped.length > 0) {
+          delta.droppedTail = event.dropped.map(function copyCell(cell) {
+            return { x: cell.x, y: cell.y };
+          });
+        }
+        this.emit("item_collected", payload);
+      } else if (event.type === "key_collected") {
+        delta.collectedKey = { x: event.x, y: event.y, tile: event.tile, doors: event.doors };
+        this.emit("key_collected", {
+          color: event.color,
+          x: event.x,
+          y: event.y,
+          doorsOpened: event.doors.length,
+          keys: this.heldKeys.slice(),
+        });
+      } else if (event.type === "boulder_pushed") {
+        delta.boulderPush = { from: event.from, to: event.to, landingTile: event.landingTile, filled: event.filled };
+        this.emit("boulder_pushed", { from: event.from, to: event.to, filled: event.filled });
+      } else if (event.type === "gates_changed") {
+        delta.gateChanges = event.changes;
+        var opened = event.changes.filter(function isOpened(change) {
+          return change.open;
+        }).length;
+        this.emit("gates_changed", { opened: opened, closed: event.changes.length - opened });
+      } else if (event.type === "conveyor_push") {
+        delta.conveyorPush = { direction: event.direction, from: event.from, to: event.to };
+        this.emit("conveyor_push", delta.conveyorPush);
+      } else if (event.type === "portal_used") {
+        delta.portalJump = { channel: event.channel, from: event.from, to: event.to };
+        this.emit("portal_used", delta.portalJump);
+      } else if (event.type === "power_end") {
+        this.emit("power_end", { kind: event.kind });
       }
     }
   };
 
   /**
    * 이동 후 상태 확인 서브 메서드.
-   * 출구 도달 시 레벨 클리어, 유효한 이동이 없으면 데드락 힌트 발동.
+   * 출구 도달 시 레벨 클리어, 도전 이동 예산을 다 쓰면 실패, 유효한 이동이 없으면 데드락 힌트 발동.
    */
   Game.prototype.checkPostMoveState = function checkPostMoveState() {
     var headAfterMove = this.snake.getHead();
     var headTile = this.getTile(headAfterMove.x, headAfterMove.y);
     if (headTile === TILE.EXIT) {
       this.handleLevelClear();
+    } else {
+      this.checkStuckState();
+    }
+  };
+
+  /** 도전 이동 예산 소진과 데드락만 검사한다 (클리어 판정은 하지 않는다). */
+  Game.prototype.checkStuckState = function checkStuckState() {
+    var challenge = this.challenge;
+    if (challenge && challenge.moveBudget && challenge.movesUsed >= challenge.moveBudget) {
+      this.failLevel("moves");
     } else if (!this.hasAnyValidMove()) {
       this.deadlockHintUntil = this.animationTimeMs + GAMEPLAY.DEADLOCK_HINT_MS;
       this.emit("deadlock", null);
@@ -928,6 +1466,21 @@
   };
 
   Game.prototype.handleLevelClear = function handleLevelClear() {
+    if (this.playtestLevel) {
+      var result = {
+        moveCount: this.moveCount,
+        collectedItems: this.levelCollectedItems,
+        totalItems: this.levelTotalItems,
+      };
+      this.stopPlaytest();
+      this.emit("playtest_clear", result);
+      return;
+    }
+    if (this.endless) {
+      this.handleEndlessClear();
+      return;
+    }
+
     var levelId = this.currentLevel.id;
     var previousBest = this.bestMoves[levelId] || 0;
     var best = previousBest;
@@ -936,7 +1489,12 @@
       best = this.moveCount;
     }
 
-    this.storeReplayArchive();
+    this.storeReplayArchive(true);
+    var challengeResult = this.recordChallengeClear(levelId);
+
+    var rating = this.getClearRating();
+    var previousStars = this.levelStars[levelId] || 0;
+    this.levelStars[levelId] = Math.max(previousStars, rating.stars);
 
     this.progressClears += 1;
 
@@ -948,6 +1506,8 @@
       this.emit("game_complete", {
         moveCount: this.moveCount,
         totalMoves: this.totalMoveCount,
+        stars: rating.stars,
+        par: rating.par,
       });
       return;
     }
@@ -955,138 +1515,774 @@
     this.unlockedLevelIndex = Math.max(this.unlockedLevelIndex, this.levelIndex + 1);
     this.saveProgressData();
     this.setState(GAME_STATE.LEVEL_COMPLETE);
-    this.emit("level_clear", {
-      levelId: levelId,
+    this.emit("level_clear", {
+      levelId: levelId,
+      moveCount: this.moveCount,
+      bestMoves: this.bestMoves[levelId],
+      collectedItems: this.levelCollectedItems,
+      totalItems: this.levelTotalItems,
+      previousBest: previousBest,
+      hintsUsed: this.levelHintsUsed,
+      stars: rating.stars,
+      previousStars: previousStars,
+      par: rating.par,
+      challenge: challengeResult,
+    });
+  };
+
+  /**
+   * 도전 모드 클리어 기록을 일반 bestMoves와 따로 남긴다.
+   * 이동 예산은 undo로 되돌린 이동까지 센 수, 제한 시간은 걸린 ms가 적을수록 좋은 기록.
+   * @returns {{ mode, score, previousBest }|null} 도전 모드가 아니면 null
+   */
+  Game.prototype.recordChallengeClear = function recordChallengeClear(levelId) {
+    var challenge = this.challenge;
+    if (!challenge) {
+      return null;
+    }
+    var isTimer = challenge.mode === CHALLENGE_MODE.TIMER;
+    var bests = isTimer ? this.challengeBestTimes : this.challengeBestMoves;
+    var score = isTimer ? Math.round(challenge.elapsedMs) : challenge.movesUsed;
+    var previousBest = bests[levelId] || 0;
+    if (!previousBest || score < previousBest) {
+      bests[levelId] = score;
+    }
+    return { mode: challenge.mode, score: score, previousBest: previousBest };
+  };
+
+  /** 도전 실패 (reason: "moves" | "time"). 시도는 last 리플레이로 남긴다. */
+  Game.prototype.failLevel = function failLevel(reason) {
+    if (!this.challenge || !this.setState(GAME_STATE.LEVEL_FAILED)) {
+      return false;
+    }
+    this.storeReplayArchive(false);
+    this.saveProgressData();
+    if (this.endless) {
+      // 끝없는 모드에서 도전에 실패하면 연속 기록이 끊긴다 (같은 미로로 다시 도전은 가능)
+      this.endless.streak = 0;
+    }
+    this.emit("level_failed", {
+      levelId: this.currentLevel.id,
+      mode: this.challenge.mode,
+      reason: reason,
+      moveCount: this.moveCount,
+    });
+    return true;
+  };
+
+  /**
+   * HUD 도전 미터용 상태. 도전 모드가 아니면 null.
+   * @returns {{ mode, used, limit, remaining, ratio }} 이동 예산은 수, 제한 시간은 ms 단위. ratio는 남은 비율(0~1).
+   */
+  Game.prototype.getChallengeStatus = function getChallengeStatus() {
+    var challenge = this.challenge;
+    if (!challenge) {
+      return null;
+    }
+    var isTimer = challenge.mode === CHALLENGE_MODE.TIMER;
+    var used = isTimer ? challenge.elapsedMs : challenge.movesUsed;
+    var limit = isTimer ? challenge.timeLimitMs : challenge.moveBudget;
+    var remaining = Math.max(0, limit - used);
+    return {
+      mode: challenge.mode,
+      used: used,
+      limit: limit,
+      remaining: remaining,
+      ratio: limit > 0 ? remaining / limit : 0,
+    };
+  };
+
+  /** 도전 모드별 레벨 기록 (기록이 없거나 도전 모드가 꺼져 있으면 0). */
+  Game.prototype.getChallengeBest = function getChallengeBest(levelId, mode) {
+    if (mode === CHALLENGE_MODE.TIMER) {
+      return this.challengeBestTimes[levelId] || 0;
+    }
+    if (mode === CHALLENGE_MODE.MOVES) {
+      return this.challengeBestMoves[levelId] || 0;
+    }
+    return 0;
+  };
+
+  /**
+   * 솔버로 현재 상태에서 출구까지의 최단 경로를 구해 앞쪽 몇 수를 공개한다.
+   * 같은 경로에서 다시 요청하면 HINT_REVEAL_STEPS 순서로 더 많이, 마지막에는 전체를 보여준다.
+   * 아직 레벨 표의 최적 경로(currentLevel.route)를 따라가는 중이면 탐색 없이 그 나머지를 쓴다.
+   * 탐색이 한 프레임 분량(HINT_SOLVER_STATES_PER_FRAME)에 끝나지 않으면 hint_pending을 알리고
+   * update()에서 이어 가며, 끝나면 hint 이벤트를 보낸다. 상한을 넘으면 { found: false, timeout: true }.
+   */
+  Game.prototype.requestHint = function requestHint() {
+    if (this.state !== GAME_STATE.PLAYING || !this.snake || this.hintSearch) {
+      return false;
+    }
+
+    if (this.hint) {
+      this.revealHint();
+      return true;
+    }
+
+    var stored = this.getStoredRouteRest();
+    if (stored) {
+      this.hint = { moves: stored, reveal: 0 };
+      this.revealHint();
+      return true;
+    }
+
+    this.hintSearch = Solver.createSearch(this.getSimulationState(), {
+      maxStates: GAMEPLAY.HINT_SOLVER_MAX_STATES,
+    });
+    if (!this.stepHintSearch()) {
+      this.emit("hint_pending", null);
+    }
+    return true;
+  };
+
+  /**
+   * 레벨 표에 저장된 최적 경로 가운데 아직 두지 않은 부분. 지금까지의 이동(되돌린 수 제외)이 경로의 앞부분과
+   * 같고, 남은 경로가 지금 상태에서 실제로 출구에 닿을 때만 돌려준다 (아니면 null — 솔버로 찾는다).
+   * 어려운 레벨은 시작 지점부터의 탐색이 HINT_SOLVER_MAX_STATES를 넘으므로 이 경로가 처음 힌트를 맡는다.
+   */
+  Game.prototype.getStoredRouteRest = function getStoredRouteRest() {
+    var route = this.currentLevel && this.currentLevel.route;
+    var played = this.replayLog ? this.replayLog.moves : [];
+    if (!route || played.length >= route.length) {
+      return null;
+    }
+    for (var i = 0; i < played.length; i += 1) {
+      if (played[i].direction !== route[i]) {
+        return null;
+      }
+    }
+
+    var rest = route.slice(played.length);
+    var state = this.getSimulationState();
+    for (var j = 0; j < rest.length; j += 1) {
+      var next = Simulation.simulateStep(state, rest[j]).state;
+      if (next === state) {
+        return null;
+      }
+      state = next;
+    }
+    var head = state.segments[0];
+    return Simulation.getTile(state, head.x, head.y) === TILE.EXIT ? rest : null;
+  };
+
+  /** 힌트 탐색을 한 프레임 분량 진행한다. 끝났으면 결과를 반영하고 true. */
+  Game.prototype.stepHintSearch = function stepHintSearch() {
+    var result = this.hintSearch.step(GAMEPLAY.HINT_SOLVER_STATES_PER_FRAME);
+    if (!result) {
+      return false;
+    }
+
+    this.hintSearch = null;
+    if (!result.solved) {
+      this.emit("hint", { found: false, timeout: result.timeout });
+      return true;
+    }
+    this.hint = { moves: result.moves, reveal: 0 };
+    this.revealHint();
+    return true;
+  };
+
+  Game.prototype.revealHint = function revealHint() {
+    this.hint.reveal += 1;
+    this.levelHintsUsed += 1;
+    if (!this.playtestLevel && !this.endless) {
+      var levelId = this.currentLevel.id;
+      this.hintsUsed[levelId] = (this.hintsUsed[levelId] || 0) + 1;
+      this.saveProgressData();
+    }
+
+    var shown = this.getHintMoves().length;
+    this.emit("hint", {
+      found: true,
+      shown: shown,
+      total: this.hint.moves.length,
+      full: shown >= this.hint.moves.length,
+    });
+  };
+
+  /** 공개된 힌트 이동 목록. */
+  Game.prototype.getHintMoves = function getHintMoves() {
+    if (!this.hint) {
+      return [];
+    }
+    var steps = GAMEPLAY.HINT_REVEAL_STEPS[this.hint.reveal - 1];
+    return steps ? this.hint.moves.slice(0, steps) : this.hint.moves.slice();
+  };
+
+  /** 공개된 힌트를 따라갔을 때의 머리 위치 목록 (렌더러용). */
+  Game.prototype.getHintPath = function getHintPath() {
+    var moves = this.getHintMoves();
+    if (!moves.length || !this.snake) {
+      return [];
+    }
+
+    var path = [];
+    var state = this.getSimulationState();
+    for (var i = 0; i < moves.length; i += 1) {
+      state = Simulation.simulateStep(state, moves[i]).state;
+      var head = state.segments[0];
+      path.push({ x: head.x, y: head.y, direction: moves[i] });
+    }
+    return path;
+  };
+
+  /** 힌트대로 움직이면 경로를 한 칸 소비하고, 벗어나면 힌트를 지운다. */
+  Game.prototype.advanceHint = function advanceHint(directionName) {
+    if (!this.hint) {
+      return;
+    }
+    if (this.hint.moves[0] === directionName && this.hint.moves.length > 1) {
+      this.hint.moves.shift();
+      return;
+    }
+    this.hint = null;
+  };
+
+  Game.prototype.getLevelHintsUsed = function getLevelHintsUsed() {
+    return this.levelHintsUsed;
+  };
+
+  /** 현재 시도를 지금 클리어했을 때의 별점. @returns {{ stars, par, starJelly, withinPar, jellyMet }} */
+  Game.prototype.getClearRating = function getClearRating() {
+    var par = this.currentLevel ? this.currentLevel.par : null;
+    var starJelly =
+      this.currentLevel && this.currentLevel.starJelly != null ? this.currentLevel.starJelly : this.levelTotalItems;
+    return rateClear(this.moveCount, par, this.levelCollectedItems, starJelly);
+  };
+
+  Game.prototype.getLevelStars = function getLevelStars(levelId) {
+    return this.levelStars[levelId] || 0;
+  };
+
+  /** 월드별 획득 별 합계. @returns {Array<{ world, stars, max }>} */
+  Game.prototype.getWorldStarTotals = function getWorldStarTotals() {
+    var totals = [];
+    for (var i = 0; i < this.levels.length; i += 1) {
+      var level = this.levels[i];
+      var world = level.world || Math.ceil(level.id / 10);
+      if (!totals[world - 1]) {
+        totals[world - 1] = { world: world, stars: 0, max: 0 };
+      }
+      totals[world - 1].stars += this.getLevelStars(level.id);
+      totals[world - 1].max += GAMEPLAY.MAX_STARS;
+    }
+    return totals;
+  };
+
+  Game.prototype.undo = function undo() {
+    if (this.state !== GAME_STATE.PLAYING) {
+      return false;
+    }
+
+    var delta = this.history.pop();
+    if (!delta) {
+      return false;
+    }
+
+    var current = this.snake.cloneSegments();
+    var restored = [];
+    var growth = Math.max(0, Number(delta.growth) || 0);
+    var restoreEnd = Math.max(1, current.length - growth);
+
+    var effectiveSegments = current;
+    // 신 젤리로 떼어낸 꼬리 칸을 다시 붙인 뒤 평소처럼 한 칸씩 당긴다
+    if (delta.droppedTail) {
+      effectiveSegments = effectiveSegments.concat(delta.droppedTail);
+      restoreEnd = effectiveSegments.length;
+    }
+
+    for (var i = 1; i < restoreEnd; i += 1) {
+      restored.push({ x: effectiveSegments[i].x, y: effectiveSegments[i].y });
+    }
+    if (delta.tail) {
+      restored.push({ x: delta.tail.x, y: delta.tail.y });
+    }
+
+    if (restored.length === 0) {
+      // Keep at least one segment so render/move paths never operate on an empty snake.
+      var fallbackHead = delta.tail || current[0];
+      if (fallbackHead) {
+        restored.push({ x: fallbackHead.x, y: fallbackHead.y });
+      }
+    }
+
+    if (delta.consumedItem) {
+      this.currentLevel.tiles[delta.consumedItem.y][delta.consumedItem.x] =
+        delta.consumedItem.tile || TILE.ITEM;
+      this.levelCollectedItems = delta.levelItemsBefore;
+      this.totalItemsCollected = delta.totalItemsBefore;
+    }
+
+    if (delta.collectedKey) {
+      // 열쇠 칸과 그 열쇠로 열린 문을 함께 되돌림
+      var tiles = this.currentLevel.tiles;
+      tiles[delta.collectedKey.y][delta.collectedKey.x] = delta.collectedKey.tile;
+      for (var d = 0; d < delta.collectedKey.doors.length; d += 1) {
+        var door = delta.collectedKey.doors[d];
+        tiles[door.y][door.x] = door.tile;
+      }
+    }
+    this.heldKeys = delta.keysBefore || [];
+
+    if (delta.boulderPush) {
+      // 바위를 원래 칸으로 돌리고, 바위가 놓였던 칸(빈 칸, 메운 구멍, 스위치)을 되살린다
+      var push = delta.boulderPush;
+      this.currentLevel.tiles[push.from.y][push.from.x] = TILE.BOULDER;
+      this.currentLevel.tiles[push.to.y][push.to.x] = push.landingTile;
+    }
+    if (delta.gateChanges) {
+      for (var g = 0; g < delta.gateChanges.length; g += 1) {
+        var gate = delta.gateChanges[g];
+        this.currentLevel.tiles[gate.y][gate.x] = gate.tile;
+      }
+    }
+
+    this.starMovesRemaining = Math.max(0, Number(delta.starMovesBefore) || 0);
+    this.snake.segments = restored;
+    this.snake.direction = delta.previousDirection;
+    this.moveCount = delta.moveCountBefore;
+    this.hint = null;
+    this.hintSearch = null;
+    if (this.replayLog && this.replayLog.moves.length > this.moveCount) {
+      // 되돌린 이동은 리플레이에서도 제거해야 재생 결과가 실제 진행과 같다.
+      this.replayLog.moves.length = this.moveCount;
+    }
+    this.startMoveAnimation(current, restored);
+
+    this.emit("undo", { moveCount: this.moveCount });
+    return true;
+  };
+
+  Game.prototype.restartLevel = function restartLevel() {
+    if (!this.currentLevel || this.state === GAME_STATE.REPLAY) {
+      return false;
+    }
+
+    if (this.replayLog && this.replayLog.moves.length > 0) {
+      this.storeReplayArchive(false);
+    }
+
+    this.loadLevel(this.levelIndex, this.playtestLevel || (this.endless && this.endless.level));
+    if (this.state !== GAME_STATE.TITLE) {
+      this.setState(GAME_STATE.PLAYING);
+    }
+    this.emit("restart", { levelId: this.currentLevel.id });
+    return true;
+  };
+
+  Game.prototype.nextLevel = function nextLevel(options) {
+    var opts = options || {};
+    var force = !!opts.force;
+    if (this.endless) {
+      // 끝없는 모드는 건너뛰기 없이 클리어한 뒤에만 다음 미로로 간다
+      return (
+        this.state === GAME_STATE.LEVEL_COMPLETE && !this.endlessSearch && this.loadEndlessDepth(this.endless.depth + 1)
+      );
+    }
+    if (this.playtestLevel || (!force && this.state !== GAME_STATE.LEVEL_COMPLETE)) {
+      return false;
+    }
+
+    var target = clamp(this.levelIndex + 1, 0, this.levels.length - 1);
+    if (target === this.levelIndex) {
+      return false;
+    }
+
+    return this.selectLevel(target, {
+      ignoreLock: true,
+      unlockThrough: true,
+    });
+  };
+
+  Game.prototype.prevLevel = function prevLevel(options) {
+    var opts = options || {};
+    var force = !!opts.force;
+    if (this.playtestLevel || this.endless || (!force && this.state !== GAME_STATE.LEVEL_COMPLETE)) {
+      return false;
+    }
+
+    var target = clamp(this.levelIndex - 1, 0, this.levels.length - 1);
+    if (target === this.levelIndex) {
+      return false;
+    }
+
+    return this.selectLevel(target, {
+      ignoreLock: true,
+      unlockThrough: false,
+    });
+  };
+
+  Game.prototype.exitToTitle = function exitToTitle() {
+    if (this.state === GAME_STATE.PLAYING) {
+      return false;
+    }
+
+    if (this.replayLog && this.replayLog.moves.length > 0) {
+      this.storeReplayArchive(false);
+    }
+
+    this.loadLevel(this.unlockedLevelIndex);
+    this.setState(GAME_STATE.TITLE);
+    this.emit("state", { state: this.state });
+    return true;
+  };
+
+  Game.prototype.openEditor = function openEditor() {
+    if (this.playtestLevel) {
+      return this.stopPlaytest();
+    }
+    if (this.state === GAME_STATE.PLAYING || !this.isTransitionAllowed(GAME_STATE.EDITOR)) {
+      return false;
+    }
+    this.setState(GAME_STATE.EDITOR);
+    this.emit("state", { state: this.state });
+    return true;
+  };
+
+  Game.prototype.closeEditor = function closeEditor() {
+    if (this.state !== GAME_STATE.EDITOR) {
+      return false;
+    }
+    this.setState(GAME_STATE.TITLE);
+    this.emit("state", { state: this.state });
+    return true;
+  };
+
+  /**
+   * 끝없는 모드 런 시작. seed(32bit 정수)를 주면 그 런을 그대로 다시 만들고, 없으면 무작위 시드.
+   * 플레이 중이거나 플레이 테스트 중, 이미 미로를 만드는 중에는 시작하지 않는다.
+   */
+  Game.prototype.startEndless = function startEndless(seed) {
+    if (
+      this.playtestLevel ||
+      this.endlessSearch ||
+      this.state === GAME_STATE.PLAYING ||
+      !this.isTransitionAllowed(GAME_STATE.PLAYING)
+    ) {
+      return false;
+    }
+    var runSeed = typeof seed === "number" && seed >= 0 ? seed >>> 0 : Endless.randomSeed();
+    if (this.replayLog && this.replayLog.moves.length > 0) {
+      this.storeReplayArchive(false);
+    }
+    this.endless = { seed: runSeed, depth: 0, streak: 0, level: null };
+    return this.loadEndlessDepth(1);
+  };
+
+  /**
+   * 런의 depth번째 미로 생성을 시작한다. 솔버 검사가 한 프레임 분량(ENDLESS_SOLVER_STATES_PER_FRAME)에
+   * 끝나지 않으면 endless_pending을 알리고 update()에서 이어 가며, 풀 수 있는 미로가 나오면 그때 플레이한다.
+   */
+  Game.prototype.loadEndlessDepth = function loadEndlessDepth(depth) {
+    this.endlessSearch = Endless.createGenerator(this.endless.seed, depth);
+    if (!this.stepEndlessSearch()) {
+      this.emit("endless_pending", { seed: Endless.formatSeed(this.endless.seed), depth: depth });
+    }
+    return true;
+  };
+
+  /**
+   * 미로 생성을 한 프레임 분량 진행한다. 끝났으면 결과를 반영하고 true.
+   * 풀 수 있고 par가 Endless.minPar 이상인 미로를 못 만들면 런을 끝낸다.
+   */
+  Game.prototype.stepEndlessSearch = function stepEndlessSearch() {
+    var generated = this.endlessSearch.step(GAMEPLAY.ENDLESS_SOLVER_STATES_PER_FRAME);
+    if (!generated) {
+      return false;
+    }
+
+    var endless = this.endless;
+    this.endlessSearch = null;
+    if (!generated.level) {
+      this.endless = null;
+      this.emit("endless_unavailable", { seed: Endless.formatSeed(endless.seed), depth: generated.depth });
+      return true;
+    }
+
+    endless.depth = generated.depth;
+    endless.level = generated.level;
+    this.loadLevel(this.levelIndex, generated.level);
+    this.setState(GAME_STATE.PLAYING);
+    this.emit("endless_level", {
+      seed: Endless.formatSeed(endless.seed),
+      depth: generated.depth,
+      streak: endless.streak,
+      par: generated.level.par,
+    });
+    this.emit("state", { state: this.state });
+    return true;
+  };
+
+  /** 진행 중인 미로 생성을 버린다. 아직 첫 미로를 못 만든 런이면 런도 끝낸다. */
+  Game.prototype.cancelEndlessSearch = function cancelEndlessSearch() {
+    this.endlessSearch = null;
+    if (this.endless && !this.endless.level) {
+      this.endless = null;
+    }
+  };
+
+  /** 끝없는 모드 클리어: 연속 기록을 올리고 최고 기록을 저장한다 (레벨별 기록/리플레이는 남기지 않는다). */
+  Game.prototype.handleEndlessClear = function handleEndlessClear() {
+    var endless = this.endless;
+    endless.streak += 1;
+    var previousBest = this.endlessBestStreak;
+    this.endlessBestStreak = Math.max(previousBest, endless.streak);
+    this.progressClears += 1;
+    this.saveProgressData();
+
+    var rating = this.getClearRating();
+    this.setState(GAME_STATE.LEVEL_COMPLETE);
+    this.emit("endless_clear", {
+      seed: Endless.formatSeed(endless.seed),
+      depth: endless.depth,
       moveCount: this.moveCount,
-      bestMoves: this.bestMoves[levelId],
-      collectedItems: this.levelCollectedItems,
-      totalItems: this.levelTotalItems,
+      streak: endless.streak,
+      bestStreak: this.endlessBestStreak,
       previousBest: previousBest,
+      stars: rating.stars,
+      par: rating.par,
     });
   };
 
-  Game.prototype.undo = function undo() {
-    if (this.state !== GAME_STATE.PLAYING) {
-      return false;
+  Game.prototype.isEndless = function isEndless() {
+    return !!this.endless;
+  };
+
+  /** 끝없는 모드 미로를 만드는 중인지 (이 동안에는 이전 화면에 머문다). */
+  Game.prototype.isEndlessLoading = function isEndlessLoading() {
+    return !!this.endlessSearch;
+  };
+
+  /** @returns {{ seed: string, depth, streak, bestStreak }|null} 끝없는 모드가 아니면 null */
+  Game.prototype.getEndlessStatus = function getEndlessStatus() {
+    if (!this.endless) {
+      return null;
     }
+    return {
+      seed: Endless.formatSeed(this.endless.seed),
+      depth: this.endless.depth,
+      streak: this.endless.streak,
+      bestStreak: this.endlessBestStreak,
+    };
+  };
 
-    var delta = this.history.pop();
-    if (!delta) {
+  Game.prototype.isPlaytesting = function isPlaytesting() {
+    return !!this.playtestLevel;
+  };
+
+  /**
+   * 에디터 초안 플레이 테스트 시작.
+   * @param {object} level - parseMap 결과 레벨
+   * 누적 통계는 종료 시 복원되고, 진행도/베스트 기록은 저장되지 않는다.
+   */
+  Game.prototype.startPlaytest = function startPlaytest(level) {
+    if (this.state !== GAME_STATE.EDITOR || !level) {
       return false;
     }
+    this.playtestStash = {
+      totalMoveCount: this.totalMoveCount,
+      totalItemsCollected: this.totalItemsCollected,
+    };
+    this.playtestLevel = level;
+    this.endless = null;
+    this.endlessSearch = null;
+    this.loadLevel(this.levelIndex, level);
+    this.setState(GAME_STATE.PLAYING);
+    this.emit("playtest_start", { levelId: level.id });
+    this.emit("state", { state: this.state });
+    return true;
+  };
 
-    var current = this.snake.cloneSegments();
-    var restored = [];
-    var growth = Math.max(0, Number(delta.growth) || 0);
-    var restoreEnd = Math.max(1, current.length - growth);
+  Game.prototype.stopPlaytest = function stopPlaytest() {
+    if (!this.playtestLevel) {
+      return false;
+    }
+    this.loadLevel(this.levelIndex);
+    this.setState(GAME_STATE.EDITOR);
+    this.emit("state", { state: this.state });
+    return true;
+  };
 
-    // 포털 점프가 있었으면 헤드를 원래 이동 목적지(포털 입구)로 되돌림
-    var effectiveSegments = current;
-    if (delta.portalJump) {
-      effectiveSegments = current.slice();
-      effectiveSegments[0] = { x: delta.portalJump.from.x, y: delta.portalJump.from.y };
+  Game.prototype.endPlaytestSession = function endPlaytestSession() {
+    if (this.playtestStash) {
+      this.totalMoveCount = this.playtestStash.totalMoveCount;
+      this.totalItemsCollected = this.playtestStash.totalItemsCollected;
     }
+    this.playtestLevel = null;
+    this.playtestStash = null;
+  };
 
-    for (var i = 1; i < restoreEnd; i += 1) {
-      restored.push({ x: effectiveSegments[i].x, y: effectiveSegments[i].y });
+  /**
+   * 선택된 리플레이(getReplayArchive)를 메인 캔버스에서 재생한다.
+   * 해당 레벨을 새로 불러오고, 재생 중 이동은 라이브 플레이와 같은 애니메이션/이벤트를 낸다.
+   */
+  Game.prototype.startPlayback = function startPlayback() {
+    var replay = this.getReplayArchive();
+    if (!replay || !this.isTransitionAllowed(GAME_STATE.REPLAY)) {
+      return false;
     }
-    if (delta.tail) {
-      restored.push({ x: delta.tail.x, y: delta.tail.y });
+    var levelIndex = this.levels.indexOf(this.findLevelById(replay.levelId));
+    if (levelIndex < 0) {
+      return false;
     }
 
-    if (restored.length === 0) {
-      // Keep at least one segment so render/move paths never operate on an empty snake.
-      var fallbackHead = delta.tail || current[0];
-      if (fallbackHead) {
-        restored.push({ x: fallbackHead.x, y: fallbackHead.y });
-      }
+    if (this.replayLog && this.replayLog.moves.length > 0) {
+      this.storeReplayArchive(false);
+    }
+
+    this.loadLevel(levelIndex);
+    this.setState(GAME_STATE.REPLAY);
+    // 재생으로 쌓이는 이동 기록은 이어서 플레이하기 전까지 보관하지 않는다.
+    this.replayLog.archived = true;
+    this.playback = {
+      replay: replay,
+      levelIndex: levelIndex,
+      step: 0,
+      playing: true,
+      speed: 1,
+      nextStepAt: this.animationTimeMs + GAMEPLAY.REPLAY_STEP_MS,
+    };
+    this.emit("playback", this.getPlaybackState());
+    this.emit("state", { state: this.state });
+    return true;
+  };
+
+  Game.prototype.getPlaybackInterval = function getPlaybackInterval(speed) {
+    return GAMEPLAY.REPLAY_STEP_MS / (speed || 1);
+  };
+
+  Game.prototype.getPlaybackState = function getPlaybackState() {
+    if (!this.playback) {
+      return null;
     }
+    return {
+      levelId: this.playback.replay.levelId,
+      step: this.playback.step,
+      total: this.playback.replay.moves.length,
+      playing: this.playback.playing,
+      speed: this.playback.speed,
+    };
+  };
 
-    if (delta.consumedItem) {
-      this.currentLevel.tiles[delta.consumedItem.y][delta.consumedItem.x] =
-        delta.consumedItem.tile || TILE.ITEM;
-      this.levelCollectedItems = delta.levelItemsBefore;
-      this.totalItemsCollected = delta.totalItemsBefore;
+  /** 재생 한 칸 진행. animate=false면 애니메이션 없이 즉시 적용한다 (탐색용). */
+  Game.prototype.stepPlayback = function stepPlayback(animate) {
+    var playback = this.playback;
+    if (!playback || playback.step >= playback.replay.moves.length) {
+      return false;
     }
 
-    this.starMovesRemaining = Math.max(0, Number(delta.starMovesBefore) || 0);
-    this.snake.segments = restored;
-    this.snake.direction = delta.previousDirection;
-    this.moveCount = delta.moveCountBefore;
-    this.startMoveAnimation(current, restored);
+    var directionName = playback.replay.moves[playback.step].direction;
+    playback.step += 1;
 
-    this.emit("undo", { moveCount: this.moveCount });
+    var current = this.getSimulationState();
+    var step = Simulation.simulateStep(current, directionName);
+    if (step.state === current) {
+      return true;
+    }
+
+    var interval = this.getPlaybackInterval(playback.speed);
+    this.commitMove(step, directionName, nowMs(), {
+      live: false,
+      animationMs: animate ? Math.min(GAMEPLAY.MOVE_ANIMATION_MS, interval * 0.8) : 0,
+    });
     return true;
   };
 
-  Game.prototype.restartLevel = function restartLevel() {
-    if (!this.currentLevel) {
-      return false;
+  Game.prototype.updatePlayback = function updatePlayback() {
+    var playback = this.playback;
+    if (!playback || !playback.playing || this.state !== GAME_STATE.REPLAY) {
+      return;
     }
-
-    if (this.replayLog && this.replayLog.moves.length > 0) {
-      this.storeReplayArchive();
+    if (this.animationTimeMs < playback.nextStepAt) {
+      return;
     }
 
-    this.loadLevel(this.levelIndex);
-    if (this.state !== GAME_STATE.TITLE) {
-      this.setState(GAME_STATE.PLAYING);
+    this.stepPlayback(true);
+    playback.nextStepAt = this.animationTimeMs + this.getPlaybackInterval(playback.speed);
+    if (playback.step >= playback.replay.moves.length) {
+      playback.playing = false;
+      this.emit("playback_end", this.getPlaybackState());
     }
-    this.emit("restart", { levelId: this.currentLevel.id });
-    return true;
   };
 
-  Game.prototype.nextLevel = function nextLevel(options) {
-    var opts = options || {};
-    var force = !!opts.force;
-    if (!force && this.state !== GAME_STATE.LEVEL_COMPLETE) {
+  Game.prototype.togglePlayback = function togglePlayback() {
+    var playback = this.playback;
+    if (!playback) {
       return false;
     }
+    if (!playback.playing && playback.step >= playback.replay.moves.length) {
+      this.seekPlayback(0);
+    }
+    playback.playing = !playback.playing;
+    playback.nextStepAt = this.animationTimeMs + this.getPlaybackInterval(playback.speed);
+    this.emit("playback", this.getPlaybackState());
+    return true;
+  };
 
-    var target = clamp(this.levelIndex + 1, 0, this.levels.length - 1);
-    if (target === this.levelIndex) {
+  Game.prototype.setPlaybackSpeed = function setPlaybackSpeed(speed) {
+    if (!this.playback || GAMEPLAY.REPLAY_SPEEDS.indexOf(speed) === -1) {
       return false;
     }
-
-    return this.selectLevel(target, {
-      ignoreLock: true,
-      unlockThrough: true,
-    });
+    this.playback.speed = speed;
+    this.playback.nextStepAt = this.animationTimeMs + this.getPlaybackInterval(speed);
+    this.emit("playback", this.getPlaybackState());
+    return true;
   };
 
-  Game.prototype.prevLevel = function prevLevel(options) {
-    var opts = options || {};
-    var force = !!opts.force;
-    if (!force && this.state !== GAME_STATE.LEVEL_COMPLETE) {
+  /**
+   * 재생 위치 이동. 레벨을 다시 불러와 목표 단계까지 즉시 적용하며,
+   * 그 사이의 이벤트(효과음/VFX)는 버린다.
+   */
+  Game.prototype.seekPlayback = function seekPlayback(stepIndex) {
+    var playback = this.playback;
+    if (!playback) {
       return false;
     }
+    var target = clamp(Math.round(Number(stepIndex) || 0), 0, playback.replay.moves.length);
+    var queued = this.eventQueue.length;
 
-    var target = clamp(this.levelIndex - 1, 0, this.levels.length - 1);
-    if (target === this.levelIndex) {
-      return false;
+    this.loadLevel(playback.levelIndex);
+    this.replayLog.archived = true;
+    playback.step = 0;
+    while (playback.step < target) {
+      this.stepPlayback(false);
     }
+    this.moveAnimation = null;
+    this.eventQueue.length = queued;
 
-    return this.selectLevel(target, {
-      ignoreLock: true,
-      unlockThrough: false,
-    });
+    playback.nextStepAt = this.animationTimeMs + this.getPlaybackInterval(playback.speed);
+    this.emit("playback", this.getPlaybackState());
+    return true;
   };
 
-  Game.prototype.exitToTitle = function exitToTitle() {
-    if (this.state === GAME_STATE.PLAYING) {
+  /** 현재 재생 단계에서 라이브 플레이로 전환한다. 지금까지의 이동은 undo/리플레이 기록에 남는다. */
+  Game.prototype.takeOverPlayback = function takeOverPlayback() {
+    if (!this.playback || this.state !== GAME_STATE.REPLAY) {
       return false;
     }
-
-    if (this.replayLog && this.replayLog.moves.length > 0) {
-      this.storeReplayArchive();
+    var step = this.playback.step;
+    this.replayLog.archived = false;
+    if (this.challenge) {
+      // 재생한 이동도 도전 예산에서 뺀다
+      this.challenge.movesUsed = this.moveCount;
     }
-
-    this.loadLevel(this.unlockedLevelIndex);
-    this.setState(GAME_STATE.TITLE);
+    this.setState(GAME_STATE.PLAYING);
+    this.emit("playback_takeover", { step: step });
     this.emit("state", { state: this.state });
+    // 넘겨받은 지점에서 머리가 이미 출구 위에 있어도 클리어로 치지 않는다. 클리어는 실제 이동이 출구에 닿을 때만
+    // 판정하므로, 출구 한 칸 앞에서 넘겨받아 직접 움직이면 평소처럼 클리어된다.
+    this.checkStuckState();
     return true;
   };
 
+  Game.prototype.stopPlayback = function stopPlayback() {
+    if (this.state !== GAME_STATE.REPLAY) {
+      return false;
+    }
+    return this.exitToTitle();
+  };
+
   Game.prototype.togglePause = function togglePause() {
     if (this.state === GAME_STATE.PLAYING) {
       this.setState(GAME_STATE.PAUSED);
@@ -1121,6 +2317,17 @@
   Game.prototype.handleAction = function handleAction(action, meta) {
     var inputAtMs = meta && meta.inputAtMs ? meta.inputAtMs : nowMs();
 
+    if (this.state === GAME_STATE.REPLAY) {
+      // 재생 중에는 플레이 입력을 잠그고, 시작/일시정지 키만 재생을 토글한다.
+      if (action === ACTION.START || action === ACTION.PAUSE) {
+        return this.togglePlayback();
+      }
+      if (action === ACTION.LEVEL_SELECT) {
+        return this.openLevelSelect();
+      }
+      return false;
+    }
+
     if (action === ACTION.MOVE_UP) {
       return this.tryMove(ACTION_TO_DIRECTION[action], inputAtMs);
     }
@@ -1146,9 +2353,15 @@
     if (action === ACTION.NEXT) {
       return this.nextLevel({ force: true });
     }
+    if (action === ACTION.PREV) {
+      return this.prevLevel({ force: true });
+    }
     if (action === ACTION.LEVEL_SELECT) {
       return this.openLevelSelect();
     }
+    if (action === ACTION.HINT) {
+      return this.requestHint();
+    }
 
     if (action === ACTION.START) {
       if (this.state === GAME_STATE.TITLE) {
@@ -1169,6 +2382,9 @@
       if (this.state === GAME_STATE.PAUSED) {
         return this.togglePause();
       }
+      if (this.state === GAME_STATE.LEVEL_FAILED) {
+        return this.restartLevel();
+      }
     }
 
     return false;
@@ -1302,14 +2518,33 @@
     };
   };
 
-  Game.prototype.update = function update(_dtMs, nowTimeMs) {
+  Game.prototype.update = function update(dtMs, nowTimeMs) {
     this.animationTimeMs = nowTimeMs || 0;
 
+    if (this.challenge && this.challenge.timeLimitMs && this.state === GAME_STATE.PLAYING) {
+      // 제한 시간은 플레이 중에만 흐른다 (일시정지·오버레이 동안 멈춤)
+      this.challenge.elapsedMs += Math.max(0, Number(dtMs) || 0);
+      if (this.challenge.elapsedMs >= this.challenge.timeLimitMs) {
+        this.challenge.elapsedMs = this.challenge.timeLimitMs;
+        this.failLevel("time");
+      }
+    }
+
     if (this.moveAnimation && this.moveAnimation.duration > 0) {
       if (this.animationTimeMs - this.moveAnimation.startAt > this.moveAnimation.duration) {
         this.moveAnimation = null;
       }
     }
+
+    if (this.hintSearch && this.state === GAME_STATE.PLAYING) {
+      this.stepHintSearch();
+    }
+
+    if (this.endlessSearch) {
+      this.stepEndlessSearch();
+    }
+
+    this.updatePlayback();
   };
 
   Game.prototype.getCurrentTheme = function getCurrentTheme() {
@@ -1359,6 +2594,12 @@
     if (!this.currentLevel) {
       return "-";
     }
+    if (this.playtestLevel) {
+      return this.currentLevel.title;
+    }
+    if (this.endless) {
+      return "∞ " + this.endless.depth;
+    }
     return this.currentLevel.id + " / " + this.levels.length;
   };
 
@@ -1389,6 +2630,15 @@
     if (this.state === GAME_STATE.GAME_COMPLETE) {
       return isEn ? "Game Complete" : "게임 완료";
     }
+    if (this.state === GAME_STATE.EDITOR) {
+      return isEn ? "Editor" : "레벨 에디터";
+    }
+    if (this.state === GAME_STATE.REPLAY) {
+      return isEn ? "Replay" : "리플레이 재생";
+    }
+    if (this.state === GAME_STATE.LEVEL_FAILED) {
+      return isEn ? "Challenge Failed" : "도전 실패";
+    }
     return "";
   };
 
@@ -1398,7 +2648,14 @@
     var lang = this.settings.language === "en" ? "en" : "ko";
     var i18n = global.WormGameI18N || {};
     var dict = i18n[lang] || i18n.ko || {};
-    function ot(key, fallback) { return dict[key] || fallback || key; }
+    function ot(key, fallback, params) {
+      var template = dict[key] || fallback || key;
+      return params
+        ? template.replace(/\{([a-zA-Z0-9_]+)\}/g, function replaceToken(_m, token) {
+            return token in params ? String(params[token]) : "";
+          })
+        : template;
+    }
 
     if (this.state === GAME_STATE.TITLE) {
       return {
@@ -1423,7 +2680,11 @@
         title: ot("overlayPausedTitle", "일시정지"),
         subtitle: levelName,
         detail: ot("overlayPausedDetail", "P 또는 Enter: 재개"),
-        extra: ot("overlayPausedExtra", "메뉴 버튼으로 재시작/타이틀 이동 가능"),
+        extra:
+          this.formatGoalStatus(function goalText(key, params) {
+            return ot(key, GOAL_TEXT_FALLBACKS[key], params);
+          }) ||
+          ot("overlayPausedExtra", "메뉴 버튼으로 재시작/타이틀 이동 가능"),
       };
     }
 
@@ -1438,7 +2699,33 @@
         detail: delta <= 0
           ? ot("overlayClearNewBest", "베스트 동률/갱신!")
           : ot("overlayClearOverBest", "베스트 대비 +") + delta + ot("overlayClearOverUnit", "회"),
-        extra: ot("overlayClearExtra", "N 또는 다음 레벨 버튼"),
+        extra: this.endless
+          ? ot("overlayEndlessExtra", "연속 {streak} | 최고 {best} | Enter: 다음 미로", {
+              streak: this.endless.streak,
+              best: this.endlessBestStreak,
+            })
+          : ot("overlayClearExtra", "N 또는 다음 레벨 버튼"),
+      };
+    }
+
+    if (this.state === GAME_STATE.EDITOR) {
+      return {
+        title: ot("overlayEditorTitle", "레벨 에디터"),
+        subtitle: ot("overlayEditorSub", "아래 에디터 패널에서 타일을 칠하세요"),
+        detail: ot("overlayEditorDetail", "플레이 테스트로 바로 검증할 수 있습니다"),
+        extra: ot("overlayEditorExtra", "초안은 자동 저장됩니다"),
+      };
+    }
+
+    if (this.state === GAME_STATE.LEVEL_FAILED) {
+      var timedOut = this.challenge && this.challenge.mode === CHALLENGE_MODE.TIMER;
+      return {
+        title: ot("overlayFailedTitle", "도전 실패"),
+        subtitle: levelName,
+        detail: timedOut
+          ? ot("overlayFailedTime", "제한 시간이 끝났습니다")
+          : ot("overlayFailedMoves", "이동 예산을 모두 썼습니다"),
+        extra: ot("overlayFailedExtra", "Enter 또는 R: 다시 도전 | L: 레벨 선택"),
       };
     }
 
@@ -1462,29 +2749,118 @@
     return timeMs <= this.deadlockHintUntil;
   };
 
+  /** 진행 중인 시도(없으면 선택된 리플레이)를 가져오기 가능한 JSON으로 내보낸다. */
   Game.prototype.getReplayExport = function getReplayExport() {
-    if (!this.replayLog) {
-      return "";
+    var level = this.currentLevel ? this.findLevelById(this.currentLevel.id) : null;
+    var liveRun = !this.playtestLevel && this.state !== GAME_STATE.REPLAY;
+    if (this.replayLog && this.replayLog.moves.length > 0 && level && liveRun) {
+      var cleared =
+        this.state === GAME_STATE.LEVEL_COMPLETE || this.state === GAME_STATE.GAME_COMPLETE;
+      return ReplayStore.serializeRecord(
+        ReplayStore.createRecord(level, this.replayLog.moves, cleared)
+      );
     }
 
-    return JSON.stringify(
-      {
-        levelId: this.replayLog.levelId,
-        startedAt: this.replayLog.startedAt,
-        moveCount: this.moveCount,
-        collectedItems: this.levelCollectedItems,
-        moves: this.replayLog.moves,
-      },
-      null,
-      2
+    var record = this.getReplayRecord();
+    return record ? ReplayStore.serializeRecord(record) : "";
+  };
+
+  /** 가져온 리플레이 + 저장된 best/last 목록 (리플레이 디버그 선택지). */
+  Game.prototype.getReplayList = function getReplayList() {
+    var list = [];
+    if (this.importedReplay) {
+      list.push({
+        id: "imported",
+        kind: "imported",
+        levelId: this.importedReplay.levelId,
+        moveCount: this.importedReplay.moveCount,
+        cleared: this.importedReplay.cleared,
+      });
+    }
+
+    var stored = ReplayStore.listRecords(this.replayBucket);
+    for (var i = 0; i < stored.length; i += 1) {
+      var record = stored[i].record;
+      list.push({
+        id: stored[i].kind + ":" + record.levelId,
+        kind: stored[i].kind,
+        levelId: record.levelId,
+        moveCount: record.moveCount,
+        cleared: !!record.cleared,
+      });
+    }
+    return list;
+  };
+
+  Game.prototype.selectReplay = function selectReplay(id) {
+    this.replaySelection = id || null;
+  };
+
+  Game.prototype.getReplaySelection = function getReplaySelection() {
+    return this.replaySelection;
+  };
+
+  /** 선택된 리플레이 레코드. 선택이 없으면 현재 레벨의 last, 없으면 best. */
+  Game.prototype.getReplayRecord = function getReplayRecord() {
+    var selection = this.replaySelection;
+    if (selection === "imported") {
+      return this.importedReplay;
+    }
+    if (selection) {
+      var parts = selection.split(":");
+      return ReplayStore.getRecord(this.replayBucket, parts[1], parts[0]);
+    }
+
+    var levelId = this.currentLevel ? this.currentLevel.id : 0;
+    return (
+      ReplayStore.getRecord(this.replayBucket, levelId, "last") ||
+      ReplayStore.getRecord(this.replayBucket, levelId, "best")
     );
   };
 
   Game.prototype.getReplayArchive = function getReplayArchive() {
-    var levelId = this.currentLevel ? this.currentLevel.id : 0;
-    return this.replayArchive[levelId] || null;
+    var record = this.getReplayRecord();
+    if (!record) {
+      return null;
+    }
+    if (this.hydratedReplay && this.hydratedReplay.record === record) {
+      return this.hydratedReplay.replay;
+    }
+
+    var level = this.findLevelById(record.levelId);
+    var replay = level ? ReplayStore.hydrate(record, level) : null;
+    if (!replay) {
+      return null;
+    }
+    this.hydratedReplay = { record: record, replay: replay };
+    return replay;
+  };
+
+  /**
+   * 붙여넣거나 업로드한 리플레이 JSON을 검증해 디버그 패널에서 볼 수 있게 한다.
+   * @returns {{ ok: boolean, reason?: string, step?: number }}
+   */
+  Game.prototype.importReplay = function importReplay(text) {
+    var result = ReplayStore.parseReplay(text, this.findLevelById.bind(this));
+    if (!result.ok) {
+      this.emit("replay_import_failed", { reason: result.reason, step: result.step || 0 });
+      return result;
+    }
+
+    this.importedReplay = result.record;
+    this.replaySelection = "imported";
+    this.emit("replay_imported", {
+      levelId: result.record.levelId,
+      moveCount: result.record.moveCount,
+      cleared: result.record.cleared,
+    });
+    return result;
   };
 
+  /**
+   * 리플레이 아카이브를 stepIndex번째 이동까지 다시 시뮬레이션한 상태.
+   * tiles는 그 시점의 타일(먹은 아이템, 밀린 바위, 메운 구멍, 차단문 반영)의 복사본이다.
+   */
   Game.prototype.getReplayDebugState = function getReplayDebugState(stepIndex) {
     var replay = this.getReplayArchive();
     if (!replay) {
@@ -1493,80 +2869,17 @@
 
     var steps = replay.moves;
     var capped = clamp(stepIndex || 0, 0, steps.length);
-    var segments = replay.startSegments.map(function copySegment(seg) {
-      return { x: seg.x, y: seg.y };
+    // simulateStep은 입력을 변경하지 않으므로 아카이브 원본을 그대로 시작 상태로 쓴다.
+    var simState = Simulation.createState({
+      tiles: replay.startTiles,
+      segments: replay.startSegments,
+      bodyCollision: replay.bodyCollision,
+      goals: replay.goals,
+      channels: replay.channels,
     });
-    var tiles = replay.startTiles.map(function copyRow(row) {
-      return row.slice();
-    });
-    var starMoves = 0;
-
-    function findPortalDestination(x, y) {
-      var source = tiles[y][x];
-      var targetTile = source === TILE.PORTAL_A ? TILE.PORTAL_B : TILE.PORTAL_A;
-      for (var py = 0; py < GRID_ROWS; py += 1) {
-        for (var px = 0; px < GRID_COLS; px += 1) {
-          if (tiles[py][px] === targetTile) {
-            return { x: px, y: py };
-          }
-        }
-      }
-      return null;
-    }
 
     for (var i = 0; i < capped; i += 1) {
-      var directionName = steps[i].direction;
-      var direction = DIRECTIONS[directionName];
-      if (!direction) {
-        continue;
-      }
-      var head = segments[0];
-      var nx = head.x + direction.x;
-      var ny = head.y + direction.y;
-      if (!this.isInsideBoard(nx, ny)) {
-        continue;
-      }
-      var nextTile = tiles[ny][nx];
-      if (nextTile === TILE.WALL) {
-        continue;
-      }
-      if (nextTile === TILE.OBSTACLE && starMoves <= 0) {
-        continue;
-      }
-      var tail = segments[segments.length - 1];
-
-      segments.unshift({ x: nx, y: ny });
-      segments.pop();
-
-      var growth = 0;
-      var activatedStar = false;
-      if (nextTile === TILE.ITEM) {
-        tiles[ny][nx] = TILE.EMPTY;
-        growth = 1;
-      } else if (nextTile === TILE.BIG_ITEM) {
-        tiles[ny][nx] = TILE.EMPTY;
-        growth = 2;
-      } else if (nextTile === TILE.STAR_ITEM) {
-        tiles[ny][nx] = TILE.EMPTY;
-        starMoves = GAMEPLAY.STAR_POWER_MOVES;
-        activatedStar = true;
-      }
-
-      for (var g = 0; g < growth; g += 1) {
-        segments.push({ x: tail.x, y: tail.y });
-      }
-
-      if (nextTile === TILE.PORTAL_A || nextTile === TILE.PORTAL_B) {
-        var destination = findPortalDestination(nx, ny);
-        if (destination) {
-          segments[0].x = destination.x;
-          segments[0].y = destination.y;
-        }
-      }
-
-      if (starMoves > 0 && !activatedStar) {
-        starMoves -= 1;
-      }
+      simState = Simulation.simulateStep(simState, steps[i].direction).state;
     }
 
     var direction = capped > 0 ? steps[capped - 1].direction : null;
@@ -1575,8 +2888,13 @@
       totalSteps: steps.length,
       step: capped,
       direction: direction,
-      starMoves: starMoves,
-      segments: segments,
+      starMoves: simState.starMoves,
+      segments: simState.segments.map(function copySegment(seg) {
+        return { x: seg.x, y: seg.y };
+      }),
+      tiles: simState.tiles.map(function copyRow(row) {
+        return row.slice();
+      }),
     };
   };
 
@@ -1593,6 +2911,66 @@
     };
   };
 
+  /** 출구 조건 진행 상태 (simulation.js getGoalStatus). 조건이 없는 레벨이면 null. */
+  Game.prototype.getGoalStatus = function getGoalStatus() {
+    if (!this.currentLevel || !this.currentLevel.goals || !this.snake) {
+      return null;
+    }
+    return Simulation.getGoalStatus(this.getSimulationState());
+  };
+
+  Game.prototype.isExitOpen = function isExitOpen() {
+    var status = this.getGoalStatus();
+    return !status || status.met;
+  };
+
+  /** 머리에서 가장 가까운 출구까지 맨해튼 거리. 출구가 없거나 아직 닫혀 있으면 null. */
+  Game.prototype.getExitDistance = function getExitDistance() {
+    if (!this.currentLevel || !this.snake || !this.isExitOpen()) {
+      return null;
+    }
+    var head = this.snake.getHead();
+    var tiles = this.currentLevel.tiles;
+    var best = null;
+    for (var y = 0; y < tiles.length; y += 1) {
+      for (var x = 0; x < tiles[y].length; x += 1) {
+        if (tiles[y][x] === TILE.EXIT) {
+          var distance = Math.abs(x - head.x) + Math.abs(y - head.y);
+          best = best === null ? distance : Math.min(best, distance);
+        }
+      }
+    }
+    return best;
+  };
+
+  /**
+   * 출구 조건을 "젤리 2/3 · 길이 정확히 4 (지금 5)" 같은 한 줄로 만든다. 조건이 없으면 "".
+   * HUD(main.js)와 상태 오버레이가 같은 문구를 쓰도록 번역 함수를 받는다.
+   * @param {function(string, Object): string} translate
+   */
+  Game.prototype.formatGoalStatus = function formatGoalStatus(translate) {
+    var status = this.getGoalStatus();
+    if (!status) {
+      return "";
+    }
+    var parts = [];
+    if (status.minItems) {
+      parts.push(translate("goalItems", { collected: status.itemsCollected, need: status.minItems }));
+    }
+    if (this.currentLevel.goals.allItems) {
+      parts.push(translate("goalAllItems", { left: status.itemsLeft }));
+    }
+    if (status.exactLength) {
+      parts.push(translate("goalLength", { target: status.exactLength, length: status.length }));
+    }
+    return (status.met ? "🔓 " : "🔒 ") + parts.join(" · ");
+  };
+
+  /** 얻은 열쇠 색 목록 (HUD용 복사본). */
+  Game.prototype.getHeldKeys = function getHeldKeys() {
+    return this.heldKeys.slice();
+  };
+
   Game.prototype.getCurrentCharacter = function getCurrentCharacter() {
     if (!this.currentLevel) {
       return null;
@@ -1617,7 +2995,7 @@
     for (var i = 0; i < names.length; i += 1) {
       var dir = names[i];
       var next = this.getMoveCandidate(dir);
-      if (next && this.canMoveTo(next.x, next.y)) {
+      if (next && this.canMoveTo(next.x, next.y, dir)) {
         result.push(dir);
       }
     }
@@ -1644,9 +3022,14 @@
         title: level.title,
         locked: i > this.unlockedLevelIndex,
         bestMoves: this.bestMoves[level.id] || 0,
+        challengeBest: this.getChallengeBest(level.id, this.settings.challengeMode),
+        stars: this.getLevelStars(level.id),
+        par: level.par || 0,
         current: i === this.levelIndex,
         difficulty: level.metrics ? level.metrics.score : 1,
         character: level.character || null,
+        width: level.width,
+        height: level.height,
         map: level.tiles,
       });
     }
@@ -2,8 +2,16 @@
  * gamepad.js — 게임패드 입력 처리 모듈
  * DEV-01: main.js에서 분리.
  *
- * 의존성: WormGameConstants (GAMEPLAY, ACTION, GAME_STATE)
+ * 연결된 컨트롤러를 모두 읽는다. 이동은 D패드(12~15)와 왼쪽 스틱, 나머지 동작 버튼은
+ * 컨트롤러 id별 바인딩(game.getGamepadBindings)을 따른다. 오른쪽 스틱은 메뉴 포커스 이동에 쓴다.
+ *
+ * @module  WormGameGamepad
+ * @depends WormGameConstants (GAMEPLAY, ACTION, GAME_STATE)
+ * @exports global.WormGameGamepad (createGamepadHandler)
+ *
  * 사용: main.js에서 createGamepadHandler()로 인스턴스 생성 후 frame()에서 process() 호출
+ *
+ * ES Module 전환 시: export function createGamepadHandler(deps) { ... }
  */
 (function attachGamepad(global) {
   "use strict";
@@ -13,71 +21,92 @@
   var ACTION = constants.ACTION;
   var GAME_STATE = constants.GAME_STATE;
 
+  /** 이동 전용 D패드 버튼. 바인딩 캡처에서 받지 않는다. */
+  var DPAD_BUTTONS = Object.freeze({ 12: "up", 13: "down", 14: "left", 15: "right" });
+
   /**
    * 게임패드 핸들러 팩토리.
-   * @param {object} deps - { game, audio, onDirtyUI, onConfirmRestart }
+   * @param {object} deps - { game, audio, onDirtyUI, onConfirmRestart, onNavigate?, onConfirm? }
+   *   onNavigate(direction): 오른쪽 스틱 메뉴 이동. onConfirm(): 시작 버튼을 메뉴 선택으로 썼으면 true.
    */
   function createGamepadHandler(deps) {
     var game = deps.game;
     var audio = deps.audio;
     var onDirtyUI = deps.onDirtyUI;
     var onConfirmRestart = deps.onConfirmRestart;
+    var onNavigate = deps.onNavigate || null;
+    var onConfirm = deps.onConfirm || null;
 
     var state = {
       connected: false,
-      lastDirection: null,
-      lastMoveAt: 0,
-      buttonState: {},
+      // 컨트롤러 슬롯(pad.index)별 입력 상태
+      pads: {},
+      capture: null,
     };
 
-    function currentGamepad() {
-      if (!navigator.getGamepads) {
-        return null;
+    function connectedPads() {
+      var result = [];
+      if (!global.navigator || !global.navigator.getGamepads) {
+        return result;
       }
-      var pads = navigator.getGamepads();
+      var pads = global.navigator.getGamepads();
       if (!pads) {
-        return null;
+        return result;
       }
       for (var i = 0; i < pads.length; i += 1) {
         if (pads[i] && pads[i].connected) {
-          return pads[i];
+          result.push(pads[i]);
         }
       }
-      return null;
+      return result;
     }
 
-    function getDirection(pad) {
-      if (!pad) {
-        return null;
+    function padState(pad) {
+      var entry = state.pads[pad.index];
+      if (!entry || entry.id !== pad.id) {
+        entry = {
+          id: pad.id,
+          lastDirection: null,
+          lastMoveAt: 0,
+          lastNavDirection: null,
+          lastNavAt: 0,
+          buttonState: {},
+        };
+        state.pads[pad.index] = entry;
       }
+      return entry;
+    }
 
-      if (pad.buttons[12] && pad.buttons[12].pressed) {
-        return "up";
-      }
-      if (pad.buttons[13] && pad.buttons[13].pressed) {
-        return "down";
-      }
-      if (pad.buttons[14] && pad.buttons[14].pressed) {
-        return "left";
-      }
-      if (pad.buttons[15] && pad.buttons[15].pressed) {
-        return "right";
-      }
+    function isPressed(pad, index) {
+      var btn = pad.buttons[index];
+      return !!(btn && btn.pressed);
+    }
 
-      var x = pad.axes[0] || 0;
-      var y = pad.axes[1] || 0;
+    function stickDirection(x, y) {
       var deadzone = GAMEPLAY.GAMEPAD_DEADZONE;
       if (Math.abs(x) < deadzone && Math.abs(y) < deadzone) {
         return null;
       }
-
       if (Math.abs(x) > Math.abs(y)) {
         return x > 0 ? "right" : "left";
       }
       return y > 0 ? "down" : "up";
     }
 
+    function getDirection(pad) {
+      var indexes = Object.keys(DPAD_BUTTONS);
+      for (var i = 0; i < indexes.length; i += 1) {
+        if (isPressed(pad, Number(indexes[i]))) {
+          return DPAD_BUTTONS[indexes[i]];
+        }
+      }
+      return stickDirection(pad.axes[0] || 0, pad.axes[1] || 0);
+    }
+
     function handleAction(action, timestamp) {
+      if (action === ACTION.START && onConfirm && onConfirm()) {
+        return;
+      }
       if (action === ACTION.RESTART) {
         onConfirmRestart();
         return;
@@ -86,55 +115,126 @@
       onDirtyUI();
     }
 
-    function processButtons(pad, timestamp) {
-      var mappings = [
-        { index: 0, action: ACTION.START },
-        { index: 1, action: ACTION.UNDO },
-        { index: 2, action: ACTION.RESTART },
-        { index: 9, action: ACTION.PAUSE },
-      ];
-
-      for (var i = 0; i < mappings.length; i += 1) {
-        var mapping = mappings[i];
-        var btn = pad.buttons[mapping.index];
-        var pressed = !!(btn && btn.pressed);
-        var prev = !!state.buttonState[mapping.index];
+    /** 이번 프레임에 새로 눌린 버튼 인덱스 목록. buttonState도 갱신한다. */
+    function readPressedButtons(pad, entry) {
+      var pressedNow = [];
+      for (var i = 0; i < pad.buttons.length; i += 1) {
+        var pressed = isPressed(pad, i);
+        if (pressed && !entry.buttonState[i]) {
+          pressedNow.push(i);
+        }
+        entry.buttonState[i] = pressed;
+      }
+      return pressedNow;
+    }
 
-        if (pressed && !prev) {
+    function processButtons(pad, pressedNow, timestamp) {
+      var bindings = game.getGamepadBindings(pad.id);
+      var actions = Object.keys(bindings);
+      for (var i = 0; i < actions.length; i += 1) {
+        if (pressedNow.indexOf(bindings[actions[i]]) !== -1) {
           audio.unlock();
-          handleAction(mapping.action, timestamp);
+          handleAction(actions[i], timestamp);
         }
+      }
+    }
 
-        state.buttonState[mapping.index] = pressed;
+    function processMovement(pad, entry, timestamp) {
+      var direction = getDirection(pad);
+      if (!direction) {
+        entry.lastDirection = null;
+        return;
+      }
+
+      var shouldMove =
+        direction !== entry.lastDirection || timestamp - entry.lastMoveAt >= GAMEPLAY.GAMEPAD_REPEAT_MS;
+
+      if (shouldMove && game.state === GAME_STATE.PLAYING) {
+        audio.unlock();
+        game.tryMove(direction, timestamp);
+        entry.lastMoveAt = timestamp;
+        entry.lastDirection = direction;
+        onDirtyUI();
       }
     }
 
-    function process(timestamp) {
-      var pad = currentGamepad();
-      if (!pad) {
-        state.lastDirection = null;
-        state.buttonState = {};
+    function processNavigation(pad, entry, timestamp) {
+      var direction = stickDirection(pad.axes[2] || 0, pad.axes[3] || 0);
+      if (!direction) {
+        entry.lastNavDirection = null;
         return;
       }
+      if (direction === entry.lastNavDirection && timestamp - entry.lastNavAt < GAMEPLAY.GAMEPAD_NAV_REPEAT_MS) {
+        return;
+      }
+      entry.lastNavDirection = direction;
+      entry.lastNavAt = timestamp;
+      if (onNavigate) {
+        onNavigate(direction);
+      }
+    }
 
-      var direction = getDirection(pad);
-      if (direction) {
-        var shouldMove =
-          direction !== state.lastDirection ||
-          timestamp - state.lastMoveAt >= GAMEPLAY.GAMEPAD_REPEAT_MS;
+    /** 캡처 중에는 D패드가 아닌 첫 새 버튼을 콜백으로 넘기고 다른 입력은 무시한다. */
+    function processCapture(pad, pressedNow) {
+      for (var i = 0; i < pressedNow.length; i += 1) {
+        if (!DPAD_BUTTONS[pressedNow[i]]) {
+          var callback = state.capture;
+          state.capture = null;
+          callback(pad.id, pressedNow[i]);
+          return;
+        }
+      }
+    }
 
-        if (shouldMove && game.state === GAME_STATE.PLAYING) {
-          audio.unlock();
-          game.tryMove(direction, timestamp);
-          state.lastMoveAt = timestamp;
-          state.lastDirection = direction;
-          onDirtyUI();
+    function process(timestamp) {
+      var pads = connectedPads();
+      var seen = {};
+
+      for (var i = 0; i < pads.length; i += 1) {
+        var pad = pads[i];
+        var entry = padState(pad);
+        var pressedNow = readPressedButtons(pad, entry);
+        seen[pad.index] = true;
+
+        if (state.capture) {
+          processCapture(pad, pressedNow);
+          continue;
         }
-      } else {
-        state.lastDirection = null;
+
+        processMovement(pad, entry, timestamp);
+        processNavigation(pad, entry, timestamp);
+        processButtons(pad, pressedNow, timestamp);
       }
 
-      processButtons(pad, timestamp);
+      var slots = Object.keys(state.pads);
+      for (var j = 0; j < slots.length; j += 1) {
+        if (!seen[slots[j]]) {
+          delete state.pads[slots[j]];
+        }
+      }
+    }
+
+    /**
+     * 다음에 눌리는 버튼 하나를 받는다 (바인딩 편집용).
+     * @param {function(string, number)} callback - (컨트롤러 id, 버튼 인덱스)
+     */
+    function startCapture(callback) {
+      state.capture = callback;
+    }
+
+    function cancelCapture() {
+      state.capture = null;
+    }
+
+    function isCapturing() {
+      return !!state.capture;
+    }
+
+    /** 연결된 컨트롤러 목록 (설정 화면 선택지). */
+    function getControllers() {
+      return connectedPads().map(function toInfo(pad) {
+        return { index: pad.index, id: pad.id };
+      });
     }
 
     function onConnected() {
@@ -142,9 +242,11 @@
     }
 
     function onDisconnected() {
-      state.connected = false;
-      state.lastDirection = null;
-      state.buttonState = {};
+      state.connected = connectedPads().length > 0;
+      if (!state.connected) {
+        state.pads = {};
+        state.capture = null;
+      }
     }
 
     function isConnected() {
@@ -153,6 +255,10 @@
 
     return {
       process: process,
+      startCapture: startCapture,
+      cancelCapture: cancelCapture,
+      isCapturing: isCapturing,
+      getControllers: getControllers,
       onConnected: onConnected,
       onDisconnected: onDisconnected,
       isConnected: isConnected,
@@ -14,15 +14,65 @@
     ko: {
       subtitle: "젤리, 슈퍼젤리, 스타, 포털을 활용해 미로를 탈출하세요",
       help:
-        "이동: 방향키/WASD · Undo: Z · Restart: R · Pause: P · 레벨 선택: L · 길게 누르면 연속 이동 · 몸통 통과 가능",
+        "이동: 방향키/WASD · Undo: Z · Restart: R · Pause: P · 레벨 선택: L · 힌트: H · 길게 누르면 연속 이동 · W6부터 몸통 충돌",
       settingsTitle: "설정",
       levelSelectTitle: "레벨 선택",
+      profileTitle: "프로필",
+      profileDefaultName: "플레이어 {slot}",
+      profileSummary: "레벨 {level} · ★ {stars}",
+      profileEmpty: "새 프로필",
+      profileNamePlaceholder: "이름",
+      profileRenameBtn: "이름 변경",
+      profileChangedToast: "{name} 프로필로 전환했습니다",
+      profileRenamedToast: "프로필 이름을 바꿨습니다",
+      storageMigratedToast: "저장 데이터를 새 형식으로 옮겼습니다 (v{from} → v{to})",
+      saveExportBtn: "저장 내보내기",
+      saveImportFile: "저장 가져오기",
+      saveImportMerge: "합치기",
+      saveImportReplace: "덮어쓰기",
+      saveImportCancel: "취소",
+      saveImportCreated: "{date}에 만든 백업",
+      saveImportCurrent: "현재",
+      saveImportIncoming: "파일",
+      saveImportMerged: "합치기 결과",
+      saveImportSummaryLine: "{label}: 레벨 {level}까지 해금 · 클리어 {clears} · 별 {stars} · 기록 {records} · 리플레이 {replays}",
+      saveImportSettingsLine: "바뀌는 설정: 합치기 {mergeSettings}개(키 {mergeBindings}개), 덮어쓰기 {replaceSettings}개(키 {replaceBindings}개)",
+      saveExportedToast: "저장 백업 파일을 내려받았습니다",
+      saveExportUnavailable: "이 브라우저에서는 파일로 내보낼 수 없습니다",
+      saveMergedToast: "백업을 합쳤습니다 (레벨 {level}까지 해금)",
+      saveReplacedToast: "백업으로 덮어썼습니다 (레벨 {level}까지 해금)",
+      confirmSaveReplace: "현재 프로필의 진행도와 설정을 백업 파일로 덮어쓸까요? 되돌릴 수 없습니다.",
+      saveImportErrorJson: "가져오기 실패: JSON 형식이 아닙니다",
+      saveImportErrorFormat: "가져오기 실패: 저장 백업 파일이 아닙니다",
+      saveImportErrorVersion: "가져오기 실패: 지원하지 않는 백업 버전입니다",
+      saveImportErrorChecksum: "가져오기 실패: 파일이 손상되었습니다 (체크섬 불일치)",
+      saveImportErrorBusy: "타이틀이나 레벨 선택 화면에서 가져올 수 있습니다",
       replayTitle: "리플레이 디버그",
       labelLevel: "현재 레벨",
       labelMoves: "이동 횟수",
       labelState: "상태",
       labelLength: "길이",
       labelItems: "젤리",
+      labelKeys: "열쇠",
+      labelChallenge: "도전",
+      challengeModeLabel: "도전 모드",
+      challengeOff: "끄기",
+      challengeMoves: "이동 예산",
+      challengeTimer: "제한 시간",
+      endlessTitle: "끝없는 모드",
+      endlessSeedPlaceholder: "시드 (비우면 무작위)",
+      endlessStart: "시작",
+      endlessBest: "최고 연속 {streak}",
+      endlessHud: "시드 {seed} · 깊이 {depth} · 연속 {streak}",
+      endlessCopySeed: "시드 복사",
+      endlessNext: "다음 미로",
+      endlessStreakNote: "연속 {streak} (최고 {best})",
+      challengeMovesLeft: "남은 이동 {left} / {budget}",
+      challengeTimeLeft: "남은 시간 {time}",
+      labelGoal: "출구 조건",
+      goalItems: "젤리 {collected}/{need}",
+      goalAllItems: "젤리 전부 (남은 {left}개)",
+      goalLength: "길이 정확히 {target} (지금 {length})",
       labelTheme: "테마",
       labelBest: "베스트",
       labelUnlocked: "해금",
@@ -39,9 +89,15 @@
       bgmTrackLabel: "배경음악 테마",
       masterVolumeLabel: "마스터 볼륨",
       sfxVolumeLabel: "효과음 볼륨",
+      bgmVolumeLabel: "배경음악 볼륨",
       handModeLabel: "손 모드",
       keybindSummary: "키 바인딩",
       keybindNote: "입력칸 클릭 후 원하는 키를 누르세요. 비우려면 Backspace.",
+      padBindSummary: "게임패드 버튼",
+      padBindControllerLabel: "컨트롤러",
+      padBindNone: "연결된 게임패드 없음",
+      padBindReset: "기본값으로",
+      padBindNote: "칸을 누른 뒤 게임패드 버튼을 누르세요. 이동은 D패드와 왼쪽 스틱, 메뉴 이동은 오른쪽 스틱입니다.",
       startGame: "게임 시작",
       continueLabel: "이어하기",
       continueWithLevel: "이어하기 (Lv {level})",
@@ -54,6 +110,7 @@
       titleBtn: "타이틀로 이동",
       nextBtn: "다음 레벨 (+1 / N)",
       undoBtn: "되돌리기 (Z)",
+      hintBtn: "힌트 (H)",
       newGameBtn: "새 게임",
       replayCopyBtn: "리플레이 복사",
       levelAdjustLabel: "레벨 이동",
@@ -72,6 +129,33 @@
       replayPrev: "이전",
       replayNext: "다음",
       replayLatest: "최신",
+      replaySourceLabel: "리플레이 선택",
+      replaySourceAuto: "현재 레벨 (자동)",
+      replaySourceBest: "L{level} 최고 기록 · {moves}수",
+      replaySourceLast: "L{level} 마지막 시도 · {moves}수",
+      replaySourceImported: "가져온 리플레이 · L{level} · {moves}수",
+      replayImportBtn: "리플레이 가져오기",
+      replayImportFile: "파일 열기",
+      replayImportPlaceholder: "리플레이 JSON 붙여넣기",
+      replayImportedToast: "리플레이를 가져왔습니다 (L{level} · {moves}수{cleared})",
+      replayImportedCleared: " · 클리어",
+      replayImportErrorJson: "가져오기 실패: JSON 형식이 아닙니다",
+      replayImportErrorFormat: "가져오기 실패: 리플레이 파일이 아닙니다",
+      replayImportErrorVersion: "가져오기 실패: 더 새로운 버전의 리플레이입니다",
+      replayImportErrorTooLong: "가져오기 실패: 이동이 너무 많습니다",
+      replayImportErrorUnknownLevel: "가져오기 실패: 해당 레벨이 없습니다",
+      replayImportErrorTilesMismatch: "가져오기 실패: 레벨 맵이 리플레이와 다릅니다",
+      replayImportErrorBadMove: "가져오기 실패: {step}번째 이동 방향이 잘못되었습니다",
+      replayImportErrorIllegalMove: "가져오기 실패: {step}번째 이동이 막혀 있습니다",
+      replayImportErrorAfterExit: "가져오기 실패: 출구 도착 후 {step}번째 이동이 있습니다",
+      replayPlayBtn: "메인 화면에서 재생",
+      replayPlayUnavailable: "재생할 리플레이가 없습니다",
+      playbackPause: "일시정지",
+      playbackPlay: "재생",
+      playbackTakeOver: "여기서 이어하기",
+      playbackExit: "재생 종료",
+      playbackEndToast: "리플레이 재생이 끝났습니다",
+      playbackTakeOverToast: "{step}번째 이동부터 직접 플레이합니다",
       tutorialSkip: "건너뛰기",
       tutorialNext: "다음",
       tutorialStart: "시작하기",
@@ -91,7 +175,7 @@
       tutorial4Title: "🌀 포털 활용",
       tutorial4Body: "같은 색 포털 쌍 위에 서면 반대편 포털로 순간이동합니다. 미로의 지름길로 활용하세요!",
       tutorial4Icon: "🌀",
-      tutorial4Hint: "💡 포털은 파란색(A)과 분홍색(B) 두 쌍이 있을 수 있습니다.",
+      tutorial4Hint: "💡 파란색(A)↔분홍색(B)이 한 쌍이고, 초록·주황·보라 포털은 같은 색끼리 이어집니다.",
       tutorial5Title: "🚪 출구로 탈출",
       tutorial5Body: "모든 젤리를 수집한 후 출구(E)에 도달하면 클리어! 이동 횟수가 적을수록 좋은 기록입니다.",
       tutorial5Icon: "🚪",
@@ -100,10 +184,30 @@
       itemToast: "젤리 획득! 길이 {length} · {collected}/{total}",
       itemToastSuper: "슈퍼젤리 획득! +2 성장 · 길이 {length} · {collected}/{total}",
       itemToastStar: "스타 획득! {turns}턴 동안 몸통/장애물 통과",
+      itemToastSour: "신 젤리! 꼬리 -{shrink} · 길이 {length}",
+      itemToastSourMin: "신 젤리! 더 줄어들 꼬리가 없습니다 · 길이 {length}",
       portalToast: "포털 워프! ({fromX},{fromY}) → ({toX},{toY})",
       starEndToast: "스타 파워 종료",
       blockedToast: "이동 불가: 벽 또는 장애물에 막힘",
+      blockedBodyToast: "이동 불가: 몸통에 막힘",
+      blockedOneWayToast: "이동 불가: 화살표 방향으로만 들어갈 수 있는 칸",
+      blockedDoorToast: "이동 불가: 잠긴 문 — 같은 색 열쇠를 먼저 찾으세요",
+      blockedBoulderToast: "바위를 밀 수 없습니다: 뒤쪽 칸이 막혀 있음",
+      blockedHoleToast: "이동 불가: 구멍 — 바위를 밀어 넣어 메우세요",
+      boulderFilledToast: "바위가 구멍을 메웠습니다!",
+      blockedGateToast: "이동 불가: 닫힌 차단문 — 같은 색 스위치를 눌러 두세요",
+      exitLockedItemsToast: "출구가 닫혀 있습니다: 젤리 {count}개 더 필요",
+      exitLockedAllItemsToast: "출구가 닫혀 있습니다: 남은 젤리 {count}개를 모두 먹어야 합니다",
+      exitLockedLengthToast: "출구가 닫혀 있습니다: 길이가 정확히 {target}이어야 합니다 (지금 {length})",
+      keyCollectedToast: "{color} 열쇠 획득! 문 {doors}개가 열렸습니다",
+      keyColorGold: "금색",
+      keyColorBlue: "파란색",
       deadlockToast: "막혔습니다. Z로 되돌리세요",
+      hintToast: "힌트: 다음 {shown}수 표시 (남은 최단 {total}수)",
+      hintFullToast: "힌트: 전체 경로 {total}수 공개",
+      hintNotFoundToast: "이 상태에서는 출구까지 가는 길이 없습니다. Z로 되돌리세요",
+      hintTimeoutToast: "여기서는 힌트를 계산할 수 없습니다. 몇 수 움직인 뒤 다시 시도하세요",
+      hintSearchingToast: "힌트 경로를 찾는 중…",
       levelStartToast: "레벨 {level} 시작",
       levelClearToast: "레벨 클리어! 이동 {moves}회 · 젤리 {collected}/{total}",
       gameCompleteToast: "모든 레벨 완료!",
@@ -134,6 +238,7 @@
       perfAuto: "자동",
       perfQuality: "고화질",
       perfBattery: "배터리 절약",
+      bgmWorld: "월드별",
       bgmRetro: "레트로",
       bgmArcade: "아케이드",
       bgmChill: "칠",
@@ -142,6 +247,26 @@
       clearRestart: "현재 레벨 재시작",
       clearToTitle: "타이틀로 이동",
       clearSubtitle: "이동 {moves}회 · 베스트 {best}회 · 젤리 {collected}/{total}",
+      clearNoHints: "힌트 없이 클리어!",
+      clearWithHints: "힌트 {count}회 사용",
+      clearStarsPar: "{stars}  기준 {par}수",
+      clearStarsNoPar: "{stars}",
+      clearStarsJelly: " · 젤리 {jelly}개",
+      clearChallengeMoves: "도전 {used}/{budget}수",
+      clearChallengeTime: "도전 {time}",
+      failTitle: "도전 실패",
+      failSubtitleMoves: "이동 예산 {budget}수를 모두 썼습니다",
+      failSubtitleTime: "제한 시간 {time}이 끝났습니다",
+      failRetry: "다시 도전",
+      levelFailedMovesToast: "도전 실패: 이동 예산을 모두 썼습니다",
+      levelFailedTimeToast: "도전 실패: 시간이 다 됐습니다",
+      endlessLoadingToast: "깊이 {depth} 미로를 만드는 중…",
+      endlessLevelToast: "끝없는 모드 깊이 {depth} (시드 {seed})",
+      endlessClearToast: "미로 돌파! 연속 {streak}",
+      endlessNewBestToast: "최고 연속 기록 갱신! {streak}",
+      endlessUnavailableToast: "시드 {seed}로 알맞은 미로를 만들지 못했습니다",
+      endlessSeedInvalid: "시드는 1~7자리 영문/숫자여야 합니다",
+      worldStarTotal: "★ {stars} / {max}",
       gameCompleteTitle: "모든 레벨 완료!",
       statusStar: "스타 {turns}턴",
       keyMoveUp: "위",
@@ -153,10 +278,81 @@
       keyPause: "일시정지",
       keyNext: "다음 레벨",
       keyLevelSelect: "레벨 선택",
+      keyHint: "힌트",
       keyDefault: "기본값",
       keyWaiting: "입력 대기",
       keyResetToast: "{label} 키를 기본값으로 복원했습니다",
       keySetToast: "{label} 키를 {token} 로 설정했습니다",
+      keyPrev: "이전 레벨",
+      keyStart: "시작/확인",
+      padWaiting: "버튼 입력…",
+      padSetToast: "{label} 버튼을 {button}(으)로 설정했습니다",
+      padResetToast: "게임패드 버튼을 기본값으로 복원했습니다",
+      editorTitle: "레벨 에디터",
+      editorBtn: "레벨 에디터",
+      editorCloseBtn: "에디터 닫기",
+      editorBackBtn: "에디터로 돌아가기",
+      editorToolPaint: "칠하기",
+      editorToolErase: "지우개",
+      editorToolFill: "채우기",
+      editorWidthLabel: "가로",
+      editorHeightLabel: "세로",
+      editorLengthLabel: "시작 길이",
+      editorChannelLabel: "스위치 채널",
+      editorMinItemsLabel: "최소 젤리 (0 = 없음)",
+      editorExactLengthLabel: "정확한 길이 (0 = 없음)",
+      editorAllItemsLabel: "젤리 전부 모으기",
+      editorBodyCollisionLabel: "몸통 충돌",
+      editorPlaytest: "플레이 테스트",
+      editorNew: "새 초안",
+      editorExport: "JSON 내보내기",
+      editorImport: "가져오기",
+      editorTileWall: "벽",
+      editorTileFloor: "바닥",
+      editorTileSpawn: "시작 위치",
+      editorTileExit: "출구",
+      editorTileObstacle: "장애물",
+      editorTileItem: "젤리",
+      editorTileBigItem: "슈퍼젤리",
+      editorTileStar: "스타",
+      editorTileSour: "신 젤리",
+      editorTileBigSour: "슈퍼 신 젤리",
+      editorTilePortalA: "포털 A",
+      editorTilePortalB: "포털 B",
+      editorTilePortal2: "포털 채널 2 (초록)",
+      editorTilePortal3: "포털 채널 3 (주황)",
+      editorTilePortal4: "포털 채널 4 (보라)",
+      editorTileOneWayUp: "일방통행 ↑",
+      editorTileOneWayDown: "일방통행 ↓",
+      editorTileOneWayLeft: "일방통행 ←",
+      editorTileOneWayRight: "일방통행 →",
+      editorTileConveyorUp: "컨베이어 ↑",
+      editorTileConveyorDown: "컨베이어 ↓",
+      editorTileConveyorLeft: "컨베이어 ←",
+      editorTileConveyorRight: "컨베이어 →",
+      editorTileKey: "금색 열쇠",
+      editorTileDoor: "금색 문",
+      editorTileKeyBlue: "파란 열쇠",
+      editorTileDoorBlue: "파란 문",
+      editorTileBoulder: "바위",
+      editorTileHole: "구멍",
+      editorTileSwitch: "스위치",
+      editorTileGate: "차단문",
+      editorDraftTitle: "에디터 초안",
+      editorValid: "유효한 레벨 · {width}x{height}",
+      editorInvalid: "오류: {message}",
+      editorInvalidLength: "시작 길이 {length}칸을 배치할 공간이 없습니다",
+      editorPlaytestBlocked: "레벨 오류를 먼저 고쳐주세요",
+      editorPlaytestStart: "플레이 테스트 시작 · 에디터 버튼으로 돌아갑니다",
+      editorPlaytestClear: "플레이 테스트 클리어! 이동 {moves}회 · 젤리 {collected}/{total}",
+      editorExported: "JSON을 아래 입력칸에 채웠습니다",
+      editorExportCopied: "레벨 JSON을 클립보드에 복사했습니다",
+      editorImported: "레벨을 불러왔습니다",
+      editorImportFail: "불러오기 실패: rows JSON 또는 맵 텍스트를 확인하세요",
+      overlayEditorTitle: "레벨 에디터",
+      overlayEditorSub: "아래 에디터 패널에서 타일을 칠하세요",
+      overlayEditorDetail: "플레이 테스트로 바로 검증할 수 있습니다",
+      overlayEditorExtra: "초안은 자동 저장됩니다",
       overlayTitleSub: "젤리를 모아 지렁이 친구를 출구로 안내하세요",
       overlayTitleDetail: "Enter: 시작 | L: 레벨 선택 | Z: Undo | 이동키 길게 누르면 연속 이동",
       overlayTitleExtra: "젤리 +1, 슈퍼젤리 +2, 스타를 먹으면 잠시 몸통/장애물을 통과합니다",
@@ -176,6 +372,11 @@
       overlayClearOverBest: "베스트 대비 +",
       overlayClearOverUnit: "회",
       overlayClearExtra: "N 또는 다음 레벨 버튼",
+      overlayFailedTitle: "도전 실패",
+      overlayFailedMoves: "이동 예산을 모두 썼습니다",
+      overlayFailedTime: "제한 시간이 끝났습니다",
+      overlayFailedExtra: "Enter 또는 R: 다시 도전 | L: 레벨 선택",
+      overlayEndlessExtra: "연속 {streak} | 최고 {best} | Enter: 다음 미로",
       overlayCompleteTotal: "누적 이동 ",
       overlayCompleteJelly: "회 | 젤리 ",
       overlayCompleteClears: "개 | 총 클리어 ",
@@ -186,15 +387,65 @@
     en: {
       subtitle: "Use jellies, super jellies, stars, and portals to escape each maze",
       help:
-        "Move: Arrow/WASD · Undo: Z · Restart: R · Pause: P · Level Select: L · Hold move keys for auto-walk · Body pass enabled",
+        "Move: Arrow/WASD · Undo: Z · Restart: R · Pause: P · Level Select: L · Hint: H · Hold move keys for auto-walk · Body collision from W6",
       settingsTitle: "Settings",
       levelSelectTitle: "Level Select",
+      profileTitle: "Profile",
+      profileDefaultName: "Player {slot}",
+      profileSummary: "Level {level} · ★ {stars}",
+      profileEmpty: "New profile",
+      profileNamePlaceholder: "Name",
+      profileRenameBtn: "Rename",
+      profileChangedToast: "Switched to {name}",
+      profileRenamedToast: "Profile renamed",
+      storageMigratedToast: "Save data upgraded (v{from} → v{to})",
+      saveExportBtn: "Export save",
+      saveImportFile: "Import save",
+      saveImportMerge: "Merge",
+      saveImportReplace: "Replace",
+      saveImportCancel: "Cancel",
+      saveImportCreated: "Backup from {date}",
+      saveImportCurrent: "Current",
+      saveImportIncoming: "File",
+      saveImportMerged: "After merge",
+      saveImportSummaryLine: "{label}: unlocked to level {level} · clears {clears} · stars {stars} · records {records} · replays {replays}",
+      saveImportSettingsLine: "Settings changed: merge {mergeSettings} ({mergeBindings} keys), replace {replaceSettings} ({replaceBindings} keys)",
+      saveExportedToast: "Save backup downloaded",
+      saveExportUnavailable: "This browser cannot export files",
+      saveMergedToast: "Backup merged (unlocked to level {level})",
+      saveReplacedToast: "Save replaced from backup (unlocked to level {level})",
+      confirmSaveReplace: "Replace this profile's progress and settings with the backup? This cannot be undone.",
+      saveImportErrorJson: "Import failed: not valid JSON",
+      saveImportErrorFormat: "Import failed: not a save backup file",
+      saveImportErrorVersion: "Import failed: unsupported backup version",
+      saveImportErrorChecksum: "Import failed: file is damaged (checksum mismatch)",
+      saveImportErrorBusy: "Import from the title or level select screen",
       replayTitle: "Replay Debug",
       labelLevel: "Level",
       labelMoves: "Moves",
       labelState: "State",
       labelLength: "Length",
       labelItems: "Jellies",
+      labelKeys: "Keys",
+      labelChallenge: "Challenge",
+      challengeModeLabel: "Challenge mode",
+      challengeOff: "Off",
+      challengeMoves: "Move budget",
+      challengeTimer: "Time limit",
+      endlessTitle: "Endless mode",
+      endlessSeedPlaceholder: "Seed (blank = random)",
+      endlessStart: "Start",
+      endlessBest: "Best streak {streak}",
+      endlessHud: "Seed {seed} · depth {depth} · streak {streak}",
+      endlessCopySeed: "Copy seed",
+      endlessNext: "Next maze",
+      endlessStreakNote: "streak {streak} (best {best})",
+      challengeMovesLeft: "Moves left {left} / {budget}",
+      challengeTimeLeft: "Time left {time}",
+      labelGoal: "Exit goal",
+      goalItems: "Jellies {collected}/{need}",
+      goalAllItems: "All jellies ({left} left)",
+      goalLength: "Exact length {target} (now {length})",
       labelTheme: "Theme",
       labelBest: "Best",
       labelUnlocked: "Unlocked",
@@ -211,9 +462,15 @@
       bgmTrackLabel: "BGM Theme",
       masterVolumeLabel: "Master Volume",
       sfxVolumeLabel: "SFX Volume",
+      bgmVolumeLabel: "BGM Volume",
       handModeLabel: "Hand Mode",
       keybindSummary: "Key Bindings",
       keybindNote: "Click input then press a key. Press Backspace to clear.",
+      padBindSummary: "Gamepad Buttons",
+      padBindControllerLabel: "Controller",
+      padBindNone: "No gamepad connected",
+      padBindReset: "Reset to Default",
+      padBindNote: "Click a slot, then press a gamepad button. Move with the D-pad or left stick; the right stick moves through menus.",
       startGame: "Start Game",
       continueLabel: "Continue",
       continueWithLevel: "Continue (Lv {level})",
@@ -226,6 +483,7 @@
       titleBtn: "Back To Title",
       nextBtn: "Next Level (+1 / N)",
       undoBtn: "Undo (Z)",
+      hintBtn: "Hint (H)",
       newGameBtn: "New Game",
       replayCopyBtn: "Copy Replay",
       levelAdjustLabel: "Level",
@@ -244,6 +502,33 @@
       replayPrev: "Prev",
       replayNext: "Next",
       replayLatest: "Latest",
+      replaySourceLabel: "Replay",
+      replaySourceAuto: "Current level (auto)",
+      replaySourceBest: "L{level} best · {moves} moves",
+      replaySourceLast: "L{level} last run · {moves} moves",
+      replaySourceImported: "Imported · L{level} · {moves} moves",
+      replayImportBtn: "Import Replay",
+      replayImportFile: "Open File",
+      replayImportPlaceholder: "Paste replay JSON",
+      replayImportedToast: "Replay imported (L{level} · {moves} moves{cleared})",
+      replayImportedCleared: " · cleared",
+      replayImportErrorJson: "Import failed: not valid JSON",
+      replayImportErrorFormat: "Import failed: not a replay file",
+      replayImportErrorVersion: "Import failed: replay is from a newer version",
+      replayImportErrorTooLong: "Import failed: too many moves",
+      replayImportErrorUnknownLevel: "Import failed: level not found",
+      replayImportErrorTilesMismatch: "Import failed: level map does not match the replay",
+      replayImportErrorBadMove: "Import failed: move {step} has an invalid direction",
+      replayImportErrorIllegalMove: "Import failed: move {step} is blocked",
+      replayImportErrorAfterExit: "Import failed: move {step} comes after reaching the exit",
+      replayPlayBtn: "Play on Main Board",
+      replayPlayUnavailable: "No replay to play",
+      playbackPause: "Pause",
+      playbackPlay: "Play",
+      playbackTakeOver: "Take Over From Here",
+      playbackExit: "Exit Playback",
+      playbackEndToast: "Replay playback finished",
+      playbackTakeOverToast: "Taking over from move {step}",
       tutorialSkip: "Skip",
       tutorialNext: "Next",
       tutorialStart: "Start",
@@ -263,7 +548,7 @@
       tutorial4Title: "🌀 Use Portals",
       tutorial4Body: "Step on a portal to teleport to its matching pair. Use them as maze shortcuts!",
       tutorial4Icon: "🌀",
-      tutorial4Hint: "💡 There can be blue (A) and pink (B) portal pairs.",
+      tutorial4Hint: "💡 Blue (A) links to pink (B); green, orange and purple portals link to the same colour.",
       tutorial5Title: "🚪 Reach The Exit",
       tutorial5Body: "Collect all jelly, then reach the exit (E) to clear the level! Fewer moves = better score.",
       tutorial5Icon: "🚪",
@@ -272,10 +557,30 @@
       itemToast: "Jelly collected! Length {length} · {collected}/{total}",
       itemToastSuper: "Super Jelly! +2 growth · Length {length} · {collected}/{total}",
       itemToastStar: "Star collected! Phase mode for {turns} turns",
+      itemToastSour: "Sour jelly! Tail -{shrink} · Length {length}",
+      itemToastSourMin: "Sour jelly! No tail left to shed · Length {length}",
       portalToast: "Portal warp! ({fromX},{fromY}) → ({toX},{toY})",
       starEndToast: "Star power ended",
       blockedToast: "Move blocked by wall or obstacle",
+      blockedBodyToast: "Move blocked by your own body",
+      blockedOneWayToast: "Move blocked: enter this tile only along its arrow",
+      blockedDoorToast: "Move blocked: locked door — find the matching key first",
+      blockedBoulderToast: "Can't push the boulder: the cell behind it is blocked",
+      blockedHoleToast: "Move blocked: hole — push a boulder in to fill it",
+      boulderFilledToast: "The boulder filled the hole!",
+      blockedGateToast: "Move blocked: closed gate — hold down a switch of the same colour",
+      exitLockedItemsToast: "Exit closed: need {count} more jellies",
+      exitLockedAllItemsToast: "Exit closed: eat the remaining {count} jellies",
+      exitLockedLengthToast: "Exit closed: length must be exactly {target} (now {length})",
+      keyCollectedToast: "{color} key collected! {doors} door(s) opened",
+      keyColorGold: "Gold",
+      keyColorBlue: "Blue",
       deadlockToast: "No path left. Press Z to undo",
+      hintToast: "Hint: showing next {shown} move(s) ({total} left on the best path)",
+      hintFullToast: "Hint: full path revealed ({total} moves)",
+      hintNotFoundToast: "No way to the exit from here. Press Z to undo",
+      hintTimeoutToast: "Hint unavailable from here. Make a few moves and try again",
+      hintSearchingToast: "Finding a hint…",
       levelStartToast: "Level {level} started",
       levelClearToast: "Level clear! Moves {moves} · Jelly {collected}/{total}",
       gameCompleteToast: "All levels cleared!",
@@ -306,6 +611,7 @@
       perfAuto: "Auto",
       perfQuality: "Quality",
       perfBattery: "Battery Saver",
+      bgmWorld: "Per world",
       bgmRetro: "Retro",
       bgmArcade: "Arcade",
       bgmChill: "Chill",
@@ -314,6 +620,26 @@
       clearRestart: "Restart Level",
       clearToTitle: "Back To Title",
       clearSubtitle: "Moves {moves} · Best {best} · Jelly {collected}/{total}",
+      clearNoHints: "Cleared without hints!",
+      clearWithHints: "Hints used: {count}",
+      clearStarsPar: "{stars}  Par {par}",
+      clearStarsNoPar: "{stars}",
+      clearStarsJelly: " · Jelly {jelly}",
+      clearChallengeMoves: "Challenge {used}/{budget} moves",
+      clearChallengeTime: "Challenge {time}",
+      failTitle: "Challenge Failed",
+      failSubtitleMoves: "You used the whole {budget}-move budget",
+      failSubtitleTime: "The {time} time limit ran out",
+      failRetry: "Try Again",
+      levelFailedMovesToast: "Challenge failed: out of moves",
+      levelFailedTimeToast: "Challenge failed: out of time",
+      endlessLoadingToast: "Building the depth {depth} maze…",
+      endlessLevelToast: "Endless depth {depth} (seed {seed})",
+      endlessClearToast: "Maze cleared! Streak {streak}",
+      endlessNewBestToast: "New best streak! {streak}",
+      endlessUnavailableToast: "Could not build a suitable maze from seed {seed}",
+      endlessSeedInvalid: "Seeds are 1-7 letters or digits",
+      worldStarTotal: "★ {stars} / {max}",
       gameCompleteTitle: "All Levels Cleared!",
       statusStar: "Star {turns}t",
       keyMoveUp: "Up",
@@ -325,10 +651,81 @@
       keyPause: "Pause",
       keyNext: "Next Level",
       keyLevelSelect: "Level Select",
+      keyHint: "Hint",
       keyDefault: "Default",
       keyWaiting: "Waiting",
       keyResetToast: "{label} key reset to default",
       keySetToast: "{label} key set to {token}",
+      keyPrev: "Previous Level",
+      keyStart: "Start/Confirm",
+      padWaiting: "Press…",
+      padSetToast: "{label} set to {button}",
+      padResetToast: "Gamepad buttons reset to default",
+      editorTitle: "Level Editor",
+      editorBtn: "Level Editor",
+      editorCloseBtn: "Close Editor",
+      editorBackBtn: "Back to Editor",
+      editorToolPaint: "Paint",
+      editorToolErase: "Erase",
+      editorToolFill: "Fill",
+      editorWidthLabel: "Width",
+      editorHeightLabel: "Height",
+      editorLengthLabel: "Start Length",
+      editorChannelLabel: "Switch Channel",
+      editorMinItemsLabel: "Min Jellies (0 = none)",
+      editorExactLengthLabel: "Exact Length (0 = none)",
+      editorAllItemsLabel: "Collect every jelly",
+      editorBodyCollisionLabel: "Body collision",
+      editorPlaytest: "Play Test",
+      editorNew: "New Draft",
+      editorExport: "Export JSON",
+      editorImport: "Import",
+      editorTileWall: "Wall",
+      editorTileFloor: "Floor",
+      editorTileSpawn: "Spawn",
+      editorTileExit: "Exit",
+      editorTileObstacle: "Obstacle",
+      editorTileItem: "Jelly",
+      editorTileBigItem: "Super Jelly",
+      editorTileStar: "Star",
+      editorTileSour: "Sour Jelly",
+      editorTileBigSour: "Super Sour Jelly",
+      editorTilePortalA: "Portal A",
+      editorTilePortalB: "Portal B",
+      editorTilePortal2: "Portal channel 2 (green)",
+      editorTilePortal3: "Portal channel 3 (orange)",
+      editorTilePortal4: "Portal channel 4 (purple)",
+      editorTileOneWayUp: "One-way ↑",
+      editorTileOneWayDown: "One-way ↓",
+      editorTileOneWayLeft: "One-way ←",
+      editorTileOneWayRight: "One-way →",
+      editorTileConveyorUp: "Conveyor ↑",
+      editorTileConveyorDown: "Conveyor ↓",
+      editorTileConveyorLeft: "Conveyor ←",
+      editorTileConveyorRight: "Conveyor →",
+      editorTileKey: "Gold key",
+      editorTileDoor: "Gold door",
+      editorTileKeyBlue: "Blue key",
+      editorTileDoorBlue: "Blue door",
+      editorTileBoulder: "Boulder",
+      editorTileHole: "Hole",
+      editorTileSwitch: "Switch",
+      editorTileGate: "Gate",
+      editorDraftTitle: "Editor Draft",
+      editorValid: "Valid level · {width}x{height}",
+      editorInvalid: "Error: {message}",
+      editorInvalidLength: "Not enough room to place a length-{length} worm",
+      editorPlaytestBlocked: "Fix the level errors first",
+      editorPlaytestStart: "Play test started · use the editor button to return",
+      editorPlaytestClear: "Play test cleared! {moves} moves · jelly {collected}/{total}",
+      editorExported: "JSON written to the text box below",
+      editorExportCopied: "Level JSON copied to clipboard",
+      editorImported: "Level imported",
+      editorImportFail: "Import failed: check the rows JSON or map text",
+      overlayEditorTitle: "Level Editor",
+      overlayEditorSub: "Paint tiles in the editor panel below",
+      overlayEditorDetail: "Use Play Test to try the draft right away",
+      overlayEditorExtra: "Drafts are saved automatically",
       overlayTitleSub: "Collect jellies and guide your worm buddy to the exit",
       overlayTitleDetail: "Enter: Start | L: Level Select | Z: Undo | Hold movement keys to auto-walk",
       overlayTitleExtra: "Jelly +1, Super Jelly +2, Star lets you phase through body/obstacles",
@@ -348,6 +745,11 @@
       overlayClearOverBest: "+",
       overlayClearOverUnit: " over best",
       overlayClearExtra: "Press N or use next-level button",
+      overlayFailedTitle: "CHALLENGE FAILED",
+      overlayFailedMoves: "The move budget is used up",
+      overlayFailedTime: "The time limit ran out",
+      overlayFailedExtra: "Enter or R: try again | L: level select",
+      overlayEndlessExtra: "Streak {streak} | Best {best} | Enter: next maze",
       overlayCompleteTotal: "Total moves ",
       overlayCompleteJelly: " | Jelly ",
       overlayCompleteClears: " | Clears ",
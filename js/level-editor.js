@@ -0,0 +1,796 @@
+/**
+ * level-editor.js — 인게임 레벨 에디터 (팔레트, 페인트/지우개/채우기, 실시간 검증, 플레이 테스트)
+ *
+ * @module  WormGameLevelEditor
+ * @depends WormGameConstants (GRID_COLS, GRID_ROWS, MIN_GRID_SIZE, MAX_GRID_COLS, MAX_GRID_ROWS, STORAGE_KEYS, clamp)
+ * @depends WormGameLevels    (parseMap)
+ * @depends WormGameSnake     (Snake — 시작 길이 배치 검사)
+ * @exports global.WormGameLevelEditor
+ *
+ * 초안 형식은 scripts/level-tools.js 와 같은 { rows, width, height, snakeLength } JSON.
+ * 레벨 정의의 bodyCollision, 출구 조건(minItems, allItems, exactLength), 스위치/차단문 channels도 같은 키로 함께 싣는다.
+ *
+ * ES Module 전환 시: import { parseMap } from './levels.js'; import { Snake } from './snake.js'
+ */
+(function attachLevelEditor(global) {
+  "use strict";
+
+  var constants = global.WormGameConstants;
+  var STORAGE_KEYS = constants.STORAGE_KEYS;
+  var GRID_COLS = constants.GRID_COLS;
+  var GRID_ROWS = constants.GRID_ROWS;
+  var MIN_GRID_SIZE = constants.MIN_GRID_SIZE;
+  var MAX_GRID_COLS = constants.MAX_GRID_COLS;
+  var MAX_GRID_ROWS = constants.MAX_GRID_ROWS;
+  var clamp = constants.clamp;
+
+  var EDITOR_LEVEL_ID = 0;
+  var MAX_SNAKE_LENGTH = 12;
+  var DRAFT_VERSION = 1;
+  /** 채널을 붙일 수 있는 칸 (스위치, 차단문). */
+  var CHANNEL_CHARS = "_H";
+  var MAX_CHANNEL = 9;
+
+  /** 팔레트: levels.js charToTile 문자 집합과 동일. */
+  var PALETTE = Object.freeze([
+    Object.freeze({ char: "#", labelKey: "editorTileWall", color: "#bf5545" }),
+    Object.freeze({ char: ".", labelKey: "editorTileFloor", color: "#b5e8ff" }),
+    Object.freeze({ char: "S", labelKey: "editorTileSpawn", color: "#ffc632" }),
+    Object.freeze({ char: "E", labelKey: "editorTileExit", color: "#37d98f" }),
+    Object.freeze({ char: "X", labelKey: "editorTileObstacle", color: "#2d4f9b" }),
+    Object.freeze({ char: "I", labelKey: "editorTileItem", color: "#ffe868" }),
+    Object.freeze({ char: "G", labelKey: "editorTileBigItem", color: "#ff9f36" }),
+    Object.freeze({ char: "T", labelKey: "editorTileStar", color: "#ffffff" }),
+    Object.freeze({ char: "u", labelKey: "editorTileSour", color: "#9be15d" }),
+    Object.freeze({ char: "U", labelKey: "editorTileBigSour", color: "#6fbf3a" }),
+    Object.freeze({ char: "P", labelKey: "editorTilePortalA", color: "#37e5ff" }),
+    Object.freeze({ char: "Q", labelKey: "editorTilePortalB", color: "#ff6fd7" }),
+    Object.freeze({ char: "2", labelKey: "editorTilePortal2", color: "#5fe35a" }),
+    Object.freeze({ char: "3", labelKey: "editorTilePortal3", color: "#ffa726" }),
+    Object.freeze({ char: "4", labelKey: "editorTilePortal4", color: "#b388ff" }),
+    Object.freeze({ char: "^", labelKey: "editorTileOneWayUp", color: "#c8f7a0" }),
+    Object.freeze({ char: "v", labelKey: "editorTileOneWayDown", color: "#c8f7a0" }),
+    Object.freeze({ char: "<", labelKey: "editorTileOneWayLeft", color: "#c8f7a0" }),
+    Object.freeze({ char: ">", labelKey: "editorTileOneWayRight", color: "#c8f7a0" }),
+    Object.freeze({ char: "w", labelKey: "editorTileConveyorUp", color: "#9aa8c7" }),
+    Object.freeze({ char: "s", labelKey: "editorTileConveyorDown", color: "#9aa8c7" }),
+    Object.freeze({ char: "a", labelKey: "editorTileConveyorLeft", color: "#9aa8c7" }),
+    Object.freeze({ char: "d", labelKey: "editorTileConveyorRight", color: "#9aa8c7" }),
+    Object.freeze({ char: "k", labelKey: "editorTileKey", color: "#ffc83d" }),
+    Object.freeze({ char: "D", labelKey: "editorTileDoor", color: "#8a5a2b" }),
+    Object.freeze({ char: "j", labelKey: "editorTileKeyBlue", color: "#4f8dff" }),
+    Object.freeze({ char: "J", labelKey: "editorTileDoorBlue", color: "#3b5a8f" }),
+    Object.freeze({ char: "B", labelKey: "editorTileBoulder", color: "#8d8478" }),
+    Object.freeze({ char: "O", labelKey: "editorTileHole", color: "#120d1c" }),
+    Object.freeze({ char: "_", labelKey: "editorTileSwitch", color: "#ff7a59" }),
+    Object.freeze({ char: "H", labelKey: "editorTileGate", color: "#6b4a3a" }),
+  ]);
+
+  var TOOLS = Object.freeze(["paint", "erase", "fill"]);
+
+  var PALETTE_CHARS = PALETTE.map(function mapChar(entry) {
+    return entry.char;
+  }).join("");
+
+  function paletteColor(char) {
+    for (var i = 0; i < PALETTE.length; i += 1) {
+      if (PALETTE[i].char === char) {
+        return PALETTE[i].color;
+      }
+    }
+    return "#b5e8ff";
+  }
+
+  // ── 초안 데이터 (DOM 없이 동작, Node 테스트 대상) ──
+
+  function cellKey(x, y) {
+    return x + "," + y;
+  }
+
+  function normalizeChannel(value) {
+    return clamp(Math.round(Number(value) || 1), 1, MAX_CHANNEL);
+  }
+
+  function positiveInteger(value) {
+    var number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : null;
+  }
+
+  /** 칸의 채널을 기록한다. 채널 1은 레벨 정의 기본값이므로 따로 적지 않는다. */
+  function storeChannel(draft, key, channel) {
+    if (channel > 1) {
+      draft.channels[key] = channel;
+    } else {
+      delete draft.channels[key];
+    }
+  }
+
+  /**
+   * 레벨 정의 형식의 옵션(bodyCollision, minItems, allItems, exactLength, channels)을 초안에 싣는다.
+   * 형식이 틀린 값과 스위치/차단문이 아닌 칸의 채널은 버린다. 젤리 수 같은 맵 의존 검사는 validateDraft가 한다.
+   */
+  function applyOptions(draft, source) {
+    var options = source || {};
+    var goals = {};
+    var minItems = positiveInteger(options.minItems);
+    var exactLength = positiveInteger(options.exactLength);
+    if (minItems !== null) {
+      goals.minItems = minItems;
+    }
+    if (options.allItems) {
+      goals.allItems = true;
+    }
+    if (exactLength !== null) {
+      goals.exactLength = exactLength;
+    }
+    draft.bodyCollision = !!options.bodyCollision;
+    draft.goals = goals;
+    draft.channels = {};
+
+    var channels = options.channels && typeof options.channels === "object" ? options.channels : {};
+    Object.keys(channels).forEach(function keepChannel(key) {
+      var match = /^(\d+),(\d+)$/.exec(key);
+      var channel = positiveInteger(channels[key]);
+      if (!match || channel === null || channel > MAX_CHANNEL) {
+        return;
+      }
+      var x = Number(match[1]);
+      var y = Number(match[2]);
+      if (y < draft.height && x < draft.width && CHANNEL_CHARS.indexOf(draft.grid[y][x]) !== -1) {
+        storeChannel(draft, key, channel);
+      }
+    });
+    return draft;
+  }
+
+  /** 초안 옵션을 레벨 정의 키로 꺼낸다. 기본값(몸통 충돌 없음, 조건 없음, 채널 1)은 생략한다. */
+  function draftOptions(draft) {
+    var options = {};
+    if (draft.bodyCollision) {
+      options.bodyCollision = true;
+    }
+    Object.keys(draft.goals).forEach(function copyGoal(key) {
+      options[key] = draft.goals[key];
+    });
+    if (Object.keys(draft.channels).length > 0) {
+      options.channels = Object.assign({}, draft.channels);
+    }
+    return options;
+  }
+
+  /** 테두리 벽 + 좌상단 S, 우하단 E를 가진 빈 초안. */
+  function createDraft(width, height) {
+    var w = clamp(Math.round(Number(width) || GRID_COLS), MIN_GRID_SIZE, MAX_GRID_COLS);
+    var h = clamp(Math.round(Number(height) || GRID_ROWS), MIN_GRID_SIZE, MAX_GRID_ROWS);
+    var grid = [];
+    for (var y = 0; y < h; y += 1) {
+      var row = [];
+      for (var x = 0; x < w; x += 1) {
+        var edge = x === 0 || y === 0 || x === w - 1 || y === h - 1;
+        row.push(edge ? "#" : ".");
+      }
+      grid.push(row);
+    }
+    grid[1][1] = "S";
+    grid[h - 2][w - 2] = "E";
+    return { grid: grid, width: w, height: h, snakeLength: 1, bodyCollision: false, goals: {}, channels: {} };
+  }
+
+  function getRows(draft) {
+    return draft.grid.map(function joinRow(row) {
+      return row.join("");
+    });
+  }
+
+  /**
+   * { rows, snakeLength } 형태의 객체를 초안으로 변환. 형식이 맞지 않으면 null.
+   * 행 길이가 다르거나 팔레트 밖 문자가 있으면 거부한다.
+   * @param {object} [options] - 레벨 정의 형식의 bodyCollision, minItems, allItems, exactLength, channels
+   */
+  function draftFromRows(rows, snakeLength, options) {
+    if (!Array.isArray(rows) || rows.length < MIN_GRID_SIZE || rows.length > MAX_GRID_ROWS) {
+      return null;
+    }
+    var width = String(rows[0]).length;
+    if (width < MIN_GRID_SIZE || width > MAX_GRID_COLS) {
+      return null;
+    }
+    var grid = [];
+    for (var y = 0; y < rows.length; y += 1) {
+      var row = String(rows[y]);
+      if (row.length !== width) {
+        return null;
+      }
+      for (var x = 0; x < width; x += 1) {
+        if (PALETTE_CHARS.indexOf(row.charAt(x)) === -1) {
+          return null;
+        }
+      }
+      grid.push(row.split(""));
+    }
+    return applyOptions(
+      {
+        grid: grid,
+        width: width,
+        height: rows.length,
+        snakeLength: clamp(Math.round(Number(snakeLength) || 1), 1, MAX_SNAKE_LENGTH),
+      },
+      options
+    );
+  }
+
+  /**
+   * 칸 하나를 칠한다. S는 레벨당 하나이므로 기존 S는 바닥으로 바뀐다.
+   * @param {number} [channel] - 스위치/차단문에 붙일 채널 (기본 1). 다른 타일에는 무시된다.
+   */
+  function setCell(draft, x, y, char, channel) {
+    if (y < 0 || y >= draft.height || x < 0 || x >= draft.width) {
+      return false;
+    }
+    var key = cellKey(x, y);
+    var nextChannel = CHANNEL_CHARS.indexOf(char) !== -1 ? normalizeChannel(channel) : 1;
+    if (draft.grid[y][x] === char && (draft.channels[key] || 1) === nextChannel) {
+      return false;
+    }
+    if (char === "S") {
+      for (var sy = 0; sy < draft.height; sy += 1) {
+        for (var sx = 0; sx < draft.width; sx += 1) {
+          if (draft.grid[sy][sx] === "S") {
+            draft.grid[sy][sx] = ".";
+          }
+        }
+      }
+    }
+    draft.grid[y][x] = char;
+    storeChannel(draft, key, nextChannel);
+    return true;
+  }
+
+  /** 같은 문자로 이어진 영역(4방향)을 char로 채운다. 바뀐 칸 수를 반환. channel은 setCell과 같다. */
+  function floodFill(draft, x, y, char, channel) {
+    if (y < 0 || y >= draft.height || x < 0 || x >= draft.width) {
+      return 0;
+    }
+    if (char === "S") {
+      return setCell(draft, x, y, char) ? 1 : 0;
+    }
+    var target = draft.grid[y][x];
+    if (target === char) {
+      return 0;
+    }
+    var nextChannel = CHANNEL_CHARS.indexOf(char) !== -1 ? normalizeChannel(channel) : 1;
+    var queue = [{ x: x, y: y }];
+    var head = 0;
+    var changed = 0;
+    draft.grid[y][x] = char;
+    while (head < queue.length) {
+      var node = queue[head++];
+      storeChannel(draft, cellKey(node.x, node.y), nextChannel);
+      changed += 1;
+      var neighbors = [
+        { x: node.x + 1, y: node.y },
+        { x: node.x - 1, y: node.y },
+        { x: node.x, y: node.y + 1 },
+        { x: node.x, y: node.y - 1 },
+      ];
+      for (var i = 0; i < neighbors.length; i += 1) {
+        var n = neighbors[i];
+        if (n.y < 0 || n.y >= draft.height || n.x < 0 || n.x >= draft.width) {
+          continue;
+        }
+        if (draft.grid[n.y][n.x] !== target) {
+          continue;
+        }
+        draft.grid[n.y][n.x] = char;
+        queue.push(n);
+      }
+    }
+    return changed;
+  }
+
+  /** 보드 크기 변경. 겹치는 영역은 유지하고 새 칸은 바닥으로 채운다. */
+  function resizeDraft(draft, width, height) {
+    var w = clamp(Math.round(Number(width) || draft.width), MIN_GRID_SIZE, MAX_GRID_COLS);
+    var h = clamp(Math.round(Number(height) || draft.height), MIN_GRID_SIZE, MAX_GRID_ROWS);
+    var grid = [];
+    for (var y = 0; y < h; y += 1) {
+      var row = [];
+      for (var x = 0; x < w; x += 1) {
+        row.push(y < draft.height && x < draft.width ? draft.grid[y][x] : ".");
+      }
+      grid.push(row);
+    }
+    draft.grid = grid;
+    draft.width = w;
+    draft.height = h;
+    // 잘려 나간 칸의 채널은 버린다
+    return applyOptions(draft, draftOptions(draft));
+  }
+
+  function toLevelDef(draft, title) {
+    return Object.assign(
+      {
+        id: EDITOR_LEVEL_ID,
+        world: 1,
+        stage: 1,
+        title: title || "Editor Draft",
+        snakeLength: draft.snakeLength,
+        theme: 0,
+        character: null,
+        map: getRows(draft),
+      },
+      draftOptions(draft)
+    );
+  }
+
+  /**
+   * parseMap으로 초안을 검증한다.
+   * @returns {{ ok: boolean, level: object|null, reason: string|null, message: string }}
+   *   reason: "parse" (parseMap 오류) | "snake_length" (시작 길이만큼 배치 불가)
+   */
+  function validateDraft(draft, title) {
+    var levels = global.WormGameLevels;
+    var level = null;
+    try {
+      level = levels.parseMap(toLevelDef(draft, title));
+    } catch (error) {
+      return { ok: false, level: null, reason: "parse", message: error && error.message ? error.message : String(error) };
+    }
+
+    var Snake = global.WormGameSnake;
+    if (Snake) {
+      // 공간이 부족하면 Snake가 꼬리 칸을 겹쳐 채우므로 서로 다른 칸 수로 판정한다.
+      var probe = new Snake(level.spawn, level.snakeLength, level.tiles);
+      var distinct = {};
+      probe.segments.forEach(function markCell(segment) {
+        distinct[segment.x + "," + segment.y] = true;
+      });
+      if (Object.keys(distinct).length < level.snakeLength) {
+        return { ok: false, level: null, reason: "snake_length", message: "" };
+      }
+    }
+
+    return { ok: true, level: level, reason: null, message: "" };
+  }
+
+  /** level-tools.js from-json 이 읽는 { rows } 형식 (+ width/height/snakeLength, 레벨 정의 옵션). */
+  function exportDraft(draft) {
+    return JSON.stringify(
+      Object.assign(
+        {
+          rows: getRows(draft),
+          width: draft.width,
+          height: draft.height,
+          snakeLength: draft.snakeLength,
+        },
+        draftOptions(draft)
+      ),
+      null,
+      2
+    );
+  }
+
+  /** JSON({ rows }) 또는 맵 텍스트(줄 단위)를 초안으로 변환. 실패 시 null. */
+  function importDraft(text) {
+    var source = String(text || "").trim();
+    if (!source) {
+      return null;
+    }
+    if (source.charAt(0) === "{") {
+      try {
+        var payload = JSON.parse(source);
+        return payload ? draftFromRows(payload.rows, payload.snakeLength, payload) : null;
+      } catch (_error) {
+        return null;
+      }
+    }
+    var rows = source.split(/\r?\n/).map(function trimLine(line) {
+      return line.trim();
+    }).filter(function keepLine(line) {
+      return line.length > 0;
+    });
+    return draftFromRows(rows, 1);
+  }
+
+  function loadStoredDraft() {
+    try {
+      var raw = global.localStorage.getItem(STORAGE_KEYS.EDITOR_DRAFT);
+      if (!raw) {
+        return null;
+      }
+      var parsed = JSON.parse(raw);
+      if (!parsed || typeof parsed !== "object") {
+        return null;
+      }
+      return draftFromRows(parsed.rows, parsed.snakeLength, parsed);
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  function saveStoredDraft(draft) {
+    try {
+      global.localStorage.setItem(
+        STORAGE_KEYS.EDITOR_DRAFT,
+        JSON.stringify(
+          Object.assign(
+            {
+              version: DRAFT_VERSION,
+              rows: getRows(draft),
+              snakeLength: draft.snakeLength,
+            },
+            draftOptions(draft)
+          )
+        )
+      );
+      return true;
+    } catch (_error) {
+      return false;
+    }
+  }
+
+  // ── DOM 컨트롤러 ──
+
+  /**
+   * 에디터 캔버스에 초안을 그린다. 보드 비율을 유지하며 가운데 정렬.
+   * @returns {{ tile: number, offsetX: number, offsetY: number }} 포인터 좌표 변환용 레이아웃
+   */
+  function drawDraft(canvas, draft, validation) {
+    var ctx = canvas.getContext("2d");
+    var tile = Math.min(canvas.width / draft.width, canvas.height / draft.height);
+    var offsetX = (canvas.width - draft.width * tile) / 2;
+    var offsetY = (canvas.height - draft.height * tile) / 2;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    for (var y = 0; y < draft.height; y += 1) {
+      for (var x = 0; x < draft.width; x += 1) {
+        var char = draft.grid[y][x];
+        var px = offsetX + x * tile;
+        var py = offsetY + y * tile;
+        ctx.fillStyle = paletteColor(char);
+        ctx.fillRect(px, py, tile, tile);
+        if (char !== "#" && char !== ".") {
+          // 채널 2 이상인 스위치/차단문은 채널 번호를 붙여 "H2"처럼 표시한다
+          var label = char + (draft.channels[cellKey(x, y)] || "");
+          ctx.fillStyle = char === "X" || char === "E" ? "#ffffff" : "#212453";
+          var fontScale = label.length > 1 ? 0.42 : 0.6;
+          ctx.font = "700 " + Math.max(8, Math.floor(tile * fontScale)) + 'px "Fredoka", sans-serif';
+          ctx.textAlign = "center";
+          ctx.textBaseline = "middle";
+          ctx.fillText(label, px + tile / 2, py + tile / 2 + 1);
+        }
+      }
+    }
+
+    ctx.strokeStyle = "rgba(33, 36, 83, 0.18)";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (var gx = 0; gx <= draft.width; gx += 1) {
+      ctx.moveTo(offsetX + gx * tile, offsetY);
+      ctx.lineTo(offsetX + gx * tile, offsetY + draft.height * tile);
+    }
+    for (var gy = 0; gy <= draft.height; gy += 1) {
+      ctx.moveTo(offsetX, offsetY + gy * tile);
+      ctx.lineTo(offsetX + draft.width * tile, offsetY + gy * tile);
+    }
+    ctx.stroke();
+
+    if (validation && !validation.ok) {
+      ctx.strokeStyle = "#ff4d4d";
+      ctx.lineWidth = 3;
+      ctx.strokeRect(offsetX + 1.5, offsetY + 1.5, draft.width * tile - 3, draft.height * tile - 3);
+    }
+
+    return { tile: tile, offsetX: offsetX, offsetY: offsetY };
+  }
+
+  /**
+   * 레벨 에디터 UI 컨트롤러 팩토리.
+   * @param {object} deps - DOM refs 및 game, t, setText, showToast, onPlaytest
+   */
+  function createLevelEditor(deps) {
+    var game = deps.game;
+    var t = deps.t;
+    var setText = deps.setText;
+    var showToast = deps.showToast;
+    var canvas = deps.editorCanvas;
+    var paletteNode = deps.editorPalette;
+    var toolButtons = deps.editorToolButtons;
+    var widthInput = deps.editorWidthInput;
+    var heightInput = deps.editorHeightInput;
+    var lengthInput = deps.editorLengthInput;
+    var channelInput = deps.editorChannelInput;
+    var minItemsInput = deps.editorMinItemsInput;
+    var exactLengthInput = deps.editorExactLengthInput;
+    var allItemsToggle = deps.editorAllItemsToggle;
+    var bodyCollisionToggle = deps.editorBodyCollisionToggle;
+    var statusNode = deps.editorStatus;
+    var ioText = deps.editorIoText;
+
+    var draft = loadStoredDraft() || createDraft(GRID_COLS, GRID_ROWS);
+    var selectedChar = "#";
+    var tool = "paint";
+    var layout = null;
+    var validation = null;
+    var painting = false;
+    var paletteButtons = [];
+
+    function draftTitle() {
+      return t("editorDraftTitle");
+    }
+
+    function revalidate() {
+      validation = validateDraft(draft, draftTitle());
+      if (validation.ok) {
+        setText(statusNode, t("editorValid", { width: draft.width, height: draft.height }));
+      } else if (validation.reason === "snake_length") {
+        setText(statusNode, t("editorInvalidLength", { length: draft.snakeLength }));
+      } else {
+        setText(statusNode, t("editorInvalid", { message: validation.message }));
+      }
+      statusNode.classList.toggle("editor-status-error", !validation.ok);
+    }
+
+    function render() {
+      layout = drawDraft(canvas, draft, validation);
+    }
+
+    function commit() {
+      saveStoredDraft(draft);
+      revalidate();
+      render();
+    }
+
+    function syncInputs() {
+      widthInput.value = String(draft.width);
+      heightInput.value = String(draft.height);
+      lengthInput.value = String(draft.snakeLength);
+      // 0 = 조건 없음
+      minItemsInput.value = String(draft.goals.minItems || 0);
+      exactLengthInput.value = String(draft.goals.exactLength || 0);
+      allItemsToggle.checked = !!draft.goals.allItems;
+      bodyCollisionToggle.checked = draft.bodyCollision;
+    }
+
+    function syncSelection() {
+      for (var i = 0; i < paletteButtons.length; i += 1) {
+        var active = paletteButtons[i].getAttribute("data-char") === selectedChar;
+        paletteButtons[i].classList.toggle("active", active);
+        paletteButtons[i].setAttribute("aria-pressed", active ? "true" : "false");
+      }
+      for (var j = 0; j < toolButtons.length; j += 1) {
+        var isActive = toolButtons[j].getAttribute("data-tool") === tool;
+        toolButtons[j].classList.toggle("active", isActive);
+        toolButtons[j].setAttribute("aria-pressed", isActive ? "true" : "false");
+      }
+    }
+
+    function buildPalette() {
+      paletteNode.innerHTML = "";
+      paletteButtons = [];
+      PALETTE.forEach(function addPaletteButton(entry) {
+        var button = document.createElement("button");
+        button.type = "button";
+        button.className = "editor-swatch";
+        button.setAttribute("data-char", entry.char);
+        button.style.setProperty("--swatch", entry.color);
+        button.textContent = entry.char;
+        button.title = t(entry.labelKey);
+        button.setAttribute("aria-label", t(entry.labelKey) + " (" + entry.char + ")");
+        button.addEventListener("click", function onSwatch() {
+          selectedChar = entry.char;
+          if (tool === "erase") {
+            tool = "paint";
+          }
+          syncSelection();
+        });
+        paletteNode.appendChild(button);
+        paletteButtons.push(button);
+      });
+      syncSelection();
+    }
+
+    function cellFromEvent(event) {
+      if (!layout) {
+        return null;
+      }
+      var rect = canvas.getBoundingClientRect();
+      var scaleX = canvas.width / rect.width;
+      var scaleY = canvas.height / rect.height;
+      var px = (event.clientX - rect.left) * scaleX;
+      var py = (event.clientY - rect.top) * scaleY;
+      var x = Math.floor((px - layout.offsetX) / layout.tile);
+      var y = Math.floor((py - layout.offsetY) / layout.tile);
+      if (x < 0 || y < 0 || x >= draft.width || y >= draft.height) {
+        return null;
+      }
+      return { x: x, y: y };
+    }
+
+    function applyTool(cell, isDrag) {
+      if (!cell) {
+        return;
+      }
+      var changed = false;
+      var channel = normalizeChannel(channelInput.value);
+      if (tool === "fill") {
+        if (!isDrag) {
+          changed = floodFill(draft, cell.x, cell.y, selectedChar, channel) > 0;
+        }
+      } else {
+        changed = setCell(draft, cell.x, cell.y, tool === "erase" ? "." : selectedChar, channel);
+      }
+      if (changed) {
+        commit();
+      }
+    }
+
+    canvas.addEventListener("pointerdown", function onEditorPointerDown(event) {
+      event.preventDefault();
+      painting = true;
+      if (canvas.setPointerCapture) {
+        canvas.setPointerCapture(event.pointerId);
+      }
+      applyTool(cellFromEvent(event), false);
+    });
+
+    canvas.addEventListener("pointermove", function onEditorPointerMove(event) {
+      if (!painting) {
+        return;
+      }
+      applyTool(cellFromEvent(event), true);
+    });
+
+    function stopPainting() {
+      painting = false;
+    }
+    canvas.addEventListener("pointerup", stopPainting);
+    canvas.addEventListener("pointercancel", stopPainting);
+
+    for (var i = 0; i < toolButtons.length; i += 1) {
+      toolButtons[i].addEventListener("click", function onToolClick(event) {
+        event.preventDefault();
+        var nextTool = event.currentTarget.getAttribute("data-tool");
+        if (TOOLS.indexOf(nextTool) !== -1) {
+          tool = nextTool;
+          syncSelection();
+        }
+      });
+    }
+
+    function onSizeChange() {
+      resizeDraft(draft, widthInput.value, heightInput.value);
+      syncInputs();
+      commit();
+    }
+    widthInput.addEventListener("change", onSizeChange);
+    heightInput.addEventListener("change", onSizeChange);
+
+    lengthInput.addEventListener("change", function onLengthChange() {
+      draft.snakeLength = clamp(Math.round(Number(lengthInput.value) || 1), 1, MAX_SNAKE_LENGTH);
+      syncInputs();
+      commit();
+    });
+
+    channelInput.addEventListener("change", function onChannelChange() {
+      channelInput.value = String(normalizeChannel(channelInput.value));
+    });
+
+    function onOptionsChange() {
+      applyOptions(
+        draft,
+        Object.assign(draftOptions(draft), {
+          bodyCollision: bodyCollisionToggle.checked,
+          minItems: minItemsInput.value,
+          allItems: allItemsToggle.checked,
+          exactLength: exactLengthInput.value,
+        })
+      );
+      syncInputs();
+      commit();
+    }
+    minItemsInput.addEventListener("change", onOptionsChange);
+    exactLengthInput.addEventListener("change", onOptionsChange);
+    allItemsToggle.addEventListener("change", onOptionsChange);
+    bodyCollisionToggle.addEventListener("change", onOptionsChange);
+
+    function playtest() {
+      revalidate();
+      if (!validation.ok) {
+        showToast(t("editorPlaytestBlocked"), "error");
+        return false;
+      }
+      if (!game.startPlaytest(validation.level)) {
+        return false;
+      }
+      if (deps.onPlaytest) {
+        deps.onPlaytest();
+      }
+      return true;
+    }
+
+    function newDraft() {
+      draft = createDraft(draft.width, draft.height);
+      draft.snakeLength = clamp(Math.round(Number(lengthInput.value) || 1), 1, MAX_SNAKE_LENGTH);
+      syncInputs();
+      commit();
+    }
+
+    function exportToText() {
+      var json = exportDraft(draft);
+      ioText.value = json;
+      if (!global.navigator || !navigator.clipboard || !navigator.clipboard.writeText) {
+        showToast(t("editorExported"));
+        return;
+      }
+      navigator.clipboard
+        .writeText(json)
+        .then(function onCopied() {
+          showToast(t("editorExportCopied"), "success");
+        })
+        .catch(function onCopyFail() {
+          showToast(t("editorExported"));
+        });
+    }
+
+    function importFromText() {
+      var imported = importDraft(ioText.value);
+      if (!imported) {
+        showToast(t("editorImportFail"), "error");
+        return false;
+      }
+      draft = imported;
+      syncInputs();
+      commit();
+      showToast(t("editorImported"), "success");
+      return true;
+    }
+
+    function applyLanguage() {
+      buildPalette();
+      revalidate();
+    }
+
+    function update() {
+      render();
+    }
+
+    channelInput.value = "1";
+    syncInputs();
+    buildPalette();
+    revalidate();
+    render();
+
+    return {
+      update: update,
+      render: render,
+      applyLanguage: applyLanguage,
+      playtest: playtest,
+      newDraft: newDraft,
+      exportToText: exportToText,
+      importFromText: importFromText,
+      getDraft: function getDraft() {
+        return draft;
+      },
+    };
+  }
+
+  global.WormGameLevelEditor = Object.freeze({
+    PALETTE: PALETTE,
+    TOOLS: TOOLS,
+    EDITOR_LEVEL_ID: EDITOR_LEVEL_ID,
+    createDraft: createDraft,
+    draftFromRows: draftFromRows,
+    getRows: getRows,
+    setCell: setCell,
+    floodFill: floodFill,
+    resizeDraft: resizeDraft,
+    toLevelDef: toLevelDef,
+    validateDraft: validateDraft,
+    exportDraft: exportDraft,
+    importDraft: importDraft,
+    loadStoredDraft: loadStoredDraft,
+    saveStoredDraft: saveStoredDraft,
+    createLevelEditor: createLevelEditor,
+  });
+})(window);
@@ -0,0 +1,119 @@
+/**
+ * level-pars.js — 레벨별 기준 이동 수, 별 기준 젤리 수, 힌트용 최적 경로 (자동 생성 — 직접 수정하지 말 것)
+ *
+ * `node scripts/validate-levels.js --write-pars`가 다시 만든다.
+ * par는 솔버 최단 이동 수, starJelly는 par 여유(STAR_PAR_TOLERANCE) 안에서 모을 수 있는 최대 젤리 수.
+ * route는 시작 지점부터의 솔버 최단 경로("UDLR")로, 인게임 힌트가 탐색 상한을 넘는 레벨에서도 처음부터 쓸 수 있게 한다.
+ * 직접 정한 기준이 필요하면 레벨 정의에 par/starJelly를 적는다 (이 표보다 우선).
+ *
+ * @module  WormGameLevelPars
+ * @exports global.WormGameLevelPars  { [levelId]: { par, starJelly, route } }
+ *
+ * ES Module 전환 시: export const LEVEL_PARS = { ... }
+ */
+(function attachLevelPars(global) {
+  "use strict";
+
+  global.WormGameLevelPars = Object.freeze({
+    1: { par: 27, starJelly: 4, route: "DDDDDDDDRRRRRRRRRRRRRRRRDDD" },
+    2: { par: 61, starJelly: 3, route: "RRRRDDDDRRUURRDDRRUUUURRRRRRRDDDDDDLLLUURUULLLDDDDDDRRRRRDDDL" },
+    3: { par: 28, starJelly: 2, route: "RRRRRRRRRRRRRRRRRDDDDDDDDDDD" },
+    4: { par: 29, starJelly: 4, route: "RRDDRRRRRRRRDDDDDDDDDRRRRRRRD" },
+    5: { par: 58, starJelly: 3, route: "DDDDRRRDDLLLDDDDDDRRRRRRRUULLLLLUURRRUUUURRRRRRRRDDDDDDRDD" },
+    6: { par: 36, starJelly: 5, route: "RRRRRRRRRRRRRRRRRDDDDDLLDLDDRRRDDDDL" },
+    7: { par: 29, starJelly: 5, route: "DDDDDDDDDDDDRRRRRRRRRRRRRRRRR" },
+    8: { par: 27, starJelly: 5, route: "DDDDDDDDDRDRRRDDRRRRRRRRRRR" },
+    9: { par: 27, starJelly: 6, route: "DDDDRRDRRDRRRRRRDDDDDDRRRRR" },
+    10: { par: 27, starJelly: 6, route: "DDDDDDDDDDRRRDDRRRRRRRRRRRR" },
+    11: { par: 27, starJelly: 6, route: "DDDDDDDDRRRRRRRRRRRRRRRRDDD" },
+    12: { par: 57, starJelly: 2, route: "RRRRDDRRURRDDDRRUUUURRRRRRRDDDDDDLLLUURUULLLDDDDDDRRRRDDD" },
+    13: { par: 28, starJelly: 2, route: "RRRRRRRRRRRRRRRRRDDDDDDDDDDD" },
+    14: { par: 24, starJelly: 6, route: "DDDDDDDDDDDDDDDDDDDDDDDD" },
+    15: { par: 54, starJelly: 6, route: "DDDDRDDLDDDDDDRRRRRRRUULLLLLUURRRUUUURRRRRRDDDDDDDDRRR" },
+    16: { par: 32, starJelly: 8, route: "RRRRRRRRRRDDRRRRRDDLDDDDRRRDDDDL" },
+    17: { par: 29, starJelly: 6, route: "RRDDDDDDDDDDDDRRRRRRRRRRRRRRR" },
+    18: { par: 25, starJelly: 8, route: "DDDDDDDDRRUDDLLDDDDDDDDDD" },
+    19: { par: 31, starJelly: 6, route: "DDDDRRDDLLDDDDDDRRRRRRRRRRRRRRR" },
+    20: { par: 27, starJelly: 7, route: "DDDDDDDDDDRRRRDDRRRRRRRRRRR" },
+    21: { par: 27, starJelly: 8, route: "DDDDDDDDRRRRRRRRRRRRRRRRDDD" },
+    22: { par: 33, starJelly: 7, route: "DDRRDDLLDDRRRRRRRRRRDDRRRRRRRDDDL" },
+    23: { par: 28, starJelly: 4, route: "RRRRRRRRRRRRRRRRDDRDDDDDDDDD" },
+    24: { par: 27, starJelly: 4, route: "DDDDDRRDDLLDDDDDDDDDDDDDDDD" },
+    25: { par: 38, starJelly: 4, route: "DDDDRDDLDDDDDDRRRRRRRUULUURRRDDDDRRRRR" },
+    26: { par: 28, starJelly: 4, route: "RRRRRRRRRRRRDDDDDDDDDDRRDDRR" },
+    27: { par: 29, starJelly: 6, route: "DDDDDDDDDDDDRRRRRRRRRRRRRRRRR" },
+    28: { par: 27, starJelly: 5, route: "DDDDDDDDDDDRDRRRRRRRRRRRRRR" },
+    29: { par: 27, starJelly: 3, route: "DDDDRRDDRRRRRRRRDDDDDDRRRRR" },
+    30: { par: 22, starJelly: 4, route: "DDDDDDDDDDDDDDDDDDDDDD" },
+    31: { par: 27, starJelly: 7, route: "DDDDDDDDRRRRRRRRRRRRRRRRDDD" },
+    32: { par: 34, starJelly: 5, route: "DDRRDDLLDDDDDDLLDDLDDDDDDRRRRRDDDL" },
+    33: { par: 28, starJelly: 4, route: "RRRRRRRRRRRRRRRRRDDDDDDDDDDD" },
+    34: { par: 27, starJelly: 7, route: "DDDDDRRDDLLDDRRDDDDDDDDDDDD" },
+    35: { par: 64, starJelly: 9, route: "DDDDRRRDDRRUURRRRRRRRDDDRRUUUUULLLLLLLUURRRRRRRRDRDDDDDDDDDDDLLL" },
+    36: { par: 30, starJelly: 5, route: "RRRRRRRRRRRRRRRRRDDDDDDDDDDDDL" },
+    37: { par: 29, starJelly: 6, route: "RRDDDDDDDDDDDDRRRRRRRRRRRRRRR" },
+    38: { par: 24, starJelly: 5, route: "DDDDDDDDDDDDRDDDDDDDDDLL" },
+    39: { par: 31, starJelly: 7, route: "DDDDRRDDDDRRUURRRRRRDDDDDDRRRRR" },
+    40: { par: 26, starJelly: 8, route: "DDDDDDDDDDDRRRDDDDDDDDDDLL" },
+    41: { par: 23, starJelly: 6, route: "DDDDDDDDDDDRDDDDDDDRDDD" },
+    42: { par: 41, starJelly: 8, route: "DDRRDDLLDDDDDDDDRULLUUULLLDDDDDDRRRRRDDDL" },
+    43: { par: 28, starJelly: 6, route: "DDDDDRRDDLLDDDDDDRRDDDDDDDDD" },
+    44: { par: 27, starJelly: 7, route: "DDDDDRRDDLLDDDDRRRDDDDDDDDD" },
+    45: { par: 58, starJelly: 10, route: "DDDDRRRDDLLLDDDDDDRLLLLLLLLLLUURRRRRRRRRRRDRDDDDDDDDDDDLLL" },
+    46: { par: 32, starJelly: 6, route: "RRRRRRRRRRRRRRRDDDDLDDRDDRRDDDDL" },
+    47: { par: 25, starJelly: 10, route: "DDDDDDDDDDDDRRDRRDDDDDDDD" },
+    48: { par: 27, starJelly: 7, route: "DDDDDDDDDDRDDRRRRRRRRRRRRRR" },
+    49: { par: 24, starJelly: 8, route: "DDDDRDDLDDDDDDDDDDDDDDLL" },
+    50: { par: 26, starJelly: 7, route: "DDDDDDDDDDDDDDDDDDDDDDDDLL" },
+    51: { par: 21, starJelly: 3, route: "DDDDDDDDDDDRDDDDDDDDL" },
+    52: { par: 44, starJelly: 6, route: "RRRRDDDDRDDLLLLLDDDDDUUULLLLLDDDDDDRRRRRDDDL" },
+    53: { par: 28, starJelly: 5, route: "RRRRRRRRRRRRRRRRRDDDDDDDDDDD" },
+    54: { par: 27, starJelly: 7, route: "DDDDDRRDDLLDDDDRDDDDDDDDDDD" },
+    55: { par: 26, starJelly: 2, route: "DDDDRRRRRDRRDDDRRDDDDRRRRR" },
+    56: { par: 30, starJelly: 6, route: "RRRRRRRRRRRRRRDDRDDLDDDDRDDDDR" },
+    57: { par: 29, starJelly: 8, route: "RRRRRRRRRRRRRRRRRDDDDDDDDDDDD" },
+    58: { par: 24, starJelly: 6, route: "DDDDDDRRDDRRLLDDDDDDDDDD" },
+    59: { par: 25, starJelly: 8, route: "DDDDDDDDDDRDDDDDDDLDDDDDL" },
+    60: { par: 27, starJelly: 6, route: "DDDDDDDDDDRRRRDDRRRRRRRRRRR" },
+    61: { par: 26, starJelly: 5, route: "DDDDDDDDDDDRDRRDDDDDDRDDDD" },
+    62: { par: 29, starJelly: 5, route: "RRRRRRDRRDRRDRRDDDDDRRRRRDDDL" },
+    63: { par: 28, starJelly: 8, route: "RRRRRRRRRRRRRDDDDRRDDRRDDDDD" },
+    64: { par: 28, starJelly: 8, route: "DDRDDDRDDLLDDDDDDDDDDDDDDDDD" },
+    65: { par: 35, starJelly: 5, route: "DDDDDDDDDDDDRRRRRUURDDDDDDDDDDDDLLL" },
+    66: { par: 30, starJelly: 6, route: "RRRRRRRRRRRRRRRRRDDDDDDDDDDDDL" },
+    67: { par: 29, starJelly: 3, route: "RRRRRRRRRRRRRRDRRRDDDDDDDDDDD" },
+    68: { par: 27, starJelly: 5, route: "DDDDDDDRRDDDRRDDRRRRRRRRRRR" },
+    69: { par: 27, starJelly: 8, route: "DDDDRDDRRRRRRRRRDDDDDDRRRRR" },
+    70: { par: 27, starJelly: 7, route: "DDDDDDDDDDRRRRRRRDRRDRRRRRR" },
+    71: { par: 21, starJelly: 5, route: "DDDDDDRDDDDLDDDDDDDDL" },
+    72: { par: 35, starJelly: 7, route: "RRRRDDDDRRUUURRDDDRRRRDDDDRRRRRDDDL" },
+    73: { par: 28, starJelly: 3, route: "RRRRRRRRRRRRRRRDDRRDDDDDDDDD" },
+    74: { par: 29, starJelly: 7, route: "RRRRRRRRRRRRDDRDDDDDDDRRRRDDD" },
+    75: { par: 30, starJelly: 5, route: "DDDDRRRDDLLDDRRRRRRRRDDDDRRRRR" },
+    76: { par: 30, starJelly: 11, route: "RRRRRRRRRRRRRRRDDDDLDDDDRDDRDD" },
+    77: { par: 22, starJelly: 7, route: "DDDDDDDDDDDRDDDDDDDDDD" },
+    78: { par: 27, starJelly: 5, route: "DDDDDDDDDRDDDRRRRRRRRRRRRRR" },
+    79: { par: 27, starJelly: 7, route: "DDDDRDDLDDDDDDDDRDDDDLDDDDL" },
+    80: { par: 26, starJelly: 4, route: "DDDDDDDDDDDDDDDDDDDDDDDDLL" },
+    81: { par: 22, starJelly: 5, route: "DDRDDDDDDDRDDDDDDDDDDL" },
+    82: { par: 33, starJelly: 7, route: "DDRRDDLLDDRRRRRRRRRRDRRDRRRRRDDDL" },
+    83: { par: 28, starJelly: 8, route: "RRRRRRRRRRRRDDDDRRRDDDDDRRDD" },
+    84: { par: 29, starJelly: 6, route: "RRRRRRRRDDRRDDDDDDDDDRRRRRRRD" },
+    85: { par: 24, starJelly: 9, route: "DDDRDRDDRDDDDDDDDDDDDLLL" },
+    86: { par: 28, starJelly: 7, route: "RRRRRRRRRRDRRDDDDDDRRDDDDDRR" },
+    87: { par: 22, starJelly: 6, route: "DDDDDDDDDDDDDDDDRDDRDD" },
+    88: { par: 27, starJelly: 5, route: "DDDDDDDDDDRRRRDDRRRRRRRRRRR" },
+    89: { par: 26, starJelly: 6, route: "DDDDDDDDDDDDRDDDDDDDDDDDLL" },
+    90: { par: 27, starJelly: 5, route: "DDDDDDDDDDRDRRDRRRRRRRRRRRR" },
+    91: { par: 22, starJelly: 3, route: "DDDRDDDLDDDDRDLDDDDDDD" },
+    92: { par: 31, starJelly: 3, route: "RRRRDDRRURRDDDDRRRRDDDRRRRRDDDL" },
+    93: { par: 28, starJelly: 8, route: "RRRRRRRRRRRRDDRRRRRDDDDDDDDD" },
+    94: { par: 29, starJelly: 7, route: "RRRRRRRRDDRRDDDDDDDRRRRRRDDRD" },
+    95: { par: 32, starJelly: 1, route: "DDDDRRRUUURRDRRDDDRDRRRDDDDDDRRR" },
+    96: { par: 28, starJelly: 8, route: "RRRRRRRRDRRDDRRDDDDDDDRDDRRR" },
+    97: { par: 27, starJelly: 9, route: "RRRDDLDDDDDDDDDDLLDDRDDDDDD" },
+    98: { par: 24, starJelly: 7, route: "DDDDDDDDDDDDRLDDDDDDDDDD" },
+    99: { par: 27, starJelly: 4, route: "DDDDRRRDDRRRRRRRDDDDDDRRRRR" },
+    100: { par: 27, starJelly: 3, route: "DDDDDDDDDDRRRRRRRRDDRRRRRRR" },
+  });
+})(window);
@@ -2,18 +2,37 @@
  * levels.js — 레벨 데이터 100개 + 월드 메타 정보
  *
  * @module  WormGameLevels
- * @depends WormGameConstants (TILE, GRID_COLS, GRID_ROWS)
- * @exports global.WormGameLevels  { LEVELS, TOTAL_LEVELS, WORLD_TITLES }
+ * @depends WormGameConstants (TILE, TILE_META, MIN_GRID_SIZE, MAX_GRID_COLS, MAX_GRID_ROWS, getBoardSize, getPortalInfo)
+ * @depends WormGameLevelPars (자동 생성된 레벨별 기준 이동 수·별 기준 젤리 수·힌트용 최적 경로, 없으면 par 없음)
+ * @exports global.WormGameLevels  { LEVELS, TOTAL_LEVELS, WORLD_TITLES, generateEndlessDef }
  *
- * ES Module 전환 시: import { TILE, GRID_COLS, GRID_ROWS } from './constants.js'
+ * 포털 채널: P/Q = 채널 1, 같은 숫자 두 칸(2, 3, 4) = 채널 2~4.
+ * 방향 타일: ^ v < > = 일방통행, w s a d = 컨베이어 (위/아래/왼쪽/오른쪽).
+ * 열쇠/문: k = 금색 열쇠, D = 금색 문, j = 파란 열쇠, J = 파란 문 (같은 색 열쇠를 먹어야 그 색 문이 모두 열린다).
+ * 신 젤리: u = 꼬리 1칸 감소, U = 꼬리 2칸 감소 (길이 1 미만으로는 줄지 않는다).
+ * 바위/구멍: B = 머리로 미는 바위, O = 구멍 (바위를 밀어 넣으면 메워진다).
+ * 스위치/차단문: _ = 스위치, H = 차단문. 레벨 정의의 channels({ "x,y": 채널 번호 })로 짝을 짓고,
+ *   적지 않은 칸은 채널 1이다. 스위치 위에 몸통이나 바위가 있는 동안 같은 채널 차단문이 열린다.
+ * 출구 조건(선택): 레벨 정의의 minItems(젤리 N개), allItems(젤리 전부), exactLength(정확한 길이).
+ *   parseMap 결과의 goals에 모이며, 조건을 채우기 전에는 출구가 닫혀 있다.
+ *
+ * ES Module 전환 시: import { TILE, TILE_META, MIN_GRID_SIZE, MAX_GRID_COLS, MAX_GRID_ROWS, getBoardSize, getPortalInfo } from './constants.js';
+ *                    import { LEVEL_PARS } from './level-pars.js'
  */
 (function attachLevels(global) {
   "use strict";
 
   var constants = global.WormGameConstants;
   var TILE = constants.TILE;
-  var GRID_COLS = constants.GRID_COLS;
-  var GRID_ROWS = constants.GRID_ROWS;
+  var TILE_META = constants.TILE_META;
+  var MIN_GRID_SIZE = constants.MIN_GRID_SIZE;
+  var MAX_GRID_COLS = constants.MAX_GRID_COLS;
+  var MAX_GRID_ROWS = constants.MAX_GRID_ROWS;
+  var getPortalInfo = constants.getPortalInfo;
+  var LEVEL_PARS = global.WormGameLevelPars || {};
+  /** 끝없는 모드 보드 상한 (홀수 — 미로 벽이 닫히도록). 더 크면 솔버 검사가 눈에 띄게 느려진다. */
+  var ENDLESS_MAX_COLS = 25;
+  var ENDLESS_MAX_ROWS = 17;
 
   var STAGE_TITLES = [
     "Warm-Up Lanes",
@@ -329,12 +348,12 @@
     return rows.slice();
   }
 
-  function isInside(x, y) {
-    return x >= 0 && y >= 0 && x < GRID_COLS && y < GRID_ROWS;
+  function isInside(grid, x, y) {
+    return y >= 0 && y < grid.length && x >= 0 && x < grid[y].length;
   }
 
-  function isInterior(x, y) {
-    return x > 0 && y > 0 && x < GRID_COLS - 1 && y < GRID_ROWS - 1;
+  function isInterior(grid, x, y) {
+    return y > 0 && y < grid.length - 1 && x > 0 && x < grid[y].length - 1;
   }
 
   function isCharWalkable(char) {
@@ -342,8 +361,8 @@
   }
 
   function findChar(grid, target) {
-    for (var y = 0; y < GRID_ROWS; y += 1) {
-      for (var x = 0; x < GRID_COLS; x += 1) {
+    for (var y = 0; y < grid.length; y += 1) {
+      for (var x = 0; x < grid[y].length; x += 1) {
         if (grid[y][x] === target) {
           return { x: x, y: y };
         }
@@ -387,7 +406,7 @@
       for (var i = 0; i < dirs.length; i += 1) {
         var nx = node.x + dirs[i].x;
         var ny = node.y + dirs[i].y;
-        if (!isInside(nx, ny)) {
+        if (!isInside(grid, nx, ny)) {
           continue;
         }
         if (!isCharWalkable(grid[ny][nx])) {
@@ -417,8 +436,8 @@
 
   function collectCells(grid, predicate) {
     var result = [];
-    for (var y = 0; y < GRID_ROWS; y += 1) {
-      for (var x = 0; x < GRID_COLS; x += 1) {
+    for (var y = 0; y < grid.length; y += 1) {
+      for (var x = 0; x < grid[y].length; x += 1) {
         if (predicate(grid[y][x], x, y)) {
           result.push({ x: x, y: y });
         }
@@ -476,14 +495,14 @@
       var nx = origin.x + dir.x;
       var ny = origin.y + dir.y;
 
-      if (!isInterior(nx, ny) || grid[ny][nx] !== "#") {
+      if (!isInterior(grid, nx, ny) || grid[ny][nx] !== "#") {
         continue;
       }
 
       var len = 1 + Math.floor(rand() * maxLen);
       var carved = 0;
       for (var step = 0; step < len; step += 1) {
-        if (!isInterior(nx, ny) || grid[ny][nx] !== "#") {
+        if (!isInterior(grid, nx, ny) || grid[ny][nx] !== "#") {
           break;
         }
         grid[ny][nx] = ".";
@@ -562,19 +581,26 @@
     var rand = createRng(world * 100003 + stage * 17011 + 97);
     var transformed = transformMap(baseRows, chooseTransform(world, stage));
     var grid = toGrid(transformed);
+    return decorateGrid(grid, world, stage, rand) ? toRows(grid) : transformed;
+  }
 
+  /**
+   * enhanceMap 파이프라인 본체: 가지 통로를 파고, 안전 경로 밖에 장애물/포털/젤리/스타를 배치한다.
+   * grid를 직접 바꾸며, 출발~출구 경로가 없으면 false.
+   */
+  function decorateGrid(grid, world, stage, rand) {
     var spawn = findChar(grid, "S");
     var exit = findChar(grid, "E");
     var safePath = bfsPath(grid, spawn, exit);
     if (!safePath.length) {
-      return transformed;
+      return false;
     }
 
     carveBranches(grid, safePath, world, stage, rand);
 
     safePath = bfsPath(grid, spawn, exit);
     if (!safePath.length) {
-      return transformed;
+      return false;
     }
 
     var safeSet = buildKeySet(safePath);
@@ -669,7 +695,109 @@
     placeSymbols(grid, "G", bigGrowth, sideOpen, rand);
     placeSymbols(grid, "T", starCount, sideOpen, rand);
 
-    return toRows(grid);
+    return true;
+  }
+
+  /** 홀수 좌표 칸을 잇는 미로 (반복형 백트래킹). width/height는 홀수여야 바깥 벽이 닫힌다. */
+  function carveMaze(width, height, rand) {
+    var grid = [];
+    for (var y = 0; y < height; y += 1) {
+      var row = [];
+      for (var x = 0; x < width; x += 1) {
+        row.push("#");
+      }
+      grid.push(row);
+    }
+
+    var dirs = [
+      { x: 2, y: 0 },
+      { x: -2, y: 0 },
+      { x: 0, y: 2 },
+      { x: 0, y: -2 },
+    ];
+    var stack = [{ x: 1, y: 1 }];
+    grid[1][1] = ".";
+    while (stack.length > 0) {
+      var cell = stack[stack.length - 1];
+      var options = shuffleInPlace(dirs.slice(), rand).filter(function isUncarved(dir) {
+        var nx = cell.x + dir.x;
+        var ny = cell.y + dir.y;
+        return isInterior(grid, nx, ny) && grid[ny][nx] === "#";
+      });
+      if (!options.length) {
+        stack.pop();
+        continue;
+      }
+      var dir = options[0];
+      grid[cell.y + dir.y / 2][cell.x + dir.x / 2] = ".";
+      grid[cell.y + dir.y][cell.x + dir.x] = ".";
+      stack.push({ x: cell.x + dir.x, y: cell.y + dir.y });
+    }
+    return grid;
+  }
+
+  /** start에서 걸어서 가장 먼 칸 (미로의 출구 자리). */
+  function findFarthestCell(grid, start) {
+    var queue = [{ x: start.x, y: start.y, d: 0 }];
+    var seen = {};
+    seen[pointKey(start.x, start.y)] = true;
+    var farthest = queue[0];
+    for (var head = 0; head < queue.length; head += 1) {
+      var node = queue[head];
+      if (node.d > farthest.d) {
+        farthest = node;
+      }
+      var next = [
+        { x: node.x + 1, y: node.y },
+        { x: node.x - 1, y: node.y },
+        { x: node.x, y: node.y + 1 },
+        { x: node.x, y: node.y - 1 },
+      ];
+      for (var i = 0; i < next.length; i += 1) {
+        var key = pointKey(next[i].x, next[i].y);
+        if (!seen[key] && isInside(grid, next[i].x, next[i].y) && isCharWalkable(grid[next[i].y][next[i].x])) {
+          seen[key] = true;
+          queue.push({ x: next[i].x, y: next[i].y, d: node.d + 1 });
+        }
+      }
+    }
+    return { x: farthest.x, y: farthest.y };
+  }
+
+  /**
+   * 끝없는 모드 레벨 정의: 시드 미로에 enhanceMap과 같은 장식 단계를 적용한다.
+   * depth가 깊어질수록 보드가 커지고, 장식 강도(월드 단계)와 규칙(길이 2, 몸통 충돌)이 기본 레벨처럼 올라간다.
+   * 클리어 가능 여부는 확인하지 않는다 (endless.js가 솔버로 검사).
+   *
+   * @param {number} seed - 32bit 정수
+   * @param {number} depth - 1부터
+   */
+  function generateEndlessDef(seed, depth) {
+    var level = Math.max(1, Math.floor(depth) || 1);
+    var tier = Math.min(10, 1 + Math.floor((level - 1) / 3));
+    var stage = ((level - 1) % 10) + 1;
+    var width = Math.min(ENDLESS_MAX_COLS, 11 + 2 * Math.floor(level / 3));
+    var height = Math.min(ENDLESS_MAX_ROWS, 9 + 2 * Math.floor(level / 4));
+    var rand = createRng(seed);
+
+    var grid = carveMaze(width, height, rand);
+    var spawn = { x: 1, y: 1 };
+    var exit = findFarthestCell(grid, spawn);
+    grid[spawn.y][spawn.x] = "S";
+    grid[exit.y][exit.x] = "E";
+    decorateGrid(grid, tier, stage, rand);
+
+    return {
+      id: 0,
+      world: tier,
+      stage: stage,
+      title: "Endless " + level,
+      snakeLength: tier >= 9 ? 2 : 1,
+      bodyCollision: tier >= 6,
+      theme: (level - 1) % constants.THEMES.length,
+      character: createCharacter(((level - 1) % 100) + 1, tier, stage),
+      map: toRows(grid),
+    };
   }
 
   function numberWord(n) {
@@ -750,6 +878,7 @@
       title:
         "W" + world + "-L" + stage + " " + WORLD_TITLES[world - 1] + " / " + STAGE_TITLES[stage - 1],
       snakeLength: world >= 9 ? 2 : 1,
+      bodyCollision: world >= 6,
       theme: (world - 1) % constants.THEMES.length,
       character: createCharacter(id, world, stage),
       map: map,
@@ -798,30 +927,262 @@
     if (char === "Q") {
       return TILE.PORTAL_B;
     }
+    if (char === "2") {
+      return TILE.PORTAL_2;
+    }
+    if (char === "3") {
+      return TILE.PORTAL_3;
+    }
+    if (char === "4") {
+      return TILE.PORTAL_4;
+    }
+    if (char === "^") {
+      return TILE.ONE_WAY_UP;
+    }
+    if (char === "v") {
+      return TILE.ONE_WAY_DOWN;
+    }
+    if (char === "<") {
+      return TILE.ONE_WAY_LEFT;
+    }
+    if (char === ">") {
+      return TILE.ONE_WAY_RIGHT;
+    }
+    if (char === "w") {
+      return TILE.CONVEYOR_UP;
+    }
+    if (char === "s") {
+      return TILE.CONVEYOR_DOWN;
+    }
+    if (char === "a") {
+      return TILE.CONVEYOR_LEFT;
+    }
+    if (char === "d") {
+      return TILE.CONVEYOR_RIGHT;
+    }
+    if (char === "k") {
+      return TILE.KEY;
+    }
+    if (char === "D") {
+      return TILE.DOOR;
+    }
+    if (char === "j") {
+      return TILE.KEY_BLUE;
+    }
+    if (char === "J") {
+      return TILE.DOOR_BLUE;
+    }
+    if (char === "u") {
+      return TILE.SOUR_ITEM;
+    }
+    if (char === "U") {
+      return TILE.BIG_SOUR_ITEM;
+    }
+    if (char === "B") {
+      return TILE.BOULDER;
+    }
+    if (char === "O") {
+      return TILE.HOLE;
+    }
+    if (char === "_") {
+      return TILE.SWITCH;
+    }
+    if (char === "H") {
+      return TILE.GATE;
+    }
     throw new Error("Unknown map symbol: " + char);
   }
 
+  /** 레벨 정의에 직접 적은 par가 우선, 없으면 자동 생성 표(level-pars.js)의 값. */
+  function resolvePar(levelDef) {
+    var entry = LEVEL_PARS[levelDef.id];
+    var par = levelDef.par != null ? Number(levelDef.par) : Number(entry && entry.par);
+    return par > 0 ? Math.round(par) : null;
+  }
+
+  /**
+   * 젤리 별에 필요한 젤리 수. 레벨 정의의 starJelly가 우선, 없으면 자동 생성 표의 값, 둘 다 없으면 젤리 전부.
+   * 표의 값은 검증기가 par 여유 안에서 실제로 모을 수 있다고 확인한 수다 (함정 칸의 젤리는 모두 모을 수 없다).
+   */
+  function resolveStarJelly(levelDef, jellyCount) {
+    var entry = LEVEL_PARS[levelDef.id];
+    var starJelly = levelDef.starJelly != null ? Number(levelDef.starJelly) : Number(entry && entry.starJelly);
+    if (!Number.isFinite(starJelly)) {
+      return jellyCount;
+    }
+    return Math.max(0, Math.min(jellyCount, Math.round(starJelly)));
+  }
+
+  var ROUTE_DIRECTIONS = Object.freeze({ U: "up", D: "down", L: "left", R: "right" });
+
+  /**
+   * 자동 생성 표에 저장된 시작 지점부터의 최적 경로("UDLR" 문자열)를 방향 이름 목록으로 바꾼다. 없으면 null.
+   * 솔버가 힌트 상한 안에 풀지 못하는 어려운 레벨도 처음부터 힌트를 줄 수 있게 한다 (Game.requestHint).
+   */
+  function resolveRoute(levelDef) {
+    var entry = LEVEL_PARS[levelDef.id];
+    var route = entry && typeof entry.route === "string" ? entry.route : "";
+    var moves = [];
+    for (var i = 0; i < route.length; i += 1) {
+      var direction = ROUTE_DIRECTIONS[route.charAt(i)];
+      if (!direction) {
+        return null;
+      }
+      moves.push(direction);
+    }
+    return moves.length > 0 ? moves : null;
+  }
+
+  /** 채널마다 끝이 정확히 두 개(채널 1은 P 하나 + Q 하나)여야 한다. 짝 없는 포털은 조용히 죽은 칸이 되므로 거부한다. */
+  function validatePortalChannels(levelId, portalCounts) {
+    for (var i = 0; i < constants.PORTAL_CHANNELS.length; i += 1) {
+      var entry = constants.PORTAL_CHANNELS[i];
+      var counts = entry.tiles.map(function countEnds(tile) {
+        return portalCounts[tile] || 0;
+      });
+      var total = counts.reduce(function sum(a, b) {
+        return a + b;
+      }, 0);
+      var paired =
+        total === 0 ||
+        (entry.tiles.length === 1 ? total === 2 : counts.every(function isOne(count) {
+          return count === 1;
+        }));
+      if (!paired) {
+        throw new Error(
+          "Level " + levelId + " portal channel " + entry.channel + " needs exactly one pair (found " + total + " ends)."
+        );
+      }
+    }
+  }
+
+  /** 문마다 같은 색 열쇠가 하나 이상 있어야 한다. 열쇠 없는 문은 영원히 벽이므로 거부한다. */
+  function validateDoors(levelId, keyColors, doorColors) {
+    var colors = Object.keys(doorColors);
+    for (var i = 0; i < colors.length; i += 1) {
+      if (!keyColors[colors[i]]) {
+        throw new Error("Level " + levelId + " has " + colors[i] + " doors but no matching key.");
+      }
+    }
+  }
+
+  /**
+   * 레벨 정의의 출구 조건을 읽는다. 조건이 하나도 없으면 null.
+   * @param {number} jellyCount - 맵의 성장 젤리(I, G) 수
+   * @returns {{ minItems?: number, allItems?: boolean, exactLength?: number } | null}
+   */
+  function parseGoals(levelDef, jellyCount) {
+    var goals = {};
+    var prefix = "Level " + levelDef.id + " ";
+
+    if (levelDef.minItems != null) {
+      var minItems = Number(levelDef.minItems);
+      if (!Number.isInteger(minItems) || minItems < 1 || minItems > jellyCount) {
+        throw new Error(prefix + "minItems must be 1~" + jellyCount + " (got " + levelDef.minItems + ").");
+      }
+      goals.minItems = minItems;
+    }
+    if (levelDef.allItems) {
+      if (jellyCount === 0) {
+        throw new Error(prefix + "allItems needs at least one jelly.");
+      }
+      goals.allItems = true;
+    }
+    if (levelDef.exactLength != null) {
+      var exactLength = Number(levelDef.exactLength);
+      if (!Number.isInteger(exactLength) || exactLength < 1) {
+        throw new Error(prefix + "exactLength must be a positive integer (got " + levelDef.exactLength + ").");
+      }
+      goals.exactLength = exactLength;
+    }
+
+    return Object.keys(goals).length > 0 ? goals : null;
+  }
+
+  /**
+   * 스위치/차단문 칸에 채널 번호를 붙인다. 스위치가 하나도 없으면 null.
+   * channels 키는 스위치나 차단문 칸이어야 하고, 차단문 채널마다 스위치가 하나 이상 있어야 한다.
+   * @param {Array<{x, y, tile}>} cells - 맵에서 찾은 스위치/차단문 칸
+   * @returns {{ switches: Array<{x, y, channel}>, gates: Array<{x, y, channel}> } | null}
+   */
+  function parseChannels(levelDef, cells) {
+    var prefix = "Level " + levelDef.id + " ";
+    var assigned = levelDef.channels || {};
+    var known = {};
+    var result = { switches: [], gates: [] };
+    var switchChannels = {};
+
+    for (var i = 0; i < cells.length; i += 1) {
+      var cell = cells[i];
+      var key = cell.x + "," + cell.y;
+      var channel = assigned[key] != null ? Number(assigned[key]) : 1;
+      if (!Number.isInteger(channel) || channel < 1) {
+        throw new Error(prefix + "channel at " + key + " must be a positive integer (got " + assigned[key] + ").");
+      }
+      known[key] = true;
+      if (cell.tile === TILE.SWITCH) {
+        result.switches.push({ x: cell.x, y: cell.y, channel: channel });
+        switchChannels[channel] = true;
+      } else {
+        result.gates.push({ x: cell.x, y: cell.y, channel: channel });
+      }
+    }
+
+    var keys = Object.keys(assigned);
+    for (var k = 0; k < keys.length; k += 1) {
+      if (!known[keys[k]]) {
+        throw new Error(prefix + "channel key " + keys[k] + " is not a switch or gate.");
+      }
+    }
+    for (var g = 0; g < result.gates.length; g += 1) {
+      if (!switchChannels[result.gates[g].channel]) {
+        throw new Error(prefix + "gate channel " + result.gates[g].channel + " has no switch.");
+      }
+    }
+
+    return result.switches.length > 0 ? result : null;
+  }
+
   function parseMap(levelDef) {
     if (!levelDef || !Array.isArray(levelDef.map)) {
       throw new Error("Invalid level definition.");
     }
 
-    if (levelDef.map.length !== GRID_ROWS) {
-      throw new Error("Level " + levelDef.id + " must have " + GRID_ROWS + " rows.");
+    var height = levelDef.map.length;
+    var width = height > 0 ? String(levelDef.map[0]).length : 0;
+    if (levelDef.width != null && levelDef.width !== width) {
+      throw new Error("Level " + levelDef.id + " width " + levelDef.width + " does not match map (" + width + ").");
+    }
+    if (levelDef.height != null && levelDef.height !== height) {
+      throw new Error("Level " + levelDef.id + " height " + levelDef.height + " does not match map (" + height + ").");
+    }
+    if (
+      width < MIN_GRID_SIZE ||
+      height < MIN_GRID_SIZE ||
+      width > MAX_GRID_COLS ||
+      height > MAX_GRID_ROWS
+    ) {
+      var limits = MIN_GRID_SIZE + "x" + MIN_GRID_SIZE + " ~ " + MAX_GRID_COLS + "x" + MAX_GRID_ROWS;
+      throw new Error("Level " + levelDef.id + " size " + width + "x" + height + " is outside " + limits + ".");
     }
 
     var spawn = null;
     var exitCount = 0;
     var tiles = [];
-
-    for (var y = 0; y < GRID_ROWS; y += 1) {
-      var row = levelDef.map[y];
-      if (row.length !== GRID_COLS) {
-        throw new Error("Level " + levelDef.id + " row " + y + " must have " + GRID_COLS + " cols.");
+    var portalCounts = {};
+    var keyColors = {};
+    var doorColors = {};
+    var jellyCount = 0;
+    var channelCells = [];
+
+    for (var y = 0; y < height; y += 1) {
+      var row = String(levelDef.map[y]);
+      if (row.length !== width) {
+        throw new Error("Level " + levelDef.id + " row " + y + " must have " + width + " cols.");
       }
 
       var tileRow = [];
-      for (var x = 0; x < GRID_COLS; x += 1) {
+      for (var x = 0; x < width; x += 1) {
         var tile = charToTile(row.charAt(x));
 
         if (tile === TILE.SPAWN) {
@@ -836,6 +1197,22 @@
           exitCount += 1;
         }
 
+        if (getPortalInfo(tile)) {
+          portalCounts[tile] = (portalCounts[tile] || 0) + 1;
+        }
+        if (tile === TILE.ITEM || tile === TILE.BIG_ITEM) {
+          jellyCount += 1;
+        }
+        if (TILE_META[tile].key) {
+          keyColors[TILE_META[tile].key] = true;
+        }
+        if (TILE_META[tile].door) {
+          doorColors[TILE_META[tile].door] = true;
+        }
+        if (tile === TILE.SWITCH || tile === TILE.GATE) {
+          channelCells.push({ x: x, y: y, tile: tile });
+        }
+
         tileRow.push(tile);
       }
       tiles.push(tileRow);
@@ -847,6 +1224,8 @@
     if (exitCount === 0) {
       throw new Error("Level " + levelDef.id + " is missing an exit.");
     }
+    validatePortalChannels(levelDef.id, portalCounts);
+    validateDoors(levelDef.id, keyColors, doorColors);
 
     return {
       id: levelDef.id,
@@ -856,6 +1235,14 @@
       snakeLength: levelDef.snakeLength,
       theme: levelDef.theme,
       character: levelDef.character,
+      bodyCollision: !!levelDef.bodyCollision,
+      goals: parseGoals(levelDef, jellyCount),
+      channels: parseChannels(levelDef, channelCells),
+      par: resolvePar(levelDef),
+      starJelly: resolveStarJelly(levelDef, jellyCount),
+      route: resolveRoute(levelDef),
+      width: width,
+      height: height,
       spawn: spawn,
       tiles: tiles,
       metrics: computeDifficultyMetrics(tiles),
@@ -863,11 +1250,12 @@
   }
 
   function isWalkable(tiles, x, y) {
-    if (x < 0 || y < 0 || x >= GRID_COLS || y >= GRID_ROWS) {
+    if (y < 0 || y >= tiles.length || x < 0 || x >= tiles[y].length) {
       return false;
     }
     var tile = tiles[y][x];
-    return tile !== TILE.WALL && tile !== TILE.OBSTACLE;
+    // 문·차단문·바위·구멍은 처음엔 지나갈 수 없으므로 막힌 칸으로 센다. 난도는 각자의 가중치로 따로 더한다.
+    return !!TILE_META[tile] && TILE_META[tile].walkable;
   }
 
   function computeDifficultyMetrics(tiles) {
@@ -876,7 +1264,13 @@
     var junctions = 0;
     var pickups = 0;
     var portals = 0;
+    var portalChannels = {};
     var obstacles = 0;
+    var keys = 0;
+    var doors = 0;
+    var boulders = 0;
+    var gates = 0;
+    var holes = 0;
     var exitCount = 0;
 
     var dirs = [
@@ -886,12 +1280,21 @@
       { x: 0, y: -1 },
     ];
 
-    for (var y = 0; y < GRID_ROWS; y += 1) {
-      for (var x = 0; x < GRID_COLS; x += 1) {
+    var size = constants.getBoardSize(tiles);
+    for (var y = 0; y < size.height; y += 1) {
+      for (var x = 0; x < size.width; x += 1) {
         var tile = tiles[y][x];
 
         if (tile === TILE.OBSTACLE) {
           obstacles += 1;
+        } else if (TILE_META[tile] && TILE_META[tile].door) {
+          doors += 1;
+        } else if (tile === TILE.BOULDER) {
+          boulders += 1;
+        } else if (tile === TILE.GATE) {
+          gates += 1;
+        } else if (tile === TILE.HOLE) {
+          holes += 1;
         }
 
         if (!isWalkable(tiles, x, y)) {
@@ -899,11 +1302,22 @@
         }
 
         walkable += 1;
-        if (tile === TILE.ITEM || tile === TILE.BIG_ITEM || tile === TILE.STAR_ITEM) {
+        if (
+          tile === TILE.ITEM ||
+          tile === TILE.BIG_ITEM ||
+          tile === TILE.STAR_ITEM ||
+          tile === TILE.SOUR_ITEM ||
+          tile === TILE.BIG_SOUR_ITEM
+        ) {
           pickups += 1;
         }
-        if (tile === TILE.PORTAL_A || tile === TILE.PORTAL_B) {
+        var portal = getPortalInfo(tile);
+        if (portal) {
           portals += 1;
+          portalChannels[portal.channel] = true;
+        }
+        if (TILE_META[tile] && TILE_META[tile].key) {
+          keys += 1;
         }
         if (tile === TILE.EXIT) {
           exitCount += 1;
@@ -924,7 +1338,7 @@
       }
     }
 
-    var density = walkable / (GRID_COLS * GRID_ROWS);
+    var density = walkable / (size.width * size.height);
     var score = Math.round(
       1 +
         Math.min(
@@ -933,6 +1347,11 @@
             junctions * 0.06 +
             pickups * 0.34 +
             portals * 0.75 +
+            keys * 0.6 +
+            doors * 0.3 +
+            boulders * 0.5 +
+            gates * 0.4 +
+            holes * 0.3 +
             obstacles * 0.05 +
             (1 - density) * 5.5
         )
@@ -944,7 +1363,13 @@
       junctions: junctions,
       pickups: pickups,
       portals: portals,
+      portalChannels: Object.keys(portalChannels).length,
       obstacles: obstacles,
+      keys: keys,
+      doors: doors,
+      boulders: boulders,
+      gates: gates,
+      holes: holes,
       exits: exitCount,
       density: Number(density.toFixed(3)),
       score: score,
@@ -964,5 +1389,6 @@
     CHARACTER_CATALOG: CHARACTER_CATALOG,
     parseMap: parseMap,
     computeDifficultyMetrics: computeDifficultyMetrics,
+    generateEndlessDef: generateEndlessDef,
   });
 })(window);
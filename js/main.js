@@ -4,26 +4,39 @@
  * @module  (앱 엔트리 — export 없음)
  * @depends WormGameConstants        (GAME_STATE, ACTION, GAMEPLAY, TILE, ...)
  * @depends WormPuzzleGame           (Game)
+ * @depends WormGameEndless          (parseSeed — 끝없는 모드 시드 입력)
  * @depends WormGameRenderer         (Renderer)
  * @depends WormGameAudio            (AudioManager)
  * @depends WormGameI18N             (I18N)
  * @depends WormGameLevels           (WORLD_TITLES)
  * @depends WormGameCharacterPreview (drawCharacterPreview)
  * @depends WormGameReplayUI         (createReplayUI)
+ * @depends WormGameLevelEditor      (createLevelEditor)
  * @depends WormGameGamepad          (createGamepadHandler)
  *
  * 스크립트 로드 순서 (index.html):
  *   1. constants.js   (루트)
- *   2. levels.js      (← constants)
- *   3. snake.js       (← constants)
- *   4. game.js        (← constants, levels, snake)
- *   5. renderer.js    (← constants)
- *   6. audio.js       (독립)
- *   7. i18n.js        (독립)
- *   8. gamepad.js     (← constants)
- *   9. character-preview.js (독립, renderer 인스턴스는 런타임 주입)
- *  10. replay-ui.js   (← constants)
- *  11. main.js        (← 전부)
+ *   2. level-pars.js  (독립, 자동 생성)
+ *   3. levels.js      (← constants, level-pars)
+ *   4. snake.js       (← constants)
+ *   5. simulation.js  (← constants)
+ *   6. solver.js      (← constants, simulation)
+ *   7. endless.js     (← constants, levels, snake, simulation, solver)
+ *   8. replay-store.js (← constants, snake, simulation)
+ *   9. profile-store.js (← constants)
+ *  10. storage-migrations.js (← constants)
+ *  11. save-bundle.js (← constants, storage-migrations, replay-store)
+ *  12. game.js        (← constants, levels, snake, simulation, solver, endless, replay-store,
+ *                        profile-store, storage-migrations, save-bundle)
+ *  13. renderer.js    (← constants)
+ *  14. music.js       (독립, 곡 데이터)
+ *  15. audio.js       (← music)
+ *  16. i18n.js        (독립)
+ *  17. gamepad.js     (← constants)
+ *  18. character-preview.js (독립, renderer 인스턴스는 런타임 주입)
+ *  19. replay-ui.js   (← constants)
+ *  20. level-editor.js (← constants, levels, snake)
+ *  21. main.js        (← 전부)
  *
  * ES Module 전환 시: 각 import 문으로 교체
  */
@@ -32,15 +45,16 @@
 
   var constants = global.WormGameConstants;
   var GAME_STATE = constants.GAME_STATE;
+  var CHALLENGE_MODE = constants.CHALLENGE_MODE;
   var ACTION = constants.ACTION;
   var GAMEPLAY = constants.GAMEPLAY;
   var TILE = constants.TILE;
-  var GRID_COLS = constants.GRID_COLS;
-  var GRID_ROWS = constants.GRID_ROWS;
   var CANVAS_WIDTH = constants.CANVAS_WIDTH;
   var CANVAS_HEIGHT = constants.CANVAS_HEIGHT;
   var TILE_SIZE = constants.TILE_SIZE;
+  var GAMEPAD_BUTTON_NAMES = constants.GAMEPAD_BUTTON_NAMES;
   var Game = global.WormPuzzleGame;
+  var Endless = global.WormGameEndless;
   var Renderer = global.WormGameRenderer;
   var AudioManager = global.WormGameAudio;
 
@@ -164,6 +178,22 @@
     }
   }
 
+  /** 별점 문자열 (예: 2 → "★★☆"). */
+  function starString(count) {
+    var text = "";
+    for (var i = 0; i < GAMEPLAY.MAX_STARS; i += 1) {
+      text += i < count ? "★" : "☆";
+    }
+    return text;
+  }
+
+  /** 도전 모드 시간 표시 (예: 83400 → "1:23"). 남은 시간은 올림해 0:00이 실패 순간과 맞도록 한다. */
+  function formatChallengeTime(ms, roundUp) {
+    var seconds = roundUp ? Math.ceil(ms / 1000) : Math.floor(ms / 1000);
+    var rest = seconds % 60;
+    return Math.floor(seconds / 60) + ":" + (rest < 10 ? "0" : "") + rest;
+  }
+
   function setupButton(button, handler) {
     if (!button) {
       return;
@@ -184,6 +214,16 @@
     var hudState = byId("hudState");
     var hudLength = byId("hudLength");
     var hudItems = byId("hudItems");
+    var hudGoalItem = byId("hudGoalItem");
+    var hudGoal = byId("hudGoal");
+    var hudKeysItem = byId("hudKeysItem");
+    var hudKeys = byId("hudKeys");
+    var hudChallengeItem = byId("hudChallengeItem");
+    var hudChallenge = byId("hudChallenge");
+    var hudChallengeMeter = byId("hudChallengeMeter");
+    var hudEndlessItem = byId("hudEndlessItem");
+    var hudEndless = byId("hudEndless");
+    var endlessCopySeedBtn = byId("endlessCopySeedBtn");
     var hudTheme = byId("hudTheme");
     var hudBest = byId("hudBest");
     var hudUnlocked = byId("hudUnlocked");
@@ -206,8 +246,10 @@
     var startBtn = byId("startBtn");
     var levelSelectBtn = byId("levelSelectBtn");
     var pauseBtn = byId("pauseBtn");
+    var editorBtn = byId("editorBtn");
     var nextBtn = byId("nextBtn");
     var undoBtn = byId("undoBtn");
+    var hintBtn = byId("hintBtn");
     var newGameBtn = byId("newGameBtn");
     var copyReplayBtn = byId("copyReplayBtn");
     var levelAdjustLabel = byId("levelAdjustLabel");
@@ -219,10 +261,19 @@
     var clearOverlay = byId("clearOverlay");
     var clearTitle = byId("clearTitle");
     var clearSubtitle = byId("clearSubtitle");
+    var clearHintNote = byId("clearHintNote");
+    var clearStars = byId("clearStars");
     var clearNextBtn = byId("clearNextBtn");
     var clearRestartBtn = byId("clearRestartBtn");
     var clearTitleBtn = byId("clearTitleBtn");
 
+    var failOverlay = byId("failOverlay");
+    var failTitle = byId("failTitle");
+    var failSubtitle = byId("failSubtitle");
+    var failRetryBtn = byId("failRetryBtn");
+    var failLevelSelectBtn = byId("failLevelSelectBtn");
+    var failTitleBtn = byId("failTitleBtn");
+
     var pauseMenu = byId("pauseMenu");
     var pauseTitle = byId("pauseTitle");
     var resumeBtn = byId("resumeBtn");
@@ -239,8 +290,49 @@
     var levelSelectPanel = byId("levelSelectPanel");
     var levelGrid = byId("levelGrid");
     var levelSelectSummary = byId("levelSelectSummary");
+    var challengeModeLabel = byId("challengeModeLabel");
+    var challengeModeSelect = byId("challengeModeSelect");
+    var endlessTitle = byId("endlessTitle");
+    var endlessSeedInput = byId("endlessSeedInput");
+    var endlessStartBtn = byId("endlessStartBtn");
+    var endlessBestLabel = byId("endlessBestLabel");
+    var profilePicker = byId("profilePicker");
+    var profileTitle = byId("profileTitle");
+    var profileList = byId("profileList");
+    var profileNameInput = byId("profileNameInput");
+    var profileRenameBtn = byId("profileRenameBtn");
     var levelSelectTitle = byId("levelSelectTitle");
 
+    var levelEditorPanel = byId("levelEditorPanel");
+    var editorTitle = byId("editorTitle");
+    var editorStatus = byId("editorStatus");
+    var editorCanvas = byId("editorCanvas");
+    var editorPalette = byId("editorPalette");
+    var editorToolPaint = byId("editorToolPaint");
+    var editorToolErase = byId("editorToolErase");
+    var editorToolFill = byId("editorToolFill");
+    var editorWidthLabel = byId("editorWidthLabel");
+    var editorHeightLabel = byId("editorHeightLabel");
+    var editorLengthLabel = byId("editorLengthLabel");
+    var editorChannelLabel = byId("editorChannelLabel");
+    var editorMinItemsLabel = byId("editorMinItemsLabel");
+    var editorExactLengthLabel = byId("editorExactLengthLabel");
+    var editorAllItemsLabel = byId("editorAllItemsLabel");
+    var editorBodyCollisionLabel = byId("editorBodyCollisionLabel");
+    var editorWidthInput = byId("editorWidthInput");
+    var editorHeightInput = byId("editorHeightInput");
+    var editorLengthInput = byId("editorLengthInput");
+    var editorChannelInput = byId("editorChannelInput");
+    var editorMinItemsInput = byId("editorMinItemsInput");
+    var editorExactLengthInput = byId("editorExactLengthInput");
+    var editorAllItemsToggle = byId("editorAllItemsToggle");
+    var editorBodyCollisionToggle = byId("editorBodyCollisionToggle");
+    var editorPlaytestBtn = byId("editorPlaytestBtn");
+    var editorNewBtn = byId("editorNewBtn");
+    var editorExportBtn = byId("editorExportBtn");
+    var editorImportBtn = byId("editorImportBtn");
+    var editorIoText = byId("editorIoText");
+
     var replayDebugPanel = byId("replayDebugPanel");
     var replayStepLabel = byId("replayStepLabel");
     var replayMeta = byId("replayMeta");
@@ -250,6 +342,23 @@
     var replayStepNextBtn = byId("replayStepNextBtn");
     var replayStepLatestBtn = byId("replayStepLatestBtn");
     var replayTitle = byId("replayTitle");
+    var replaySourceLabel = byId("replaySourceLabel");
+    var replaySourceSelect = byId("replaySourceSelect");
+    var replayImportText = byId("replayImportText");
+    var replayImportBtn = byId("replayImportBtn");
+    var replayImportFile = byId("replayImportFile");
+    var replayImportFileLabel = byId("replayImportFileLabel");
+    var replayPlayBtn = byId("replayPlayBtn");
+
+    var playbackBar = byId("playbackBar");
+    var playbackToggleBtn = byId("playbackToggleBtn");
+    var playbackRange = byId("playbackRange");
+    var playbackStepLabel = byId("playbackStepLabel");
+    var playbackTakeOverBtn = byId("playbackTakeOverBtn");
+    var playbackExitBtn = byId("playbackExitBtn");
+    var playbackSpeedButtons = Array.prototype.slice.call(
+      document.querySelectorAll("#playbackBar [data-speed]")
+    );
 
     var mobilePad = byId("mobilePad");
     var padDragHandle = byId("padDragHandle");
@@ -269,8 +378,21 @@
     var bgmTrackSelect = byId("bgmTrackSelect");
     var masterVolumeRange = byId("masterVolumeRange");
     var sfxVolumeRange = byId("sfxVolumeRange");
+    var bgmVolumeRange = byId("bgmVolumeRange");
     var masterVolumeValue = byId("masterVolumeValue");
     var sfxVolumeValue = byId("sfxVolumeValue");
+    var bgmVolumeValue = byId("bgmVolumeValue");
+
+    var saveExportBtn = byId("saveExportBtn");
+    var saveImportFile = byId("saveImportFile");
+    var saveImportFileLabel = byId("saveImportFileLabel");
+    var saveImportPreview = byId("saveImportPreview");
+    var saveImportSummary = byId("saveImportSummary");
+    var saveImportMergeBtn = byId("saveImportMergeBtn");
+    var saveImportReplaceBtn = byId("saveImportReplaceBtn");
+    var saveImportCancelBtn = byId("saveImportCancelBtn");
+    /** 마지막 가져오기 미리보기 (game.previewSaveImport 결과) — 언어 전환 시 다시 그린다. */
+    var saveImportState = null;
 
     var settingsTitle = byId("settingsTitle");
     var bgmToggleLabel = byId("bgmToggleLabel");
@@ -279,16 +401,27 @@
     var bgmTrackLabel = byId("bgmTrackLabel");
     var masterVolumeLabel = byId("masterVolumeLabel");
     var sfxVolumeLabel = byId("sfxVolumeLabel");
+    var bgmVolumeLabel = byId("bgmVolumeLabel");
     var handModeLabel = byId("handModeLabel");
     var keybindSummary = byId("keybindSummary");
     var keybindNote = byId("keybindNote");
     var keybindGrid = byId("keybindGrid");
+    var padBindSummary = byId("padBindSummary");
+    var padBindControllerLabel = byId("padBindControllerLabel");
+    var padBindSelect = byId("padBindSelect");
+    var padBindGrid = byId("padBindGrid");
+    var padBindResetBtn = byId("padBindResetBtn");
+    var padBindNote = byId("padBindNote");
 
     var labelLevel = byId("labelLevel");
     var labelMoves = byId("labelMoves");
     var labelState = byId("labelState");
     var labelLength = byId("labelLength");
     var labelItems = byId("labelItems");
+    var labelGoal = byId("labelGoal");
+    var labelKeys = byId("labelKeys");
+    var labelChallenge = byId("labelChallenge");
+    var labelEndless = byId("labelEndless");
     var labelTheme = byId("labelTheme");
     var labelBest = byId("labelBest");
     var labelUnlocked = byId("labelUnlocked");
@@ -306,6 +439,8 @@
     var lastToastTimer = null;
     var cachedLevelButtonState = "";
     var levelButtonNodes = [];
+    var worldSummaryNodes = [];
+    var cachedProfileState = "";
     var miniMapCache = {};
     var lastBlockedToastAt = 0;
     var heldMoveAction = null;
@@ -315,10 +450,14 @@
     // replayStepIndex, replayLevelId → replay-ui.js 모듈이 관리
     var dpadDragState = null;
     var lastSettingsSnapshot = "";
+    var audioPausedForGame = false;
     var uiDirty = true;
 
     // 게임패드: gamepad.js 모듈 인스턴스 (confirmRestart는 아래에서 정의 후 주입)
     var gamepadHandler = null;
+    // 게임패드 버튼 편집 화면에서 보고 있는 컨트롤러 id, 오른쪽 스틱으로 옮긴 포커스
+    var padBindControllerId = "";
+    var padFocusTarget = null;
 
     var I18N = global.WormGameI18N || {};
 
@@ -376,6 +515,17 @@
       document.body.classList.toggle("show-perf-overlay", !!game.settings.showPerfOverlay);
     }
 
+    /** 에디터 입력칸 등 텍스트 입력 중에는 게임 단축키를 가로채지 않는다. */
+    function isTextEntryTarget(target) {
+      if (!target || !target.tagName) {
+        return false;
+      }
+      if (target.tagName === "TEXTAREA") {
+        return true;
+      }
+      return target.tagName === "INPUT" && !target.readOnly && (target.type === "number" || target.type === "text");
+    }
+
     function isMoveAction(action) {
       return (
         action === ACTION.MOVE_UP ||
@@ -487,8 +637,13 @@
       });
     }
 
+    /** 열쇠 색 이름 → i18n 키 (gold → keyColorGold). */
+    function keyColorLabelKey(color) {
+      return "keyColor" + color.charAt(0).toUpperCase() + color.slice(1);
+    }
+
     function showLevelStartToast() {
-      if (!game.currentLevel) {
+      if (!game.currentLevel || game.isPlaytesting()) {
         return;
       }
       var base = t("levelStartToast", { level: game.currentLevel.id });
@@ -514,9 +669,27 @@
         { action: ACTION.PAUSE, label: t("keyPause") },
         { action: ACTION.NEXT, label: t("keyNext") },
         { action: ACTION.LEVEL_SELECT, label: t("keyLevelSelect") },
+        { action: ACTION.HINT, label: t("keyHint") },
+      ];
+    }
+
+    function padBindDefs() {
+      return [
+        { action: ACTION.START, label: t("keyStart") },
+        { action: ACTION.UNDO, label: t("keyUndo") },
+        { action: ACTION.RESTART, label: t("keyRestart") },
+        { action: ACTION.HINT, label: t("keyHint") },
+        { action: ACTION.PAUSE, label: t("keyPause") },
+        { action: ACTION.PREV, label: t("keyPrev") },
+        { action: ACTION.NEXT, label: t("keyNext") },
+        { action: ACTION.LEVEL_SELECT, label: t("keyLevelSelect") },
       ];
     }
 
+    function gamepadButtonName(index) {
+      return GAMEPAD_BUTTON_NAMES[index] || "B" + index;
+    }
+
     function updateStaticTexts() {
       document.documentElement.lang = currentLanguage();
       cachedLevelButtonState = "";
@@ -526,13 +699,45 @@
       setText(helpText, t("help"));
       setText(settingsTitle, t("settingsTitle"));
       setText(levelSelectTitle, t("levelSelectTitle"));
+      setText(challengeModeLabel, t("challengeModeLabel"));
+      setText(endlessTitle, t("endlessTitle"));
+      setText(endlessStartBtn, t("endlessStart"));
+      endlessSeedInput.placeholder = t("endlessSeedPlaceholder");
+      setText(profileTitle, t("profileTitle"));
+      setText(profileRenameBtn, t("profileRenameBtn"));
+      profileNameInput.placeholder = t("profileNamePlaceholder");
+      cachedProfileState = "";
       setText(replayTitle, t("replayTitle"));
+      setText(editorTitle, t("editorTitle"));
+      setText(editorToolPaint, t("editorToolPaint"));
+      setText(editorToolErase, t("editorToolErase"));
+      setText(editorToolFill, t("editorToolFill"));
+      setText(editorWidthLabel, t("editorWidthLabel"));
+      setText(editorHeightLabel, t("editorHeightLabel"));
+      setText(editorLengthLabel, t("editorLengthLabel"));
+      setText(editorChannelLabel, t("editorChannelLabel"));
+      setText(editorMinItemsLabel, t("editorMinItemsLabel"));
+      setText(editorExactLengthLabel, t("editorExactLengthLabel"));
+      setText(editorAllItemsLabel, t("editorAllItemsLabel"));
+      setText(editorBodyCollisionLabel, t("editorBodyCollisionLabel"));
+      setText(editorPlaytestBtn, t("editorPlaytest"));
+      setText(editorNewBtn, t("editorNew"));
+      setText(editorExportBtn, t("editorExport"));
+      setText(editorImportBtn, t("editorImport"));
+      if (levelEditor) {
+        levelEditor.applyLanguage();
+      }
 
       setText(labelLevel, t("labelLevel"));
       setText(labelMoves, t("labelMoves"));
       setText(labelState, t("labelState"));
       setText(labelLength, t("labelLength"));
       setText(labelItems, t("labelItems"));
+      setText(labelGoal, t("labelGoal"));
+      setText(labelKeys, t("labelKeys"));
+      setText(labelChallenge, t("labelChallenge"));
+      setText(labelEndless, t("endlessTitle"));
+      setText(endlessCopySeedBtn, t("endlessCopySeed"));
       setText(labelTheme, t("labelTheme"));
       setText(labelBest, t("labelBest"));
       setText(labelUnlocked, t("labelUnlocked"));
@@ -549,13 +754,31 @@
       setText(bgmTrackLabel, t("bgmTrackLabel"));
       setText(masterVolumeLabel, t("masterVolumeLabel"));
       setText(sfxVolumeLabel, t("sfxVolumeLabel"));
+      setText(bgmVolumeLabel, t("bgmVolumeLabel"));
       setText(handModeLabel, t("handModeLabel"));
       setText(keybindSummary, t("keybindSummary"));
       setText(keybindNote, t("keybindNote"));
+      setText(padBindSummary, t("padBindSummary"));
+      setText(padBindControllerLabel, t("padBindControllerLabel"));
+      setText(padBindResetBtn, t("padBindReset"));
+      setText(padBindNote, t("padBindNote"));
       setText(tutorialSkipBtn, t("tutorialSkip"));
       setText(replayStepPrevBtn, t("replayPrev"));
       setText(replayStepNextBtn, t("replayNext"));
       setText(replayStepLatestBtn, t("replayLatest"));
+      setText(replaySourceLabel, t("replaySourceLabel"));
+      setText(replayImportBtn, t("replayImportBtn"));
+      setText(replayImportFileLabel, t("replayImportFile"));
+      replayImportText.placeholder = t("replayImportPlaceholder");
+      setText(replayPlayBtn, t("replayPlayBtn"));
+      setText(playbackTakeOverBtn, t("playbackTakeOver"));
+      setText(playbackExitBtn, t("playbackExit"));
+      setText(saveExportBtn, t("saveExportBtn"));
+      setText(saveImportFileLabel, t("saveImportFile"));
+      setText(saveImportMergeBtn, t("saveImportMerge"));
+      setText(saveImportReplaceBtn, t("saveImportReplace"));
+      setText(saveImportCancelBtn, t("saveImportCancel"));
+      renderSaveImportPreview();
 
       if (languageSelect && languageSelect.options.length >= 2) {
         languageSelect.options[0].textContent = t("langKo");
@@ -568,10 +791,17 @@
         perfModeSelect.options[2].textContent = t("perfBattery");
       }
 
-      if (bgmTrackSelect && bgmTrackSelect.options.length >= 3) {
-        bgmTrackSelect.options[0].textContent = t("bgmRetro");
-        bgmTrackSelect.options[1].textContent = t("bgmArcade");
-        bgmTrackSelect.options[2].textContent = t("bgmChill");
+      if (challengeModeSelect && challengeModeSelect.options.length >= 3) {
+        challengeModeSelect.options[0].textContent = t("challengeOff");
+        challengeModeSelect.options[1].textContent = t("challengeMoves");
+        challengeModeSelect.options[2].textContent = t("challengeTimer");
+      }
+
+      if (bgmTrackSelect && bgmTrackSelect.options.length >= 4) {
+        bgmTrackSelect.options[0].textContent = t("bgmWorld");
+        bgmTrackSelect.options[1].textContent = t("bgmRetro");
+        bgmTrackSelect.options[2].textContent = t("bgmArcade");
+        bgmTrackSelect.options[3].textContent = t("bgmChill");
       }
 
       setText(resumeBtn, t("gameResume"));
@@ -579,6 +809,7 @@
       setText(exitTitleBtn, t("titleBtn"));
       setText(nextBtn, t("nextBtn"));
       setText(undoBtn, t("undoBtn"));
+      setText(hintBtn, t("hintBtn"));
       setText(newGameBtn, t("newGameBtn"));
       setText(copyReplayBtn, t("replayCopyBtn"));
       setText(levelAdjustLabel, t("levelAdjustLabel"));
@@ -587,6 +818,7 @@
 
       renderTutorialStep();
       renderKeyBindings();
+      renderGamepadBindings();
     }
 
     function applyDpadPosition() {
@@ -630,10 +862,12 @@
         colorBlindAssist: game.settings.colorBlindAssist,
         showMoveHints: game.settings.showMoveHints,
         replayDebugEnabled: game.settings.replayDebugEnabled,
+        challengeMode: game.settings.challengeMode,
         language: game.settings.language,
         mobilePerformanceMode: game.settings.mobilePerformanceMode,
         masterVolume: game.settings.masterVolume,
         sfxVolume: game.settings.sfxVolume,
+        bgmVolume: game.settings.bgmVolume,
         handedness: game.settings.handedness,
         dpadPosition: game.settings.dpadPosition,
       });
@@ -656,11 +890,14 @@
 
       languageSelect.value = game.settings.language;
       perfModeSelect.value = game.settings.mobilePerformanceMode;
-      bgmTrackSelect.value = game.settings.bgmTrack || "retro";
+      bgmTrackSelect.value = game.settings.bgmTrack || "world";
+      challengeModeSelect.value = game.settings.challengeMode;
       masterVolumeRange.value = String(game.settings.masterVolume);
       sfxVolumeRange.value = String(game.settings.sfxVolume);
+      bgmVolumeRange.value = String(game.settings.bgmVolume);
       setText(masterVolumeValue, formatVolume(game.settings.masterVolume));
       setText(sfxVolumeValue, formatVolume(game.settings.sfxVolume));
+      setText(bgmVolumeValue, formatVolume(game.settings.bgmVolume));
 
       var handedInputs = document.querySelectorAll('input[name="handedness"]');
       Array.prototype.forEach.call(handedInputs, function eachHand(input) {
@@ -669,9 +906,10 @@
 
       audio.setEnabled(!!game.settings.soundEnabled);
       audio.setBgmEnabled(!!game.settings.bgmEnabled);
-      audio.setMusicTrack(game.settings.bgmTrack || "retro");
+      audio.setMusicTrack(game.settings.bgmTrack || "world");
       audio.setMasterVolume(game.settings.masterVolume);
       audio.setSfxVolume(game.settings.sfxVolume);
+      audio.setBgmVolume(game.settings.bgmVolume);
 
       applyBodyClasses();
       applyDpadPosition();
@@ -730,6 +968,11 @@
       bgmTrackSelect.addEventListener("change", function onBgmTrackSelect() {
         updateSetting({ bgmTrack: bgmTrackSelect.value });
       });
+      challengeModeSelect.addEventListener("change", function onChallengeModeSelect() {
+        // 다음에 불러오는 레벨부터 적용된다
+        updateSetting({ challengeMode: challengeModeSelect.value });
+        updateUI(true);
+      });
 
       masterVolumeRange.addEventListener("input", function onMasterInput() {
         audio.setMasterVolume(masterVolumeRange.value);
@@ -747,6 +990,14 @@
         updateSetting({ sfxVolume: sfxVolumeRange.value });
       });
 
+      bgmVolumeRange.addEventListener("input", function onBgmVolumeInput() {
+        audio.setBgmVolume(bgmVolumeRange.value);
+        setText(bgmVolumeValue, formatVolume(bgmVolumeRange.value));
+      });
+      bgmVolumeRange.addEventListener("change", function onBgmVolumeChange() {
+        updateSetting({ bgmVolume: bgmVolumeRange.value });
+      });
+
       var handedInputs = document.querySelectorAll('input[name="handedness"]');
       Array.prototype.forEach.call(handedInputs, function eachHand(input) {
         input.addEventListener("change", function onHandChange() {
@@ -755,6 +1006,18 @@
           }
         });
       });
+
+      padBindSelect.addEventListener("change", function onPadBindSelect() {
+        padBindControllerId = padBindSelect.value;
+        renderGamepadBindings();
+      });
+
+      padBindResetBtn.addEventListener("click", function onPadBindReset() {
+        if (game.resetGamepadBindings(padBindControllerId)) {
+          showToast(t("padResetToast"));
+        }
+        renderGamepadBindings();
+      });
     }
 
     function renderKeyBindings() {
@@ -813,20 +1076,177 @@
       }
     }
 
+    /**
+     * 연결된 컨트롤러 중 padBindControllerId의 버튼 맵을 그린다.
+     * 같은 모델 두 대는 id가 같아서 선택지 하나로 묶이고 바인딩도 함께 쓴다.
+     */
+    function renderGamepadBindings() {
+      var controllers = gamepadHandler ? gamepadHandler.getControllers() : [];
+      var ids = [];
+      for (var i = 0; i < controllers.length; i += 1) {
+        if (ids.indexOf(controllers[i].id) === -1) {
+          ids.push(controllers[i].id);
+        }
+      }
+      if (ids.indexOf(padBindControllerId) === -1) {
+        padBindControllerId = ids.length > 0 ? ids[0] : "";
+      }
+      if (gamepadHandler) {
+        gamepadHandler.cancelCapture();
+      }
+
+      padBindSelect.innerHTML = "";
+      if (ids.length === 0) {
+        var empty = document.createElement("option");
+        empty.value = "";
+        empty.textContent = t("padBindNone");
+        padBindSelect.appendChild(empty);
+      }
+      for (var j = 0; j < ids.length; j += 1) {
+        var option = document.createElement("option");
+        option.value = ids[j];
+        option.textContent = ids[j];
+        padBindSelect.appendChild(option);
+      }
+      padBindSelect.value = padBindControllerId;
+      padBindSelect.disabled = ids.length === 0;
+      padBindResetBtn.disabled = ids.length === 0;
+
+      padBindGrid.innerHTML = "";
+      var bindings = game.getGamepadBindings(padBindControllerId);
+      var defs = padBindDefs();
+      for (var k = 0; k < defs.length; k += 1) {
+        (function setupRow(def) {
+          var row = document.createElement("label");
+          row.className = "keybind-row";
+
+          var label = document.createElement("span");
+          label.textContent = def.label;
+
+          var button = document.createElement("button");
+          button.type = "button";
+          button.disabled = ids.length === 0;
+          button.textContent = gamepadButtonName(bindings[def.action]);
+
+          function showBinding() {
+            button.classList.remove("capturing");
+            button.textContent = gamepadButtonName(game.getGamepadBindings(padBindControllerId)[def.action]);
+          }
+
+          button.addEventListener("click", function onCaptureClick() {
+            if (button.classList.contains("capturing")) {
+              gamepadHandler.cancelCapture();
+              showBinding();
+              return;
+            }
+            button.classList.add("capturing");
+            button.textContent = t("padWaiting");
+            gamepadHandler.startCapture(function onCaptured(controllerId, index) {
+              game.setGamepadButton(controllerId, def.action, index);
+              padBindControllerId = controllerId;
+              renderGamepadBindings();
+              showToast(t("padSetToast", { label: def.label, button: gamepadButtonName(index) }));
+            });
+          });
+
+          // 다른 칸으로 옮기면 캡처를 취소한다 (그리드를 다시 그리지 않아야 옮긴 칸의 클릭이 살아 있다)
+          button.addEventListener("blur", function onCaptureBlur() {
+            if (button.classList.contains("capturing")) {
+              gamepadHandler.cancelCapture();
+              showBinding();
+            }
+          });
+
+          row.appendChild(label);
+          row.appendChild(button);
+          padBindGrid.appendChild(row);
+        })(defs[k]);
+      }
+    }
+
+    /**
+     * 오른쪽 스틱 메뉴 이동: 보이는 버튼/입력 중 그 방향으로 가장 가까운 것에 포커스를 준다.
+     * 오버레이가 열려 있으면 그 안에서만 고른다.
+     */
+    function navigateFocus(direction) {
+      var root = activeFocusTrap ? activeFocusTrap.el : document;
+      var nodes = Array.prototype.slice
+        .call(root.querySelectorAll("button:not([disabled]), select:not([disabled]), input:not([disabled]), summary"))
+        .filter(function isVisible(node) {
+          return node.getClientRects().length > 0;
+        });
+      if (nodes.length === 0) {
+        return;
+      }
+
+      var current = document.activeElement;
+      var target = null;
+      if (nodes.indexOf(current) === -1) {
+        target = nodes[0];
+      } else {
+        var from = current.getBoundingClientRect();
+        var fromX = from.left + from.width / 2;
+        var fromY = from.top + from.height / 2;
+        var horizontal = direction === "left" || direction === "right";
+        var sign = direction === "left" || direction === "up" ? -1 : 1;
+        var bestScore = Infinity;
+        for (var i = 0; i < nodes.length; i += 1) {
+          if (nodes[i] === current) {
+            continue;
+          }
+          var rect = nodes[i].getBoundingClientRect();
+          var dx = rect.left + rect.width / 2 - fromX;
+          var dy = rect.top + rect.height / 2 - fromY;
+          var along = sign * (horizontal ? dx : dy);
+          if (along <= 0) {
+            continue;
+          }
+          // 진행 방향 거리보다 옆으로 벗어난 거리를 더 무겁게 본다
+          var score = along + Math.abs(horizontal ? dy : dx) * 2;
+          if (score < bestScore) {
+            bestScore = score;
+            target = nodes[i];
+          }
+        }
+      }
+      if (!target) {
+        return;
+      }
+
+      target.focus();
+      if (target.scrollIntoView) {
+        target.scrollIntoView({ block: "nearest", inline: "nearest" });
+      }
+      padFocusTarget = target;
+    }
+
+    /** 오른쪽 스틱으로 고른 항목이 있으면 시작 버튼으로 누른다. 플레이 중에는 게임 입력으로 둔다. */
+    function confirmPadFocus() {
+      if (game.state === GAME_STATE.PLAYING || !padFocusTarget || document.activeElement !== padFocusTarget) {
+        return false;
+      }
+      padFocusTarget.click();
+      return true;
+    }
+
     function drawMiniLevelMap(canvasNode, map, locked, current) {
       var ctx = canvasNode.getContext("2d");
       var width = canvasNode.width;
       var height = canvasNode.height;
-      var tileW = width / GRID_COLS;
-      var tileH = height / GRID_ROWS;
+      var size = constants.getBoardSize(map);
+      // 보드 비율을 유지하도록 정사각 타일 + 가운데 정렬
+      var tileW = Math.min(width / size.width, height / size.height);
+      var tileH = tileW;
+      var offsetX = (width - size.width * tileW) / 2;
+      var offsetY = (height - size.height * tileH) / 2;
 
       ctx.clearRect(0, 0, width, height);
 
-      for (var y = 0; y < GRID_ROWS; y += 1) {
-        for (var x = 0; x < GRID_COLS; x += 1) {
+      for (var y = 0; y < size.height; y += 1) {
+        for (var x = 0; x < size.width; x += 1) {
           var tile = map[y][x];
-          var px = x * tileW;
-          var py = y * tileH;
+          var px = offsetX + x * tileW;
+          var py = offsetY + y * tileH;
           var color = "#b5e8ff";
 
           if (tile === TILE.WALL) {
@@ -839,12 +1259,26 @@
             color = "#ffe868";
           } else if (tile === TILE.BIG_ITEM) {
             color = "#ff9f36";
+          } else if (tile === TILE.SOUR_ITEM || tile === TILE.BIG_SOUR_ITEM) {
+            color = "#9be15d";
           } else if (tile === TILE.STAR_ITEM) {
             color = "#ffffff";
-          } else if (tile === TILE.PORTAL_A) {
-            color = "#37e5ff";
-          } else if (tile === TILE.PORTAL_B) {
-            color = "#ff6fd7";
+          } else if (constants.getPortalInfo(tile)) {
+            color = constants.getPortalInfo(tile).color;
+          } else if (constants.TILE_META[tile] && constants.TILE_META[tile].oneWay) {
+            color = "#c8f7a0";
+          } else if (constants.TILE_META[tile] && constants.TILE_META[tile].conveyor) {
+            color = "#9aa8c7";
+          } else if (constants.TILE_META[tile] && constants.TILE_META[tile].key) {
+            color = constants.KEY_COLORS[constants.TILE_META[tile].key];
+          } else if (constants.TILE_META[tile] && constants.TILE_META[tile].door) {
+            color = "#8a5a2b";
+          } else if (tile === TILE.BOULDER) {
+            color = "#8d8478";
+          } else if (tile === TILE.HOLE) {
+            color = "#120d1c";
+          } else if (tile === TILE.SWITCH || tile === TILE.GATE) {
+            color = constants.GATE_CHANNEL_COLORS[0];
           }
 
           ctx.fillStyle = color;
@@ -864,11 +1298,52 @@
       }
     }
 
+    function profileDisplayName(profile) {
+      return profile.name || t("profileDefaultName", { slot: profile.slot });
+    }
+
+    function renderProfiles() {
+      var profiles = game.getProfiles();
+      var profileState = JSON.stringify(profiles);
+      if (profileState === cachedProfileState) {
+        return;
+      }
+      cachedProfileState = profileState;
+
+      profileList.innerHTML = "";
+      profiles.forEach(function addProfile(profile) {
+        var button = document.createElement("button");
+        button.type = "button";
+        button.className = "profile-btn" + (profile.active ? " active" : "");
+        button.setAttribute("aria-pressed", profile.active ? "true" : "false");
+
+        var name = document.createElement("strong");
+        name.textContent = profileDisplayName(profile);
+        var summary = document.createElement("small");
+        summary.textContent = profile.started
+          ? t("profileSummary", { level: profile.unlockedLevelIndex + 1, stars: profile.stars })
+          : t("profileEmpty");
+        button.appendChild(name);
+        button.appendChild(summary);
+
+        button.addEventListener("click", function onProfileSelect() {
+          audio.unlock();
+          game.switchProfile(profile.slot);
+          uiDirty = true;
+        });
+        profileList.appendChild(button);
+
+        if (profile.active && document.activeElement !== profileNameInput) {
+          profileNameInput.value = profile.name;
+        }
+      });
+    }
+
     function renderLevelButtons(force) {
       var items = game.getLevelSelectItems();
       var stateHash = items
         .map(function mapState(item) {
-          return [item.id, item.locked ? 1 : 0, item.current ? 1 : 0, item.bestMoves].join(":");
+          return [item.id, item.locked ? 1 : 0, item.current ? 1 : 0, item.bestMoves, item.stars].join(":");
         })
         .join("|");
 
@@ -884,6 +1359,7 @@
       if (needsFullBuild) {
         levelGrid.innerHTML = "";
         levelButtonNodes = [];
+        worldSummaryNodes = [];
 
         var worldContainers = [];
         var worldCount = Math.ceil(items.length / LEVELS_PER_WORLD);
@@ -892,8 +1368,14 @@
           details.className = "world-group";
           var summary = document.createElement("summary");
           summary.className = "world-group-title";
-          summary.textContent = "W" + (w + 1) + " — " + (WORLD_TITLES[w] || "World " + (w + 1));
+          var summaryTitle = document.createElement("span");
+          summaryTitle.textContent = "W" + (w + 1) + " — " + (WORLD_TITLES[w] || "World " + (w + 1));
+          var summaryStars = document.createElement("span");
+          summaryStars.className = "world-group-stars";
+          summary.appendChild(summaryTitle);
+          summary.appendChild(summaryStars);
           details.appendChild(summary);
+          worldSummaryNodes.push(summaryStars);
           var grid = document.createElement("div");
           grid.className = "world-level-grid";
           details.appendChild(grid);
@@ -917,12 +1399,16 @@
           preview.width = 160;
           preview.height = 120;
 
+          var stars = document.createElement("span");
+          stars.className = "level-stars";
+
           var badge = document.createElement("span");
           badge.className = "level-badge";
 
           button.appendChild(levelId);
           button.appendChild(levelCharacter);
           button.appendChild(preview);
+          button.appendChild(stars);
           button.appendChild(badge);
 
           (function bindClick(levelIndex) {
@@ -943,6 +1429,7 @@
             levelId: levelId,
             levelCharacter: levelCharacter,
             preview: preview,
+            stars: stars,
             badge: badge,
             lastState: "",
             worldIdx: worldIdx,
@@ -958,7 +1445,15 @@
       for (var i = 0; i < items.length; i += 1) {
         var item = items[i];
         var node = levelButtonNodes[i];
-        var itemState = [item.id, item.locked ? 1 : 0, item.current ? 1 : 0, item.bestMoves].join(":");
+        var itemState = [
+          item.id,
+          item.locked ? 1 : 0,
+          item.current ? 1 : 0,
+          item.bestMoves,
+          item.stars,
+          game.settings.challengeMode,
+          item.challengeBest,
+        ].join(":");
 
         if (node.lastState === itemState) {
           continue;
@@ -979,8 +1474,15 @@
           drawMiniLevelMap(node.preview, item.map, item.locked, item.current);
         }
 
+        node.stars.textContent = item.stars > 0 ? starString(item.stars) : "";
+
         if (item.locked) {
           node.badge.textContent = t("levelLocked");
+        } else if (item.challengeBest > 0) {
+          node.badge.textContent =
+            game.settings.challengeMode === CHALLENGE_MODE.TIMER
+              ? "⏱ " + formatChallengeTime(item.challengeBest, false)
+              : "🎯 " + item.challengeBest;
         } else if (item.bestMoves > 0) {
           node.badge.textContent = "BEST " + item.bestMoves;
         } else {
@@ -988,6 +1490,15 @@
         }
       }
 
+      var worldTotals = game.getWorldStarTotals();
+      for (var s = 0; s < worldSummaryNodes.length; s += 1) {
+        var total = worldTotals[s];
+        worldSummaryNodes[s].textContent = total
+          ? t("worldStarTotal", { stars: total.stars, max: total.max })
+          : "";
+      }
+
+      setText(endlessBestLabel, t("endlessBest", { streak: game.endlessBestStreak }));
       setText(
         levelSelectSummary,
         t("unlocked", {
@@ -1131,12 +1642,52 @@
       replayStepLatestBtn: replayStepLatestBtn,
       replayStepLabel: replayStepLabel,
       replayMeta: replayMeta,
+      replaySourceSelect: replaySourceSelect,
+      replayImportText: replayImportText,
     });
 
+    var REPLAY_IMPORT_ERROR_KEYS = {
+      json: "replayImportErrorJson",
+      format: "replayImportErrorFormat",
+      version: "replayImportErrorVersion",
+      too_long: "replayImportErrorTooLong",
+      unknown_level: "replayImportErrorUnknownLevel",
+      tiles_mismatch: "replayImportErrorTilesMismatch",
+      bad_move: "replayImportErrorBadMove",
+      illegal_move: "replayImportErrorIllegalMove",
+      after_exit: "replayImportErrorAfterExit",
+    };
+
     function updateReplayDebugUI(forceLatest) {
       replayUI.update(forceLatest);
     }
 
+    // 레벨 에디터: level-editor.js 모듈 사용
+    var levelEditor = global.WormGameLevelEditor.createLevelEditor({
+      game: game,
+      t: t,
+      setText: setText,
+      showToast: showToast,
+      editorCanvas: editorCanvas,
+      editorPalette: editorPalette,
+      editorToolButtons: [editorToolPaint, editorToolErase, editorToolFill],
+      editorWidthInput: editorWidthInput,
+      editorHeightInput: editorHeightInput,
+      editorLengthInput: editorLengthInput,
+      editorChannelInput: editorChannelInput,
+      editorMinItemsInput: editorMinItemsInput,
+      editorExactLengthInput: editorExactLengthInput,
+      editorAllItemsToggle: editorAllItemsToggle,
+      editorBodyCollisionToggle: editorBodyCollisionToggle,
+      editorStatus: editorStatus,
+      editorIoText: editorIoText,
+      onPlaytest: function onPlaytest() {
+        showToast(t("editorPlaytestStart"));
+        updateUI(true);
+        resizeCanvasToPanel();
+      },
+    });
+
     function updateUI(forceLevelRerender) {
       var state = game.state;
       var theme = game.getCurrentTheme();
@@ -1153,11 +1704,56 @@
         stateLabel += " | " + t("statusStar", { turns: powers.starMoves });
       }
 
+      if (game.currentLevel) {
+        audio.setMusicWorld(game.currentLevel.world);
+      }
       setText(hudLevel, game.getLevelLabel());
       setText(hudMoves, String(game.moveCount));
       setText(hudState, stateLabel);
       setText(hudLength, String(currentLength));
       setText(hudItems, itemProgress.collected + " / " + itemProgress.total);
+      if (hudGoalItem) {
+        var goalText = game.formatGoalStatus(t);
+        hudGoalItem.hidden = !goalText;
+        setText(hudGoal, goalText || "-");
+      }
+      if (hudKeysItem) {
+        var heldKeys = game.getHeldKeys();
+        hudKeysItem.hidden = !(metrics && metrics.keys > 0);
+        setText(
+          hudKeys,
+          heldKeys.length
+            ? heldKeys
+                .map(function keyLabel(color) {
+                  return "🔑 " + t(keyColorLabelKey(color));
+                })
+                .join(", ")
+            : "-"
+        );
+      }
+      if (hudChallengeItem) {
+        var challenge = game.getChallengeStatus();
+        hudChallengeItem.hidden = !challenge;
+        if (challenge) {
+          setText(
+            hudChallenge,
+            challenge.mode === CHALLENGE_MODE.TIMER
+              ? t("challengeTimeLeft", { time: formatChallengeTime(challenge.remaining, true) })
+              : t("challengeMovesLeft", { left: challenge.remaining, budget: challenge.limit })
+          );
+          hudChallengeMeter.value = challenge.ratio;
+        }
+      }
+      if (hudEndlessItem) {
+        var endless = game.getEndlessStatus();
+        hudEndlessItem.hidden = !endless;
+        if (endless) {
+          setText(
+            hudEndless,
+            t("endlessHud", { seed: endless.seed, depth: endless.depth, streak: endless.streak })
+          );
+        }
+      }
       setText(hudTheme, theme.name);
       setText(hudBest, best > 0 ? best + t("bestSuffix") : "-");
       setText(hudUnlocked, game.unlockedLevelIndex + 1 + " / " + game.levels.length);
@@ -1167,7 +1763,8 @@
       setText(hudWorld, worldStageCode(game.currentLevel));
       drawCharacterPreview(currentLength, character);
 
-      var currentLevelNumber = game.currentLevel ? game.currentLevel.id : game.levelIndex + 1;
+      var currentLevelNumber =
+        game.currentLevel && !game.isEndless() ? game.currentLevel.id : game.levelIndex + 1;
       if (levelJumpRange) {
         levelJumpRange.min = "1";
         levelJumpRange.max = String(game.levels.length);
@@ -1179,10 +1776,10 @@
         setText(levelAdjustValue, currentLevelNumber + " / " + game.levels.length);
       }
       if (levelPrevStepBtn) {
-        levelPrevStepBtn.disabled = currentLevelNumber <= 1;
+        levelPrevStepBtn.disabled = currentLevelNumber <= 1 || game.isEndless();
       }
       if (levelNextStepBtn) {
-        levelNextStepBtn.disabled = currentLevelNumber >= game.levels.length;
+        levelNextStepBtn.disabled = currentLevelNumber >= game.levels.length || game.isEndless();
       }
 
       if (state === GAME_STATE.TITLE) {
@@ -1198,14 +1795,25 @@
       }
 
       startBtn.disabled = !(state === GAME_STATE.TITLE || state === GAME_STATE.GAME_COMPLETE);
+      endlessStartBtn.disabled = game.isEndlessLoading();
       levelSelectBtn.disabled = state === GAME_STATE.PLAYING;
-      nextBtn.disabled = currentLevelNumber >= game.levels.length;
+      nextBtn.disabled = currentLevelNumber >= game.levels.length || game.isEndless();
       undoBtn.disabled = state !== GAME_STATE.PLAYING || game.history.length === 0;
+      hintBtn.disabled = state !== GAME_STATE.PLAYING;
 
       pauseBtn.disabled = !(state === GAME_STATE.PLAYING || state === GAME_STATE.PAUSED);
       setText(pauseBtn, state === GAME_STATE.PAUSED ? t("resumeBtn") : t("pauseBtn"));
       setText(levelSelectBtn, t("levelSelectBtn"));
 
+      if (state === GAME_STATE.EDITOR) {
+        setText(editorBtn, t("editorCloseBtn"));
+      } else if (game.isPlaytesting()) {
+        setText(editorBtn, t("editorBackBtn"));
+      } else {
+        setText(editorBtn, t("editorBtn"));
+      }
+      editorBtn.disabled = state === GAME_STATE.PLAYING && !game.isPlaytesting();
+
       var wasPaused = !pauseMenu.classList.contains("hidden");
       pauseMenu.classList.toggle("hidden", state !== GAME_STATE.PAUSED);
       var isPaused = state === GAME_STATE.PAUSED;
@@ -1224,10 +1832,36 @@
             collected: game.getItemProgress().collected,
             total: game.getItemProgress().total,
           }));
-          setText(clearNextBtn, isGameComplete ? t("restartFromBeginning") : t("clearNext"));
+          var rating = game.getClearRating();
+          setText(
+            clearStars,
+            t(rating.par ? "clearStarsPar" : "clearStarsNoPar", {
+              stars: starString(rating.stars),
+              par: rating.par,
+            }) + (rating.starJelly > 0 ? t("clearStarsJelly", { jelly: rating.starJelly }) : "")
+          );
+          var hintsUsed = game.getLevelHintsUsed();
+          var clearNote = hintsUsed > 0 ? t("clearWithHints", { count: hintsUsed }) : t("clearNoHints");
+          var clearedEndless = game.getEndlessStatus();
+          if (clearedEndless) {
+            clearNote += " · " + t("endlessStreakNote", { streak: clearedEndless.streak, best: clearedEndless.bestStreak });
+          }
+          var clearedChallenge = game.getChallengeStatus();
+          if (clearedChallenge) {
+            clearNote +=
+              " · " +
+              (clearedChallenge.mode === CHALLENGE_MODE.TIMER
+                ? t("clearChallengeTime", { time: formatChallengeTime(clearedChallenge.used, false) })
+                : t("clearChallengeMoves", { used: clearedChallenge.used, budget: clearedChallenge.limit }));
+          }
+          setText(clearHintNote, clearNote);
+          setText(
+            clearNextBtn,
+            isGameComplete ? t("restartFromBeginning") : game.isEndless() ? t("endlessNext") : t("clearNext")
+          );
           setText(clearRestartBtn, t("clearRestart"));
           setText(clearTitleBtn, t("clearToTitle"));
-          clearNextBtn.disabled = false;
+          clearNextBtn.disabled = game.isEndlessLoading();
           if (!wasClearVisible) {
             trapFocusIn(clearOverlay);
           }
@@ -1236,6 +1870,30 @@
         }
       }
 
+      if (failOverlay) {
+        var wasFailVisible = !failOverlay.classList.contains("hidden");
+        var isFailed = state === GAME_STATE.LEVEL_FAILED;
+        failOverlay.classList.toggle("hidden", !isFailed);
+        if (isFailed) {
+          var failedChallenge = game.getChallengeStatus();
+          setText(failTitle, t("failTitle"));
+          setText(
+            failSubtitle,
+            failedChallenge && failedChallenge.mode === CHALLENGE_MODE.TIMER
+              ? t("failSubtitleTime", { time: formatChallengeTime(failedChallenge.limit, true) })
+              : t("failSubtitleMoves", { budget: failedChallenge ? failedChallenge.limit : game.moveCount })
+          );
+          setText(failRetryBtn, t("failRetry"));
+          setText(failLevelSelectBtn, t("levelSelectBtn"));
+          setText(failTitleBtn, t("clearToTitle"));
+          if (!wasFailVisible) {
+            trapFocusIn(failOverlay);
+          }
+        } else if (wasFailVisible) {
+          releaseFocusTrap();
+        }
+      }
+
       if (isPaused && !wasPaused) {
         trapFocusIn(pauseMenu);
       } else if (!isPaused && wasPaused) {
@@ -1248,6 +1906,12 @@
         state === GAME_STATE.GAME_COMPLETE
           ? "grid"
           : "none";
+      levelEditorPanel.style.display = state === GAME_STATE.EDITOR ? "grid" : "none";
+      profilePicker.classList.toggle("hidden", state !== GAME_STATE.TITLE);
+      if (state === GAME_STATE.TITLE) {
+        renderProfiles();
+      }
+      updatePlaybackBar();
 
       if (state !== GAME_STATE.TITLE && state !== GAME_STATE.LEVEL_SELECT) {
         if (tutorialVisible) {
@@ -1263,6 +1927,24 @@
       updateReplayDebugUI(false);
     }
 
+    function updatePlaybackBar() {
+      var playback = game.state === GAME_STATE.REPLAY ? game.getPlaybackState() : null;
+      playbackBar.classList.toggle("hidden", !playback);
+      if (!playback) {
+        return;
+      }
+
+      setText(playbackToggleBtn, playback.playing ? t("playbackPause") : t("playbackPlay"));
+      setText(playbackStepLabel, playback.step + " / " + playback.total);
+      playbackRange.max = String(playback.total);
+      if (document.activeElement !== playbackRange) {
+        playbackRange.value = String(playback.step);
+      }
+      playbackSpeedButtons.forEach(function markSpeed(button) {
+        button.classList.toggle("active", Number(button.getAttribute("data-speed")) === playback.speed);
+      });
+    }
+
     function handleGameEvents() {
       var events = game.drainEvents();
       if (events.length === 0) {
@@ -1285,6 +1967,20 @@
           continue;
         }
 
+        if (event.type === "playtest_clear") {
+          audio.playClearJingle();
+          showToast(
+            t("editorPlaytestClear", {
+              moves: event.payload.moveCount,
+              collected: event.payload.collectedItems,
+              total: event.payload.totalItems,
+            }),
+            "success"
+          );
+          levelEditor.update();
+          continue;
+        }
+
         if (event.type === "move") {
           audio.playStep();
           continue;
@@ -1293,7 +1989,36 @@
         if (event.type === "blocked") {
           audio.playBlocked();
           if (performance.now() - lastBlockedToastAt > GAMEPLAY.BLOCKED_TOAST_COOLDOWN_MS) {
-            showToast(t("blockedToast"), "warning");
+            var blockedReason = event.payload && event.payload.reason;
+            var blockedKey = "blockedToast";
+            if (blockedReason === "body") {
+              blockedKey = "blockedBodyToast";
+            } else if (blockedReason === "one_way") {
+              blockedKey = "blockedOneWayToast";
+            } else if (blockedReason === "door") {
+              blockedKey = "blockedDoorToast";
+            } else if (blockedReason === "boulder") {
+              blockedKey = "blockedBoulderToast";
+            } else if (blockedReason === "hole") {
+              blockedKey = "blockedHoleToast";
+            } else if (blockedReason === "gate") {
+              blockedKey = "blockedGateToast";
+            }
+            var blockedParams = null;
+            if (blockedReason === "exit_locked") {
+              var goal = game.getGoalStatus();
+              if (goal && goal.missingItems > 0) {
+                blockedKey = "exitLockedItemsToast";
+                blockedParams = { count: goal.missingItems };
+              } else if (goal && goal.itemsLeft > 0) {
+                blockedKey = "exitLockedAllItemsToast";
+                blockedParams = { count: goal.itemsLeft };
+              } else if (goal) {
+                blockedKey = "exitLockedLengthToast";
+                blockedParams = { target: goal.exactLength, length: goal.length };
+              }
+            }
+            showToast(t(blockedKey, blockedParams), "warning");
             lastBlockedToastAt = performance.now();
           }
           continue;
@@ -1304,8 +2029,25 @@
           continue;
         }
 
+        if (event.type === "hint_pending") {
+          showToast(t("hintSearchingToast"));
+          continue;
+        }
+
+        if (event.type === "hint") {
+          var hint = event.payload;
+          if (!hint.found) {
+            showToast(t(hint.timeout ? "hintTimeoutToast" : "hintNotFoundToast"), "error");
+          } else if (hint.full) {
+            showToast(t("hintFullToast", { total: hint.total }));
+          } else {
+            showToast(t("hintToast", { shown: hint.shown, total: hint.total }));
+          }
+          continue;
+        }
+
         if (event.type === "level_clear") {
-          audio.playClear();
+          audio.playClearJingle();
           showToast(
             t("levelClearToast", {
               moves: event.payload.moveCount,
@@ -1328,6 +2070,9 @@
           } else if (event.payload.kind === "star") {
             itemVfxColor = "#49d8ff";
             itemVfxCount = 14;
+          } else if (event.payload.kind === "sour_jelly" || event.payload.kind === "super_sour_jelly") {
+            itemVfxColor = "#9be15d";
+            itemVfxCount = 10;
           }
           if (renderer.spawnItemParticles && event.payload.x != null) {
             renderer.spawnItemParticles(event.payload.x, event.payload.y, itemVfxColor, itemVfxCount);
@@ -1342,6 +2087,14 @@
                 total: event.payload.total,
               })
             );
+          } else if (event.payload.kind === "sour_jelly" || event.payload.kind === "super_sour_jelly") {
+            audio.playSour();
+            showToast(
+              t(event.payload.growth < 0 ? "itemToastSour" : "itemToastSourMin", {
+                shrink: -event.payload.growth,
+                length: event.payload.length,
+              })
+            );
           } else if (event.payload.kind === "star") {
             audio.playPower();
             showToast(
@@ -1362,6 +2115,42 @@
           continue;
         }
 
+        if (event.type === "boulder_pushed") {
+          audio.playBoulder(event.payload.filled);
+          if (event.payload.filled) {
+            if (renderer.spawnItemParticles) {
+              renderer.spawnItemParticles(event.payload.to.x, event.payload.to.y, "#8d8478", 10);
+            }
+            showToast(t("boulderFilledToast"));
+          }
+          continue;
+        }
+
+        if (event.type === "gates_changed") {
+          audio.playGate(event.payload.opened > 0);
+          continue;
+        }
+
+        if (event.type === "key_collected") {
+          audio.playItem();
+          if (renderer.spawnItemParticles) {
+            renderer.spawnItemParticles(
+              event.payload.x,
+              event.payload.y,
+              constants.KEY_COLORS[event.payload.color],
+              10
+            );
+          }
+          showToast(
+            t("keyCollectedToast", {
+              color: t(keyColorLabelKey(event.payload.color)),
+              doors: event.payload.doorsOpened,
+            }),
+            "success"
+          );
+          continue;
+        }
+
         if (event.type === "portal_used") {
           audio.playPortal();
           // VFX: 포털 워프 플래시
@@ -1369,7 +2158,10 @@
             renderer.triggerPortalFlash(
               event.payload.to.x,
               event.payload.to.y,
-              "#37e5ff",
+              renderer.getPortalColor(
+                game.getCurrentTheme(),
+                game.getTile(event.payload.to.x, event.payload.to.y)
+              ),
               performance.now()
             );
           }
@@ -1396,16 +2188,148 @@
           continue;
         }
 
+        if (event.type === "endless_pending") {
+          showToast(t("endlessLoadingToast", { depth: event.payload.depth }));
+          continue;
+        }
+
+        if (event.type === "endless_level") {
+          showToast(t("endlessLevelToast", { depth: event.payload.depth, seed: event.payload.seed }));
+          // 미로는 생성이 끝난 프레임에 들어오므로 여기서 캔버스를 새 미로 크기에 맞춘다
+          resizeCanvasToPanel();
+          continue;
+        }
+
+        if (event.type === "endless_clear") {
+          audio.playClearJingle();
+          var newBest = event.payload.streak > event.payload.previousBest;
+          showToast(
+            t(newBest ? "endlessNewBestToast" : "endlessClearToast", {
+              streak: event.payload.streak,
+              best: event.payload.bestStreak,
+            }),
+            "success"
+          );
+          continue;
+        }
+
+        if (event.type === "endless_unavailable") {
+          showToast(t("endlessUnavailableToast", { seed: event.payload.seed }), "error");
+          continue;
+        }
+
+        if (event.type === "level_failed") {
+          audio.playFail();
+          showToast(
+            t(event.payload.reason === "time" ? "levelFailedTimeToast" : "levelFailedMovesToast"),
+            "error"
+          );
+          updateReplayDebugUI(true);
+          continue;
+        }
+
         if (event.type === "deadlock") {
           showToast(t("deadlockToast"), "error");
           continue;
         }
 
+        if (event.type === "storage_migrated") {
+          showToast(t("storageMigratedToast", { from: event.payload.from, to: event.payload.to }));
+          continue;
+        }
+
+        if (event.type === "profile_changed") {
+          updateStaticTexts();
+          syncSettingControls(true);
+          showToast(t("profileChangedToast", { name: profileDisplayName(event.payload) }), "success");
+          continue;
+        }
+
+        if (event.type === "profile_renamed") {
+          cachedProfileState = "";
+          showToast(t("profileRenamedToast"));
+          continue;
+        }
+
+        if (event.type === "playback_end") {
+          showToast(t("playbackEndToast"));
+          continue;
+        }
+
+        if (event.type === "playback_takeover") {
+          showToast(t("playbackTakeOverToast", { step: event.payload.step }), "success");
+          continue;
+        }
+
+        if (event.type === "replay_imported") {
+          showToast(
+            t("replayImportedToast", {
+              level: event.payload.levelId,
+              moves: event.payload.moveCount,
+              cleared: event.payload.cleared ? t("replayImportedCleared") : "",
+            }),
+            "success"
+          );
+          continue;
+        }
+
+        if (event.type === "replay_import_failed") {
+          showToast(
+            t(REPLAY_IMPORT_ERROR_KEYS[event.payload.reason] || "replayImportErrorFormat", {
+              step: event.payload.step,
+            }),
+            "error"
+          );
+          continue;
+        }
+
+        if (event.type === "save_imported") {
+          showToast(
+            t(event.payload.mode === "replace" ? "saveReplacedToast" : "saveMergedToast", {
+              level: event.payload.unlockedLevelIndex + 1,
+            }),
+            "success"
+          );
+          continue;
+        }
+
+        if (event.type === "save_import_failed") {
+          showToast(t(SAVE_IMPORT_ERROR_KEYS[event.payload.reason] || "saveImportErrorFormat"), "error");
+          continue;
+        }
+
         if (event.type === "storage_error") {
           showToast(currentLanguage() === "en" ? "Save failed: storage unavailable" : "저장 실패: 저장소를 사용할 수 없습니다", "error");
           continue;
         }
       }
+
+      syncMusicLayers();
+    }
+
+    /**
+     * 이번에 꺼낸 이벤트가 반영된 게임 상태로 BGM 레이어를 맞춘다.
+     * 스타 파워 중에는 아르페지오, 열린 출구 근처에서는 타악기, 데드락(둘 곳 없음)에는 필터.
+     * undo/재시작/상태 전환처럼 전용 이벤트가 없는 해제도 같은 계산으로 처리된다.
+     */
+    function syncMusicLayers() {
+      var playing = game.state === GAME_STATE.PLAYING;
+      var exitDistance = playing ? game.getExitDistance() : null;
+      audio.setMusicLayer("star", playing && game.getPowerState().starMoves > 0);
+      audio.setMusicLayer("exit", exitDistance !== null && exitDistance <= GAMEPLAY.MUSIC_EXIT_NEAR_CELLS);
+      audio.setMusicMuffled(playing && !game.hasAnyValidMove());
+    }
+
+    /**
+     * 일시정지 상태를 오디오 "game" 정지 사유에 맞춘다. 이벤트 없이 바뀌는 상태 전환도 있어서
+     * 이벤트 처리 때가 아니라 매 프레임 확인하고, 바뀌었을 때만 반영한다.
+     */
+    function syncAudioPause() {
+      var paused = game.state === GAME_STATE.PAUSED;
+      if (paused !== audioPausedForGame) {
+        audioPausedForGame = paused;
+        audio.setPaused("game", paused);
+      }
     }
 
     function resizeCanvasToPanel() {
@@ -1466,7 +2390,10 @@
         showToast(t("noReplayToast"));
         return;
       }
+      copyText(payload);
+    }
 
+    function copyText(payload) {
       if (navigator.clipboard && navigator.clipboard.writeText) {
         navigator.clipboard
           .writeText(payload)
@@ -1497,8 +2424,101 @@
         uiDirty = true;
       },
       onConfirmRestart: confirmRestart,
+      onNavigate: navigateFocus,
+      onConfirm: confirmPadFocus,
     });
 
+    var SAVE_IMPORT_ERROR_KEYS = {
+      json: "saveImportErrorJson",
+      format: "saveImportErrorFormat",
+      version: "saveImportErrorVersion",
+      checksum: "saveImportErrorChecksum",
+      busy: "saveImportErrorBusy",
+    };
+
+    /** 저장 백업을 JSON 파일로 내려받는다. */
+    function downloadSaveBundle() {
+      if (!global.Blob || !global.URL || !URL.createObjectURL) {
+        showToast(t("saveExportUnavailable"), "error");
+        return;
+      }
+      var blob = new Blob([game.exportSaveBundle()], { type: "application/json" });
+      var url = URL.createObjectURL(blob);
+      var link = document.createElement("a");
+      link.href = url;
+      link.download = "worm-save-" + new Date().toISOString().slice(0, 10) + ".json";
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      // 일부 브라우저는 click() 뒤에 다운로드를 비동기로 시작하므로 URL 해제를 다음 턴으로 미룬다.
+      global.setTimeout(function revokeSaveBundleUrl() {
+        URL.revokeObjectURL(url);
+      }, 0);
+      showToast(t("saveExportedToast"), "success");
+    }
+
+    function summaryLine(labelKey, summary) {
+      return t("saveImportSummaryLine", {
+        label: t(labelKey),
+        level: summary.unlockedLevelIndex + 1,
+        clears: summary.clears,
+        stars: summary.stars,
+        records: summary.records,
+        replays: summary.replays,
+      });
+    }
+
+    function renderSaveImportPreview() {
+      saveImportPreview.hidden = !saveImportState;
+      if (!saveImportState) {
+        return;
+      }
+      var preview = saveImportState;
+      setText(
+        saveImportSummary,
+        [
+          t("saveImportCreated", {
+            date: preview.createdAt ? new Date(preview.createdAt).toLocaleString(currentLanguage()) : "-",
+          }),
+          summaryLine("saveImportCurrent", preview.current),
+          summaryLine("saveImportIncoming", preview.incoming),
+          summaryLine("saveImportMerged", preview.merged),
+          t("saveImportSettingsLine", {
+            mergeSettings: preview.mergeChanges.settings.length,
+            mergeBindings: preview.mergeChanges.bindings,
+            replaceSettings: preview.replaceChanges.settings.length,
+            replaceBindings: preview.replaceChanges.bindings,
+          }),
+        ].join("\n")
+      );
+    }
+
+    function readSaveImportFile(file) {
+      if (!file || !global.FileReader) {
+        return;
+      }
+      var reader = new global.FileReader();
+      reader.onload = function onSaveFileLoad() {
+        var result = game.previewSaveImport(String(reader.result || ""));
+        saveImportState = result.ok ? result.preview : null;
+        renderSaveImportPreview();
+        uiDirty = true;
+      };
+      reader.readAsText(file);
+    }
+
+    function applySaveImport(mode) {
+      if (mode === "replace" && !global.confirm(t("confirmSaveReplace"))) {
+        return;
+      }
+      if (game.applySaveImport(mode)) {
+        saveImportState = null;
+        renderSaveImportPreview();
+        updateUI(true);
+      }
+      uiDirty = true;
+    }
+
     function confirmNewGame() {
       var message = game.settings.resetProgressOnNewGame
         ? t("confirmNewGameReset")
@@ -1651,6 +2671,35 @@
       resizeCanvasToPanel();
     });
 
+    setupButton(editorBtn, function onToggleEditor() {
+      audio.unlock();
+      if (game.state === GAME_STATE.EDITOR) {
+        game.closeEditor();
+      } else {
+        game.openEditor();
+      }
+      levelEditor.update();
+      updateUI(true);
+      resizeCanvasToPanel();
+    });
+
+    setupButton(editorPlaytestBtn, function onEditorPlaytest() {
+      audio.unlock();
+      levelEditor.playtest();
+    });
+
+    setupButton(editorNewBtn, function onEditorNew() {
+      levelEditor.newDraft();
+    });
+
+    setupButton(editorExportBtn, function onEditorExport() {
+      levelEditor.exportToText();
+    });
+
+    setupButton(editorImportBtn, function onEditorImport() {
+      levelEditor.importFromText();
+    });
+
     setupButton(pauseBtn, function onPause() {
       audio.unlock();
       game.togglePause();
@@ -1677,7 +2726,11 @@
 
     setupButton(clearNextBtn, function onClearNext() {
       audio.unlock();
-      if (game.state === GAME_STATE.GAME_COMPLETE) {
+      if (game.isEndless()) {
+        game.nextLevel();
+        updateUI(true);
+        resizeCanvasToPanel();
+      } else if (game.state === GAME_STATE.GAME_COMPLETE) {
         game.startGame(true);
         updateUI(true);
         resizeCanvasToPanel();
@@ -1699,6 +2752,26 @@
       resizeCanvasToPanel();
     });
 
+    setupButton(failRetryBtn, function onFailRetry() {
+      audio.unlock();
+      game.restartLevel();
+      uiDirty = true;
+    });
+
+    setupButton(failLevelSelectBtn, function onFailLevelSelect() {
+      audio.unlock();
+      game.openLevelSelect();
+      updateUI(true);
+      resizeCanvasToPanel();
+    });
+
+    setupButton(failTitleBtn, function onFailTitle() {
+      audio.unlock();
+      game.exitToTitle();
+      updateUI(true);
+      resizeCanvasToPanel();
+    });
+
     setupButton(nextBtn, function onNext() {
       audio.unlock();
       adjustLevelBy(1);
@@ -1710,6 +2783,12 @@
       uiDirty = true;
     });
 
+    setupButton(hintBtn, function onHint() {
+      audio.unlock();
+      game.requestHint();
+      uiDirty = true;
+    });
+
     setupButton(newGameBtn, function onNewGame() {
       audio.unlock();
       confirmNewGame();
@@ -1720,6 +2799,27 @@
       attemptReplayCopy();
     });
 
+    setupButton(endlessStartBtn, function onEndlessStart() {
+      audio.unlock();
+      var seedText = endlessSeedInput.value.trim();
+      var seed = seedText ? Endless.parseSeed(seedText) : null;
+      if (seedText && seed === null) {
+        showToast(t("endlessSeedInvalid"), "error");
+        return;
+      }
+      if (game.startEndless(seed === null ? undefined : seed)) {
+        updateUI(true);
+        resizeCanvasToPanel();
+      }
+    });
+
+    setupButton(endlessCopySeedBtn, function onEndlessCopySeed() {
+      var endless = game.getEndlessStatus();
+      if (endless) {
+        copyText(endless.seed);
+      }
+    });
+
     setupButton(levelPrevStepBtn, function onLevelStepDown() {
       audio.unlock();
       adjustLevelBy(-1);
@@ -1765,6 +2865,85 @@
       replayUI.goLatest();
     });
 
+    setupButton(saveExportBtn, function onSaveExport() {
+      downloadSaveBundle();
+    });
+
+    saveImportFile.addEventListener("change", function onSaveFileChange() {
+      readSaveImportFile(saveImportFile.files && saveImportFile.files[0]);
+      saveImportFile.value = "";
+    });
+
+    setupButton(saveImportMergeBtn, function onSaveImportMerge() {
+      applySaveImport("merge");
+    });
+
+    setupButton(saveImportReplaceBtn, function onSaveImportReplace() {
+      applySaveImport("replace");
+    });
+
+    setupButton(saveImportCancelBtn, function onSaveImportCancel() {
+      game.cancelSaveImport();
+      saveImportState = null;
+      renderSaveImportPreview();
+    });
+
+    setupButton(profileRenameBtn, function onProfileRename() {
+      game.renameProfile(game.getActiveProfile().slot, profileNameInput.value);
+      profileNameInput.blur();
+      uiDirty = true;
+    });
+
+    setupButton(replayPlayBtn, function onReplayPlay() {
+      audio.unlock();
+      if (!game.startPlayback()) {
+        showToast(t("replayPlayUnavailable"), "warning");
+      }
+      uiDirty = true;
+    });
+
+    setupButton(playbackToggleBtn, function onPlaybackToggle() {
+      game.togglePlayback();
+      uiDirty = true;
+    });
+
+    playbackSpeedButtons.forEach(function bindSpeed(button) {
+      setupButton(button, function onPlaybackSpeed() {
+        game.setPlaybackSpeed(Number(button.getAttribute("data-speed")));
+        uiDirty = true;
+      });
+    });
+
+    playbackRange.addEventListener("input", function onPlaybackRangeInput() {
+      game.seekPlayback(Number(playbackRange.value));
+      uiDirty = true;
+    });
+
+    setupButton(playbackTakeOverBtn, function onPlaybackTakeOver() {
+      game.takeOverPlayback();
+      uiDirty = true;
+    });
+
+    setupButton(playbackExitBtn, function onPlaybackExit() {
+      game.stopPlayback();
+      uiDirty = true;
+    });
+
+    replaySourceSelect.addEventListener("change", function onReplaySourceChange() {
+      replayUI.selectSource();
+    });
+
+    setupButton(replayImportBtn, function onReplayImport() {
+      replayUI.importFromText(replayImportText.value);
+      uiDirty = true;
+    });
+
+    replayImportFile.addEventListener("change", function onReplayFileChange() {
+      replayUI.importFromFile(replayImportFile.files && replayImportFile.files[0]);
+      replayImportFile.value = "";
+      uiDirty = true;
+    });
+
     replayStepRange.addEventListener("input", function onReplayRangeInput() {
       replayUI.setStepFromRange();
     });
@@ -1793,6 +2972,10 @@
         return;
       }
 
+      if (isTextEntryTarget(event.target)) {
+        return;
+      }
+
       var key = event.key || "";
       var action = game.getActionFromKey(key);
       if (!action) {
@@ -1836,6 +3019,7 @@
     });
 
     document.addEventListener("visibilitychange", function onVisibilityChange() {
+      audio.setPaused("hidden", document.hidden);
       if (document.hidden && game.state === GAME_STATE.PLAYING) {
         game.togglePause();
         showToast(t("autoPausedToast"));
@@ -1844,15 +3028,15 @@
     });
 
     global.addEventListener("gamepadconnected", function onGamepadConnected() {
-      if (gamepadHandler && !gamepadHandler.isConnected()) {
-        showToast(t("gamepadConnected"));
-      }
+      showToast(t("gamepadConnected"));
       if (gamepadHandler) { gamepadHandler.onConnected(); }
+      renderGamepadBindings();
     });
 
     global.addEventListener("gamepaddisconnected", function onGamepadDisconnected() {
       if (gamepadHandler) { gamepadHandler.onDisconnected(); }
       showToast(t("gamepadDisconnected"));
+      renderGamepadBindings();
     });
 
     setupSettingsBindings();
@@ -1905,6 +3089,7 @@
       if (gamepadHandler) { gamepadHandler.process(timestamp); }
       renderer.draw(game, timestamp);
       handleGameEvents();
+      syncAudioPause();
       if (uiDirty) {
         updateUI(false);
         uiDirty = false;
@@ -0,0 +1,456 @@
+/**
+ * music.js — BGM 곡 데이터 + 패턴 해석 + 스텝 스케줄 계산
+ *
+ * 곡은 템포(bpm)와 채널별 패턴 문자열로 적는다. 오디오 노드는 만들지 않고,
+ * "언제 어떤 음을 얼마나" 낼지만 계산한다. 실제 발음과 AudioContext 시계 예약은 audio.js가 맡는다.
+ *
+ * @module  WormGameMusic
+ * @depends (없음 — 순수 데이터/계산 모듈)
+ * @exports global.WormGameMusic
+ *
+ * 패턴 문자열: 공백으로 나눈 토큰 하나가 한 스텝 (기본 16분음표, stepsPerBeat = 4).
+ *   "C5", "F#4", "Bb2" = 음 시작   "-" = 앞 음 늘이기   "." = 쉼표   "|" = 마디 구분 (무시)
+ *   타악기 채널(drums: true)은 DRUM_KIT의 글자(k 킥, s 스네어, h 하이햇)와 "."만 쓴다.
+ * 채널 길이는 곡 길이(가장 긴 채널)의 약수여야 하며, 짧은 채널은 반복된다.
+ *
+ * 레이어: 곡의 조성(key, mode)에서 스타 파워용 16분 아르페지오(star)와 출구 근처 타악기(exit)를
+ *   만들어 layer 채널로 붙인다. scheduleSteps에 켜진 레이어를 넘기면 그 채널도 함께 나온다.
+ *   클리어 징글도 같은 조성으로 만든다 (jingle — 한 번만 재생하는 16스텝 곡).
+ *
+ * ES Module 전환 시: export const TRACKS = ...; export function scheduleSteps(...) { ... }
+ */
+(function attachMusic(global) {
+  "use strict";
+
+  var NOTE_OFFSETS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+  var WORLD_COUNT = 10;
+  /** bgmTrack 설정값: "world"는 현재 레벨의 월드 곡을 자동으로 고른다. */
+  var TRACK_SETTINGS = Object.freeze(["world", "retro", "arcade", "chill"]);
+
+  var LAYERS = Object.freeze(["star", "exit"]);
+  var EXIT_LAYER_PATTERN = "h h s h h h s h";
+
+  var DRUM_KIT = Object.freeze({
+    k: Object.freeze({ wave: "sine", frequency: 150, endFrequency: 45, duration: 0.12, gain: 0.12 }),
+    s: Object.freeze({ noise: "bandpass", frequency: 1800, duration: 0.08, gain: 0.06 }),
+    h: Object.freeze({ noise: "highpass", frequency: 7000, duration: 0.025, gain: 0.03 }),
+  });
+
+  function lead(notes, wave) {
+    return { wave: wave || "square", gain: 0.045, gate: 0.6, notes: notes };
+  }
+
+  function bass(notes) {
+    return { wave: "triangle", gain: 0.05, gate: 0.75, notes: notes };
+  }
+
+  function drums(notes) {
+    return { drums: true, notes: notes };
+  }
+
+  var TRACK_DEFS = {
+    retro: {
+      name: "Retro",
+      key: "C",
+      mode: "major",
+      bpm: 88,
+      channels: {
+        lead: lead("C5 E5 G5 E5 C5 E5 A5 E5 | B4 E5 F#5 E5 B4 D5 E5 F#5"),
+        bass: bass("C3 . D3 . C3 . E3 . | B2 . D3 . B2 . D3 ."),
+      },
+    },
+    arcade: {
+      name: "Arcade",
+      key: "A",
+      mode: "major",
+      bpm: 88,
+      channels: {
+        lead: lead("A4 C#5 E5 F#5 E5 C#5 E5 A5 | E5 C#5 B4 C#5 E5 F#5 A5 B5"),
+        bass: bass("A2 . B2 . C3 . D3 . | C3 . B2 . D3 . E3 ."),
+      },
+    },
+    chill: {
+      name: "Chill",
+      key: "G",
+      mode: "major",
+      bpm: 88,
+      channels: {
+        lead: lead("G4 A4 C5 D5 C5 A4 G4 A4 | G4 F4 E4 F4 G4 A4 C5 D5"),
+        bass: bass("G2 . A2 . G2 . F2 . | G2 . E2 . G2 . A2 ."),
+      },
+    },
+    world1: {
+      name: "Sunny Start",
+      key: "C",
+      mode: "major",
+      bpm: 112,
+      channels: {
+        lead: lead("C5 - E5 . G5 - E5 . | A5 - G5 . E5 - D5 . | C5 - E5 . G5 - C6 - | B5 - G5 . D5 - . ."),
+        bass: bass("C3 . . . G2 . . . | F2 . . . C3 . . . | A2 . . . F2 . . . | G2 . . . G2 . B2 ."),
+        drums: drums("k . h . s . h . | k . h . s . h . | k . h . s . h . | k . h k s . s h"),
+      },
+    },
+    world2: {
+      name: "Candy Garden",
+      key: "F",
+      mode: "major",
+      bpm: 120,
+      channels: {
+        lead: lead("F5 . A5 . C6 . A5 . | G5 . Bb5 . D6 - . . | F5 . A5 . C6 . F6 . | E6 - C6 . G5 - . .", "triangle"),
+        bass: bass("F2 . C3 . F2 . C3 . | G2 . D3 . G2 . D3 . | F2 . C3 . A2 . C3 . | C3 . G2 . C3 . E3 ."),
+        drums: drums("k . h h s . h . | k . h h s . h h | k . h h s . h . | k k h . s . s s"),
+      },
+    },
+    world3: {
+      name: "Warp Woods",
+      key: "A",
+      mode: "minor",
+      bpm: 100,
+      channels: {
+        lead: lead("A4 - - C5 E5 - - . | D5 - C5 . B4 - - . | A4 - - E5 A5 - G5 . | F5 - E5 . D5 - - .", "sine"),
+        bass: bass("A2 - - - . . A2 . | G2 - - - . . G2 . | F2 - - - . . F2 . | E2 - - - . . E2 ."),
+        drums: drums("k . . h . . h . | s . . h . . h . | k . . h . . h k | s . . h . h h ."),
+      },
+    },
+    world4: {
+      name: "Star City",
+      key: "D",
+      mode: "major",
+      bpm: 128,
+      channels: {
+        lead: lead("D5 . F#5 . A5 . F#5 A5 | B5 - A5 . F#5 . E5 . | D5 . F#5 . A5 . D6 . | C#6 - A5 . E5 - . ."),
+        bass: bass("D3 D3 . D3 . D3 . A2 | G2 G2 . G2 . G2 . B2 | D3 D3 . D3 . D3 . F#2 | A2 A2 . A2 . C#3 . E3"),
+        drums: drums("k . h . s . h h | k . h k s . h . | k . h . s . h h | k . s . s s s s"),
+      },
+    },
+    world5: {
+      name: "Twisty Canyon",
+      key: "E",
+      mode: "minor",
+      bpm: 108,
+      channels: {
+        lead: lead("E5 . . G5 . . A5 . | B5 - . A5 G5 . E5 . | D5 . . E5 . . G5 . | A5 - - . E5 - - .", "sawtooth"),
+        bass: bass("E2 . E3 . E2 . B2 . | C3 . C3 . C3 . B2 . | D3 . D3 . D3 . A2 . | E2 . E3 . E2 . E2 ."),
+        drums: drums("k . . k s . . . | k . . k s . h . | k . . k s . . . | k . k . s . s h"),
+      },
+    },
+    world6: {
+      name: "Maze Factory",
+      key: "G",
+      mode: "minor",
+      bpm: 132,
+      channels: {
+        lead: lead(
+          "G4 G5 G4 G5 Bb4 Bb5 Bb4 Bb5 | C5 C6 C5 C6 D5 - . . | G4 G5 G4 G5 F4 F5 F4 F5 | Eb5 - D5 - C5 - D5 ."
+        ),
+        bass: bass("G2 . G2 . G2 . G2 . | C3 . C3 . D3 . D3 . | G2 . G2 . F2 . F2 . | Eb2 . Eb2 . D2 . D2 ."),
+        drums: drums("k h s h k h s h | k h s h k k s h | k h s h k h s h | k h s s k s s s"),
+      },
+    },
+    world7: {
+      name: "Glow Castle",
+      key: "D",
+      mode: "minor",
+      bpm: 96,
+      channels: {
+        lead: lead("D5 - - - F5 - A5 - | G5 - F5 - E5 - - - | D5 - - - A5 - D6 - | C#6 - - - A5 - - .", "triangle"),
+        bass: bass("D3 - - - A2 - - - | Bb2 - - - A2 - - - | D3 - - - F2 - - - | A2 - - - A2 - - ."),
+        drums: drums("k . . . s . . h | k . . . s . . . | k . . . s . . h | k . k . s . s ."),
+      },
+    },
+    world8: {
+      name: "Comet Road",
+      key: "B",
+      mode: "minor",
+      bpm: 140,
+      channels: {
+        lead: lead(
+          "B4 D5 F#5 B5 A5 F#5 D5 F#5 | G5 - F#5 - E5 - D5 - | B4 D5 F#5 B5 C#6 B5 A5 F#5 | A#5 - - - F#5 - - ."
+        ),
+        bass: bass("B2 . B2 B2 . B2 B2 . | G2 . G2 G2 . G2 G2 . | B2 . B2 B2 . B2 B2 . | F#2 . F#2 F#2 . F#2 A#2 ."),
+        drums: drums("k h k h s h k h | k h k h s h k h | k h k h s h k h | k h s h s s s s"),
+      },
+    },
+    world9: {
+      name: "Trickster Land",
+      key: "C",
+      mode: "major",
+      bpm: 116,
+      channels: {
+        lead: lead(
+          "C5 . Eb5 E5 G5 . A5 . | Bb5 . A5 . G5 . Eb5 . | C5 . Eb5 E5 G5 . C6 . | B5 - Ab5 - G5 . . .",
+          "sawtooth"
+        ),
+        bass: bass("C3 . G2 . C3 . G2 . | F2 . C3 . F2 . C3 . | C3 . G2 . C3 . G2 . | G2 . D3 . G2 . B2 ."),
+        drums: drums("k . h s . h k . | s . h . k h s . | k . h s . h k . | s . s . k s s h"),
+      },
+    },
+    world10: {
+      name: "Grand Finale",
+      key: "C",
+      mode: "major",
+      bpm: 124,
+      channels: {
+        lead: lead("C5 - G5 - C6 - B5 A5 | G5 - E5 - F5 G5 A5 - | F5 - A5 - C6 - D6 C6 | B5 - G5 - B5 - D6 -"),
+        pad: {
+          wave: "sine",
+          gain: 0.03,
+          gate: 0.95,
+          notes: "C4 - - - - - - - | A3 - - - - - - - | F3 - - - - - - - | G3 - - - - - - -",
+        },
+        bass: bass("C3 . C3 . G2 . G2 . | A2 . A2 . F2 . F2 . | F2 . F2 . A2 . A2 . | G2 . G2 . G2 . B2 ."),
+        drums: drums("k . h . s . h . | k . h . s . h k | k . h . s . h . | k k s . s s s s"),
+      },
+    },
+  };
+
+  /** "A4" → 440. 형식이 틀리면 null. */
+  function noteFrequency(name) {
+    var match = /^([A-G])(#|b)?(-?\d)$/.exec(String(name));
+    if (!match) {
+      return null;
+    }
+    var semitone = NOTE_OFFSETS[match[1]] + (match[2] === "#" ? 1 : match[2] === "b" ? -1 : 0);
+    var midi = (Number(match[3]) + 1) * 12 + semitone;
+    return 440 * Math.pow(2, (midi - 69) / 12);
+  }
+
+  /** 조성 으뜸음 + 반음 간격 → 주파수. 높은 으뜸음(F~B)은 한 옥타브 낮춰 잡는다. */
+  function keyFrequency(key, octave, semitones) {
+    var root = noteFrequency(key + octave);
+    if (NOTE_OFFSETS[key.charAt(0)] >= NOTE_OFFSETS.F) {
+      root /= 2;
+    }
+    return root * Math.pow(2, semitones / 12);
+  }
+
+  function chordChannel(name, options, key, octave, events) {
+    var steps = [];
+    for (var i = 0; i < options.length; i += 1) {
+      steps.push(null);
+    }
+    events.forEach(function placeEvent(event) {
+      steps[event[0]] = { frequency: keyFrequency(key, octave, event[1]), steps: event[2] || 1 };
+    });
+    return {
+      name: name,
+      wave: options.wave,
+      gain: options.gain,
+      gate: options.gate,
+      drums: false,
+      layer: options.layer || null,
+      steps: steps,
+    };
+  }
+
+  /** 조성에서 스타 아르페지오 / 출구 타악기 레이어 채널을 만든다. */
+  function buildLayerChannels(id, def) {
+    var third = def.mode === "minor" ? 3 : 4;
+    var arpeggio = [0, third, 7, 12, 7, third, 0, third].map(function toEvent(semitones, step) {
+      return [step, semitones];
+    });
+    var starOptions = { length: 8, wave: "square", gain: 0.022, gate: 0.5, layer: "star" };
+    var star = chordChannel("star", starOptions, def.key, 5, arpeggio);
+    var exit = compileChannel(id, "exit", drums(EXIT_LAYER_PATTERN));
+    exit.layer = "exit";
+    return [star, exit];
+  }
+
+  /** 클리어 징글: 으뜸화음을 올라가 옥타브 위 으뜸음에서 끝난다. 뒤쪽 쉼표는 잔향 자리. */
+  function buildJingle(id, def, stepSec) {
+    var third = def.mode === "minor" ? 3 : 4;
+    return {
+      id: id + ":jingle",
+      name: def.name,
+      bpm: def.bpm,
+      stepSec: stepSec,
+      length: 16,
+      channels: [
+        chordChannel("lead", { length: 16, wave: "square", gain: 0.05, gate: 0.9 }, def.key, 5, [
+          [0, 0],
+          [1, third],
+          [2, 7],
+          [3, 12, 7],
+        ]),
+        chordChannel("bass", { length: 16, wave: "triangle", gain: 0.055, gate: 0.9 }, def.key, 3, [
+          [0, 0, 3],
+          [3, 0, 7],
+        ]),
+      ],
+    };
+  }
+
+  function tokenize(notes) {
+    return String(notes)
+      .split(/\s+/)
+      .filter(function isStep(token) {
+        return token && token !== "|";
+      });
+  }
+
+  /** 채널 패턴 → 스텝별 이벤트 목록. 늘이기("-")는 앞 음의 steps를 늘린다. */
+  function compileChannel(trackId, channelName, def) {
+    var tokens = tokenize(def.notes);
+    var steps = [];
+    var last = null;
+    for (var i = 0; i < tokens.length; i += 1) {
+      var token = tokens[i];
+      steps.push(null);
+      if (token === ".") {
+        last = null;
+        continue;
+      }
+      if (token === "-" && !def.drums) {
+        if (last) {
+          last.steps += 1;
+        }
+        continue;
+      }
+      var event = def.drums ? compileDrum(token) : compileNote(token);
+      if (!event) {
+        throw new Error("Bad music token '" + token + "' in " + trackId + "." + channelName + " step " + (i + 1));
+      }
+      steps[i] = event;
+      last = def.drums ? null : event;
+    }
+    return {
+      name: channelName,
+      wave: def.wave || "square",
+      gain: Number(def.gain) || 0.04,
+      gate: Number(def.gate) || 0.7,
+      drums: !!def.drums,
+      layer: null,
+      steps: steps,
+    };
+  }
+
+  function compileNote(token) {
+    var frequency = noteFrequency(token);
+    return frequency ? { frequency: frequency, steps: 1 } : null;
+  }
+
+  function compileDrum(token) {
+    return Object.prototype.hasOwnProperty.call(DRUM_KIT, token) ? { drum: token, steps: 1 } : null;
+  }
+
+  /**
+   * 곡 정의 → 스케줄용 구조. 조성(key)이 있으면 레이어 채널과 클리어 징글도 만든다.
+   * @returns {{ id, name, bpm, stepSec, length, channels: Array<{ name, wave, gain, gate, drums, layer, steps }>,
+   *             jingle: Object|null }}
+   */
+  function compileTrack(id, def) {
+    var stepsPerBeat = def.stepsPerBeat || 4;
+    var channels = Object.keys(def.channels).map(function eachChannel(name) {
+      return compileChannel(id, name, def.channels[name]);
+    });
+    var length = channels.reduce(function longest(max, channel) {
+      return Math.max(max, channel.steps.length);
+    }, 0);
+    channels.forEach(function checkLength(channel) {
+      if (!channel.steps.length || length % channel.steps.length !== 0) {
+        throw new Error("Channel " + id + "." + channel.name + " does not divide the track length " + length);
+      }
+    });
+    var stepSec = 60 / def.bpm / stepsPerBeat;
+    if (def.key) {
+      buildLayerChannels(id, def).forEach(function addLayer(channel) {
+        if (length % channel.steps.length !== 0) {
+          throw new Error("Layer " + id + "." + channel.name + " does not divide the track length " + length);
+        }
+        channels.push(channel);
+      });
+    }
+    return {
+      id: id,
+      name: def.name,
+      bpm: def.bpm,
+      stepSec: stepSec,
+      length: length,
+      channels: channels,
+      jingle: def.key ? buildJingle(id, def, stepSec) : null,
+    };
+  }
+
+  var TRACKS = {};
+  Object.keys(TRACK_DEFS).forEach(function compileEach(id) {
+    TRACKS[id] = compileTrack(id, TRACK_DEFS[id]);
+  });
+
+  function trackForWorld(world) {
+    var index = Math.min(WORLD_COUNT, Math.max(1, Math.floor(Number(world)) || 1));
+    return "world" + index;
+  }
+
+  function normalizeTrackSetting(value) {
+    return TRACK_SETTINGS.indexOf(value) >= 0 ? value : TRACK_SETTINGS[0];
+  }
+
+  /** 설정값과 현재 월드 → 재생할 곡 id. */
+  function resolveTrack(setting, world) {
+    var normalized = normalizeTrackSetting(setting);
+    return normalized === "world" ? trackForWorld(world) : normalized;
+  }
+
+  /**
+   * cursor.time부터 untilTime 전까지 시작하는 스텝의 음을 모두 꺼내고 cursor를 그만큼 옮긴다.
+   * cursor는 { step, time }이며 time은 AudioContext 시계(초)다.
+   * layer 채널은 layers[layer]가 참일 때만 나온다.
+   *
+   * @param {Object} [layers] - 예: { star: true, exit: false }
+   * @returns {Array<Object>} { time, duration, gain, wave, frequency, endFrequency?, noise? }
+   */
+  function scheduleSteps(track, cursor, untilTime, layers) {
+    var notes = [];
+    while (cursor.time < untilTime) {
+      for (var c = 0; c < track.channels.length; c += 1) {
+        var channel = track.channels[c];
+        if (channel.layer && !(layers && layers[channel.layer])) {
+          continue;
+        }
+        var event = channel.steps[cursor.step % channel.steps.length];
+        if (!event) {
+          continue;
+        }
+        if (event.drum) {
+          var hit = DRUM_KIT[event.drum];
+          notes.push({
+            time: cursor.time,
+            duration: hit.duration,
+            gain: hit.gain,
+            wave: hit.wave || null,
+            frequency: hit.frequency,
+            endFrequency: hit.endFrequency || null,
+            noise: hit.noise || null,
+          });
+          continue;
+        }
+        notes.push({
+          time: cursor.time,
+          duration: event.steps * track.stepSec * channel.gate,
+          gain: channel.gain,
+          wave: channel.wave,
+          frequency: event.frequency,
+          endFrequency: null,
+          noise: null,
+        });
+      }
+      cursor.step = (cursor.step + 1) % track.length;
+      cursor.time += track.stepSec;
+    }
+    return notes;
+  }
+
+  global.WormGameMusic = Object.freeze({
+    WORLD_COUNT: WORLD_COUNT,
+    TRACK_SETTINGS: TRACK_SETTINGS,
+    LAYERS: LAYERS,
+    DRUM_KIT: DRUM_KIT,
+    TRACKS: TRACKS,
+    noteFrequency: noteFrequency,
+    compileTrack: compileTrack,
+    trackForWorld: trackForWorld,
+    normalizeTrackSetting: normalizeTrackSetting,
+    resolveTrack: resolveTrack,
+    scheduleSteps: scheduleSteps,
+  });
+})(window);
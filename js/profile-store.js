@@ -0,0 +1,170 @@
+/**
+ * profile-store.js — 저장 슬롯(프로필) 목록과 슬롯별 저장 키
+ *
+ * 한 기기를 여러 사람이 쓸 수 있도록 진행도/최고 기록/리플레이를 슬롯마다 따로 저장한다.
+ * 슬롯 1은 기존 단일 저장 키를 그대로 쓰므로, 예전 데이터는 복사 없이 슬롯 1이 된다.
+ * 슬롯 2 이상은 "<키>@slot<n>" 키를 쓴다.
+ *
+ * 설정은 기기 공통 값(STORAGE_KEYS.SETTINGS) 위에 프로필별 덮어쓰기(PROFILE_SETTING_KEYS)를 얹는다.
+ * 기기 공통 키에는 PROFILE_SETTING_KEYS를 뺀 값만 저장하므로, 덮어쓰기가 없는 슬롯은 프로필 설정을 기본값으로 시작한다.
+ * 예전 단일 저장의 설정은 인덱스를 처음 만들 때 슬롯 1의 덮어쓰기로 옮긴다.
+ *
+ * @module  WormGameProfileStore
+ * @depends WormGameConstants (STORAGE_KEYS, PROFILE_SLOT_COUNT, PROFILE_SETTING_KEYS, PROFILE_NAME_MAX, clamp)
+ * @exports global.WormGameProfileStore
+ *
+ * 인덱스 형식 (STORAGE_KEYS.PROFILES):
+ *   { version, settingsVersion, activeSlot, slots: [{ name, settings: { ...덮어쓰기 } | null }] }
+ *   settingsVersion은 덮어쓰기가 따르는 설정 버전 (없으면 v1로 본다). 올리는 일은 game.js가 설정 마이그레이션으로 한다.
+ *
+ * ES Module 전환 시: import { STORAGE_KEYS, PROFILE_SLOT_COUNT, ... } from './constants.js'
+ */
+(function attachProfileStore(global) {
+  "use strict";
+
+  var constants = global.WormGameConstants;
+  var STORAGE_KEYS = constants.STORAGE_KEYS;
+  var SLOT_COUNT = constants.PROFILE_SLOT_COUNT;
+  var PROFILE_SETTING_KEYS = constants.PROFILE_SETTING_KEYS;
+  var NAME_MAX = constants.PROFILE_NAME_MAX;
+  var clamp = constants.clamp;
+
+  var INDEX_VERSION = 1;
+
+  function normalizeSlot(slot) {
+    return clamp(Math.round(Number(slot) || 1), 1, SLOT_COUNT);
+  }
+
+  /** 슬롯별 localStorage 키. 슬롯 1은 기존 키 그대로. */
+  function slotKey(baseKey, slot) {
+    var normalized = normalizeSlot(slot);
+    return normalized === 1 ? baseKey : baseKey + "@slot" + normalized;
+  }
+
+  function normalizeName(name) {
+    return String(name || "").replace(/\s+/g, " ").trim().slice(0, NAME_MAX);
+  }
+
+  /** 설정 객체에서 프로필별로 저장할 값만 골라낸다. */
+  function pickProfileSettings(settings) {
+    if (!settings || typeof settings !== "object") {
+      return null;
+    }
+    var picked = {};
+    for (var i = 0; i < PROFILE_SETTING_KEYS.length; i += 1) {
+      var key = PROFILE_SETTING_KEYS[i];
+      if (Object.prototype.hasOwnProperty.call(settings, key)) {
+        picked[key] = JSON.parse(JSON.stringify(settings[key]));
+      }
+    }
+    return picked;
+  }
+
+  /** 설정 객체에서 프로필별 값을 뺀 기기 공통 값만 남긴다. */
+  function omitProfileSettings(settings) {
+    var rest = Object.assign({}, settings);
+    for (var i = 0; i < PROFILE_SETTING_KEYS.length; i += 1) {
+      delete rest[PROFILE_SETTING_KEYS[i]];
+    }
+    return rest;
+  }
+
+  function createIndex() {
+    var slots = [];
+    for (var i = 0; i < SLOT_COUNT; i += 1) {
+      slots.push({ name: "", settings: null });
+    }
+    return { version: INDEX_VERSION, settingsVersion: constants.SETTINGS_VERSION, activeSlot: 1, slots: slots };
+  }
+
+  function sanitizeIndex(parsed) {
+    var index = createIndex();
+    if (!parsed || typeof parsed !== "object" || !Array.isArray(parsed.slots)) {
+      return null;
+    }
+    index.activeSlot = normalizeSlot(parsed.activeSlot);
+    index.settingsVersion = Math.max(1, Math.floor(Number(parsed.settingsVersion)) || 1);
+    for (var i = 0; i < SLOT_COUNT; i += 1) {
+      var slot = parsed.slots[i] || {};
+      index.slots[i].name = normalizeName(slot.name);
+      index.slots[i].settings = pickProfileSettings(slot.settings);
+    }
+    return index;
+  }
+
+  function readJson(key) {
+    try {
+      var raw = global.localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  /** @returns {boolean} 저장 성공 여부 */
+  function saveIndex(index) {
+    try {
+      global.localStorage.setItem(STORAGE_KEYS.PROFILES, JSON.stringify(index));
+      return true;
+    } catch (_error) {
+      return false;
+    }
+  }
+
+  /**
+   * 프로필 인덱스를 불러온다. 없으면 새로 만들고,
+   * 기존 단일 슬롯 사용자의 설정을 슬롯 1의 덮어쓰기로 옮긴다 (진행도/리플레이는 키가 같아 그대로 슬롯 1).
+   */
+  function loadIndex() {
+    var index = sanitizeIndex(readJson(STORAGE_KEYS.PROFILES));
+    if (index) {
+      return index;
+    }
+
+    index = createIndex();
+    var legacySettings = readJson(STORAGE_KEYS.SETTINGS) || readJson(STORAGE_KEYS.SETTINGS_BACKUP);
+    index.slots[0].settings = pickProfileSettings(legacySettings);
+    if (legacySettings) {
+      index.settingsVersion = Math.max(1, Math.floor(Number(legacySettings.version)) || 1);
+    }
+    saveIndex(index);
+    return index;
+  }
+
+  function getSlot(index, slot) {
+    return index.slots[normalizeSlot(slot) - 1];
+  }
+
+  /** 슬롯 진행 데이터 요약 (프로필 선택 화면용). */
+  function readSlotSummary(slot) {
+    var progress =
+      readJson(slotKey(STORAGE_KEYS.PROGRESS, slot)) ||
+      readJson(slotKey(STORAGE_KEYS.PROGRESS_BACKUP, slot));
+    var stars = 0;
+    var levelStars = progress && progress.levelStars ? progress.levelStars : {};
+    var ids = Object.keys(levelStars);
+    for (var i = 0; i < ids.length; i += 1) {
+      stars += Math.max(0, Number(levelStars[ids[i]]) || 0);
+    }
+    return {
+      started: !!progress,
+      unlockedLevelIndex: progress ? Math.max(0, Number(progress.unlockedLevelIndex) || 0) : 0,
+      clears: progress ? Math.max(0, Number(progress.clears) || 0) : 0,
+      stars: stars,
+    };
+  }
+
+  global.WormGameProfileStore = Object.freeze({
+    SLOT_COUNT: SLOT_COUNT,
+    slotKey: slotKey,
+    normalizeSlot: normalizeSlot,
+    normalizeName: normalizeName,
+    pickProfileSettings: pickProfileSettings,
+    omitProfileSettings: omitProfileSettings,
+    createIndex: createIndex,
+    loadIndex: loadIndex,
+    saveIndex: saveIndex,
+    getSlot: getSlot,
+    readSlotSummary: readSlotSummary,
+  });
+})(window);
@@ -12,6 +12,7 @@
 
   var constants = global.WormGameConstants;
   var TILE = constants.TILE;
+  var TILE_META = constants.TILE_META;
   var TILE_SIZE = constants.TILE_SIZE;
   var GRID_COLS = constants.GRID_COLS;
   var GRID_ROWS = constants.GRID_ROWS;
@@ -55,6 +56,14 @@
     }
   }
 
+  /** 오른쪽을 향해 그린 화살표를 방향에 맞게 돌리는 각도. */
+  var DIRECTION_ANGLES = {
+    right: 0,
+    down: Math.PI / 2,
+    left: Math.PI,
+    up: -Math.PI / 2,
+  };
+
   function drawRoundedRect(ctx, x, y, width, height, radius, fillStyle) {
     var r = Math.min(radius, width / 2, height / 2);
     ctx.beginPath();
@@ -126,10 +135,17 @@
     this.obstacleCache = {};
     this.itemCache = {};
     this.portalCache = {};
+    this.directionalCache = {};
+    this.lockCache = {};
+    this.terrainCache = {};
     this.viewportScaleX = 1;
     this.viewportScaleY = 1;
     this.lastMorphLength = 0;
     this.morphUntilMs = 0;
+    /** 그리는 중인 레벨의 스위치/차단문 채널 목록 (drawLevel에서 갱신). */
+    this.levelChannels = null;
+    /** 현재 레벨의 출구 조건을 아직 채우지 못했으면 true (draw에서 매 프레임 갱신). */
+    this.exitLocked = false;
 
     this.perf = {
       frameMs: 0,
@@ -142,17 +158,42 @@
     this.tileDrawers = {};
     this.tileDrawers[TILE.WALL] = this.drawWallTile.bind(this);
     this.tileDrawers[TILE.OBSTACLE] = this.drawObstacleTile.bind(this);
+    this.tileDrawers[TILE.BOULDER] = this.drawTerrainTile.bind(this);
+    this.tileDrawers[TILE.HOLE] = this.drawTerrainTile.bind(this);
+    this.tileDrawers[TILE.SWITCH] = this.drawSwitchTile.bind(this);
+    this.tileDrawers[TILE.GATE] = this.drawSwitchTile.bind(this);
+    this.tileDrawers[TILE.GATE_OPEN] = this.drawSwitchTile.bind(this);
     this.tileDrawers[TILE.EXIT] = this.drawExitTile.bind(this);
     this.tileDrawers[TILE.ITEM] = this.drawItemTile.bind(this);
     this.tileDrawers[TILE.BIG_ITEM] = this.drawBigItemTile.bind(this);
     this.tileDrawers[TILE.STAR_ITEM] = this.drawStarItemTile.bind(this);
-    this.tileDrawers[TILE.PORTAL_A] = this.drawPortalTile.bind(this);
-    this.tileDrawers[TILE.PORTAL_B] = this.drawPortalTile.bind(this);
+    this.tileDrawers[TILE.SOUR_ITEM] = this.drawSourItemTile.bind(this);
+    this.tileDrawers[TILE.BIG_SOUR_ITEM] = this.drawSourItemTile.bind(this);
+    for (var c = 0; c < constants.PORTAL_CHANNELS.length; c += 1) {
+      var channelTiles = constants.PORTAL_CHANNELS[c].tiles;
+      for (var p = 0; p < channelTiles.length; p += 1) {
+        this.tileDrawers[channelTiles[p]] = this.drawPortalTile.bind(this);
+      }
+    }
+
+    var tileIds = Object.keys(TILE_META);
+    for (var d = 0; d < tileIds.length; d += 1) {
+      var meta = TILE_META[tileIds[d]];
+      if (meta.oneWay || meta.conveyor) {
+        this.tileDrawers[meta.id] = this.drawDirectionalTile.bind(this);
+      } else if (meta.key) {
+        this.tileDrawers[meta.id] = this.drawKeyTile.bind(this);
+      } else if (meta.door) {
+        this.tileDrawers[meta.id] = this.drawDoorTile.bind(this);
+      }
+    }
 
     /** VFX 파티클 배열. { x, y, vx, vy, life, maxLife, color, size } */
     this.vfxParticles = [];
     /** 포털 워프 페이드 이펙트. { x, y, startMs, durationMs, color } */
     this.vfxPortalFlash = null;
+
+    this.setBoardSize(GRID_COLS, GRID_ROWS);
   }
 
   Renderer.prototype.resizeViewport = function resizeViewport(pixelWidth, pixelHeight) {
@@ -167,7 +208,41 @@
     this.viewportScaleY = this.canvas.height / CANVAS_HEIGHT;
   };
 
+  /**
+   * 보드 크기(타일 수) 설정.
+   * 논리 캔버스(CANVAS_WIDTH x CANVAS_HEIGHT)에 비율을 유지한 채 맞추고 가운데 정렬한다.
+   */
+  Renderer.prototype.setBoardSize = function setBoardSize(cols, rows) {
+    if (this.boardCols === cols && this.boardRows === rows) {
+      return;
+    }
+    this.boardCols = cols;
+    this.boardRows = rows;
+    this.boardScale = Math.min(CANVAS_WIDTH / (cols * TILE_SIZE), CANVAS_HEIGHT / (rows * TILE_SIZE));
+    this.boardOffsetX = (CANVAS_WIDTH - cols * TILE_SIZE * this.boardScale) / 2;
+    this.boardOffsetY = (CANVAS_HEIGHT - rows * TILE_SIZE * this.boardScale) / 2;
+  };
+
+  /** 보드 좌표계 (타일 * TILE_SIZE). 레터박스 스케일/오프셋이 적용된다. */
   Renderer.prototype.withWorldTransform = function withWorldTransform(callback) {
+    var ctx = this.ctx;
+    var scaleX = this.viewportScaleX * this.boardScale;
+    var scaleY = this.viewportScaleY * this.boardScale;
+    ctx.save();
+    ctx.setTransform(
+      scaleX,
+      0,
+      0,
+      scaleY,
+      this.boardOffsetX * this.viewportScaleX,
+      this.boardOffsetY * this.viewportScaleY
+    );
+    callback(ctx);
+    ctx.restore();
+  };
+
+  /** 화면 좌표계 (CANVAS_WIDTH x CANVAS_HEIGHT). 배경/오버레이/HUD 카드용. */
+  Renderer.prototype.withScreenTransform = function withScreenTransform(callback) {
     var ctx = this.ctx;
     ctx.save();
     ctx.setTransform(this.viewportScaleX, 0, 0, this.viewportScaleY, 0, 0);
@@ -294,11 +369,14 @@
     } else if (mode === "star") {
       core = theme.itemStarCore || "#ffffff";
       glow = theme.itemStarGlow || "#40d4ff";
+    } else if (mode === "sour" || mode === "big_sour") {
+      core = theme.itemSourCore || "#9be15d";
+      glow = theme.itemSourGlow || "#4f8a2b";
     }
 
     ctx.fillStyle = core;
     ctx.beginPath();
-    ctx.arc(cx, cy, mode === "big" ? 10 : 8, 0, Math.PI * 2);
+    ctx.arc(cx, cy, mode === "big" || mode === "big_sour" ? 10 : 8, 0, Math.PI * 2);
     ctx.fill();
 
     ctx.strokeStyle = glow;
@@ -320,6 +398,12 @@
       ctx.textAlign = "center";
       ctx.textBaseline = "middle";
       ctx.fillText("+2", cx, cy + 1);
+    } else if (mode === "sour" || mode === "big_sour") {
+      ctx.fillStyle = "rgba(20,50,10,0.85)";
+      ctx.font = '700 11px "Trebuchet MS", sans-serif';
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(mode === "big_sour" ? "-2" : "-1", cx, cy + 1);
     } else if (mode === "star") {
       ctx.fillStyle = glow;
       ctx.beginPath();
@@ -343,9 +427,20 @@
     return canvas;
   };
 
+  /** 포털 색: 채널 1(P/Q)은 테마 색, 채널 2~4는 PORTAL_CHANNELS 고정 색. */
+  Renderer.prototype.getPortalColor = function getPortalColor(theme, tile) {
+    if (tile === TILE.PORTAL_A) {
+      return theme.portalA || "#00ebff";
+    }
+    if (tile === TILE.PORTAL_B) {
+      return theme.portalB || "#ff66d2";
+    }
+    var info = constants.getPortalInfo(tile);
+    return info ? info.color : "#ffffff";
+  };
+
   Renderer.prototype.getPortalTileTexture = function getPortalTileTexture(theme, tile) {
-    var variant = tile === TILE.PORTAL_A ? "a" : "b";
-    var key = theme.name + "::portal::" + variant;
+    var key = theme.name + "::portal::" + tile;
     if (this.portalCache[key]) {
       return this.portalCache[key];
     }
@@ -354,7 +449,7 @@
     var ctx = canvas.getContext("2d");
     var cx = TILE_SIZE / 2;
     var cy = TILE_SIZE / 2;
-    var color = variant === "a" ? theme.portalA || "#00ebff" : theme.portalB || "#ff66d2";
+    var color = this.getPortalColor(theme, tile);
 
     ctx.fillStyle = "rgba(255,255,255,0.12)";
     drawRoundedRect(ctx, 6, 6, TILE_SIZE - 12, TILE_SIZE - 12, 10, ctx.fillStyle);
@@ -375,8 +470,242 @@
     return canvas;
   };
 
+  /** 방향 타일 바닥판 (kind: "one_way" | "conveyor"). 화살표는 움직이므로 drawDirectionalTile에서 매 프레임 그린다. */
+  Renderer.prototype.getDirectionalTileTexture = function getDirectionalTileTexture(theme, kind) {
+    var key = theme.name + "::" + kind;
+    if (this.directionalCache[key]) {
+      return this.directionalCache[key];
+    }
+
+    var canvas = createOffscreenCanvas(TILE_SIZE);
+    var ctx = canvas.getContext("2d");
+    if (kind === "conveyor") {
+      drawRoundedRect(ctx, 3, 3, TILE_SIZE - 6, TILE_SIZE - 6, 6, theme.conveyorBelt || "rgba(40, 52, 84, 0.55)");
+      ctx.fillStyle = "rgba(255,255,255,0.22)";
+      ctx.fillRect(5, 5, TILE_SIZE - 10, 3);
+      ctx.fillRect(5, TILE_SIZE - 8, TILE_SIZE - 10, 3);
+    } else {
+      drawRoundedRect(ctx, 5, 5, TILE_SIZE - 10, TILE_SIZE - 10, 8, theme.oneWayPlate || "rgba(200, 247, 160, 0.45)");
+    }
+
+    this.directionalCache[key] = canvas;
+    return canvas;
+  };
+
+  /**
+   * 일방통행(천천히 맥동하는 화살표)과 컨베이어(흘러가는 갈매기 무늬) 타일.
+   * 화살표는 오른쪽 기준으로 그린 뒤 DIRECTION_ANGLES만큼 돌린다.
+   */
+  Renderer.prototype.drawDirectionalTile = function drawDirectionalTile(ctx, x, y, tile, timeMs, theme) {
+    var meta = TILE_META[tile];
+    var kind = meta.conveyor ? "conveyor" : "one_way";
+    var px = x * TILE_SIZE;
+    var py = y * TILE_SIZE;
+    ctx.drawImage(this.getDirectionalTileTexture(theme, kind), px, py);
+
+    ctx.save();
+    ctx.translate(px + TILE_SIZE / 2, py + TILE_SIZE / 2);
+    ctx.rotate(DIRECTION_ANGLES[meta.conveyor || meta.oneWay]);
+    ctx.lineWidth = 3;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+
+    if (kind === "conveyor") {
+      ctx.strokeStyle = theme.conveyorArrow || "#ffe066";
+      var phase = (timeMs * 0.02) % 10;
+      for (var k = -1; k <= 1; k += 1) {
+        var offset = k * 10 + phase - 5;
+        ctx.globalAlpha = Math.max(0, 1 - Math.abs(offset) / 14);
+        ctx.beginPath();
+        ctx.moveTo(offset - 4, -7);
+        ctx.lineTo(offset + 2, 0);
+        ctx.lineTo(offset - 4, 7);
+        ctx.stroke();
+      }
+    } else {
+      ctx.strokeStyle = theme.oneWayArrow || "#2f7d32";
+      var nudge = Math.sin(timeMs * 0.006 + x * 0.3 + y * 0.3) * 2;
+      ctx.beginPath();
+      ctx.moveTo(-10 + nudge, 0);
+      ctx.lineTo(8 + nudge, 0);
+      ctx.moveTo(1 + nudge, -7);
+      ctx.lineTo(8 + nudge, 0);
+      ctx.lineTo(1 + nudge, 7);
+      ctx.stroke();
+    }
+    ctx.restore();
+  };
+
+  /** 열쇠/잠긴 문 텍스처 (kind: "key" | "door"). 색마다 따로 캐시한다. */
+  Renderer.prototype.getLockTileTexture = function getLockTileTexture(theme, kind, color) {
+    var key = theme.name + "::" + kind + "::" + color;
+    if (this.lockCache[key]) {
+      return this.lockCache[key];
+    }
+
+    var canvas = createOffscreenCanvas(TILE_SIZE);
+    var ctx = canvas.getContext("2d");
+    var hex = constants.KEY_COLORS[color] || "#ffc83d";
+    var cx = TILE_SIZE / 2;
+    var cy = TILE_SIZE / 2;
+
+    if (kind === "key") {
+      ctx.strokeStyle = "rgba(0,0,0,0.35)";
+      ctx.fillStyle = hex;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(cx - 6, cy, 7, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      ctx.fillRect(cx, cy - 2, 13, 4);
+      ctx.fillRect(cx + 7, cy + 2, 3, 5);
+      ctx.fillRect(cx + 11, cy + 2, 2, 4);
+      ctx.fillStyle = "rgba(0,0,0,0.3)";
+      ctx.beginPath();
+      ctx.arc(cx - 6, cy, 3, 0, Math.PI * 2);
+      ctx.fill();
+    } else {
+      drawRoundedRect(ctx, 2, 2, TILE_SIZE - 4, TILE_SIZE - 4, 5, theme.doorWood || "#8a5a2b");
+      ctx.strokeStyle = "rgba(0,0,0,0.28)";
+      ctx.lineWidth = 1.5;
+      for (var plank = 1; plank < 4; plank += 1) {
+        ctx.beginPath();
+        ctx.moveTo(2 + plank * 9, 4);
+        ctx.lineTo(2 + plank * 9, TILE_SIZE - 4);
+        ctx.stroke();
+      }
+      drawRoundedRect(ctx, cx - 8, cy - 9, 16, 18, 4, hex);
+      ctx.fillStyle = "#2b1a0c";
+      ctx.beginPath();
+      ctx.arc(cx, cy - 2, 3, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillRect(cx - 1.5, cy, 3, 6);
+    }
+
+    this.lockCache[key] = canvas;
+    return canvas;
+  };
+
+  Renderer.prototype.drawKeyTile = function drawKeyTile(ctx, x, y, tile, timeMs, theme) {
+    var texture = this.getLockTileTexture(theme, "key", TILE_META[tile].key);
+    var bob = Math.sin(timeMs * 0.006 + x * 0.25 + y * 0.25) * 2.4;
+    ctx.drawImage(texture, x * TILE_SIZE, y * TILE_SIZE + bob);
+  };
+
+  Renderer.prototype.drawDoorTile = function drawDoorTile(ctx, x, y, tile, _timeMs, theme) {
+    var texture = this.getLockTileTexture(theme, "door", TILE_META[tile].door);
+    ctx.drawImage(texture, x * TILE_SIZE, y * TILE_SIZE);
+  };
+
+  /** 바위(둥근 돌)와 구멍(어두운 구덩이) 텍스처. */
+  Renderer.prototype.getTerrainTileTexture = function getTerrainTileTexture(theme, tile) {
+    var key = theme.name + "::" + tile;
+    if (this.terrainCache[key]) {
+      return this.terrainCache[key];
+    }
+
+    var canvas = createOffscreenCanvas(TILE_SIZE);
+    var ctx = canvas.getContext("2d");
+    var cx = TILE_SIZE / 2;
+    var cy = TILE_SIZE / 2;
+
+    if (tile === TILE.BOULDER) {
+      ctx.fillStyle = "rgba(0,0,0,0.25)";
+      ctx.beginPath();
+      ctx.ellipse(cx, cy + 12, 14, 5, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = theme.boulder || "#8d8478";
+      ctx.strokeStyle = "rgba(0,0,0,0.35)";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(cx, cy, 15, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      ctx.fillStyle = "rgba(255,255,255,0.28)";
+      ctx.beginPath();
+      ctx.arc(cx - 5, cy - 6, 5, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.strokeStyle = "rgba(0,0,0,0.22)";
+      ctx.beginPath();
+      ctx.moveTo(cx + 2, cy - 3);
+      ctx.lineTo(cx + 7, cy + 4);
+      ctx.lineTo(cx + 3, cy + 9);
+      ctx.stroke();
+    } else {
+      drawRoundedRect(ctx, 3, 3, TILE_SIZE - 6, TILE_SIZE - 6, 9, "#120d1c");
+      ctx.fillStyle = "rgba(255,255,255,0.1)";
+      ctx.fillRect(7, 5, TILE_SIZE - 14, 3);
+    }
+
+    this.terrainCache[key] = canvas;
+    return canvas;
+  };
+
+  Renderer.prototype.drawTerrainTile = function drawTerrainTile(ctx, x, y, tile, _timeMs, theme) {
+    ctx.drawImage(this.getTerrainTileTexture(theme, tile), x * TILE_SIZE, y * TILE_SIZE);
+  };
+
+  /** (x, y) 스위치/차단문의 채널 번호. 채널 목록에 없으면 1. */
+  Renderer.prototype.getChannelAt = function getChannelAt(x, y) {
+    var channels = this.levelChannels;
+    if (channels) {
+      var cells = channels.switches.concat(channels.gates);
+      for (var i = 0; i < cells.length; i += 1) {
+        if (cells[i].x === x && cells[i].y === y) {
+          return cells[i].channel;
+        }
+      }
+    }
+    return 1;
+  };
+
+  /** 스위치(발판), 닫힌 차단문(창살), 열린 차단문(바닥에 남은 테두리) 텍스처. 채널 색마다 캐시한다. */
+  Renderer.prototype.getSwitchTileTexture = function getSwitchTileTexture(theme, tile, color) {
+    var key = theme.name + "::" + tile + "::" + color;
+    if (this.terrainCache[key]) {
+      return this.terrainCache[key];
+    }
+
+    var canvas = createOffscreenCanvas(TILE_SIZE);
+    var ctx = canvas.getContext("2d");
+
+    if (tile === TILE.SWITCH) {
+      drawRoundedRect(ctx, 6, 6, TILE_SIZE - 12, TILE_SIZE - 12, 6, "rgba(0,0,0,0.28)");
+      drawRoundedRect(ctx, 9, 8, TILE_SIZE - 18, TILE_SIZE - 19, 5, color);
+      ctx.fillStyle = "rgba(255,255,255,0.35)";
+      ctx.fillRect(12, 10, TILE_SIZE - 24, 3);
+    } else if (tile === TILE.GATE) {
+      drawRoundedRect(ctx, 2, 2, TILE_SIZE - 4, TILE_SIZE - 4, 4, "rgba(30,30,46,0.55)");
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 4;
+      ctx.lineCap = "round";
+      ctx.beginPath();
+      for (var bar = 0; bar < 4; bar += 1) {
+        ctx.moveTo(8 + bar * 8, 6);
+        ctx.lineTo(8 + bar * 8, TILE_SIZE - 6);
+      }
+      ctx.moveTo(5, TILE_SIZE / 2);
+      ctx.lineTo(TILE_SIZE - 5, TILE_SIZE / 2);
+      ctx.stroke();
+    } else {
+      ctx.strokeStyle = color;
+      ctx.globalAlpha = 0.5;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([4, 4]);
+      ctx.strokeRect(4, 4, TILE_SIZE - 8, TILE_SIZE - 8);
+    }
+
+    this.terrainCache[key] = canvas;
+    return canvas;
+  };
+
+  Renderer.prototype.drawSwitchTile = function drawSwitchTile(ctx, x, y, tile, _timeMs, theme) {
+    var color = constants.getGateChannelColor(this.getChannelAt(x, y));
+    ctx.drawImage(this.getSwitchTileTexture(theme, tile, color), x * TILE_SIZE, y * TILE_SIZE);
+  };
+
   Renderer.prototype.clear = function clear(theme) {
-    this.withWorldTransform(function clearWorld(ctx) {
+    this.withScreenTransform(function clearWorld(ctx) {
       ctx.fillStyle = theme.background;
       ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
     });
@@ -385,8 +714,8 @@
   Renderer.prototype.drawFloor = function drawFloor(theme) {
     this.withWorldTransform(function drawFloorWorld(ctx) {
       var useFlat = !!(this.runtimeSettings && this.runtimeSettings.flatFloor);
-      for (var y = 0; y < GRID_ROWS; y += 1) {
-        for (var x = 0; x < GRID_COLS; x += 1) {
+      for (var y = 0; y < this.boardRows; y += 1) {
+        for (var x = 0; x < this.boardCols; x += 1) {
           var px = x * TILE_SIZE;
           var py = y * TILE_SIZE;
           ctx.fillStyle = useFlat
@@ -452,9 +781,40 @@
   };
 
   Renderer.prototype.drawExitTile = function drawExitTile(ctx, x, y, _tile, timeMs, theme) {
+    if (this.exitLocked) {
+      this.drawLockedExit(ctx, x, y, theme);
+      return;
+    }
     this.drawExit(ctx, x, y, theme, timeMs);
   };
 
+  /** 출구 조건을 아직 채우지 못한 출구: 빛나지 않는 회색 코어 위에 빗장. */
+  Renderer.prototype.drawLockedExit = function drawLockedExit(ctx, tileX, tileY, theme) {
+    var x = tileX * TILE_SIZE;
+    var y = tileY * TILE_SIZE;
+    var cx = x + TILE_SIZE / 2;
+    var cy = y + TILE_SIZE / 2;
+
+    ctx.fillStyle = "rgba(0,0,0,0.26)";
+    drawRoundedRect(ctx, x + 3, y + 3, TILE_SIZE - 6, TILE_SIZE - 6, 10, ctx.fillStyle);
+
+    ctx.globalAlpha = 0.55;
+    ctx.fillStyle = theme.exitCore;
+    ctx.beginPath();
+    ctx.arc(cx, cy, TILE_SIZE * 0.26, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.globalAlpha = 1;
+
+    ctx.strokeStyle = "rgba(40,40,60,0.85)";
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(x + 8, cy - 5);
+    ctx.lineTo(x + TILE_SIZE - 8, cy - 5);
+    ctx.moveTo(x + 8, cy + 5);
+    ctx.lineTo(x + TILE_SIZE - 8, cy + 5);
+    ctx.stroke();
+  };
+
   Renderer.prototype.drawItemTile = function drawItemTile(ctx, x, y, _tile, timeMs, theme) {
     var itemTexture = this.getItemTileTexture(theme, "normal");
     var px = x * TILE_SIZE;
@@ -479,6 +839,13 @@
     ctx.drawImage(itemTexture, px, py + bob);
   };
 
+  /** 신 젤리는 성장 젤리와 달리 좌우로 떨린다. */
+  Renderer.prototype.drawSourItemTile = function drawSourItemTile(ctx, x, y, tile, timeMs, theme) {
+    var itemTexture = this.getItemTileTexture(theme, tile === TILE.BIG_SOUR_ITEM ? "big_sour" : "sour");
+    var shiver = Math.sin(timeMs * 0.02 + x * 0.4 + y * 0.3) * 1.4;
+    ctx.drawImage(itemTexture, x * TILE_SIZE + shiver, y * TILE_SIZE);
+  };
+
   Renderer.prototype.drawPortalTile = function drawPortalTile(ctx, x, y, tile, timeMs, theme) {
     var texture = this.getPortalTileTexture(theme, tile);
     var px = x * TILE_SIZE;
@@ -489,6 +856,15 @@
     ctx.drawImage(texture, px + offset, py + offset, size, size);
   };
 
+  /** 색 보조 모드에서 열쇠/문 색을 글자(gold → G)로도 구분한다. */
+  function drawLockColorInitial(ctx, color, px, py) {
+    ctx.fillStyle = "#000";
+    ctx.font = '700 10px "Trebuchet MS", sans-serif';
+    ctx.textAlign = "right";
+    ctx.textBaseline = "bottom";
+    ctx.fillText(color.charAt(0).toUpperCase(), px + TILE_SIZE - 3, py + TILE_SIZE - 2);
+  }
+
   Renderer.prototype.drawPatternAssist = function drawPatternAssist(ctx, tile, x, y) {
     var px = x * TILE_SIZE;
     var py = y * TILE_SIZE;
@@ -535,6 +911,16 @@
       ctx.moveTo(px + 10, py + TILE_SIZE / 2);
       ctx.lineTo(px + TILE_SIZE - 10, py + TILE_SIZE / 2);
       ctx.stroke();
+    } else if (tile === TILE.SOUR_ITEM || tile === TILE.BIG_SOUR_ITEM) {
+      // 신 젤리: 가로 막대 하나(-1) 또는 두 개(-2)
+      ctx.beginPath();
+      ctx.moveTo(px + 8, py + TILE_SIZE / 2 - (tile === TILE.BIG_SOUR_ITEM ? 4 : 0));
+      ctx.lineTo(px + TILE_SIZE - 8, py + TILE_SIZE / 2 - (tile === TILE.BIG_SOUR_ITEM ? 4 : 0));
+      if (tile === TILE.BIG_SOUR_ITEM) {
+        ctx.moveTo(px + 8, py + TILE_SIZE / 2 + 4);
+        ctx.lineTo(px + TILE_SIZE - 8, py + TILE_SIZE / 2 + 4);
+      }
+      ctx.stroke();
     } else if (tile === TILE.STAR_ITEM) {
       ctx.beginPath();
       ctx.moveTo(px + TILE_SIZE / 2, py + 8);
@@ -543,13 +929,74 @@
       ctx.lineTo(px + 8, py + TILE_SIZE / 2);
       ctx.closePath();
       ctx.stroke();
-    } else if (tile === TILE.PORTAL_A || tile === TILE.PORTAL_B) {
+    } else if (TILE_META[tile] && (TILE_META[tile].oneWay || TILE_META[tile].conveyor)) {
+      // 일방통행: 들어오는 쪽 가장자리에 막대 하나, 컨베이어: 진행 방향 양옆 레일
+      ctx.translate(px + TILE_SIZE / 2, py + TILE_SIZE / 2);
+      ctx.rotate(DIRECTION_ANGLES[TILE_META[tile].oneWay || TILE_META[tile].conveyor]);
+      ctx.beginPath();
+      if (TILE_META[tile].oneWay) {
+        ctx.moveTo(-TILE_SIZE / 2 + 4, -12);
+        ctx.lineTo(-TILE_SIZE / 2 + 4, 12);
+      } else {
+        ctx.moveTo(-14, -12);
+        ctx.lineTo(14, -12);
+        ctx.moveTo(-14, 12);
+        ctx.lineTo(14, 12);
+      }
+      ctx.stroke();
+    } else if (TILE_META[tile] && TILE_META[tile].key) {
+      // 열쇠: 고리 하나와 자루
+      ctx.beginPath();
+      ctx.arc(px + TILE_SIZE / 2 - 6, py + TILE_SIZE / 2, 6, 0, Math.PI * 2);
+      ctx.moveTo(px + TILE_SIZE / 2, py + TILE_SIZE / 2);
+      ctx.lineTo(px + TILE_SIZE - 6, py + TILE_SIZE / 2);
+      ctx.stroke();
+      drawLockColorInitial(ctx, TILE_META[tile].key, px, py);
+    } else if (TILE_META[tile] && TILE_META[tile].door) {
+      // 잠긴 문: 테두리 안의 X
+      ctx.beginPath();
+      ctx.rect(px + 5, py + 5, TILE_SIZE - 10, TILE_SIZE - 10);
+      ctx.moveTo(px + 5, py + 5);
+      ctx.lineTo(px + TILE_SIZE - 5, py + TILE_SIZE - 5);
+      ctx.moveTo(px + TILE_SIZE - 5, py + 5);
+      ctx.lineTo(px + 5, py + TILE_SIZE - 5);
+      ctx.stroke();
+      drawLockColorInitial(ctx, TILE_META[tile].door, px, py);
+    } else if (tile === TILE.BOULDER) {
+      // 바위: 원 하나, 구멍: 안쪽으로 좁아지는 사각형 두 개
+      ctx.beginPath();
+      ctx.arc(px + TILE_SIZE / 2, py + TILE_SIZE / 2, 14, 0, Math.PI * 2);
+      ctx.stroke();
+    } else if (tile === TILE.HOLE) {
+      ctx.beginPath();
+      ctx.rect(px + 5, py + 5, TILE_SIZE - 10, TILE_SIZE - 10);
+      ctx.rect(px + 12, py + 12, TILE_SIZE - 24, TILE_SIZE - 24);
+      ctx.stroke();
+    } else if (tile === TILE.SWITCH || tile === TILE.GATE) {
+      // 스위치와 닫힌 차단문: 채널 번호만큼 점 — 색 없이도 짝을 찾을 수 있게
+      var gateChannel = this.getChannelAt(x, y);
+      ctx.fillStyle = "#000";
+      for (var dot = 0; dot < Math.min(gateChannel, 4); dot += 1) {
+        ctx.beginPath();
+        ctx.arc(px + 10 + dot * 7, py + TILE_SIZE - 8, 2.2, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    } else if (constants.getPortalInfo(tile)) {
       ctx.beginPath();
       ctx.arc(px + TILE_SIZE / 2, py + TILE_SIZE / 2, 12, 0, Math.PI * 2);
       ctx.stroke();
       ctx.beginPath();
       ctx.arc(px + TILE_SIZE / 2, py + TILE_SIZE / 2, 6, 0, Math.PI * 2);
       ctx.stroke();
+      // 채널 번호만큼 고리 위쪽에 눈금 — 색 없이도 짝을 찾을 수 있게
+      var channel = constants.getPortalInfo(tile).channel;
+      for (var k = 0; k < channel; k += 1) {
+        var tickX = px + TILE_SIZE / 2 + (k - (channel - 1) / 2) * 6;
+        ctx.beginPath();
+        ctx.moveTo(tickX, py + 2);
+        ctx.lineTo(tickX, py + 7);
+        ctx.stroke();
+      }
     }
     ctx.restore();
   };
@@ -558,9 +1005,10 @@
     this.withWorldTransform(
       function drawWorld(ctx) {
         var tiles = level.tiles;
+        this.levelChannels = level.channels || null;
         var colorBlindAssist = !!(this.runtimeSettings && this.runtimeSettings.colorBlindAssist);
-        for (var y = 0; y < GRID_ROWS; y += 1) {
-          for (var x = 0; x < GRID_COLS; x += 1) {
+        for (var y = 0; y < tiles.length; y += 1) {
+          for (var x = 0; x < tiles[y].length; x += 1) {
             var tile = tiles[y][x];
             var drawer = this.tileDrawers[tile];
             if (drawer) {
@@ -1022,7 +1470,7 @@
     var powers = game.getPowerState ? game.getPowerState() : { starMoves: 0 };
     var lang = game.settings && game.settings.language === "en" ? "en" : "ko";
 
-    this.withWorldTransform(function drawCompanion(ctx) {
+    this.withScreenTransform(function drawCompanion(ctx) {
       var cardW = 184;
       var cardH = 82;
       var cardX = CANVAS_WIDTH - cardW - 10;
@@ -1138,7 +1586,7 @@
       return;
     }
 
-    this.withWorldTransform(function drawHintWorld(ctx) {
+    this.withScreenTransform(function drawHintWorld(ctx) {
       ctx.fillStyle = "rgba(0,0,0,0.52)";
       drawRoundedRect(ctx, 212, CANVAS_HEIGHT - 66, 376, 42, 10, ctx.fillStyle);
       ctx.fillStyle = theme.text;
@@ -1245,6 +1693,61 @@
     });
   };
 
+  /** 힌트 경로: 공개된 다음 이동 칸을 선으로 잇고 순번을 표시한다. */
+  Renderer.prototype.drawSolverHint = function drawSolverHint(game, theme, timeMs) {
+    if (game.state !== GAME_STATE.PLAYING || !game.snake || !game.getHintPath) {
+      return;
+    }
+
+    var path = game.getHintPath();
+    if (!path.length) {
+      return;
+    }
+
+    var head = game.snake.getHead();
+    var pulse = 0.7 + 0.3 * Math.sin(timeMs * 0.01);
+
+    this.withWorldTransform(function drawHintPath(ctx) {
+      var half = TILE_SIZE / 2;
+      ctx.strokeStyle = theme.exitGlow;
+      ctx.lineWidth = 4;
+      ctx.lineCap = "round";
+      ctx.setLineDash([6, 8]);
+      ctx.globalAlpha = 0.8;
+      ctx.beginPath();
+      ctx.moveTo(head.x * TILE_SIZE + half, head.y * TILE_SIZE + half);
+      for (var i = 0; i < path.length; i += 1) {
+        var prev = i === 0 ? head : path[i - 1];
+        var dir = DIRECTIONS[path[i].direction];
+        // 포털로 순간이동한 칸은 선을 끊어서 잇는다.
+        if (prev.x + dir.x !== path[i].x || prev.y + dir.y !== path[i].y) {
+          ctx.lineTo((prev.x + dir.x) * TILE_SIZE + half, (prev.y + dir.y) * TILE_SIZE + half);
+          ctx.moveTo(path[i].x * TILE_SIZE + half, path[i].y * TILE_SIZE + half);
+        } else {
+          ctx.lineTo(path[i].x * TILE_SIZE + half, path[i].y * TILE_SIZE + half);
+        }
+      }
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.font = '800 14px "Noto Sans KR", "Apple SD Gothic Neo", sans-serif';
+      for (var j = 0; j < path.length; j += 1) {
+        var cx = path[j].x * TILE_SIZE + half;
+        var cy = path[j].y * TILE_SIZE + half;
+        ctx.globalAlpha = j === 0 ? pulse : 0.75;
+        ctx.fillStyle = theme.exitGlow;
+        ctx.beginPath();
+        ctx.arc(cx, cy, TILE_SIZE * 0.22, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = theme.text;
+        ctx.fillText(String(j + 1), cx, cy + 1);
+      }
+      ctx.globalAlpha = 1;
+    });
+  };
+
   Renderer.prototype.drawOverlayText = function drawOverlayText(theme, data) {
     if (!data) {
       return;
@@ -1253,7 +1756,7 @@
     var maxW = CANVAS_WIDTH * 0.85;
     var cx = CANVAS_WIDTH / 2;
 
-    this.withWorldTransform(function drawOverlayWorld(ctx) {
+    this.withScreenTransform(function drawOverlayWorld(ctx) {
       ctx.fillStyle = theme.overlay;
       ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
 
@@ -1275,12 +1778,36 @@
     });
   };
 
+  /** 리플레이 재생 중 상단 배너 (재생/일시정지, 배속, 진행 단계). */
+  Renderer.prototype.drawPlaybackBanner = function drawPlaybackBanner(playback, theme) {
+    if (!playback) {
+      return;
+    }
+
+    var label =
+      (playback.playing ? "\u25B6 " : "\u275A\u275A ") +
+      playback.speed + "x  " +
+      playback.step + " / " + playback.total;
+
+    this.withScreenTransform(function drawBanner(ctx) {
+      var width = 240;
+      var x = CANVAS_WIDTH - width - 10;
+      drawRoundedRect(ctx, x, 10, width, 40, 8, "rgba(0,0,0,0.55)");
+
+      ctx.fillStyle = theme.text;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.font = '700 18px "JetBrains Mono", "Courier New", monospace';
+      ctx.fillText(label, x + width / 2, 30);
+    });
+  };
+
   Renderer.prototype.drawPerfOverlay = function drawPerfOverlay(perfData, theme) {
     if (!perfData) {
       return;
     }
 
-    this.withWorldTransform(function drawPerf(ctx) {
+    this.withScreenTransform(function drawPerf(ctx) {
       ctx.fillStyle = "rgba(0,0,0,0.5)";
       drawRoundedRect(ctx, 10, 10, 230, 102, 8, ctx.fillStyle);
 
@@ -1411,11 +1938,15 @@
       flatFloor: batteryMode,
     };
 
+    var boardSize = game.getBoardSize();
+    this.setBoardSize(boardSize.width, boardSize.height);
+
     this.withScreenShake(offset, function withShake() {
       this.clear(theme);
       this.drawFloor(theme);
 
       if (game.currentLevel) {
+        this.exitLocked = !game.isExitOpen();
         this.drawLevel(game.currentLevel, theme, timeMs);
       }
 
@@ -1423,6 +1954,7 @@
       this.drawSnake(renderSnake, theme, timeMs);
       this.drawPowerAuras(game, theme, timeMs);
       this.drawMoveHints(game, theme, timeMs);
+      this.drawSolverHint(game, theme, timeMs);
       this.drawBlockedFeedback(game.consumeFeedback(timeMs), timeMs);
       var deltaS = Math.min(0.05, (timeMs - (this._lastDrawMs || timeMs)) / 1000);
       this.drawVFX(timeMs, deltaS || 0.016);
@@ -1432,6 +1964,9 @@
       if (game.state !== GAME_STATE.PLAYING) {
         this.drawOverlayText(theme, game.getStateOverlayData());
       }
+      if (game.state === GAME_STATE.REPLAY) {
+        this.drawPlaybackBanner(game.getPlaybackState(), theme);
+      }
     }.bind(this));
 
     var perfState = this.getPerfSnapshot();
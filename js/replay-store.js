@@ -0,0 +1,396 @@
+/**
+ * replay-store.js — 리플레이 영구 저장소 + 내보내기/가져오기 형식
+ *
+ * 레벨마다 최고 기록(best)과 마지막 시도(last)를 버전이 있는 localStorage 버킷에 저장한다.
+ * 저장 시에는 이동 목록과 레벨 지문(tilesHash)만 남기고,
+ * 시작 타일/세그먼트는 레벨 정의에서 다시 만든다(hydrate).
+ * 지문은 시작 타일과 이동 결과를 바꾸는 규칙 필드(시작 위치, 몸 길이, 몸 충돌, 목표, 채널)를 함께 덮는다.
+ * 레벨 정의가 바뀌어 지문이 달라진 기록은 이동이 맞지 않으므로 보여주지 않고 버린다.
+ *
+ * @module  WormGameReplayStore
+ * @depends WormGameConstants  (STORAGE_KEYS, DIRECTIONS, TILE)
+ * @depends WormGameSnake      (Snake — 시작 세그먼트 재구성)
+ * @depends WormGameSimulation (simulateStep — 가져온 이동 검증)
+ * @exports global.WormGameReplayStore
+ *
+ * 내보내기 형식:
+ *   { format: "worm-replay", version, levelId, width, height, tilesHash,
+ *     bodyCollision, moveCount, cleared, moves: [{ direction, atMs }] }
+ *
+ * ES Module 전환 시: import { Snake } from './snake.js'; import * as Simulation from './simulation.js'
+ */
+(function attachReplayStore(global) {
+  "use strict";
+
+  var constants = global.WormGameConstants;
+  var Snake = global.WormGameSnake;
+  var Simulation = global.WormGameSimulation;
+  var STORAGE_KEYS = constants.STORAGE_KEYS;
+  var DIRECTIONS = constants.DIRECTIONS;
+  var TILE = constants.TILE;
+
+  var REPLAY_FORMAT = "worm-replay";
+  var STORE_VERSION = 1;
+  var MAX_REPLAY_MOVES = 5000;
+  /** 버킷 직렬화 길이 상한 (문자 수). 넘으면 오래된 기록부터 지운다. */
+  var MAX_STORE_CHARS = 200000;
+
+  /** 레벨 지문 (시작 타일 + 규칙 필드, FNV-1a 32bit, 16진수). */
+  function hashLevel(level) {
+    var hash = 0x811c9dc5;
+    var tiles = level.tiles;
+    for (var y = 0; y < tiles.length; y += 1) {
+      var row = tiles[y];
+      for (var x = 0; x < row.length; x += 1) {
+        hash ^= row[x] + 1;
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+      }
+      hash ^= 0xff;
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+
+    var rules = JSON.stringify([
+      level.spawn ? [level.spawn.x, level.spawn.y] : null,
+      level.snakeLength,
+      !!level.bodyCollision,
+      level.goals || null,
+      level.channels || null,
+    ]);
+    for (var i = 0; i < rules.length; i += 1) {
+      hash ^= rules.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return ("00000000" + hash.toString(16)).slice(-8);
+  }
+
+  function createBucket() {
+    return { version: STORE_VERSION, levels: {} };
+  }
+
+  function copyMoves(moves) {
+    return moves.map(function copyMove(move) {
+      return {
+        direction: move.direction,
+        atMs: Math.max(0, Math.round(Number(move.atMs) || 0)),
+      };
+    });
+  }
+
+  /**
+   * 레벨과 이동 목록으로 저장용 레코드를 만든다.
+   * @param {Object} level - parseMap 결과 (id, tiles, spawn, snakeLength, bodyCollision, goals, channels)
+   * @param {Array<{direction, atMs}>} moves
+   * @param {boolean} cleared
+   */
+  function createRecord(level, moves, cleared) {
+    return {
+      format: REPLAY_FORMAT,
+      version: STORE_VERSION,
+      levelId: level.id,
+      width: level.tiles[0].length,
+      height: level.tiles.length,
+      tilesHash: hashLevel(level),
+      bodyCollision: !!level.bodyCollision,
+      moveCount: moves.length,
+      cleared: !!cleared,
+      savedAt: Date.now(),
+      moves: copyMoves(moves),
+    };
+  }
+
+  function isRecordShape(record) {
+    return !!(
+      record &&
+      typeof record === "object" &&
+      Number.isFinite(Number(record.levelId)) &&
+      Array.isArray(record.moves)
+    );
+  }
+
+  /** 레코드가 지금 레벨 정의로 만든 것인지 (보드 크기, 레벨 지문). */
+  function matchesLevel(record, level) {
+    return (
+      record.width === level.tiles[0].length &&
+      record.height === level.tiles.length &&
+      record.tilesHash === hashLevel(level)
+    );
+  }
+
+  function sanitizeBucket(parsed) {
+    var bucket = createBucket();
+    if (!parsed || typeof parsed !== "object" || parsed.version !== STORE_VERSION) {
+      return bucket;
+    }
+    var levels = parsed.levels && typeof parsed.levels === "object" ? parsed.levels : {};
+    var ids = Object.keys(levels);
+    for (var i = 0; i < ids.length; i += 1) {
+      var entry = levels[ids[i]] || {};
+      var best = isRecordShape(entry.best) ? entry.best : null;
+      var last = isRecordShape(entry.last) ? entry.last : null;
+      if (best || last) {
+        bucket.levels[ids[i]] = { best: best, last: last };
+      }
+    }
+    return bucket;
+  }
+
+  /** @param {string} [storageKey] - 프로필 슬롯별 키 (기본 STORAGE_KEYS.REPLAYS) */
+  function loadBucket(storageKey) {
+    try {
+      var raw = global.localStorage.getItem(storageKey || STORAGE_KEYS.REPLAYS);
+      if (!raw) {
+        return createBucket();
+      }
+      return sanitizeBucket(JSON.parse(raw));
+    } catch (_error) {
+      return createBucket();
+    }
+  }
+
+  /** 가장 오래된 last → 가장 오래된 best 순으로 하나 지운다. 지울 것이 없으면 false. */
+  function evictOldest(bucket) {
+    var kinds = ["last", "best"];
+    for (var k = 0; k < kinds.length; k += 1) {
+      var kind = kinds[k];
+      var oldestId = null;
+      var oldestAt = Infinity;
+      var ids = Object.keys(bucket.levels);
+      for (var i = 0; i < ids.length; i += 1) {
+        var record = bucket.levels[ids[i]][kind];
+        if (record && (record.savedAt || 0) < oldestAt) {
+          oldestAt = record.savedAt || 0;
+          oldestId = ids[i];
+        }
+      }
+      if (oldestId !== null) {
+        var entry = bucket.levels[oldestId];
+        entry[kind] = null;
+        if (!entry.best && !entry.last) {
+          delete bucket.levels[oldestId];
+        }
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /** @returns {boolean} 저장 성공 여부 */
+  function saveBucket(bucket, storageKey) {
+    var raw = JSON.stringify(bucket);
+    while (raw.length > MAX_STORE_CHARS && evictOldest(bucket)) {
+      raw = JSON.stringify(bucket);
+    }
+    try {
+      global.localStorage.setItem(storageKey || STORAGE_KEYS.REPLAYS, raw);
+      return true;
+    } catch (_error) {
+      return false;
+    }
+  }
+
+  /**
+   * 한 번의 플레이 기록을 버킷에 반영한다.
+   * last는 항상 교체하고, best는 더 적은 이동으로 클리어했을 때만 교체한다.
+   */
+  function recordRun(bucket, record) {
+    if (record.moves.length > MAX_REPLAY_MOVES) {
+      return false;
+    }
+    var key = String(record.levelId);
+    var entry = bucket.levels[key] || { best: null, last: null };
+    entry.last = record;
+    if (record.cleared && (!entry.best || record.moveCount < entry.best.moveCount)) {
+      entry.best = record;
+    }
+    bucket.levels[key] = entry;
+    return true;
+  }
+
+  /**
+   * 레벨이 사라졌거나 시작 타일이 달라진 기록을 버킷에서 지운다.
+   * @param {function(number): Object|null} findLevel - levelId로 레벨 정의를 찾는 함수
+   * @returns {number} 지운 기록 수
+   */
+  function dropStaleRecords(bucket, findLevel) {
+    var dropped = 0;
+    var ids = Object.keys(bucket.levels);
+    for (var i = 0; i < ids.length; i += 1) {
+      var entry = bucket.levels[ids[i]];
+      var level = findLevel(Number(ids[i]));
+      if (entry.best && !(level && matchesLevel(entry.best, level))) {
+        entry.best = null;
+        dropped += 1;
+      }
+      if (entry.last && !(level && matchesLevel(entry.last, level))) {
+        entry.last = null;
+        dropped += 1;
+      }
+      if (!entry.best && !entry.last) {
+        delete bucket.levels[ids[i]];
+      }
+    }
+    return dropped;
+  }
+
+  function getRecord(bucket, levelId, kind) {
+    var entry = bucket.levels[String(levelId)];
+    return entry ? entry[kind] || null : null;
+  }
+
+  /** 저장된 (levelId, kind) 목록 — 레벨 순. */
+  function listRecords(bucket) {
+    var list = [];
+    var ids = Object.keys(bucket.levels).sort(function byNumber(a, b) {
+      return Number(a) - Number(b);
+    });
+    for (var i = 0; i < ids.length; i += 1) {
+      var entry = bucket.levels[ids[i]];
+      if (entry.best) {
+        list.push({ kind: "best", record: entry.best });
+      }
+      if (entry.last) {
+        list.push({ kind: "last", record: entry.last });
+      }
+    }
+    return list;
+  }
+
+  /**
+   * 레코드를 레벨 정의로 복원해 리플레이 디버그가 바로 쓸 수 있는 형태로 만든다.
+   * 레코드의 레벨 지문이 지금 레벨과 다르면 null (다른 맵에서 기록한 이동이다).
+   * @returns {{ levelId, moveCount, cleared, bodyCollision, goals, channels, moves, startSegments, startTiles }|null}
+   */
+  function hydrate(record, level) {
+    if (!matchesLevel(record, level)) {
+      return null;
+    }
+    var startTiles = level.tiles.map(function copyRow(row) {
+      return row.slice();
+    });
+    var snake = new Snake(level.spawn, level.snakeLength, startTiles);
+    return {
+      levelId: record.levelId,
+      moveCount: record.moveCount,
+      cleared: !!record.cleared,
+      bodyCollision: !!level.bodyCollision,
+      goals: level.goals || null,
+      channels: level.channels || null,
+      moves: copyMoves(record.moves),
+      startSegments: snake.cloneSegments(),
+      startTiles: startTiles,
+    };
+  }
+
+  function serializeRecord(record) {
+    return JSON.stringify(
+      {
+        format: REPLAY_FORMAT,
+        version: STORE_VERSION,
+        levelId: record.levelId,
+        width: record.width,
+        height: record.height,
+        tilesHash: record.tilesHash,
+        bodyCollision: record.bodyCollision,
+        moveCount: record.moveCount,
+        cleared: record.cleared,
+        moves: copyMoves(record.moves),
+      },
+      null,
+      2
+    );
+  }
+
+  /**
+   * 붙여넣거나 업로드한 JSON을 검증한다.
+   * 레벨 존재, 보드 크기/레벨 지문 일치, 모든 이동이 시작 타일에서 합법인지 시뮬레이션으로 확인한다.
+   *
+   * @param {string} text
+   * @param {function(number): Object|null} findLevel - levelId로 레벨 정의를 찾는 함수
+   * @returns {{ ok: true, record: Object } | { ok: false, reason: string, step?: number }}
+   */
+  function parseReplay(text, findLevel) {
+    var parsed;
+    try {
+      parsed = JSON.parse(String(text || ""));
+    } catch (_error) {
+      return { ok: false, reason: "json" };
+    }
+
+    if (!isRecordShape(parsed) || (parsed.format && parsed.format !== REPLAY_FORMAT)) {
+      return { ok: false, reason: "format" };
+    }
+    if (parsed.version && parsed.version > STORE_VERSION) {
+      return { ok: false, reason: "version" };
+    }
+    if (parsed.moves.length > MAX_REPLAY_MOVES) {
+      return { ok: false, reason: "too_long" };
+    }
+
+    var level = findLevel(Number(parsed.levelId));
+    if (!level) {
+      return { ok: false, reason: "unknown_level" };
+    }
+    var width = level.tiles[0].length;
+    var height = level.tiles.length;
+    if (
+      (parsed.width && parsed.width !== width) ||
+      (parsed.height && parsed.height !== height) ||
+      (parsed.tilesHash && parsed.tilesHash !== hashLevel(level))
+    ) {
+      return { ok: false, reason: "tiles_mismatch" };
+    }
+
+    var moves = [];
+    for (var i = 0; i < parsed.moves.length; i += 1) {
+      var move = parsed.moves[i];
+      var direction = move && typeof move === "object" ? move.direction : move;
+      if (!Object.prototype.hasOwnProperty.call(DIRECTIONS, direction)) {
+        return { ok: false, reason: "bad_move", step: i + 1 };
+      }
+      moves.push({ direction: direction, atMs: move && move.atMs });
+    }
+
+    var start = hydrate(createRecord(level, [], false), level);
+    var state = Simulation.createState({
+      tiles: start.startTiles,
+      segments: start.startSegments,
+      bodyCollision: start.bodyCollision,
+      goals: start.goals,
+      channels: start.channels,
+    });
+    var cleared = false;
+    for (var s = 0; s < moves.length; s += 1) {
+      if (cleared) {
+        return { ok: false, reason: "after_exit", step: s + 1 };
+      }
+      var next = Simulation.simulateStep(state, moves[s].direction).state;
+      if (next === state) {
+        return { ok: false, reason: "illegal_move", step: s + 1 };
+      }
+      state = next;
+      var head = state.segments[0];
+      cleared = Simulation.getTile(state, head.x, head.y) === TILE.EXIT;
+    }
+
+    var record = createRecord(level, moves, cleared);
+    return { ok: true, record: record };
+  }
+
+  global.WormGameReplayStore = Object.freeze({
+    MAX_REPLAY_MOVES: MAX_REPLAY_MOVES,
+    MAX_STORE_CHARS: MAX_STORE_CHARS,
+    hashLevel: hashLevel,
+    createBucket: createBucket,
+    createRecord: createRecord,
+    sanitizeBucket: sanitizeBucket,
+    loadBucket: loadBucket,
+    saveBucket: saveBucket,
+    recordRun: recordRun,
+    dropStaleRecords: dropStaleRecords,
+    getRecord: getRecord,
+    listRecords: listRecords,
+    hydrate: hydrate,
+    serializeRecord: serializeRecord,
+    parseReplay: parseReplay,
+  });
+})(window);
@@ -2,23 +2,32 @@
  * replay-ui.js — 리플레이 디버그 UI 모듈
  * DEV-01: main.js에서 분리.
  *
- * 의존성: WormGameConstants (TILE, TILE_SIZE, GRID_COLS, GRID_ROWS, CANVAS_WIDTH, CANVAS_HEIGHT)
+ * 의존성: WormGameConstants (TILE, TILE_META, DIRECTIONS, TILE_SIZE, getBoardSize, getPortalInfo, KEY_COLORS, getGateChannelColor)
  * 사용: main.js에서 createReplayUI()로 인스턴스 생성 후 update() 호출
+ * 저장된 best/last 리플레이와 가져온 리플레이를 선택해 단계별로 볼 수 있다.
  */
 (function attachReplayUI(global) {
   "use strict";
 
   var constants = global.WormGameConstants;
   var TILE = constants.TILE;
+  var TILE_META = constants.TILE_META;
   var TILE_SIZE = constants.TILE_SIZE;
-  var GRID_COLS = constants.GRID_COLS;
-  var GRID_ROWS = constants.GRID_ROWS;
-  var CANVAS_WIDTH = constants.CANVAS_WIDTH;
-  var CANVAS_HEIGHT = constants.CANVAS_HEIGHT;
   var clamp = constants.clamp;
 
+  function channelAt(channels, x, y) {
+    var cells = channels ? channels.switches.concat(channels.gates) : [];
+    for (var i = 0; i < cells.length; i += 1) {
+      if (cells[i].x === x && cells[i].y === y) {
+        return cells[i].channel;
+      }
+    }
+    return 1;
+  }
+
   /**
    * 리플레이 미리보기 캔버스에 타일맵 + 스네이크를 그린다.
+   * 타일은 그 단계의 상태(state.tiles)를 쓰므로 밀린 바위와 메운 구멍이 그대로 보인다.
    */
   function drawPreview(replayCanvas, state, replay, theme) {
     var ctx = replayCanvas.getContext("2d");
@@ -30,14 +39,20 @@
       return;
     }
 
-    var sx = replayCanvas.width / CANVAS_WIDTH;
-    var sy = replayCanvas.height / CANVAS_HEIGHT;
+    var tiles = state.tiles || replay.startTiles;
+    var size = constants.getBoardSize(tiles);
+    // 보드 비율 유지 (레터박스)
+    var scale = Math.min(
+      replayCanvas.width / (size.width * TILE_SIZE),
+      replayCanvas.height / (size.height * TILE_SIZE)
+    );
+    var offsetX = (replayCanvas.width - size.width * TILE_SIZE * scale) / 2;
+    var offsetY = (replayCanvas.height - size.height * TILE_SIZE * scale) / 2;
     ctx.save();
-    ctx.setTransform(sx, 0, 0, sy, 0, 0);
+    ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
 
-    var tiles = replay.startTiles;
-    for (var y = 0; y < GRID_ROWS; y += 1) {
-      for (var x = 0; x < GRID_COLS; x += 1) {
+    for (var y = 0; y < size.height; y += 1) {
+      for (var x = 0; x < size.width; x += 1) {
         var tile = tiles[y][x];
         var px = x * TILE_SIZE;
         var py = y * TILE_SIZE;
@@ -66,20 +81,76 @@
           ctx.beginPath();
           ctx.arc(px + TILE_SIZE / 2, py + TILE_SIZE / 2, TILE_SIZE * 0.22, 0, Math.PI * 2);
           ctx.fill();
+        } else if (tile === TILE.SOUR_ITEM || tile === TILE.BIG_SOUR_ITEM) {
+          ctx.fillStyle = theme.itemSourCore || "#9be15d";
+          ctx.beginPath();
+          ctx.arc(
+            px + TILE_SIZE / 2,
+            py + TILE_SIZE / 2,
+            TILE_SIZE * (tile === TILE.BIG_SOUR_ITEM ? 0.22 : 0.18),
+            0,
+            Math.PI * 2
+          );
+          ctx.fill();
         } else if (tile === TILE.STAR_ITEM) {
           ctx.fillStyle = theme.itemStarCore || "#ffffff";
           ctx.beginPath();
           ctx.arc(px + TILE_SIZE / 2, py + TILE_SIZE / 2, TILE_SIZE * 0.2, 0, Math.PI * 2);
           ctx.fill();
-        } else if (tile === TILE.PORTAL_A || tile === TILE.PORTAL_B) {
-          ctx.strokeStyle =
-            tile === TILE.PORTAL_A
-              ? theme.portalA || "#37e5ff"
-              : theme.portalB || "#ff6fd7";
+        } else if (constants.getPortalInfo(tile)) {
+          if (tile === TILE.PORTAL_A || tile === TILE.PORTAL_B) {
+            ctx.strokeStyle =
+              tile === TILE.PORTAL_A
+                ? theme.portalA || "#37e5ff"
+                : theme.portalB || "#ff6fd7";
+          } else {
+            ctx.strokeStyle = constants.getPortalInfo(tile).color;
+          }
           ctx.lineWidth = 3;
           ctx.beginPath();
           ctx.arc(px + TILE_SIZE / 2, py + TILE_SIZE / 2, TILE_SIZE * 0.22, 0, Math.PI * 2);
           ctx.stroke();
+        } else if (TILE_META[tile] && (TILE_META[tile].oneWay || TILE_META[tile].conveyor)) {
+          var meta = TILE_META[tile];
+          var dir = constants.DIRECTIONS[meta.oneWay || meta.conveyor];
+          var cx = px + TILE_SIZE / 2;
+          var cy = py + TILE_SIZE / 2;
+          ctx.fillStyle = meta.conveyor ? "#9aa8c7" : "#c8f7a0";
+          ctx.fillRect(px + 4, py + 4, TILE_SIZE - 8, TILE_SIZE - 8);
+          ctx.fillStyle = "#212453";
+          ctx.beginPath();
+          ctx.moveTo(cx + dir.x * 10, cy + dir.y * 10);
+          ctx.lineTo(cx - dir.x * 6 - dir.y * 8, cy - dir.y * 6 + dir.x * 8);
+          ctx.lineTo(cx - dir.x * 6 + dir.y * 8, cy - dir.y * 6 - dir.x * 8);
+          ctx.closePath();
+          ctx.fill();
+        } else if (TILE_META[tile] && TILE_META[tile].key) {
+          ctx.fillStyle = constants.KEY_COLORS[TILE_META[tile].key];
+          ctx.beginPath();
+          ctx.arc(px + TILE_SIZE / 2, py + TILE_SIZE / 2, TILE_SIZE * 0.16, 0, Math.PI * 2);
+          ctx.fill();
+        } else if (TILE_META[tile] && TILE_META[tile].door) {
+          ctx.fillStyle = "#8a5a2b";
+          ctx.fillRect(px + 2, py + 2, TILE_SIZE - 4, TILE_SIZE - 4);
+          ctx.fillStyle = constants.KEY_COLORS[TILE_META[tile].door];
+          ctx.fillRect(px + TILE_SIZE / 2 - 3, py + TILE_SIZE / 2 - 3, 6, 6);
+        } else if (tile === TILE.BOULDER) {
+          ctx.fillStyle = theme.boulder || "#8d8478";
+          ctx.beginPath();
+          ctx.arc(px + TILE_SIZE / 2, py + TILE_SIZE / 2, TILE_SIZE * 0.36, 0, Math.PI * 2);
+          ctx.fill();
+        } else if (tile === TILE.HOLE) {
+          ctx.fillStyle = "#120d1c";
+          ctx.fillRect(px + 4, py + 4, TILE_SIZE - 8, TILE_SIZE - 8);
+        } else if (tile === TILE.SWITCH || tile === TILE.GATE || tile === TILE.GATE_OPEN) {
+          ctx.fillStyle = constants.getGateChannelColor(channelAt(replay.channels, x, y));
+          ctx.globalAlpha = tile === TILE.GATE_OPEN ? 0.35 : 1;
+          if (tile === TILE.SWITCH) {
+            ctx.fillRect(px + 9, py + 9, TILE_SIZE - 18, TILE_SIZE - 18);
+          } else {
+            ctx.fillRect(px + 2, py + 2, TILE_SIZE - 4, TILE_SIZE - 4);
+          }
+          ctx.globalAlpha = 1;
         }
       }
     }
@@ -116,18 +187,61 @@
     var replayStepLatestBtn = deps.replayStepLatestBtn;
     var replayStepLabel = deps.replayStepLabel;
     var replayMeta = deps.replayMeta;
+    var replaySourceSelect = deps.replaySourceSelect;
+    var replayImportText = deps.replayImportText;
 
     var stepIndex = 0;
-    var levelId = 0;
+    var replayKey = "";
+    var sourceSignature = "";
+
+    function sourceLabel(item) {
+      var key = "replaySourceLast";
+      if (item.kind === "best") {
+        key = "replaySourceBest";
+      } else if (item.kind === "imported") {
+        key = "replaySourceImported";
+      }
+      return t(key, { level: item.levelId, moves: item.moveCount });
+    }
+
+    /** 선택 목록은 항목이 바뀔 때만 다시 만든다. */
+    function refreshSources() {
+      if (!replaySourceSelect) {
+        return;
+      }
+      var list = game.getReplayList();
+      var selection = game.getReplaySelection() || "";
+      var signature = t("replaySourceAuto") + "|" + list.map(function toKey(item) {
+        return item.id + "@" + item.moveCount;
+      }).join(",");
+
+      if (signature !== sourceSignature) {
+        sourceSignature = signature;
+        replaySourceSelect.innerHTML = "";
+        var auto = document.createElement("option");
+        auto.value = "";
+        auto.textContent = t("replaySourceAuto");
+        replaySourceSelect.appendChild(auto);
+        for (var i = 0; i < list.length; i += 1) {
+          var option = document.createElement("option");
+          option.value = list[i].id;
+          option.textContent = sourceLabel(list[i]);
+          replaySourceSelect.appendChild(option);
+        }
+      }
+      replaySourceSelect.value = selection;
+    }
 
     function update(forceLatest) {
       if (!game.settings.replayDebugEnabled) {
         return;
       }
 
+      refreshSources();
+
       var replay = game.getReplayArchive();
       if (!replay) {
-        levelId = 0;
+        replayKey = "";
         stepIndex = 0;
         replayStepRange.max = "0";
         replayStepRange.value = "0";
@@ -141,8 +255,9 @@
         return;
       }
 
-      if (levelId !== replay.levelId || forceLatest) {
-        levelId = replay.levelId;
+      var key = (game.getReplaySelection() || "auto") + ":" + replay.levelId + ":" + replay.moveCount;
+      if (replayKey !== key || forceLatest) {
+        replayKey = key;
         stepIndex = replay.moves.length;
       }
 
@@ -196,6 +311,33 @@
       return stepIndex;
     }
 
+    function selectSource() {
+      game.selectReplay(replaySourceSelect.value);
+      update(true);
+    }
+
+    /** 붙여넣은 JSON을 가져온다. 결과 알림은 게임 이벤트(replay_imported/…failed)로 전달된다. */
+    function importFromText(text) {
+      var result = game.importReplay(text);
+      if (result.ok && replayImportText) {
+        replayImportText.value = "";
+      }
+      update(true);
+      return result;
+    }
+
+    /** 업로드한 파일을 읽어 importFromText로 넘긴다. */
+    function importFromFile(file) {
+      if (!file || !global.FileReader) {
+        return;
+      }
+      var reader = new global.FileReader();
+      reader.onload = function onReplayFileLoad() {
+        importFromText(String(reader.result || ""));
+      };
+      reader.readAsText(file);
+    }
+
     return {
       update: update,
       prevStep: prevStep,
@@ -203,6 +345,9 @@
       goLatest: goLatest,
       setStepFromRange: setStepFromRange,
       getStepIndex: getStepIndex,
+      selectSource: selectSource,
+      importFromText: importFromText,
+      importFromFile: importFromFile,
     };
   }
 
@@ -0,0 +1,244 @@
+/**
+ * save-bundle.js — 저장 데이터 백업 파일(내보내기/가져오기) 형식
+ *
+ * 활성 프로필의 진행도, 설정, 키 바인딩, 리플레이를 체크섬이 있는 JSON 하나로 묶는다.
+ * 가져올 때는 형식/버전/체크섬을 확인하고, 진행도와 설정을 현재 저장 버전까지 마이그레이션한다.
+ * 실제 반영(설정 병합, 진행도 로더 재실행)은 game.js가 맡는다.
+ *
+ * @module  WormGameSaveBundle
+ * @depends WormGameConstants         (SETTINGS_VERSION)
+ * @depends WormGameStorageMigrations (migrate — 예전 버전 번들의 진행도/설정)
+ * @depends WormGameReplayStore       (createBucket, sanitizeBucket)
+ * @exports global.WormGameSaveBundle
+ *
+ * 번들 형식:
+ *   { format: "worm-save", version, createdAt, checksum,
+ *     payload: { progress, settings, bindings, replays } }
+ *   checksum은 JSON.stringify(payload)의 FNV-1a 32bit (16진수).
+ *
+ * ES Module 전환 시: import * as Migrations from './storage-migrations.js'; import * as ReplayStore from './replay-store.js'
+ */
+(function attachSaveBundle(global) {
+  "use strict";
+
+  var constants = global.WormGameConstants;
+  var Migrations = global.WormGameStorageMigrations;
+  var ReplayStore = global.WormGameReplayStore;
+
+  var BUNDLE_FORMAT = "worm-save";
+  var BUNDLE_VERSION = 1;
+
+  function isObject(value) {
+    return !!value && typeof value === "object" && !Array.isArray(value);
+  }
+
+  /** 문자열 FNV-1a 32bit (16진수 8자리). */
+  function checksum(text) {
+    var hash = 0x811c9dc5;
+    for (var i = 0; i < text.length; i += 1) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return ("00000000" + hash.toString(16)).slice(-8);
+  }
+
+  /**
+   * @param {{ progress: Object, settings: Object, replays: Object }} data
+   *   settings.customBindings는 payload.bindings로 따로 담는다.
+   */
+  function createBundle(data) {
+    var settings = JSON.parse(JSON.stringify(data.settings));
+    var bindings = settings.customBindings || {};
+    delete settings.customBindings;
+    settings.version = constants.SETTINGS_VERSION;
+
+    var payload = {
+      progress: JSON.parse(JSON.stringify(data.progress)),
+      settings: settings,
+      bindings: bindings,
+      replays: JSON.parse(JSON.stringify(data.replays)),
+    };
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      createdAt: Date.now(),
+      checksum: checksum(JSON.stringify(payload)),
+      payload: payload,
+    };
+  }
+
+  function serializeBundle(bundle) {
+    return JSON.stringify(bundle, null, 2);
+  }
+
+  /**
+   * 백업 파일 텍스트를 검증하고 현재 저장 버전으로 올린다.
+   * @returns {{ ok: true, bundle: { createdAt, progress, settings, replays } } | { ok: false, reason: string }}
+   *   settings에는 bindings가 customBindings로 다시 합쳐져 있다.
+   */
+  function parseBundle(text) {
+    var parsed;
+    try {
+      parsed = JSON.parse(String(text || ""));
+    } catch (_error) {
+      return { ok: false, reason: "json" };
+    }
+
+    if (!isObject(parsed) || parsed.format !== BUNDLE_FORMAT || !isObject(parsed.payload)) {
+      return { ok: false, reason: "format" };
+    }
+    if (!(parsed.version >= 1) || parsed.version > BUNDLE_VERSION) {
+      return { ok: false, reason: "version" };
+    }
+    if (parsed.checksum !== checksum(JSON.stringify(parsed.payload))) {
+      return { ok: false, reason: "checksum" };
+    }
+
+    var payload = parsed.payload;
+    if (!isObject(payload.progress) || !isObject(payload.settings)) {
+      return { ok: false, reason: "format" };
+    }
+
+    var progress;
+    var settings;
+    try {
+      progress = Migrations.migrate("progress", payload.progress).data;
+      settings = Migrations.migrate("settings", payload.settings).data;
+    } catch (_error) {
+      return { ok: false, reason: "version" };
+    }
+    if (isObject(payload.bindings)) {
+      settings.customBindings = Object.assign({}, settings.customBindings, payload.bindings);
+    }
+
+    return {
+      ok: true,
+      bundle: {
+        createdAt: Number(parsed.createdAt) || 0,
+        progress: progress,
+        settings: settings,
+        replays: isObject(payload.replays)
+          ? ReplayStore.sanitizeBucket(payload.replays)
+          : ReplayStore.createBucket(),
+      },
+    };
+  }
+
+  function mergeNumberMaps(current, incoming, pick) {
+    var merged = Object.assign({}, current);
+    var ids = Object.keys(incoming || {});
+    for (var i = 0; i < ids.length; i += 1) {
+      var value = Number(incoming[ids[i]]);
+      if (!Number.isFinite(value)) {
+        continue;
+      }
+      merged[ids[i]] = ids[i] in merged ? pick(Number(merged[ids[i]]) || 0, value) : value;
+    }
+    return merged;
+  }
+
+  /**
+   * 두 진행도를 합친다: 더 멀리 해금한 쪽, 레벨별 더 적은 최고 이동 수(도전 기록 포함), 더 많은 별/힌트/누적 값/최고 연속 기록.
+   * 모르는 필드는 현재 값이 우선한다.
+   */
+  function mergeProgress(current, incoming) {
+    var merged = Object.assign({}, incoming, current);
+    merged.unlockedLevelIndex = Math.max(
+      Number(current.unlockedLevelIndex) || 0,
+      Number(incoming.unlockedLevelIndex) || 0
+    );
+    merged.bestMoves = mergeNumberMaps(current.bestMoves, incoming.bestMoves, Math.min);
+    merged.levelStars = mergeNumberMaps(current.levelStars, incoming.levelStars, Math.max);
+    merged.hintsUsed = mergeNumberMaps(current.hintsUsed, incoming.hintsUsed, Math.max);
+    merged.challengeBestMoves = mergeNumberMaps(current.challengeBestMoves, incoming.challengeBestMoves, Math.min);
+    merged.challengeBestTimes = mergeNumberMaps(current.challengeBestTimes, incoming.challengeBestTimes, Math.min);
+    merged.totalMoves = Math.max(Number(current.totalMoves) || 0, Number(incoming.totalMoves) || 0);
+    merged.clears = Math.max(Number(current.clears) || 0, Number(incoming.clears) || 0);
+    merged.totalItems = Math.max(Number(current.totalItems) || 0, Number(incoming.totalItems) || 0);
+    merged.endlessBestStreak = Math.max(
+      Number(current.endlessBestStreak) || 0,
+      Number(incoming.endlessBestStreak) || 0
+    );
+    return merged;
+  }
+
+  /** 리플레이 버킷 병합: best는 더 적은 이동의 클리어, last는 더 최근 기록. */
+  function mergeReplays(current, incoming) {
+    var merged = JSON.parse(JSON.stringify(current));
+    var ids = Object.keys(incoming.levels);
+    for (var i = 0; i < ids.length; i += 1) {
+      var theirs = incoming.levels[ids[i]];
+      var ours = merged.levels[ids[i]] || { best: null, last: null };
+      if (theirs.best && (!ours.best || theirs.best.moveCount < ours.best.moveCount)) {
+        ours.best = theirs.best;
+      }
+      if (theirs.last && (!ours.last || (theirs.last.savedAt || 0) > (ours.last.savedAt || 0))) {
+        ours.last = theirs.last;
+      }
+      merged.levels[ids[i]] = ours;
+    }
+    return merged;
+  }
+
+  function sumValues(map) {
+    var total = 0;
+    var ids = Object.keys(map || {});
+    for (var i = 0; i < ids.length; i += 1) {
+      total += Math.max(0, Number(map[ids[i]]) || 0);
+    }
+    return total;
+  }
+
+  /** 미리보기용 진행도 요약. */
+  function summarize(progress, replays) {
+    return {
+      unlockedLevelIndex: Math.max(0, Number(progress.unlockedLevelIndex) || 0),
+      clears: Math.max(0, Number(progress.clears) || 0),
+      stars: sumValues(progress.levelStars),
+      records: Object.keys(progress.bestMoves || {}).length,
+      replays: Object.keys(replays.levels).length,
+    };
+  }
+
+  /**
+   * 값이 달라지는 설정 키 목록. customBindings는 바뀌는 동작 수로 따로 센다.
+   * @returns {{ settings: string[], bindings: number }}
+   */
+  function diffSettings(current, incoming) {
+    var changed = [];
+    var keys = Object.keys(current);
+    for (var i = 0; i < keys.length; i += 1) {
+      var key = keys[i];
+      if (key === "customBindings" || !Object.prototype.hasOwnProperty.call(incoming, key)) {
+        continue;
+      }
+      if (JSON.stringify(current[key]) !== JSON.stringify(incoming[key])) {
+        changed.push(key);
+      }
+    }
+
+    var bindings = 0;
+    var ours = current.customBindings || {};
+    var theirs = incoming.customBindings || {};
+    var actions = Object.keys(ours);
+    for (var j = 0; j < actions.length; j += 1) {
+      if (typeof theirs[actions[j]] === "string" && theirs[actions[j]] !== ours[actions[j]]) {
+        bindings += 1;
+      }
+    }
+    return { settings: changed, bindings: bindings };
+  }
+
+  global.WormGameSaveBundle = Object.freeze({
+    BUNDLE_FORMAT: BUNDLE_FORMAT,
+    BUNDLE_VERSION: BUNDLE_VERSION,
+    checksum: checksum,
+    createBundle: createBundle,
+    serializeBundle: serializeBundle,
+    parseBundle: parseBundle,
+    mergeProgress: mergeProgress,
+    mergeReplays: mergeReplays,
+    summarize: summarize,
+    diffSettings: diffSettings,
+  });
+})(window);
@@ -0,0 +1,530 @@
+/**
+ * simulation.js — 헤드리스 이동 규칙 코어 (DOM 없이 Node에서도 실행)
+ *
+ * 게임(Game.tryMove), 리플레이 디버그(getReplayDebugState), 레벨 검증기(validate-levels.js)가
+ * 모두 같은 simulateStep을 사용한다. 새 타일 규칙은 이 파일에만 추가한다.
+ *
+ * @module  WormGameSimulation
+ * @depends WormGameConstants (TILE, TILE_META, DIRECTIONS, GAMEPLAY, pointKey, getPortalInfo)
+ * @exports global.WormGameSimulation
+ *
+ * 상태 형식:
+ *   { tiles, segments, direction, starMoves, bodyCollision, portals, keys, goals, itemsCollected, channels }
+ *   keys는 지금까지 얻은 열쇠 색 목록. 열쇠를 먹으면 같은 색 문 타일이 빈 칸으로 바뀌므로
+ *   이동 가능 여부는 타일만 보고 판단한다.
+ *   goals는 레벨의 출구 조건(levels.js parseGoals, 없으면 null), itemsCollected는 먹은 성장 젤리 수.
+ *   조건을 채우기 전에는 출구 칸이 막힌다 (blocked reason "exit_locked").
+ *   바위는 타일(TILE.BOULDER)로만 존재하므로 바위 위치도 tiles에 담긴다.
+ *   channels는 스위치/차단문 칸 목록(levels.js parseChannels, 없으면 null). 차단문의 열림/닫힘은
+ *   tiles(GATE/GATE_OPEN)에 담기며, createState와 매 이동 끝에 settleGates로 다시 계산한다.
+ * simulateStep은 입력 상태를 변경하지 않는다. 바뀐 타일 행만 복사하고(copy-on-write),
+ * 세그먼트 객체는 불변으로 취급해 이전 상태와 공유한다.
+ *
+ * ES Module 전환 시: import { TILE, TILE_META, DIRECTIONS, GAMEPLAY, pointKey, getPortalInfo } from './constants.js'
+ */
+(function attachSimulation(global) {
+  "use strict";
+
+  var constants = global.WormGameConstants;
+  var TILE = constants.TILE;
+  var TILE_META = constants.TILE_META;
+  var DIRECTIONS = constants.DIRECTIONS;
+  var GAMEPLAY = constants.GAMEPLAY;
+  var pointKey = constants.pointKey;
+  var getPortalInfo = constants.getPortalInfo;
+
+  /**
+   * 채널마다 두 끝을 서로 연결한 { "x,y": {x,y} } 맵.
+   * 채널 1은 P와 Q, 채널 2~4는 같은 숫자의 두 칸. 끝이 두 개가 아닌 채널은 연결하지 않는다
+   * (레벨 맵은 parseMap의 validatePortalChannels가 채널마다 두 끝을 보장한다).
+   */
+  function buildPortalLinks(tiles) {
+    var ends = {};
+
+    for (var y = 0; y < tiles.length; y += 1) {
+      for (var x = 0; x < tiles[y].length; x += 1) {
+        var tile = tiles[y][x];
+        var info = getPortalInfo(tile);
+        if (!info) {
+          continue;
+        }
+        (ends[info.channel] || (ends[info.channel] = [])).push({ x: x, y: y });
+      }
+    }
+
+    var links = {};
+    var channels = Object.keys(ends);
+    for (var i = 0; i < channels.length; i += 1) {
+      var pair = ends[channels[i]];
+      if (pair.length === 2) {
+        links[pointKey(pair[0].x, pair[0].y)] = { x: pair[1].x, y: pair[1].y };
+        links[pointKey(pair[1].x, pair[1].y)] = { x: pair[0].x, y: pair[0].y };
+      }
+    }
+    return links;
+  }
+
+  function isSwitchCell(channels, x, y) {
+    if (!channels) {
+      return false;
+    }
+    for (var i = 0; i < channels.switches.length; i += 1) {
+      if (channels.switches[i].x === x && channels.switches[i].y === y) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 스위치 눌림에 맞춰 차단문을 열고 닫는다.
+   * 스위치 위에 몸통(머리 포함)이나 바위가 있으면 그 채널이 눌린 것으로 보고 같은 채널 차단문을 연다.
+   * 닫혀야 할 차단문 위에 몸통이 있으면 비워질 때까지 열어 둔다.
+   * @returns {{ tiles: Array, changes: Array<{x, y, tile, open}> }} changes의 tile은 바뀌기 전 타일
+   */
+  function settleGates(tiles, segments, channels) {
+    var changes = [];
+    if (!channels) {
+      return { tiles: tiles, changes: changes };
+    }
+
+    var pressed = {};
+    for (var i = 0; i < channels.switches.length; i += 1) {
+      var sw = channels.switches[i];
+      if (tiles[sw.y][sw.x] === TILE.BOULDER || occupies(segments, sw.x, sw.y, false)) {
+        pressed[sw.channel] = true;
+      }
+    }
+
+    var nextTiles = tiles;
+    for (var g = 0; g < channels.gates.length; g += 1) {
+      var gate = channels.gates[g];
+      var current = tiles[gate.y][gate.x];
+      var open = !!pressed[gate.channel] || occupies(segments, gate.x, gate.y, false);
+      var wanted = open ? TILE.GATE_OPEN : TILE.GATE;
+      if (current !== wanted) {
+        changes.push({ x: gate.x, y: gate.y, tile: current, open: open });
+        nextTiles = withTile(nextTiles, gate.x, gate.y, wanted);
+      }
+    }
+    return { tiles: nextTiles, changes: changes };
+  }
+
+  /** 시작 상태. 스위치가 있는 레벨은 시작 몸통 위치에 맞춰 차단문을 정리한다 (입력 tiles는 바꾸지 않는다). */
+  function createState(options) {
+    var channels = options.channels || null;
+    var tiles = settleGates(options.tiles, options.segments, channels).tiles;
+    return {
+      tiles: tiles,
+      segments: options.segments,
+      direction: options.direction || "right",
+      starMoves: Math.max(0, Number(options.starMoves) || 0),
+      bodyCollision: !!options.bodyCollision,
+      portals: options.portals || buildPortalLinks(tiles),
+      keys: options.keys || [],
+      goals: options.goals || null,
+      itemsCollected: Math.max(0, Number(options.itemsCollected) || 0),
+      channels: channels,
+    };
+  }
+
+  function getTile(state, x, y) {
+    var tiles = state.tiles;
+    if (y < 0 || y >= tiles.length || x < 0 || x >= tiles[y].length) {
+      return TILE.WALL;
+    }
+    return tiles[y][x];
+  }
+
+  function isStarActive(state) {
+    return state.starMoves > 0;
+  }
+
+  /** 잠긴 문 (색 무관). */
+  function isDoorTile(tile) {
+    return !!(TILE_META[tile] && TILE_META[tile].door);
+  }
+
+  /**
+   * @param {number} tileType
+   * @param {boolean} starActive - 스타 파워 중이면 장애물 통과 (잠긴 문, 닫힌 차단문, 바위, 구멍은 통과하지 못한다)
+   * @param {string} [directionName] - 들어오는 방향. 생략하면 일방통행 검사를 건너뛴다 (포털 도착 등).
+   *   바위는 들어갈 수 없는 칸으로 본다. 머리로 미는 경우는 getBlockReason/simulateStep이 따로 처리한다.
+   */
+  function canEnterTile(tileType, starActive, directionName) {
+    if (
+      tileType === TILE.WALL ||
+      isDoorTile(tileType) ||
+      tileType === TILE.GATE ||
+      tileType === TILE.BOULDER ||
+      tileType === TILE.HOLE
+    ) {
+      return false;
+    }
+    if (tileType === TILE.OBSTACLE && !starActive) {
+      return false;
+    }
+    var meta = TILE_META[tileType];
+    if (meta && meta.oneWay && directionName && meta.oneWay !== directionName) {
+      return false;
+    }
+    return true;
+  }
+
+  function occupies(segments, x, y, ignoreTail) {
+    var end = ignoreTail ? segments.length - 1 : segments.length;
+    for (var i = 0; i < end; i += 1) {
+      if (segments[i].x === x && segments[i].y === y) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 몸통 충돌 검사.
+   * 이번 이동에서 비워질 꼬리 칸은 제외하고, 스타 파워 중에는 통과를 허용한다.
+   */
+  function isBlockedByBody(state, x, y) {
+    if (!state.bodyCollision || isStarActive(state)) {
+      return false;
+    }
+    return occupies(state.segments, x, y, true);
+  }
+
+  /**
+   * 출구 조건 진행 상태. 조건이 없는 레벨이면 null.
+   * @returns {{ met: boolean, minItems: number, itemsCollected: number, missingItems: number,
+   *             itemsLeft: number, length: number, exactLength: number } | null}
+   *   missingItems — minItems까지 더 먹어야 할 젤리 수, itemsLeft — allItems일 때 맵에 남은 젤리 수.
+   */
+  function getGoalStatus(state) {
+    var goals = state.goals;
+    if (!goals) {
+      return null;
+    }
+    var missingItems = goals.minItems ? Math.max(0, goals.minItems - state.itemsCollected) : 0;
+    var itemsLeft = 0;
+    if (goals.allItems) {
+      for (var y = 0; y < state.tiles.length; y += 1) {
+        for (var x = 0; x < state.tiles[y].length; x += 1) {
+          var tile = state.tiles[y][x];
+          if (tile === TILE.ITEM || tile === TILE.BIG_ITEM) {
+            itemsLeft += 1;
+          }
+        }
+      }
+    }
+    var length = state.segments.length;
+    var exactLength = goals.exactLength || 0;
+    return {
+      met: missingItems === 0 && itemsLeft === 0 && (!exactLength || length === exactLength),
+      minItems: goals.minItems || 0,
+      itemsCollected: state.itemsCollected,
+      missingItems: missingItems,
+      itemsLeft: itemsLeft,
+      length: length,
+      exactLength: exactLength,
+    };
+  }
+
+  /**
+   * (x, y)의 바위를 directionName 방향으로 밀 수 있으면 바위가 놓일 칸을 돌려준다. 못 밀면 null.
+   * 바위는 빈 칸, 구멍, 스위치로만 움직이고, 이번 턴에 비워질 꼬리 칸을 제외한 몸통 칸으로는 밀 수 없다.
+   */
+  function getBoulderLanding(state, x, y, directionName) {
+    var direction = DIRECTIONS[directionName];
+    if (!direction || getTile(state, x, y) !== TILE.BOULDER) {
+      return null;
+    }
+    var landing = { x: x + direction.x, y: y + direction.y };
+    var tile = getTile(state, landing.x, landing.y);
+    if (tile !== TILE.EMPTY && tile !== TILE.HOLE && tile !== TILE.SWITCH) {
+      return null;
+    }
+    return occupies(state.segments, landing.x, landing.y, true) ? null : landing;
+  }
+
+  function isExitLocked(state, x, y) {
+    return getTile(state, x, y) === TILE.EXIT && !!state.goals && !getGoalStatus(state).met;
+  }
+
+  /** directionName으로 움직여 (x, y)에 머리를 옮길 수 없는 이유. 이동 가능하면 null. */
+  function getBlockReason(state, x, y, directionName) {
+    var tile = getTile(state, x, y);
+    if (tile === TILE.BOULDER) {
+      return getBoulderLanding(state, x, y, directionName) ? null : "boulder";
+    }
+    if (!canEnterTile(tile, isStarActive(state), directionName)) {
+      if (tile === TILE.OBSTACLE) {
+        return "obstacle";
+      }
+      if (isDoorTile(tile)) {
+        return "door";
+      }
+      if (tile === TILE.HOLE) {
+        return "hole";
+      }
+      if (tile === TILE.GATE) {
+        return "gate";
+      }
+      return tile === TILE.WALL ? "wall" : "one_way";
+    }
+    if (isExitLocked(state, x, y)) {
+      return "exit_locked";
+    }
+    if (isBlockedByBody(state, x, y)) {
+      return "body";
+    }
+    return null;
+  }
+
+  function getMoveTarget(state, directionName) {
+    var direction = DIRECTIONS[directionName];
+    if (!direction) {
+      return null;
+    }
+    var head = state.segments[0];
+    return { x: head.x + direction.x, y: head.y + direction.y };
+  }
+
+  function getValidDirections(state) {
+    var result = [];
+    var names = Object.keys(DIRECTIONS);
+    for (var i = 0; i < names.length; i += 1) {
+      var target = getMoveTarget(state, names[i]);
+      if (getBlockReason(state, target.x, target.y, names[i]) === null) {
+        result.push(names[i]);
+      }
+    }
+    return result;
+  }
+
+  var ITEM_RULES = {};
+  ITEM_RULES[TILE.ITEM] = { kind: "jelly", growth: 1 };
+  ITEM_RULES[TILE.BIG_ITEM] = { kind: "super_jelly", growth: 2 };
+  ITEM_RULES[TILE.STAR_ITEM] = { kind: "star", growth: 0 };
+  ITEM_RULES[TILE.SOUR_ITEM] = { kind: "sour_jelly", growth: -1 };
+  ITEM_RULES[TILE.BIG_SOUR_ITEM] = { kind: "super_sour_jelly", growth: -2 };
+
+  function withTile(tiles, x, y, tileType) {
+    var nextTiles = tiles.slice();
+    nextTiles[y] = tiles[y].slice();
+    nextTiles[y][x] = tileType;
+    return nextTiles;
+  }
+
+  /** color 색 문을 모두 빈 칸으로 바꾼다. @returns {{ tiles, doors: Array<{x, y, tile}> }} */
+  function openDoors(tiles, color) {
+    var doors = [];
+    var nextTiles = tiles;
+    for (var y = 0; y < tiles.length; y += 1) {
+      for (var x = 0; x < tiles[y].length; x += 1) {
+        var meta = TILE_META[tiles[y][x]];
+        if (meta && meta.door === color) {
+          doors.push({ x: x, y: y, tile: tiles[y][x] });
+          nextTiles = withTile(nextTiles, x, y, TILE.EMPTY);
+        }
+      }
+    }
+    return { tiles: nextTiles, doors: doors };
+  }
+
+  /**
+   * 한 턴 이동을 계산한다.
+   * 처리 순서: 바위 밀기 → 이동 → 컨베이어 밀기 → 아이템 수집(성장/스타) → 열쇠(문 열기) → 포털 워프
+   *   → 스타 턴 차감 → 차단문 정리.
+   * 바위는 한 칸만 밀리고(연쇄 없음), 구멍에 들어가면 구멍을 메우고 사라진다. 스위치 위의 바위를 밀면 스위치가 드러난다.
+   * 차단문은 이동이 끝난 뒤의 몸통/바위 위치로 정리하므로, 스위치에서 꼬리가 빠지는 턴에 닫힌다.
+   * 컨베이어는 한 번만 민다(연쇄 없음). 밀 칸이 막혀 있으면 컨베이어 위에 그대로 멈춘다.
+   * 스타를 먹은 턴에는 차감하지 않는다.
+   * 신 젤리(음수 growth)는 꼬리를 떼어내되 길이 1 아래로는 줄이지 않는다.
+   * item_collected의 growth는 실제로 바뀐 길이이고, 줄었으면 dropped에 떼어낸 칸이 담긴다.
+   *
+   * @param {Object} state - createState 형식
+   * @param {string} directionName - "up" | "down" | "left" | "right"
+   * @returns {{ state: Object, events: Array<Object> }}
+   *   막히면 원래 state와 blocked 이벤트 하나를 돌려준다.
+   *   이벤트: blocked, boulder_pushed, conveyor_push, power_start, item_collected, key_collected, portal_used,
+   *   power_end, gates_changed, move
+   */
+  function simulateStep(state, directionName) {
+    var target = getMoveTarget(state, directionName);
+    if (!target) {
+      return { state: state, events: [] };
+    }
+
+    var blockReason = getBlockReason(state, target.x, target.y, directionName);
+    if (blockReason) {
+      return {
+        state: state,
+        events: [{ type: "blocked", reason: blockReason, tile: target }],
+      };
+    }
+
+    var events = [];
+    var tiles = state.tiles;
+    var starMoves = state.starMoves;
+    var targetTile = tiles[target.y][target.x];
+    var tail = state.segments[state.segments.length - 1];
+
+    if (targetTile === TILE.BOULDER) {
+      var landing = getBoulderLanding(state, target.x, target.y, directionName);
+      var landingTile = tiles[landing.y][landing.x];
+      var filled = landingTile === TILE.HOLE;
+      targetTile = isSwitchCell(state.channels, target.x, target.y) ? TILE.SWITCH : TILE.EMPTY;
+      tiles = withTile(tiles, target.x, target.y, targetTile);
+      tiles = withTile(tiles, landing.x, landing.y, filled ? TILE.EMPTY : TILE.BOULDER);
+      events.push({
+        type: "boulder_pushed",
+        from: { x: target.x, y: target.y },
+        to: landing,
+        landingTile: landingTile,
+        filled: filled,
+      });
+    }
+
+    var segments = [{ x: target.x, y: target.y }];
+    for (var i = 0; i < state.segments.length - 1; i += 1) {
+      segments.push(state.segments[i]);
+    }
+    var bodyBlocks = state.bodyCollision && starMoves <= 0;
+
+    var conveyor = TILE_META[targetTile] && TILE_META[targetTile].conveyor;
+    if (conveyor) {
+      var push = DIRECTIONS[conveyor];
+      var pushed = { x: target.x + push.x, y: target.y + push.y };
+      if (
+        canEnterTile(getTile(state, pushed.x, pushed.y), starMoves > 0, conveyor) &&
+        !isExitLocked(state, pushed.x, pushed.y) &&
+        !(bodyBlocks && occupies(segments, pushed.x, pushed.y, false))
+      ) {
+        segments[0] = pushed;
+        events.push({
+          type: "conveyor_push",
+          direction: conveyor,
+          from: { x: target.x, y: target.y },
+          to: { x: pushed.x, y: pushed.y },
+        });
+        target = pushed;
+        targetTile = tiles[target.y][target.x];
+      }
+    }
+
+    var item = ITEM_RULES[targetTile];
+    var activatedStar = false;
+    var itemsCollected = state.itemsCollected;
+    if (item) {
+      tiles = withTile(tiles, target.x, target.y, TILE.EMPTY);
+      var growth = item.growth;
+      var dropped = [];
+      for (var g = 0; g < growth; g += 1) {
+        segments.push({ x: tail.x, y: tail.y });
+      }
+      if (growth < 0) {
+        dropped = segments.splice(Math.max(1, segments.length + growth));
+        growth = -dropped.length;
+      } else if (growth > 0) {
+        itemsCollected += 1;
+      }
+      if (item.kind === "star") {
+        starMoves = GAMEPLAY.STAR_POWER_MOVES;
+        activatedStar = true;
+        events.push({ type: "power_start", kind: "star", turns: starMoves });
+      }
+      events.push({
+        type: "item_collected",
+        kind: item.kind,
+        growth: growth,
+        dropped: dropped,
+        tile: targetTile,
+        x: target.x,
+        y: target.y,
+      });
+    }
+
+    var keys = state.keys;
+    var keyColor = TILE_META[targetTile] && TILE_META[targetTile].key;
+    if (keyColor) {
+      var opened = openDoors(withTile(tiles, target.x, target.y, TILE.EMPTY), keyColor);
+      tiles = opened.tiles;
+      if (keys.indexOf(keyColor) === -1) {
+        keys = keys.concat([keyColor]);
+      }
+      events.push({
+        type: "key_collected",
+        color: keyColor,
+        tile: targetTile,
+        x: target.x,
+        y: target.y,
+        doors: opened.doors,
+      });
+    }
+
+    var portal = getPortalInfo(targetTile);
+    if (portal) {
+      var destination = state.portals[pointKey(target.x, target.y)] || null;
+      if (
+        destination &&
+        canEnterTile(tiles[destination.y][destination.x], starMoves > 0) &&
+        !(bodyBlocks && occupies(segments, destination.x, destination.y, false))
+      ) {
+        segments[0] = { x: destination.x, y: destination.y };
+        events.push({
+          type: "portal_used",
+          channel: portal.channel,
+          from: { x: target.x, y: target.y },
+          to: { x: destination.x, y: destination.y },
+        });
+      }
+    }
+
+    if (starMoves > 0 && !activatedStar) {
+      starMoves -= 1;
+      if (starMoves <= 0) {
+        starMoves = 0;
+        events.push({ type: "power_end", kind: "star" });
+      }
+    }
+
+    var gates = settleGates(tiles, segments, state.channels);
+    if (gates.changes.length > 0) {
+      tiles = gates.tiles;
+      events.push({ type: "gates_changed", changes: gates.changes });
+    }
+
+    events.push({ type: "move", direction: directionName, tail: { x: tail.x, y: tail.y } });
+
+    return {
+      state: {
+        tiles: tiles,
+        segments: segments,
+        direction: directionName,
+        starMoves: starMoves,
+        bodyCollision: state.bodyCollision,
+        portals: state.portals,
+        keys: keys,
+        goals: state.goals,
+        itemsCollected: itemsCollected,
+        channels: state.channels,
+      },
+      events: events,
+    };
+  }
+
+  global.WormGameSimulation = Object.freeze({
+    buildPortalLinks: buildPortalLinks,
+    createState: createState,
+    getTile: getTile,
+    canEnterTile: canEnterTile,
+    occupies: occupies,
+    isBlockedByBody: isBlockedByBody,
+    getGoalStatus: getGoalStatus,
+    getBoulderLanding: getBoulderLanding,
+    settleGates: settleGates,
+    getBlockReason: getBlockReason,
+    getMoveTarget: getMoveTarget,
+    getValidDirections: getValidDirections,
+    simulateStep: simulateStep,
+  });
+})(window);
@@ -2,30 +2,26 @@
  * snake.js — Snake 클래스 (세그먼트 이동/성장/스냅샷)
  *
  * @module  WormGameSnake
- * @depends WormGameConstants (TILE, pointKey, isWalkableTile)
+ * @depends WormGameConstants (DIRECTIONS, isWalkableTile)
  * @exports global.WormGameSnake
  *
- * ES Module 전환 시: import { TILE, pointKey, isWalkableTile } from './constants.js'
+ * ES Module 전환 시: import { DIRECTIONS, isWalkableTile } from './constants.js'
  */
 (function attachSnake(global) {
   "use strict";
 
   var constants = global.WormGameConstants;
-  var TILE = constants.TILE;
   var DIRECTIONS = constants.DIRECTIONS;
-  var GRID_COLS = constants.GRID_COLS;
-  var GRID_ROWS = constants.GRID_ROWS;
 
   function pointKey(x, y) {
     return x + "," + y;
   }
 
   function isWalkable(tiles, x, y) {
-    if (x < 0 || y < 0 || x >= GRID_COLS || y >= GRID_ROWS) {
+    if (y < 0 || y >= tiles.length || x < 0 || x >= tiles[y].length) {
       return false;
     }
-    var tile = tiles[y][x];
-    return tile !== TILE.WALL && tile !== TILE.OBSTACLE;
+    return constants.isWalkableTile(tiles[y][x]);
   }
 
   function buildInitialSegments(spawn, length, tiles) {
@@ -169,5 +165,14 @@
     this.segments.push({ x: source.x, y: source.y });
   };
 
+  /**
+   * 꼬리 세그먼트를 count개까지 떼어낸다. 머리 하나는 항상 남긴다.
+   * @returns {Array<{x, y}>} 떼어낸 칸 (머리 쪽 → 꼬리 순). undo 때 그대로 다시 붙이면 된다.
+   */
+  Snake.prototype.shrink = function shrink(count) {
+    var keep = Math.max(1, this.segments.length - Math.max(0, Math.floor(Number(count) || 0)));
+    return this.segments.splice(keep);
+  };
+
   global.WormGameSnake = Snake;
 })(window);
@@ -0,0 +1,196 @@
+/**
+ * solver.js — 최단 경로 솔버 (simulateStep 기반 BFS)
+ *
+ * 인게임 힌트(Game.requestHint)와 레벨 검증기(validate-levels.js)가 함께 사용한다.
+ * 규칙은 simulation.js에만 있으므로 솔버는 상태 탐색과 중복 제거만 담당한다.
+ *
+ * @module  WormGameSolver
+ * @depends WormGameConstants  (TILE, TILE_META, GAMEPLAY)
+ * @depends WormGameSimulation (simulateStep, getTile)
+ * @exports global.WormGameSolver
+ *
+ * ES Module 전환 시: import { simulateStep, getTile } from './simulation.js'
+ */
+(function attachSolver(global) {
+  "use strict";
+
+  var constants = global.WormGameConstants;
+  var Simulation = global.WormGameSimulation;
+  var TILE = constants.TILE;
+  var TILE_META = constants.TILE_META;
+  var GAMEPLAY = constants.GAMEPLAY;
+
+  var DIRECTION_ORDER = ["up", "down", "left", "right"];
+
+  /**
+   * 이후 이동에 영향을 주는 아이템 칸.
+   * 몸통 충돌이 꺼져 있으면 몸통은 막지 않으므로 길이를 바꾸는 젤리(성장/신 젤리)는 추적하지 않는다.
+   * 단, 바위는 몸통 칸으로 밀 수 없어서 바위가 있는 레벨은 길이가 이후 이동을 바꾸므로 젤리도 추적한다.
+   * 열쇠는 문을 열어 지형을 바꾸므로 항상 추적한다 (문 상태는 열쇠 칸으로 결정된다).
+   * 출구 조건이 있으면 먹은 젤리 수와 길이가 출구 개방을 좌우하므로 젤리도 추적한다.
+   * 구멍은 바위로 메워질 수 있으므로 항상 추적한다 (바위 위치는 stateKey가 따로 담는다).
+   * 차단문(열림/닫힘)도 항상 추적한다.
+   */
+  function findTrackedCells(state) {
+    var cells = [];
+    var tiles = state.tiles;
+    var lengthMatters = state.bodyCollision || !!state.goals || hasBoulders(tiles);
+    for (var y = 0; y < tiles.length; y += 1) {
+      for (var x = 0; x < tiles[y].length; x += 1) {
+        var tile = tiles[y][x];
+        var isGrowth =
+          tile === TILE.ITEM || tile === TILE.BIG_ITEM || tile === TILE.SOUR_ITEM || tile === TILE.BIG_SOUR_ITEM;
+        var isKey = !!(TILE_META[tile] && TILE_META[tile].key);
+        var isTerrain = isKey || tile === TILE.HOLE || tile === TILE.GATE || tile === TILE.GATE_OPEN;
+        if (tile === TILE.STAR_ITEM || isTerrain || (isGrowth && lengthMatters)) {
+          cells.push({ x: x, y: y, tile: tile });
+        }
+      }
+    }
+    return cells;
+  }
+
+  function segmentsKey(segments, count) {
+    var parts = [];
+    for (var i = 0; i < count; i += 1) {
+      parts.push(segments[i].x + "," + segments[i].y);
+    }
+    return parts.join("|");
+  }
+
+  function hasBoulders(tiles) {
+    for (var y = 0; y < tiles.length; y += 1) {
+      if (tiles[y].indexOf(TILE.BOULDER) !== -1) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /** 바위 위치 목록 문자열 ("x,y|x,y"). 바위는 어디로든 움직이므로 칸 단위 추적 대신 매번 훑는다. */
+  function bouldersKey(tiles) {
+    var parts = [];
+    for (var y = 0; y < tiles.length; y += 1) {
+      for (var x = 0; x < tiles[y].length; x += 1) {
+        if (tiles[y][x] === TILE.BOULDER) {
+          parts.push(x + "," + y);
+        }
+      }
+    }
+    return parts.join("|");
+  }
+
+  /** @param {boolean} trackBoulders - 시작 상태에 바위가 있을 때만 true (바위 없는 레벨은 훑지 않는다) */
+  function stateKey(state, trackedCells, trackBoulders) {
+    var items = "";
+    for (var i = 0; i < trackedCells.length; i += 1) {
+      var cell = trackedCells[i];
+      items += state.tiles[cell.y][cell.x] === cell.tile ? "1" : "0";
+    }
+    // 몸통 충돌이 있거나, 스위치를 몸통으로 누를 수 있거나, 바위 착지 칸을 몸통이 막을 수 있으면(몸통 충돌 설정과 무관)
+    // 몸 전체 위치가 이후 이동을 바꾼다.
+    var count = state.bodyCollision || state.channels || trackBoulders ? state.segments.length : 1;
+    // 신 젤리는 길이 1에서 효과가 없어, 먹은 칸이 같아도 먹은 순서에 따라 길이가 다를 수 있다.
+    var length = state.goals && state.goals.exactLength ? ";" + state.segments.length : "";
+    var boulders = trackBoulders ? ";" + bouldersKey(state.tiles) : "";
+    return segmentsKey(state.segments, count) + ";" + state.starMoves + ";" + items + length + boulders;
+  }
+
+  function isAtExit(state) {
+    var head = state.segments[0];
+    return Simulation.getTile(state, head.x, head.y) === TILE.EXIT;
+  }
+
+  function buildPath(nodes, index) {
+    var moves = [];
+    var cursor = index;
+    while (cursor > 0) {
+      moves.push(nodes[cursor].direction);
+      cursor = nodes[cursor].parent;
+    }
+    moves.reverse();
+    return moves;
+  }
+
+  /**
+   * 시작 상태에서 출구까지의 최단 이동 목록을 찾는 BFS를 만든다. step()으로 조금씩 진행할 수 있어,
+   * 인게임 힌트는 한 프레임에 몇천 상태씩만 펼쳐 메인 스레드를 막지 않는다.
+   *
+   * @param {Object} start - simulation.js 상태
+   * @param {{ maxStates?: number }} [options]
+   * @returns {{ step: function(number=): ?Object }}
+   *   step(budget): 상태를 최대 budget개(생략하면 끝까지) 펼친다. 끝나면 solve()와 같은 형태의 결과,
+   *   아직이면 null. 끝난 뒤 다시 부르면 같은 결과를 돌려준다.
+   */
+  function createSearch(start, options) {
+    var maxStates = (options && options.maxStates) || GAMEPLAY.SOLVER_MAX_STATES;
+    var trackedCells = findTrackedCells(start);
+    var trackBoulders = hasBoulders(start.tiles);
+    var nodes = [{ state: start, parent: -1, direction: null }];
+    var seen = new Set([stateKey(start, trackedCells, trackBoulders)]);
+    var head = 0;
+    var result = isAtExit(start) ? { solved: true, moves: [], explored: seen.size, timeout: false } : null;
+
+    function finish(solved, moves, timeout) {
+      result = { solved: solved, moves: moves, explored: seen.size, timeout: timeout };
+      // 결과가 나오면 탐색 기록을 놓아 메모리를 돌려준다
+      nodes = null;
+      seen = null;
+      return result;
+    }
+
+    function step(budget) {
+      var limit = budget === undefined ? Infinity : budget;
+      for (var expanded = 0; !result && expanded < limit; expanded += 1) {
+        if (head >= nodes.length) {
+          return finish(false, [], false);
+        }
+        if (seen.size > maxStates) {
+          return finish(false, [], true);
+        }
+
+        var node = nodes[head];
+        for (var i = 0; i < DIRECTION_ORDER.length; i += 1) {
+          var next = Simulation.simulateStep(node.state, DIRECTION_ORDER[i]).state;
+          if (next === node.state) {
+            continue;
+          }
+
+          var key = stateKey(next, trackedCells, trackBoulders);
+          if (seen.has(key)) {
+            continue;
+          }
+          seen.add(key);
+          nodes.push({ state: next, parent: head, direction: DIRECTION_ORDER[i] });
+
+          // 생성 시점에 목표를 검사해 가장 큰 마지막 BFS 층을 펼치지 않는다.
+          if (isAtExit(next)) {
+            return finish(true, buildPath(nodes, nodes.length - 1), false);
+          }
+        }
+        // 펼친 노드는 경로 복원(parent/direction)에만 쓰이므로 상태는 버린다
+        node.state = null;
+        head += 1;
+      }
+      return result;
+    }
+
+    return { step: step };
+  }
+
+  /**
+   * 시작 상태에서 출구까지의 최단 이동 목록을 찾는다 (한 번에 끝까지 탐색).
+   *
+   * @param {Object} start - simulation.js 상태
+   * @param {{ maxStates?: number }} [options]
+   * @returns {{ solved: boolean, moves: Array<string>, explored: number, timeout: boolean }}
+   */
+  function solve(start, options) {
+    return createSearch(start, options).step();
+  }
+
+  global.WormGameSolver = Object.freeze({
+    solve: solve,
+    createSearch: createSearch,
+  });
+})(window);
@@ -0,0 +1,155 @@
+/**
+ * storage-migrations.js — 진행도/설정 저장 데이터 버전 마이그레이션
+ *
+ * 저장 형식이 바뀔 때마다 "vN → vN+1" 단계 함수를 하나씩 등록한다.
+ * 불러올 때 저장된 버전부터 현재 버전까지 단계를 차례로 적용하며,
+ * 각 단계는 모르는 필드를 지우지 않고 그대로 넘긴다.
+ *
+ * @module  WormGameStorageMigrations
+ * @depends WormGameConstants (STORAGE_VERSION, SETTINGS_VERSION)
+ * @exports global.WormGameStorageMigrations
+ *
+ * 진행도 버전:
+ *   v1 { unlockedLevelIndex, bestMoves }            (wormPuzzleProgressLevel 숫자 키를 대체)
+ *   v2 + totalMoves, clears
+ *   v3 + totalItems
+ *   v4 + hintsUsed, levelStars
+ *   v5 + challengeBestMoves, challengeBestTimes  (도전 모드 기록 — bestMoves와 따로)
+ *   v6 + endlessBestStreak
+ * 설정 버전:
+ *   v1 버전 필드 없는 설정 객체
+ *   v2 + version, customBindings.hint
+ *   v3 bgmTrack "retro" → "world" (예전 기본값 "retro"가 그대로 저장돼 있어 월드별 음악이 켜지지 않던 문제.
+ *      v3부터 저장된 "retro"는 직접 고른 값이다)
+ *
+ * ES Module 전환 시: import { STORAGE_VERSION, SETTINGS_VERSION } from './constants.js'
+ */
+(function attachStorageMigrations(global) {
+  "use strict";
+
+  var constants = global.WormGameConstants;
+
+  function copy(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  function toCount(value) {
+    return Math.max(0, Math.floor(Number(value) || 0));
+  }
+
+  function toObject(value) {
+    return value && typeof value === "object" && !Array.isArray(value) ? value : {};
+  }
+
+  /** 진행도 단계: 키는 출발 버전. */
+  var PROGRESS_STEPS = Object.freeze({
+    1: function progressV1ToV2(data) {
+      data.totalMoves = toCount(data.totalMoves);
+      data.clears = toCount(data.clears);
+      return data;
+    },
+    2: function progressV2ToV3(data) {
+      data.totalItems = toCount(data.totalItems);
+      return data;
+    },
+    3: function progressV3ToV4(data) {
+      data.hintsUsed = toObject(data.hintsUsed);
+      data.levelStars = toObject(data.levelStars);
+      return data;
+    },
+    4: function progressV4ToV5(data) {
+      data.challengeBestMoves = toObject(data.challengeBestMoves);
+      data.challengeBestTimes = toObject(data.challengeBestTimes);
+      return data;
+    },
+    5: function progressV5ToV6(data) {
+      data.endlessBestStreak = toCount(data.endlessBestStreak);
+      return data;
+    },
+  });
+
+  var SETTINGS_STEPS = Object.freeze({
+    1: function settingsV1ToV2(data) {
+      data.customBindings = toObject(data.customBindings);
+      if (typeof data.customBindings.hint !== "string") {
+        data.customBindings.hint = "";
+      }
+      return data;
+    },
+    2: function settingsV2ToV3(data) {
+      if (data.bgmTrack === "retro") {
+        data.bgmTrack = "world";
+      }
+      return data;
+    },
+  });
+
+  var PIPELINES = Object.freeze({
+    progress: Object.freeze({ version: constants.STORAGE_VERSION, steps: PROGRESS_STEPS }),
+    settings: Object.freeze({ version: constants.SETTINGS_VERSION, steps: SETTINGS_STEPS }),
+  });
+
+  function getPipeline(kind) {
+    var pipeline = PIPELINES[kind];
+    if (!pipeline) {
+      throw new Error("Unknown storage kind: " + kind);
+    }
+    return pipeline;
+  }
+
+  /** 버전 필드가 없으면 v1로 본다. */
+  function detectVersion(data) {
+    var version = Math.floor(Number(data && data.version));
+    return version >= 1 ? version : 1;
+  }
+
+  /**
+   * 저장 데이터를 현재 버전까지 올린다. 입력은 변경하지 않는다.
+   * 현재보다 새 버전의 데이터는 그대로 돌려준다 (from === to).
+   *
+   * @param {"progress"|"settings"} kind
+   * @param {Object} data
+   * @returns {{ data: Object, from: number, to: number }}
+   */
+  function migrate(kind, data) {
+    var pipeline = getPipeline(kind);
+    var from = detectVersion(data);
+    var result = copy(data);
+    var version = from;
+
+    while (version < pipeline.version) {
+      var step = pipeline.steps[version];
+      if (!step) {
+        throw new Error("Missing " + kind + " migration v" + version + " -> v" + (version + 1));
+      }
+      result = step(result);
+      version += 1;
+      result.version = version;
+    }
+
+    return { data: result, from: from, to: version };
+  }
+
+  /** 예전 wormPuzzleProgressLevel 숫자 값을 v1 진행도로 바꾼다. 숫자가 아니면 null. */
+  function fromLegacyLevel(raw) {
+    var level = Number.parseInt(raw, 10);
+    if (Number.isNaN(level)) {
+      return null;
+    }
+    return { version: 1, unlockedLevelIndex: level, bestMoves: {} };
+  }
+
+  /** 마이그레이션 전 원본을 보관하는 키 (예: wormPuzzleProgress@v2). */
+  function backupKey(storageKey, version) {
+    return storageKey + "@v" + version;
+  }
+
+  global.WormGameStorageMigrations = Object.freeze({
+    PROGRESS_STEPS: PROGRESS_STEPS,
+    SETTINGS_STEPS: SETTINGS_STEPS,
+    detectVersion: detectVersion,
+    migrate: migrate,
+    fromLegacyLevel: fromLegacyLevel,
+    backupKey: backupKey,
+  });
+})(window);
@@ -8,9 +8,21 @@ const vm = require("vm");
 const ROOT = path.resolve(__dirname, "..");
 const FILES = [
   "js/constants.js",
+  "js/level-pars.js",
   "js/levels.js",
   "js/snake.js",
+  "js/simulation.js",
+  "js/solver.js",
+  "js/endless.js",
+  "js/replay-store.js",
+  "js/profile-store.js",
+  "js/storage-migrations.js",
+  "js/save-bundle.js",
   "js/game.js",
+  "js/level-editor.js",
+  "js/music.js",
+  "js/audio.js",
+  "js/gamepad.js",
 ];
 
 function loadRuntime(storageSeed) {
@@ -81,7 +93,7 @@ function findPathToTargets(level, constants, targets) {
     for (const d of dirs) {
       const nx = node.x + d.x;
       const ny = node.y + d.y;
-      if (nx < 0 || ny < 0 || nx >= constants.GRID_COLS || ny >= constants.GRID_ROWS) {
+      if (nx < 0 || ny < 0 || nx >= level.width || ny >= level.height) {
         continue;
       }
       const nextTile = level.tiles[ny][nx];
@@ -172,6 +184,71 @@ function testStorageMigration() {
   const { sandbox } = loadRuntime({ [key]: "4" });
   const game = new sandbox.WormPuzzleGame();
   assert(game.unlockedLevelIndex === 4, "legacy progress should migrate into unlocked level");
+
+  // Each registered step, one fixture blob per version
+  const M = sandbox.WormGameStorageMigrations;
+  const C = sandbox.WormGameConstants;
+  const v1 = { version: 1, unlockedLevelIndex: 2, bestMoves: { 1: 12 }, pet: "snail" };
+  const v2 = M.PROGRESS_STEPS[1]({ ...v1 });
+  assert(v2.totalMoves === 0 && v2.clears === 0, "v1 -> v2 adds counters");
+  const v3 = M.PROGRESS_STEPS[2]({ ...v2, version: 2, totalMoves: "7" });
+  assert(v3.totalItems === 0 && v3.totalMoves === "7", "v2 -> v3 adds totalItems only");
+  const v4 = M.PROGRESS_STEPS[3]({ ...v3, version: 3, hintsUsed: [1] });
+  assert(!Array.isArray(v4.hintsUsed) && v4.levelStars, "v3 -> v4 adds hint and star maps");
+  const settingsV2 = M.SETTINGS_STEPS[1]({ language: "en", customBindings: { undo: "u" } });
+  assert(settingsV2.customBindings.hint === "" && settingsV2.customBindings.undo === "u", "settings v1 -> v2");
+  const settingsV3 = M.SETTINGS_STEPS[2]({ version: 2, bgmTrack: "retro", volume: 3 });
+  assert(settingsV3.bgmTrack === "world" && settingsV3.volume === 3, "settings v2 -> v3 moves the old retro default to world");
+  assert(M.SETTINGS_STEPS[2]({ version: 2, bgmTrack: "chill" }).bgmTrack === "chill", "other tracks are kept");
+
+  const chained = M.migrate("progress", v1);
+  assert(chained.from === 1 && chained.to === C.STORAGE_VERSION, "chain runs to the current version");
+  assert(chained.data.pet === "snail" && chained.data.levelStars, "unknown fields survive the chain");
+  assert(v1.totalMoves === undefined, "migrate does not mutate its input");
+  const future = M.migrate("progress", { version: C.STORAGE_VERSION + 1 });
+  assert(future.from === future.to, "newer data is left alone");
+
+  // Loading old blobs backs up the raw data, upgrades it and reports it
+  const rawProgress = JSON.stringify({ ...v1, version: 2, totalMoves: 40, clears: 3 });
+  const rawSettings = JSON.stringify({ language: "en", customBindings: { undo: "u" } });
+  const loaded = loadRuntime({
+    [C.STORAGE_KEYS.PROGRESS]: rawProgress,
+    [C.STORAGE_KEYS.SETTINGS]: rawSettings,
+  });
+  const upgraded = new loaded.sandbox.WormPuzzleGame();
+  const events = upgraded.drainEvents().filter((e) => e.type === "storage_migrated");
+  assert(events.length === 2, "one storage_migrated event per migrated blob");
+  assert(events.some((e) => e.payload.kind === "progress" && e.payload.from === 2), "progress event");
+  assert(events.some((e) => e.payload.kind === "settings" && e.payload.from === 1), "settings event");
+  assert(loaded.storage[M.backupKey(C.STORAGE_KEYS.PROGRESS, 2)] === rawProgress, "raw progress backed up");
+  assert(loaded.storage[M.backupKey(C.STORAGE_KEYS.SETTINGS, 1)] === rawSettings, "raw settings backed up");
+  assert(upgraded.unlockedLevelIndex === 2 && upgraded.totalMoveCount === 40, "migrated values loaded");
+  assert(upgraded.getActionFromKey("u") === "undo", "migrated settings applied");
+
+  upgraded.saveProgressData();
+  const saved = JSON.parse(loaded.storage[C.STORAGE_KEYS.PROGRESS]);
+  assert(saved.version === C.STORAGE_VERSION && saved.pet === "snail", "unknown fields kept on save");
+  const reloaded = new (loadRuntime(loaded.storage).sandbox.WormPuzzleGame)();
+  assert(!reloaded.drainEvents().some((e) => e.type === "storage_migrated"), "migration runs once");
+
+  // Profile overrides saved before v3 (retro was the old default) move to per-world music as well;
+  // a retro choice saved at v3 is the player's own and stays
+  const profileSeed = {
+    [C.STORAGE_KEYS.SETTINGS]: JSON.stringify({ version: 2, bgmTrack: "retro" }),
+    [C.STORAGE_KEYS.PROFILES]: JSON.stringify({
+      version: 1,
+      activeSlot: 1,
+      slots: [{ name: "A", settings: { bgmTrack: "retro", language: "en" } }, { name: "", settings: null }],
+    }),
+  };
+  const profiled = loadRuntime(profileSeed);
+  const retroGame = new profiled.sandbox.WormPuzzleGame();
+  assert(retroGame.settings.bgmTrack === "world" && retroGame.settings.language === "en", "old retro override becomes world");
+  const index = JSON.parse(profiled.storage[C.STORAGE_KEYS.PROFILES]);
+  assert(index.settingsVersion === C.SETTINGS_VERSION && index.slots[0].settings.bgmTrack === "world", "profile index upgraded");
+  retroGame.updateSettings({ bgmTrack: "retro" });
+  const chosen = new (loadRuntime(profiled.storage).sandbox.WormPuzzleGame)();
+  assert(chosen.settings.bgmTrack === "retro", "retro chosen after v3 is kept");
 }
 
 function testKeyBindingChange() {
@@ -296,75 +373,131 @@ function testSnakeBasics() {
   const lenBefore = snake.segments.length;
   snake.growByTailPosition(null);
   assert(snake.segments.length === lenBefore + 1, "grow adds one segment");
+
+  // shrink never drops the head
+  const dropped = snake.shrink(2);
+  assert(snake.segments.length === lenBefore - 1 && dropped.length === 2, "shrink removes tail segments");
+  assert(snake.shrink(10).length === lenBefore - 2 && snake.segments.length === 1, "shrink stops at length 1");
+  assert(snake.shrink(1).length === 0, "single segment is kept");
 }
 
-// ── handleItemCollection sub-method test ──
+// ── simulateStep: item collection ──
 
-function testHandleItemCollectionDirect() {
+function testSimulateStepItems() {
   const { sandbox } = loadRuntime({});
   const C = sandbox.WormGameConstants;
   const TILE = C.TILE;
-  const game = new sandbox.WormPuzzleGame();
+  const Sim = sandbox.WormGameSimulation;
 
-  game.loadLevel(0);
-  game.setState("playing");
+  const tiles = [
+    [1, 1, 1, 1, 1, 1],
+    [1, 0, 0, TILE.ITEM, TILE.BIG_ITEM, 1],
+    [1, 1, 1, 1, 1, 1],
+  ];
+  const start = Sim.createState({
+    tiles,
+    segments: [{ x: 2, y: 1 }, { x: 1, y: 1 }],
+  });
+
+  const first = Sim.simulateStep(start, "right");
+  assert(first.state.segments.length === 3, "jelly gives growth=1");
+  assert(first.state.tiles[1][3] === TILE.EMPTY, "tile cleared after collection");
+  const collected = first.events.find((e) => e.type === "item_collected");
+  assert(collected && collected.kind === "jelly" && collected.tile === TILE.ITEM, "jelly event");
+  assert(!first.events.some((e) => e.type === "power_start"), "no star activation");
+
+  // Input state must stay untouched (copy-on-write tiles, fresh segment array)
+  assert(tiles[1][3] === TILE.ITEM, "input tiles unchanged");
+  assert(start.segments.length === 2 && start.segments[0].x === 2, "input segments unchanged");
+  assert(first.state.tiles[0] === tiles[0], "untouched rows are shared");
+
+  const second = Sim.simulateStep(first.state, "right");
+  assert(second.state.segments.length === 5, "super jelly gives growth=2");
+
+  const blocked = Sim.simulateStep(second.state, "right");
+  assert(blocked.state === second.state, "blocked move returns the same state");
+  assert(blocked.events.length === 1 && blocked.events[0].reason === "wall", "blocked event reason");
+}
 
-  // Place a jelly manually at a known walkable spot
-  const head = game.snake.getHead();
-  const testX = head.x + 1;
-  const testY = head.y;
-  game.currentLevel.tiles[testY][testX] = TILE.ITEM;
-  game.levelTotalItems = game.countItemsInCurrentLevel();
-
-  const tail = game.snake.segments[game.snake.segments.length - 1];
-  const delta = {
-    growth: 0,
-    consumedItem: null,
-    totalItemsBefore: game.totalItemsCollected,
-    levelItemsBefore: game.levelCollectedItems,
-  };
+// ── simulateStep: star power countdown ──
 
-  const result = game.handleItemCollection(
-    { x: testX, y: testY }, TILE.ITEM, { x: tail.x, y: tail.y }, delta
-  );
+function testSimulateStepStarPower() {
+  const { sandbox } = loadRuntime({});
+  const C = sandbox.WormGameConstants;
+  const TILE = C.TILE;
+  const Sim = sandbox.WormGameSimulation;
 
-  assert(result.growth === 1, "jelly gives growth=1");
-  assert(result.collectedType === "jelly", "type should be jelly");
-  assert(!result.activatedStar, "no star activation");
-  assert(delta.growth === 1, "delta.growth updated");
-  assert(game.currentLevel.tiles[testY][testX] === TILE.EMPTY, "tile cleared after collection");
+  const row = [1, 0, TILE.STAR_ITEM];
+  for (let i = 0; i < C.GAMEPLAY.STAR_POWER_MOVES + 2; i += 1) {
+    row.push(0);
+  }
+  row.push(1);
+  let state = Sim.createState({
+    tiles: [row.map(() => 1), row, row.map(() => 1)],
+    segments: [{ x: 1, y: 1 }],
+  });
+
+  // Pickup turn must not decrement
+  let step = Sim.simulateStep(state, "right");
+  assert(step.state.starMoves === C.GAMEPLAY.STAR_POWER_MOVES, "star not decremented on activation turn");
+  assert(step.events.some((e) => e.type === "power_start"), "power_start event");
+
+  state = step.state;
+  step = Sim.simulateStep(state, "right");
+  assert(step.state.starMoves === C.GAMEPLAY.STAR_POWER_MOVES - 1, "star decremented by 1");
+
+  state = step.state;
+  let ended = false;
+  while (state.starMoves > 0) {
+    step = Sim.simulateStep(state, "right");
+    ended = step.events.some((e) => e.type === "power_end");
+    state = step.state;
+  }
+  assert(ended, "power_end event on the last star turn");
 }
 
-// ── tickStarPower sub-method test ──
+// ── Game, replay and simulation agree ──
 
-function testTickStarPower() {
+function testSimulationConsistency() {
   const { sandbox } = loadRuntime({});
+  const C = sandbox.WormGameConstants;
+  const Sim = sandbox.WormGameSimulation;
   const game = new sandbox.WormPuzzleGame();
-  game.loadLevel(0);
-  game.setState("playing");
-
-  // Simulate star activation
-  game.starMovesRemaining = 3;
+  game.startGame(true);
 
-  // justActivated = true → should not decrement
-  game.tickStarPower(true);
-  assert(game.starMovesRemaining === 3, "star not decremented on activation turn");
+  const level = game.levels[0];
+  const targets = new Set([C.TILE.ITEM, C.TILE.BIG_ITEM, C.TILE.STAR_ITEM, C.TILE.EXIT]);
+  const path = findPathToTargets(level, C, targets);
+  assert(path && path.moves.length > 0, "path to a target should exist");
+  // Extra probes may be blocked; both sides must reject them the same way.
+  const moves = path.moves.concat(["up", "left", "down", "right", "up"]);
 
-  // justActivated = false → should decrement
-  game.tickStarPower(false);
-  assert(game.starMovesRemaining === 2, "star decremented by 1");
+  let simState = Sim.createState({
+    tiles: game.currentLevel.tiles,
+    segments: game.snake.cloneSegments(),
+    bodyCollision: game.currentLevel.bodyCollision,
+  });
 
-  game.tickStarPower(false);
-  assert(game.starMovesRemaining === 1, "star decremented to 1");
+  for (const direction of moves) {
+    game.update(0, game.animationTimeMs + 220);
+    const moved = game.tryMove(direction, Date.now());
+    const next = Sim.simulateStep(simState, direction).state;
+    assert(moved === (next !== simState), `game and simulation agree on ${direction}`);
+    simState = next;
+    if (game.state !== "playing") {
+      break;
+    }
+  }
 
-  // Drain events before checking power_end
-  game.drainEvents();
-  game.tickStarPower(false);
-  assert(game.starMovesRemaining === 0, "star expired");
+  const gameKey = game.snake.segments.map((s) => `${s.x},${s.y}`).join("|");
+  const simKey = simState.segments.map((s) => `${s.x},${s.y}`).join("|");
+  assert(gameKey === simKey, "game snake matches simulation");
+  assert(game.getPowerState().starMoves === simState.starMoves, "star moves match");
 
-  const events = game.drainEvents();
-  const powerEnd = events.find(e => e.type === "power_end");
-  assert(powerEnd, "power_end event should be emitted");
+  game.storeReplayArchive();
+  const replayState = game.getReplayDebugState(game.replayLog.moves.length);
+  const replayKey = replayState.segments.map((s) => `${s.x},${s.y}`).join("|");
+  assert(replayKey === simKey, "replay debug matches simulation");
 }
 
 // ── checkPostMoveState sub-method test ──
@@ -638,10 +771,1838 @@ function testRestartLevel() {
   assert(game.history.length === 0, "history should be empty after restart");
 }
 
+// ── Body collision rule test ──
+
+function testBodyCollision() {
+  const { sandbox } = loadRuntime({});
+  const C = sandbox.WormGameConstants;
+  const game = new sandbox.WormPuzzleGame();
+  game.loadLevel(0);
+  game.startGame(true);
+
+  // U-shaped body: head(5,5) → (6,5) → (6,6) → tail(5,6)
+  const cells = [{ x: 5, y: 5 }, { x: 6, y: 5 }, { x: 6, y: 6 }, { x: 5, y: 6 }];
+  cells.forEach((cell) => {
+    game.currentLevel.tiles[cell.y][cell.x] = C.TILE.EMPTY;
+  });
+  game.snake.segments = cells.map((cell) => ({ x: cell.x, y: cell.y }));
+
+  game.currentLevel.bodyCollision = false;
+  assert(game.canMoveTo(6, 5), "body pass allowed when rule is off");
+
+  game.currentLevel.bodyCollision = true;
+  assert(!game.canMoveTo(6, 5), "neck cell should block when rule is on");
+  assert(game.canMoveTo(5, 6), "vacating tail cell should stay enterable");
+  assert(!game.getValidMoveDirections().includes("right"), "valid directions exclude body");
+
+  game.update(0, game.animationTimeMs + 220);
+  game.drainEvents();
+  assert(!game.tryMove("right", Date.now()), "move into body should fail");
+  assert(game.feedback.reason === "body", "blocked reason should be body");
+  const blockedEvent = game.drainEvents().find((e) => e.type === "blocked");
+  assert(blockedEvent && blockedEvent.payload.reason === "body", "blocked event carries body reason");
+
+  game.starMovesRemaining = 3;
+  assert(game.canMoveTo(6, 5), "star power should pass through body");
+  game.starMovesRemaining = 0;
+
+  assert(game.tryMove("down", Date.now()), "move into vacating tail should succeed");
+  assert(game.snake.getHead().x === 5 && game.snake.getHead().y === 6, "head moved onto old tail");
+}
+
+// ── Variable board size test ──
+
+function testVariableBoardSize() {
+  const { sandbox } = loadRuntime({});
+  const C = sandbox.WormGameConstants;
+  const { parseMap } = sandbox.WormGameLevels;
+
+  const tutorial = parseMap({
+    id: 901,
+    title: "Tiny Room",
+    snakeLength: 1,
+    theme: 0,
+    map: [
+      "########",
+      "#S.....#",
+      "#.####.#",
+      "#.#..#.#",
+      "#.#..#.#",
+      "#.####.#",
+      "#.....E#",
+      "########",
+    ],
+  });
+  assert(tutorial.width === 8 && tutorial.height === 8, "8x8 level should carry its size");
+  assert(tutorial.metrics.density === Number((tutorial.metrics.walkable / 64).toFixed(3)), "density uses level area");
+
+  const bigRows = [];
+  for (let y = 0; y < 24; y++) {
+    const edge = y === 0 || y === 23;
+    bigRows.push(edge ? "#".repeat(32) : "#" + ".".repeat(30) + "#");
+  }
+  bigRows[1] = "#S" + ".".repeat(29) + "#";
+  bigRows[22] = "#" + ".".repeat(29) + "E#";
+  const finale = parseMap({ id: 902, title: "Finale", snakeLength: 3, theme: 1, map: bigRows });
+  assert(finale.width === 32 && finale.height === 24, "32x24 level should parse");
+
+  let threw = false;
+  try {
+    parseMap({ id: 903, snakeLength: 1, width: 10, map: tutorial.tiles.map(() => "#S.....E") });
+  } catch (_err) {
+    threw = true;
+  }
+  assert(threw, "declared width must match the map rows");
+
+  threw = false;
+  try {
+    parseMap({ id: 904, snakeLength: 1, map: ["#SE"] });
+  } catch (_err) {
+    threw = true;
+  }
+  assert(threw, "maps below the minimum size should be rejected");
+
+  const game = new sandbox.WormPuzzleGame();
+  game.levels = [tutorial, finale];
+  game.loadLevel(0);
+  game.startGame(true);
+  const size = game.getBoardSize();
+  assert(size.width === 8 && size.height === 8, "game board size follows the level");
+  assert(!game.isInsideBoard(8, 1) && game.isInsideBoard(7, 7), "bounds follow the level size");
+  runMoves(game, ["down", "down", "down", "down", "down", "right", "right", "right", "right"]);
+  game.update(0, game.animationTimeMs + 220);
+  game.tryMove("right", Date.now());
+  const cleared = game.drainEvents().some((e) => e.type === "level_clear");
+  assert(cleared, "8x8 level should be clearable");
+
+  game.loadLevel(1);
+  assert(game.isInsideBoard(31, 23) && !game.isInsideBoard(32, 0), "32x24 bounds");
+  assert(game.snake.segments.length === 3, "snake spawns on the big board");
+  assert(C.getBoardSize(game.currentLevel.tiles).width === 32, "getBoardSize reads tiles");
+}
+
+// ── Level editor draft + play test ──
+
+function testLevelEditorDraft() {
+  const { sandbox } = loadRuntime({});
+  const Editor = sandbox.WormGameLevelEditor;
+
+  const draft = Editor.createDraft(8, 6);
+  let result = Editor.validateDraft(draft);
+  assert(result.ok, "fresh draft should validate");
+  assert(result.level.width === 8 && result.level.height === 6, "draft size carried to level");
+
+  assert(Editor.setCell(draft, 3, 3, "S"), "painting spawn should change the cell");
+  const rows = Editor.getRows(draft);
+  assert(rows.join("").split("S").length === 2, "only one spawn after repainting S");
+  assert(rows[1].charAt(1) === ".", "old spawn becomes floor");
+
+  assert(Editor.setCell(draft, 6, 4, "."), "erase exit");
+  result = Editor.validateDraft(draft);
+  assert(!result.ok && result.reason === "parse", "missing exit should fail parseMap");
+
+  const filled = Editor.floodFill(draft, 2, 2, "I");
+  assert(filled > 10, "flood fill should cover the open floor");
+  assert(Editor.getRows(draft)[3].charAt(3) === "S", "fill leaves other symbols intact");
+
+  Editor.resizeDraft(draft, 10, 4);
+  assert(draft.width === 10 && draft.height === 4, "resize updates dimensions");
+  assert(Editor.getRows(draft).every((row) => row.length === 10), "resized rows are consistent");
+
+  const corridor = Editor.draftFromRows(["#####", "#S.E#", "#####", "#####"], 5);
+  result = Editor.validateDraft(corridor);
+  assert(!result.ok && result.reason === "snake_length", "snake that cannot fit should be rejected");
+
+  const exported = Editor.exportDraft(Editor.createDraft(6, 5));
+  const payload = JSON.parse(exported);
+  assert(Array.isArray(payload.rows) && payload.rows.length === 5, "export uses level-tools { rows } shape");
+  const imported = Editor.importDraft(exported);
+  assert(imported && Editor.getRows(imported).join("|") === payload.rows.join("|"), "import round-trips export");
+  const fromText = Editor.importDraft(payload.rows.join("\n"));
+  assert(fromText && fromText.width === 6, "plain map text can be imported");
+  assert(Editor.importDraft('{"rows":["#Z#"]}') === null, "unknown symbols are rejected");
+
+  Editor.saveStoredDraft(imported);
+  const restored = Editor.loadStoredDraft();
+  assert(restored && restored.width === 6 && restored.height === 5, "draft persists to localStorage");
+
+  // Switch channels, exit goals and body collision are part of the draft, not just the map
+  const ruled = Editor.draftFromRows(["#######", "#S..IE#", "#.....#", "#######"], 2, {
+    bodyCollision: true,
+    minItems: 1,
+    exactLength: 0,
+    channels: { "1,2": 2 },
+  });
+  assert(ruled.bodyCollision && ruled.goals.minItems === 1 && !("exactLength" in ruled.goals), "options sanitized");
+  assert(Object.keys(ruled.channels).length === 0, "channels on plain floor are dropped");
+  result = Editor.validateDraft(ruled);
+  assert(result.ok && result.level.bodyCollision && result.level.goals.minItems === 1, "level gets goals and collision");
+  const ruledCopy = Editor.importDraft(Editor.exportDraft(ruled));
+  assert(ruledCopy.bodyCollision && ruledCopy.goals.minItems === 1, "goals round-trip export");
+  ruled.goals.minItems = 2;
+  assert(!Editor.validateDraft(ruled).ok, "a goal the map cannot meet is reported");
+  ruled.goals.minItems = 1;
+  Editor.saveStoredDraft(ruled);
+  assert(Editor.loadStoredDraft().bodyCollision, "body collision persists to localStorage");
+  assert(!Editor.createDraft(6, 5).bodyCollision && !("bodyCollision" in JSON.parse(exported)), "off by default");
+
+  assert(Editor.setCell(ruled, 2, 1, "_", 2) && Editor.setCell(ruled, 3, 1, "H", 3), "switch and gate painted");
+  result = Editor.validateDraft(ruled);
+  assert(!result.ok && result.reason === "parse", "gate channel without a switch is reported");
+  assert(Editor.setCell(ruled, 3, 1, "H", 2) && ruled.channels["3,1"] === 2, "repainting changes just the channel");
+  assert(!Editor.setCell(ruled, 3, 1, "H", 2), "same tile and channel is not a change");
+  result = Editor.validateDraft(ruled);
+  assert(result.level.channels.gates[0].channel === 2 && result.level.channels.switches[0].channel === 2, "level channels");
+  const gatedCopy = Editor.importDraft(Editor.exportDraft(ruled));
+  assert(JSON.stringify(gatedCopy.channels) === JSON.stringify({ "2,1": 2, "3,1": 2 }), "channels round-trip export");
+  Editor.saveStoredDraft(ruled);
+  assert(Editor.loadStoredDraft().channels["3,1"] === 2, "channels persist to localStorage");
+  assert(Editor.setCell(ruled, 2, 1, ".") && !("2,1" in ruled.channels), "erasing a switch drops its channel");
+  Editor.setCell(ruled, 5, 2, "H", 4);
+  Editor.resizeDraft(ruled, 5, 4);
+  assert(Object.keys(ruled.channels).join() === "3,1", "resizing drops channels outside the board");
+}
+
+function testEditorPlaytest() {
+  const { sandbox, storage } = loadRuntime({});
+  const C = sandbox.WormGameConstants;
+  const Editor = sandbox.WormGameLevelEditor;
+  const game = new sandbox.WormPuzzleGame();
+  game.loadLevel(0);
+
+  const draft = Editor.draftFromRows(["######", "#S..E#", "######", "######"], 1);
+  const result = Editor.validateDraft(draft);
+  assert(result.ok, "corridor draft should validate");
+
+  assert(!game.startPlaytest(result.level), "play test requires the editor state");
+  assert(game.openEditor(), "editor opens from title");
+  assert(game.state === C.GAME_STATE.EDITOR, "state should be editor");
+
+  delete storage[C.STORAGE_KEYS.PROGRESS];
+  const totalBefore = game.totalMoveCount;
+  assert(game.startPlaytest(result.level), "play test should start");
+  assert(game.state === C.GAME_STATE.PLAYING && game.isPlaytesting(), "play test is playing");
+  assert(game.currentLevel.width === 6, "draft level is loaded");
+
+  runMoves(game, ["right"]);
+  game.restartLevel();
+  assert(game.isPlaytesting() && game.currentLevel.width === 6, "restart keeps the draft");
+
+  game.drainEvents();
+  runMoves(game, ["right", "right", "right"]);
+  const events = game.drainEvents();
+  assert(events.some((e) => e.type === "playtest_clear"), "clearing emits playtest_clear");
+  assert(!events.some((e) => e.type === "level_clear"), "no regular level_clear during play test");
+  assert(game.state === C.GAME_STATE.EDITOR, "clear returns to the editor");
+  assert(!game.isPlaytesting(), "play test ends after clear");
+  assert(game.levelIndex === 0 && game.currentLevel.id === game.levels[0].id, "real level restored");
+  assert(game.totalMoveCount === totalBefore, "play test moves are not counted");
+  const saved = storage[C.STORAGE_KEYS.PROGRESS] ? JSON.parse(storage[C.STORAGE_KEYS.PROGRESS]) : null;
+  assert(!saved || (saved.totalMoves === totalBefore && !saved.bestMoves[0]), "play test does not touch saved progress");
+
+  assert(game.closeEditor() && game.state === C.GAME_STATE.TITLE, "editor closes to title");
+}
+
 // ── Runner ──
 
 let passed = 0;
 let failed = 0;
+// ── Solver-backed hint ──
+
+function testSolverHint() {
+  const { sandbox, storage } = loadRuntime({});
+  const C = sandbox.WormGameConstants;
+  const game = new sandbox.WormPuzzleGame();
+  game.startGame(true);
+  game.drainEvents();
+
+  const solved = sandbox.WormGameSolver.solve(game.getSimulationState());
+  assert(solved.solved && solved.moves.length > 3, "level 1 should be solvable from start");
+
+  // Repeated requests reveal 1 → 3 → all moves
+  assert(game.handleAction(C.ACTION.HINT), "hint action should succeed while playing");
+  assert(game.getHintPath().length === 1, "first hint shows one move");
+  const hintEvent = game.drainEvents().find((e) => e.type === "hint");
+  assert(hintEvent && hintEvent.payload.found && hintEvent.payload.total === solved.moves.length, "hint event");
+  game.requestHint();
+  assert(game.getHintPath().length === 3, "second hint shows three moves");
+  game.requestHint();
+  assert(game.getHintMoves().length === solved.moves.length, "third hint reveals the full path");
+
+  const progress = JSON.parse(storage[C.STORAGE_KEYS.PROGRESS]);
+  assert(progress.hintsUsed[game.currentLevel.id] === 3, "hint usage recorded per level");
+
+  // Following the hint consumes it; the clear reports hint usage
+  const moves = game.getHintMoves();
+  for (const dir of moves) {
+    assert(game.hint === null || game.getHintMoves()[0] === dir, "hint tracks the next move");
+    game.update(0, game.animationTimeMs + 220);
+    assert(game.tryMove(dir, Date.now()), `hint move ${dir} should be valid`);
+  }
+  const clear = game.drainEvents().find((e) => e.type === "level_clear");
+  assert(clear && clear.payload.hintsUsed === 3, "level_clear reports hints used");
+  assert(clear.payload.moveCount === solved.moves.length, "hint path is optimal");
+
+  // Deviating from the path drops the hint; a fresh attempt starts hint-free
+  game.nextLevel();
+  assert(game.getLevelHintsUsed() === 0, "hint count resets per level attempt");
+  game.requestHint();
+  const first = game.getHintMoves()[0];
+  const other = game.getValidMoveDirections().find((dir) => dir !== first);
+  if (other) {
+    game.update(0, game.animationTimeMs + 220);
+    game.tryMove(other, Date.now());
+    assert(game.getHintPath().length === 0, "leaving the path clears the hint");
+  }
+
+  // Hard levels whose search from the start is over the in-game cap use the stored optimal route
+  game.loadLevel(90);
+  game.setState(C.GAME_STATE.PLAYING);
+  game.drainEvents();
+  const hard = game.currentLevel;
+  assert(hard.id === 91 && hard.route.length === hard.par, "level 91 ships its optimal route");
+  assert(game.requestHint() && game.hintSearch === null, "stored route needs no search");
+  const routeHint = game.drainEvents().find((e) => e.type === "hint");
+  assert(routeHint && routeHint.payload.found && routeHint.payload.total === hard.par, "hint from the start of level 91");
+  game.requestHint();
+  game.requestHint();
+  for (const dir of game.getHintMoves()) {
+    game.update(0, game.animationTimeMs + 220);
+    assert(game.tryMove(dir, Date.now()), `route move ${dir} should be valid`);
+  }
+  const hardClear = game.drainEvents().find((e) => e.type === "level_clear");
+  assert(hardClear && hardClear.payload.moveCount === hard.par, "stored route clears level 91 at par");
+
+  // Off the route the solver takes over; undoing back onto it brings the stored route back
+  const leaveRoute = () => {
+    const dir = game.getValidMoveDirections().find((d) => d !== game.currentLevel.route[0]);
+    game.update(0, game.animationTimeMs + 220);
+    assert(game.tryMove(dir, Date.now()), "off-route move");
+  };
+  game.loadLevel(90);
+  game.setState(C.GAME_STATE.PLAYING);
+  leaveRoute();
+  assert(game.getStoredRouteRest() === null, "stored route ignored once the player leaves it");
+  game.update(0, game.animationTimeMs + 220);
+  game.undo();
+  assert(game.getStoredRouteRest().length === hard.par, "undo returns to the stored route");
+
+  // Bigger searches run a frame budget at a time instead of blocking the main thread
+  const frameBudget = C.GAMEPLAY.HINT_SOLVER_STATES_PER_FRAME;
+  const runFrames = (limit) => {
+    let frames = 0;
+    while (game.hintSearch && frames < limit) {
+      game.update(16, game.animationTimeMs + 16);
+      frames += 1;
+    }
+    return frames;
+  };
+  game.loadLevel(63);
+  game.setState(C.GAME_STATE.PLAYING);
+  leaveRoute();
+  game.drainEvents();
+  const optimal = sandbox.WormGameSolver.solve(game.getSimulationState()).moves.length;
+  assert(game.requestHint() && game.hint === null, "large search is not finished in one call");
+  assert(game.drainEvents().some((e) => e.type === "hint_pending"), "hint_pending event");
+  assert(!game.requestHint(), "repeat presses wait for the running search");
+  const frames = runFrames(1000);
+  const asyncHint = game.drainEvents().find((e) => e.type === "hint");
+  assert(asyncHint && asyncHint.payload.found && asyncHint.payload.total === optimal, "async hint is optimal");
+  assert(frames > 1 && frames * frameBudget >= 20000, "search spread over several frames");
+
+  // A move or undo drops the running search; the in-game cap reports the hint as unavailable
+  game.loadLevel(63);
+  game.setState(C.GAME_STATE.PLAYING);
+  game.requestHint();
+  game.update(0, game.animationTimeMs + 220);
+  game.tryMove(game.getValidMoveDirections()[0], Date.now());
+  assert(game.hintSearch === null, "moving cancels the search");
+  game.loadLevel(90);
+  game.setState(C.GAME_STATE.PLAYING);
+  leaveRoute();
+  game.drainEvents();
+  game.requestHint();
+  runFrames(1000);
+  const capped = game.drainEvents().find((e) => e.type === "hint");
+  assert(capped && !capped.payload.found && capped.payload.timeout, "in-game cap falls back to unavailable");
+  assert(sandbox.WormGameSolver.solve(game.getSimulationState()).solved, "validator cap still solves the level");
+}
+
+// ── Replay persistence (best + last per level) ──
+
+function solveCurrentLevel(sandbox, game) {
+  const result = sandbox.WormGameSolver.solve(game.getSimulationState());
+  assert(result.solved, "current level should be solvable");
+  return result.moves;
+}
+
+function testReplayPersistence() {
+  const first = loadRuntime({});
+  const C = first.sandbox.WormGameConstants;
+  const game = new first.sandbox.WormPuzzleGame();
+  game.startGame(true);
+  const levelId = game.currentLevel.id;
+  const solution = solveCurrentLevel(first.sandbox, game);
+
+  // Undone moves must not stay in the replay log
+  game.update(0, game.animationTimeMs + 220);
+  assert(game.tryMove(solution[0], Date.now()), "first move should be valid");
+  game.undo();
+  assert(game.replayLog.moves.length === 0, "undo trims the replay log");
+
+  runMoves(game, solution);
+  assert(game.state === "level_complete", "solution should clear the level");
+  assert(first.storage[C.STORAGE_KEYS.REPLAYS], "replay bucket should be persisted");
+
+  // A new session sees the stored clear
+  const second = loadRuntime(first.storage);
+  const reloaded = new second.sandbox.WormPuzzleGame();
+  reloaded.startGame(true);
+  const archive = reloaded.getReplayArchive();
+  assert(archive && archive.levelId === levelId, "replay survives reload");
+  assert(archive.moves.length === solution.length && archive.cleared, "stored run is the clear");
+  const end = reloaded.getReplayDebugState(archive.moves.length);
+  const exit = archive.startTiles[end.segments[0].y][end.segments[0].x];
+  assert(exit === C.TILE.EXIT, "stored replay should end on the exit");
+
+  // An unfinished longer attempt replaces last but keeps best
+  runMoves(reloaded, solution.slice(0, 2));
+  reloaded.restartLevel();
+  const list = reloaded.getReplayList();
+  const best = list.find((item) => item.id === `best:${levelId}`);
+  const last = list.find((item) => item.id === `last:${levelId}`);
+  assert(best && best.moveCount === solution.length, "best run kept");
+  assert(last && last.moveCount === 2 && !last.cleared, "last run replaced by the restart");
+
+  reloaded.selectReplay(`best:${levelId}`);
+  assert(reloaded.getReplayArchive().moves.length === solution.length, "best replay selectable");
+
+  // Records whose start tiles no longer match the level (edited map) are never shown
+  const Store = second.sandbox.WormGameReplayStore;
+  const level = reloaded.findLevelById(levelId);
+  const stale = { ...Store.getRecord(reloaded.replayBucket, levelId, "best"), tilesHash: "00000000" };
+  assert(Store.hydrate(stale, level) === null, "hydrate rejects a tile hash mismatch");
+  const tampered = JSON.parse(second.storage[C.STORAGE_KEYS.REPLAYS]);
+  tampered.levels[String(levelId)].best.tilesHash = "00000000";
+  second.storage[C.STORAGE_KEYS.REPLAYS] = JSON.stringify(tampered);
+  const third = loadRuntime(second.storage);
+  const edited = new third.sandbox.WormPuzzleGame();
+  edited.startGame(true);
+  assert(!edited.getReplayList().some((item) => item.id === `best:${levelId}`), "stale best is dropped");
+  assert(edited.getReplayList().some((item) => item.id === `last:${levelId}`), "matching last is kept");
+  edited.selectReplay(`best:${levelId}`);
+  assert(edited.getReplayArchive() === null, "stale best is not replayable");
+  const pruned = JSON.parse(third.storage[C.STORAGE_KEYS.REPLAYS]);
+  assert(pruned.levels[String(levelId)].best === null, "dropped record is removed from storage");
+
+  // Changing a rule field without touching the tiles also invalidates the fingerprint
+  const lastRecord = Store.getRecord(edited.replayBucket, levelId, "last");
+  assert(Store.hydrate(lastRecord, { ...level, snakeLength: level.snakeLength + 1 }) === null, "snake length is fingerprinted");
+  assert(Store.hydrate(lastRecord, { ...level, bodyCollision: !level.bodyCollision }) === null, "body collision is fingerprinted");
+  const fourth = loadRuntime(third.storage);
+  const ruleEdit = fourth.sandbox.WormGameLevels.LEVELS.find((item) => item.id === levelId);
+  ruleEdit.snakeLength += 1;
+  ruleEdit.bodyCollision = !ruleEdit.bodyCollision;
+  const rerule = new fourth.sandbox.WormPuzzleGame();
+  assert(!rerule.getReplayList().some((item) => item.id === `last:${levelId}`), "replay for the old rules is dropped");
+  assert(!JSON.parse(fourth.storage[C.STORAGE_KEYS.REPLAYS]).levels[String(levelId)], "old-rule replay removed from storage");
+}
+
+// ── Replay export / import validation ──
+
+function testReplayImportExport() {
+  const { sandbox } = loadRuntime({});
+  const Store = sandbox.WormGameReplayStore;
+  const game = new sandbox.WormPuzzleGame();
+  game.startGame(true);
+  const solution = solveCurrentLevel(sandbox, game);
+  runMoves(game, solution);
+
+  const exported = game.getReplayExport();
+  const parsed = JSON.parse(exported);
+  assert(parsed.format === "worm-replay" && parsed.tilesHash, "export carries format and tile hash");
+
+  const other = loadRuntime({});
+  const fresh = new other.sandbox.WormPuzzleGame();
+  fresh.startGame(true);
+  fresh.selectLevel(5, { ignoreLock: true });
+  const ok = fresh.importReplay(exported);
+  assert(ok.ok && ok.record.cleared, "exported clear should import");
+  assert(fresh.getReplaySelection() === "imported", "imported replay becomes the selection");
+  assert(fresh.getReplayArchive().levelId === parsed.levelId, "imported replay viewable from another level");
+  assert(fresh.drainEvents().some((e) => e.type === "replay_imported"), "replay_imported event");
+
+  assert(fresh.importReplay("{nope").reason === "json", "bad JSON rejected");
+  assert(
+    fresh.importReplay(JSON.stringify({ ...parsed, tilesHash: "00000000" })).reason === "tiles_mismatch",
+    "tile hash mismatch rejected"
+  );
+  assert(
+    fresh.importReplay(JSON.stringify({ ...parsed, levelId: 9999 })).reason === "unknown_level",
+    "unknown level rejected"
+  );
+  const blocked = fresh.importReplay(
+    JSON.stringify({ ...parsed, moves: [{ direction: "up" }, { direction: "up" }, { direction: "up" }] })
+  );
+  assert(blocked.reason === "illegal_move" && blocked.step > 0, "blocked move rejected with its step");
+  const extra = fresh.importReplay(
+    JSON.stringify({ ...parsed, moves: parsed.moves.concat([{ direction: "left" }]) })
+  );
+  assert(extra.reason === "after_exit" || extra.reason === "illegal_move", "moves past the exit rejected");
+
+  // Bucket stays under the size cap by evicting the oldest runs
+  const bucket = Store.createBucket();
+  const level = game.levels[0];
+  const longMoves = Array.from({ length: 3000 }, () => ({ direction: "up", atMs: 120 }));
+  for (let i = 0; i < 20; i += 1) {
+    const record = Store.createRecord({ ...level, id: i + 1 }, longMoves, false);
+    record.savedAt = i;
+    Store.recordRun(bucket, record);
+  }
+  Store.saveBucket(bucket);
+  const stored = sandbox.localStorage.getItem(sandbox.WormGameConstants.STORAGE_KEYS.REPLAYS);
+  assert(stored.length <= Store.MAX_STORE_CHARS, "bucket trimmed to the size limit");
+  assert(!bucket.levels["1"] && bucket.levels["20"], "oldest runs evicted first");
+}
+
+// ── Replay playback on the main board ──
+
+function testReplayPlayback() {
+  const { sandbox } = loadRuntime({});
+  const C = sandbox.WormGameConstants;
+  const game = new sandbox.WormPuzzleGame();
+  game.startGame(true);
+  const solution = solveCurrentLevel(sandbox, game);
+  runMoves(game, solution);
+  const totalMoves = game.totalMoveCount;
+  game.drainEvents();
+
+  assert(game.startPlayback(), "playback should start from the stored run");
+  assert(game.state === C.GAME_STATE.REPLAY && game.moveCount === 0, "playback restarts the level");
+  assert(game.getPlaybackState().total === solution.length, "playback covers the whole run");
+
+  // Each tick past the step interval applies one move with animation
+  let t = game.animationTimeMs;
+  for (let i = 0; i < 2; i += 1) {
+    t += C.GAMEPLAY.REPLAY_STEP_MS;
+    game.update(0, t);
+  }
+  assert(game.getPlaybackState().step === 2 && game.moveCount === 2, "two steps played");
+  assert(game.moveAnimation, "playback moves are animated");
+  assert(game.drainEvents().filter((e) => e.type === "move").length === 2, "move events fire");
+  assert(!game.tryMove("up", Date.now()), "live input locked during playback");
+  assert(game.totalMoveCount === totalMoves, "playback does not count toward totals");
+
+  assert(!game.setPlaybackSpeed(3) && game.setPlaybackSpeed(4), "only listed speeds accepted");
+  game.togglePlayback();
+  assert(!game.getPlaybackState().playing, "toggle pauses");
+  game.update(0, t + 10000);
+  assert(game.getPlaybackState().step === 2, "paused playback does not advance");
+
+  // Scrubbing jumps straight to the matching board state
+  assert(game.seekPlayback(solution.length - 1), "seek should succeed");
+  const expected = game.getReplayDebugState(solution.length - 1).segments;
+  assert(
+    JSON.stringify(game.snake.cloneSegments()) === JSON.stringify(expected),
+    "seek matches the replay debug state"
+  );
+  assert(!game.moveAnimation, "seeking skips animation");
+
+  game.seekPlayback(1);
+  assert(game.takeOverPlayback(), "take over from the current step");
+  assert(game.state === C.GAME_STATE.PLAYING && game.moveCount === 1, "live play resumes at step 1");
+  assert(game.getPlaybackState() === null, "playback cleared after take over");
+  game.update(0, t + 20000);
+  assert(game.undo() && game.moveCount === 0, "undo reaches back into replayed moves");
+
+  const last = game.getReplayList().find((item) => item.id === `last:${game.currentLevel.id}`);
+  assert(last && last.moveCount === solution.length, "playback does not overwrite the stored run");
+
+  // Taking over on the winning step (head on the exit) must not credit a clear without a live move
+  game.bestMoves = {};
+  assert(game.startPlayback(), "playback restarts for the final-step takeover");
+  game.seekPlayback(solution.length);
+  game.drainEvents();
+  assert(game.takeOverPlayback(), "take over at the final step");
+  assert(game.state === C.GAME_STATE.PLAYING, "still playing after the takeover");
+  assert(!game.drainEvents().some((e) => e.type === "level_clear"), "no level_clear from the takeover");
+  assert(Object.keys(game.bestMoves).length === 0, "no best moves");
+}
+
+// ── Par targets and star rating ──
+
+function testStarRating() {
+  const first = loadRuntime({});
+  const { sandbox } = first;
+  const C = sandbox.WormGameConstants;
+  const Levels = sandbox.WormGameLevels;
+  const game = new sandbox.WormPuzzleGame();
+  game.startGame(true);
+
+  const level = game.currentLevel;
+  const solution = solveCurrentLevel(sandbox, game);
+  assert(level.par === solution.length, "generated par matches the solver optimum");
+  assert(Levels.parseMap({ ...Levels.RAW_LEVELS[0], par: 99 }).par === 99, "authored par wins");
+  assert(level.starJelly === sandbox.WormGameLevelPars[level.id].starJelly, "generated star jelly");
+  assert(Levels.parseMap({ ...Levels.RAW_LEVELS[0], starJelly: 2 }).starJelly === 2, "authored star jelly wins");
+  assert(Levels.parseMap({ ...Levels.RAW_LEVELS[0], id: 999 }).starJelly === game.levelTotalItems, "default is all jelly");
+  assert(game.getClearRating().stars >= 1, "a clear is worth at least one star");
+
+  runMoves(game, solution);
+  const clear = game.drainEvents().find((e) => e.type === "level_clear");
+  const jellyMet = game.levelCollectedItems >= level.starJelly;
+  assert(clear.payload.stars === (jellyMet ? 3 : 2), "optimal clear earns the par star");
+  assert(clear.payload.par === solution.length && clear.payload.previousStars === 0, "payload carries par");
+  assert(game.getLevelStars(level.id) === clear.payload.stars, "stars recorded");
+
+  const world = game.getWorldStarTotals()[0];
+  assert(world.stars === clear.payload.stars && world.max === 10 * C.GAMEPLAY.MAX_STARS, "world total");
+  assert(game.getLevelSelectItems()[0].stars === clear.payload.stars, "level select shows stars");
+
+  // Stars persist and never go down on a worse replay
+  const second = loadRuntime(first.storage);
+  const reloaded = new second.sandbox.WormPuzzleGame();
+  assert(reloaded.getLevelStars(level.id) === clear.payload.stars, "stars persisted");
+  reloaded.levelStars[level.id] = 3;
+  reloaded.selectLevel(0, { ignoreLock: true });
+  runMoves(reloaded, solution);
+  assert(reloaded.getLevelStars(level.id) === 3, "best star count kept");
+
+  // The validator-checked 3-star run: star jelly within the par tolerance
+  const fresh = new (loadRuntime({}).sandbox.WormPuzzleGame)();
+  fresh.startGame(true);
+  const start = { ...fresh.getSimulationState(), goals: { minItems: level.starJelly } };
+  const threeStar = sandbox.WormGameSolver.solve(start).moves;
+  assert(threeStar.length <= Math.ceil(level.par * C.GAMEPLAY.STAR_PAR_TOLERANCE), "3-star run fits the par tolerance");
+  runMoves(fresh, threeStar);
+  assert(fresh.getClearRating().stars === 3 && fresh.getLevelStars(level.id) === 3, "3 stars reachable");
+}
+
+// ── Save profiles ──
+
+function testSaveProfiles() {
+  const legacyProgress = JSON.stringify({ version: 3, unlockedLevelIndex: 4, bestMoves: { 1: 30 } });
+  const first = loadRuntime({
+    wormPuzzleProgress: legacyProgress,
+    wormPuzzleSettings: JSON.stringify({ language: "en", masterVolume: 0.5 }),
+  });
+  const { sandbox, storage } = first;
+  const C = sandbox.WormGameConstants;
+  const Profiles = sandbox.WormGameProfileStore;
+  const game = new sandbox.WormPuzzleGame();
+
+  // Existing single-slot data becomes slot 1
+  assert(game.activeSlot === 1 && game.unlockedLevelIndex === 4, "legacy progress lands in slot 1");
+  assert(game.settings.language === "en", "legacy settings kept for slot 1");
+  assert(storage[C.STORAGE_KEYS.PROFILES], "profile index created");
+  assert(game.getProfiles().length >= 3, "at least three slots");
+
+  assert(game.switchProfile(2), "switch from the title screen");
+  assert(game.activeSlot === 2 && game.unlockedLevelIndex === 0, "slot 2 starts fresh");
+  assert(Object.keys(game.bestMoves).length === 0, "slot 2 has its own best moves");
+  assert(game.settings.language === "ko", "a new slot starts from the default profile settings");
+  game.updateSettings({ handedness: "left", masterVolume: 0.3 });
+  game.renameProfile(2, "  Sibling   Two ");
+
+  game.startGame(false);
+  runMoves(game, solveCurrentLevel(sandbox, game));
+  assert(storage[Profiles.slotKey(C.STORAGE_KEYS.PROGRESS, 2)], "slot 2 progress saved under its own key");
+  assert(storage[Profiles.slotKey(C.STORAGE_KEYS.REPLAYS, 2)], "slot 2 replays saved under their own key");
+  assert(JSON.parse(storage[C.STORAGE_KEYS.PROGRESS]).unlockedLevelIndex === 4, "slot 1 untouched");
+  assert(!game.switchProfile(1), "no switching mid-level");
+
+  game.exitToTitle();
+  assert(game.switchProfile(1), "switch back");
+  assert(game.settings.language === "en" && game.settings.masterVolume === 0.3, "profile vs device settings");
+  assert(game.settings.handedness === "right", "slot 2 handedness stays in slot 2");
+  assert(game.unlockedLevelIndex === 4 && game.bestMoves[1] === 30, "slot 1 progress restored");
+
+  // Per-profile choices never reach the device settings, so a fresh slot does not pick them up
+  const device = JSON.parse(storage[C.STORAGE_KEYS.SETTINGS]);
+  assert(!("language" in device) && !("handedness" in device), "per-profile keys stay out of the device settings");
+  assert(game.switchProfile(3), "switch to an unused slot");
+  assert(game.settings.language === "ko" && game.settings.handedness === "right", "fresh slot keeps the defaults");
+  assert(game.settings.masterVolume === 0.3, "fresh slot shares the device settings");
+
+  // The choice and names survive a reload
+  game.switchProfile(2);
+  const reloaded = new (loadRuntime(storage).sandbox.WormPuzzleGame)();
+  assert(reloaded.activeSlot === 2 && reloaded.unlockedLevelIndex === 1, "active slot persisted");
+  assert(reloaded.getActiveProfile().name === "Sibling Two", "profile name normalised and saved");
+  assert(reloaded.settings.handedness === "left", "slot 2 settings reloaded");
+  assert(reloaded.getProfiles()[1].started && reloaded.getReplayList().length > 0, "slot 2 data reloaded");
+}
+
+function testSaveBundle() {
+  // A backup taken from one browser...
+  const source = loadRuntime();
+  const exporter = new source.sandbox.WormPuzzleGame();
+  exporter.startGame(false);
+  runMoves(exporter, solveCurrentLevel(source.sandbox, exporter));
+  exporter.updateSettings({ language: "en", reduceMotion: true });
+  exporter.setBindingToken("undo", "u");
+  const text = exporter.exportSaveBundle();
+  const Bundle = source.sandbox.WormGameSaveBundle;
+  const parsedBundle = JSON.parse(text);
+  assert(parsedBundle.format === "worm-save" && parsedBundle.checksum, "bundle is versioned and checksummed");
+  assert(parsedBundle.payload.bindings.undo === "u", "custom bindings exported");
+  assert(Object.keys(parsedBundle.payload.replays.levels).length === 1, "replays exported");
+
+  // ...validates before anything is written
+  const target = loadRuntime({
+    wormPuzzleProgress: JSON.stringify({ version: 4, unlockedLevelIndex: 3, bestMoves: { 1: 99, 2: 20 } }),
+  });
+  const game = new target.sandbox.WormPuzzleGame();
+  const tampered = JSON.parse(text);
+  tampered.payload.progress.unlockedLevelIndex = 50;
+  assert(game.previewSaveImport(JSON.stringify(tampered)).reason === "checksum", "tampering detected");
+  assert(game.previewSaveImport("{").reason === "json", "broken JSON rejected");
+  assert(game.previewSaveImport(JSON.stringify({ format: "worm-replay" })).reason === "format", "wrong file rejected");
+  assert(game.drainEvents().filter((e) => e.type === "save_import_failed").length === 3, "failures reported");
+  assert(!game.applySaveImport("merge"), "nothing to apply after a failed preview");
+
+  // Preview shows both sides and what a merge would produce
+  const result = game.previewSaveImport(text);
+  assert(result.ok, "valid bundle previews");
+  assert(result.preview.current.unlockedLevelIndex === 3 && result.preview.incoming.unlockedLevelIndex === 1, "both sides");
+  assert(result.preview.merged.unlockedLevelIndex === 3 && result.preview.merged.replays === 1, "merge preview");
+  assert(result.preview.mergeChanges.bindings === 1, "binding change counted");
+  assert(game.unlockedLevelIndex === 3 && game.settings.language === "ko", "preview changes nothing");
+
+  game.startGame(false);
+  assert(!game.applySaveImport("merge"), "no importing mid-level");
+  game.togglePause();
+  game.exitToTitle();
+  assert(game.applySaveImport("merge"), "merge applied");
+  assert(game.unlockedLevelIndex === 3, "merge keeps the furthest unlock");
+  assert(game.bestMoves[1] === exporter.bestMoves[1] && game.bestMoves[2] === 20, "merge keeps the best records");
+  assert(game.settings.language === "en" && game.getActionFromKey("u") === "undo", "settings and bindings merged");
+  assert(game.getReplayList().length > 0, "replays merged");
+  assert(game.drainEvents().some((e) => e.type === "save_imported"), "import reported");
+
+  // Replace swaps progress wholesale and normalises settings through mergeSettings
+  const odd = Bundle.createBundle({
+    progress: { version: 2, unlockedLevelIndex: 2, bestMoves: { 1: 40 }, totalMoves: 5, clears: 1 },
+    settings: { language: "fr", masterVolume: 4, customBindings: { hint: "J" } },
+    replays: { version: 1, levels: {} },
+  });
+  assert(game.previewSaveImport(Bundle.serializeBundle(odd)).ok, "older progress version accepted");
+  assert(game.applySaveImport("replace"), "replace applied");
+  assert(game.unlockedLevelIndex === 2 && game.bestMoves[1] === 40 && game.bestMoves[2] === undefined, "replaced");
+  assert(game.settings.language === "ko" && game.settings.masterVolume === 1, "settings normalised");
+  assert(game.getBindingToken("hint") === "j" && game.getReplayList().length === 0, "bindings and replays replaced");
+
+  const reloaded = new (loadRuntime(target.storage).sandbox.WormPuzzleGame)();
+  assert(reloaded.unlockedLevelIndex === 2 && reloaded.progressData.version === 6, "import persisted at current version");
+}
+
+function testPortalChannels() {
+  const { sandbox } = loadRuntime({});
+  const C = sandbox.WormGameConstants;
+  const { parseMap } = sandbox.WormGameLevels;
+  const Simulation = sandbox.WormGameSimulation;
+  const Solver = sandbox.WormGameSolver;
+  const Snake = sandbox.WormGameSnake;
+
+  // Three chambers joined only by channel 2 and channel 3
+  const rows = ["###########", "#S2#2.3#3E#", "###########", "###########"];
+  const level = parseMap({ id: 905, snakeLength: 1, theme: 0, map: rows });
+  assert(level.tiles[1][2] === C.TILE.PORTAL_2 && level.tiles[1][6] === C.TILE.PORTAL_3, "digits parse as channels");
+  assert(level.metrics.portals === 4 && level.metrics.portalChannels === 2, "metrics count ends and channels");
+
+  const links = Simulation.buildPortalLinks(level.tiles);
+  assert(links["2,1"].x === 4 && links["4,1"].x === 2, "channel 2 ends link to each other");
+  assert(links["6,1"].x === 8 && links["8,1"].x === 6, "channel 3 ends link to each other");
+  const legacy = Simulation.buildPortalLinks(parseMap({ id: 906, snakeLength: 1, map: ["######", "#SP.Q#", "#...E#", "######"] }).tiles);
+  assert(legacy["2,1"].x === 4 && Object.keys(legacy).length === 2, "P/Q is still channel 1");
+
+  const snake = new Snake(level.spawn, level.snakeLength, level.tiles);
+  const solved = Solver.solve(Simulation.createState({ tiles: level.tiles, segments: snake.cloneSegments() }));
+  assert(solved.solved && solved.moves.length === 4, "solver walks through both channels");
+
+  // Unpaired or over-full channels are rejected instead of leaving dead portals
+  for (const bad of [["######", "#S2..#", "#...E#", "######"], ["######", "#S333#", "#...E#", "######"], ["######", "#SPPQ#", "#...E#", "######"]]) {
+    let threw = false;
+    try {
+      parseMap({ id: 907, snakeLength: 1, map: bad });
+    } catch (err) {
+      threw = /portal channel/.test(err.message);
+    }
+    assert(threw, "unpaired portal channel rejected: " + bad[1]);
+  }
+
+  const game = new sandbox.WormPuzzleGame();
+  game.levels = [level];
+  game.loadLevel(0);
+  game.setState(C.GAME_STATE.PLAYING);
+  game.drainEvents();
+  runMoves(game, ["right", "right", "right"]);
+  const jumps = game.drainEvents().filter((e) => e.type === "portal_used").map((e) => e.payload.channel);
+  assert(jumps.join(",") === "2,3", "portal events carry their channel");
+  assert(C.getPortalInfo(C.TILE.PORTAL_3).color !== C.getPortalInfo(C.TILE.PORTAL_2).color, "channels have distinct colours");
+}
+
+function testDirectionalTiles() {
+  const { sandbox } = loadRuntime({});
+  const C = sandbox.WormGameConstants;
+  const { parseMap } = sandbox.WormGameLevels;
+  const level = parseMap({
+    id: 908,
+    snakeLength: 1,
+    theme: 0,
+    map: ["########", "#S>.dI.#", "#.....d#", "#.....E#", "########"],
+  });
+  assert(level.tiles[1][2] === C.TILE.ONE_WAY_RIGHT && level.tiles[1][4] === C.TILE.CONVEYOR_RIGHT, "arrow chars parse");
+  assert(C.TILE_META[C.TILE.ONE_WAY_RIGHT].oneWay === "right", "one-way meta carries its direction");
+
+  const game = new sandbox.WormPuzzleGame();
+  game.levels = [level];
+  game.loadLevel(0);
+  game.setState(C.GAME_STATE.PLAYING);
+  const head = () => game.snake.getHead();
+
+  // One-way: enter only along the arrow
+  runMoves(game, ["right", "right"]);
+  assert(head().x === 3 && head().y === 1, "entered and left the one-way tile along its arrow");
+  assert(!game.getValidMoveDirections().includes("left"), "valid moves respect the arrow");
+  assert(game.canEnterTileType(C.TILE.ONE_WAY_RIGHT) && !game.canEnterTileType(C.TILE.ONE_WAY_RIGHT, "left"), "direction-aware check");
+  game.drainEvents();
+  game.update(0, game.animationTimeMs + 220);
+  assert(!game.tryMove("left", 0), "entering against the arrow is blocked");
+  assert(game.drainEvents().some((e) => e.type === "blocked" && e.payload.reason === "one_way"), "blocked reason");
+
+  // Conveyor: one extra cell, landing on a jelly collects it, undo reverses both
+  const before = JSON.stringify(game.snake.cloneSegments());
+  runMoves(game, ["right"]);
+  assert(head().x === 5 && game.snake.segments.length === 2, "conveyor pushed the head onto the jelly");
+  const events = game.drainEvents();
+  assert(events.some((e) => e.type === "conveyor_push" && e.payload.to.x === 5), "push reported");
+  assert(game.history[game.history.length - 1].conveyorPush.from.x === 4, "push recorded in the undo delta");
+  assert(game.undo(), "undo after a push");
+  assert(JSON.stringify(game.snake.cloneSegments()) === before, "undo restores the pre-push snake");
+  assert(game.currentLevel.tiles[1][5] === C.TILE.ITEM, "undo restores the jelly");
+
+  // A blocked push leaves the head on the conveyor
+  runMoves(game, ["right", "down", "right"]);
+  assert(head().x === 6 && head().y === 2, "push into a wall is skipped");
+
+  // The solver sees the same rules
+  const Snake = sandbox.WormGameSnake;
+  const Simulation = sandbox.WormGameSimulation;
+  const fresh = parseMap({ id: 909, snakeLength: 1, map: ["#######", "#S.<.E#", "#.###.#", "#.....#", "#######"] });
+  const start = Simulation.createState({
+    tiles: fresh.tiles,
+    segments: new Snake(fresh.spawn, 1, fresh.tiles).cloneSegments(),
+  });
+  const solved = sandbox.WormGameSolver.solve(start);
+  assert(solved.solved && solved.moves.length === 8, "solver detours around a one-way tile");
+}
+
+function testKeysAndDoors() {
+  const { sandbox } = loadRuntime({});
+  const C = sandbox.WormGameConstants;
+  const { parseMap } = sandbox.WormGameLevels;
+  const def = {
+    id: 910,
+    snakeLength: 1,
+    theme: 0,
+    map: ["#######", "#S...k#", "####D##", "#E....#", "#######"],
+  };
+  const level = parseMap(def);
+  assert(level.tiles[1][5] === C.TILE.KEY && level.tiles[2][4] === C.TILE.DOOR, "k and D parse");
+  assert(level.metrics.keys === 1 && level.metrics.doors === 1, "metrics count keys and doors");
+  assert(!sandbox.WormGameSimulation.canEnterTile(C.TILE.DOOR, true), "star power does not open doors");
+  let threw = false;
+  try {
+    parseMap({ id: 911, snakeLength: 1, map: ["#####", "#S.D#", "#..E#", "#####"] });
+  } catch (error) {
+    threw = /no matching key/.test(error.message);
+  }
+  assert(threw, "doors without a key are rejected");
+
+  const game = new sandbox.WormPuzzleGame();
+  game.levels = [level];
+  game.loadLevel(0);
+  game.setState(C.GAME_STATE.PLAYING);
+  runMoves(game, ["right", "right", "right"]);
+  game.drainEvents();
+  game.update(0, game.animationTimeMs + 220);
+  assert(!game.tryMove("down", 0), "locked door blocks like a wall");
+  assert(game.drainEvents().some((e) => e.type === "blocked" && e.payload.reason === "door"), "blocked reason");
+
+  runMoves(game, ["right"]);
+  const collected = game.drainEvents().find((e) => e.type === "key_collected");
+  assert(collected && collected.payload.color === "gold" && collected.payload.doorsOpened === 1, "key event");
+  assert(game.getHeldKeys().join() === "gold", "key added to the inventory");
+  assert(game.currentLevel.tiles[2][4] === C.TILE.EMPTY && game.currentLevel.tiles[1][5] === C.TILE.EMPTY, "door opened");
+
+  assert(game.undo(), "undo the key pickup");
+  assert(game.getHeldKeys().length === 0, "undo empties the inventory");
+  assert(game.currentLevel.tiles[1][5] === C.TILE.KEY && game.currentLevel.tiles[2][4] === C.TILE.DOOR, "undo restores key and door");
+
+  runMoves(game, ["right", "left", "down", "down", "left", "left", "left"]);
+  const head = game.snake.getHead();
+  assert(game.getTile(head.x, head.y) === C.TILE.EXIT, "door route reaches the exit");
+
+  // Solver tracks the key, so it plans the detour through the opened door
+  const fresh = parseMap(def);
+  const start = sandbox.WormGameSimulation.createState({
+    tiles: fresh.tiles,
+    segments: new sandbox.WormGameSnake(fresh.spawn, 1, fresh.tiles).cloneSegments(),
+  });
+  const solved = sandbox.WormGameSolver.solve(start);
+  assert(solved.solved && solved.moves.length === 10, "solver fetches the key first");
+
+  // Each key colour opens only the doors of its own colour
+  const Sim = sandbox.WormGameSimulation;
+  const twoColor = parseMap({ id: 913, snakeLength: 1, map: ["######", "#SkJE#", "#j#D##", "######"] });
+  assert(twoColor.tiles[1][3] === C.TILE.DOOR_BLUE && twoColor.tiles[2][1] === C.TILE.KEY_BLUE, "j and J parse");
+  let keyState = Sim.createState({ tiles: twoColor.tiles, segments: [{ x: 1, y: 1 }] });
+  keyState = Sim.simulateStep(keyState, "right").state;
+  assert(keyState.tiles[2][3] === C.TILE.EMPTY, "gold key opens the gold door");
+  assert(keyState.tiles[1][3] === C.TILE.DOOR_BLUE, "gold key leaves the blue door shut");
+  assert(Sim.getBlockReason(keyState, 3, 1, "right") === "door", "blue door still blocks");
+  ["left", "down"].forEach((direction) => {
+    keyState = Sim.simulateStep(keyState, direction).state;
+  });
+  assert(keyState.tiles[1][3] === C.TILE.EMPTY && keyState.keys.join() === "gold,blue", "blue key opens the blue door");
+  const twoColorRun = sandbox.WormGameSolver.solve(Sim.createState({ tiles: twoColor.tiles, segments: [{ x: 1, y: 1 }] }));
+  assert(twoColorRun.solved && twoColorRun.moves.join() === "down,up,right,right,right", "solver fetches the blue key");
+  threw = false;
+  try {
+    parseMap({ id: 914, snakeLength: 1, map: ["#####", "#SkJ#", "#..E#", "#####"] });
+  } catch (error) {
+    threw = /blue doors but no matching key/.test(error.message);
+  }
+  assert(threw, "a gold key does not satisfy a blue door");
+}
+
+function testSourJelly() {
+  const { sandbox } = loadRuntime({});
+  const C = sandbox.WormGameConstants;
+  const level = sandbox.WormGameLevels.parseMap({
+    id: 912,
+    snakeLength: 3,
+    theme: 0,
+    map: ["#####", "#UuS#", "#.#.#", "#.#.#", "#E#.#", "#####"],
+  });
+  assert(level.tiles[1][1] === C.TILE.BIG_SOUR_ITEM && level.tiles[1][2] === C.TILE.SOUR_ITEM, "u and U parse");
+
+  const game = new sandbox.WormPuzzleGame();
+  game.levels = [level];
+  game.loadLevel(0);
+  game.setState(C.GAME_STATE.PLAYING);
+  const start = JSON.stringify(game.snake.cloneSegments());
+  assert(game.snake.segments.length === 3, "starts at length 3");
+
+  game.drainEvents();
+  runMoves(game, ["left"]);
+  const sour = game.drainEvents().find((e) => e.type === "item_collected");
+  assert(sour && sour.payload.kind === "sour_jelly" && sour.payload.growth === -1, "negative growth payload");
+  assert(game.snake.segments.length === 2 && game.getItemProgress().collected === 0, "tail shed, not counted as a jelly");
+  const afterFirst = JSON.stringify(game.snake.cloneSegments());
+
+  runMoves(game, ["left"]);
+  const big = game.drainEvents().find((e) => e.type === "item_collected");
+  assert(big.payload.kind === "super_sour_jelly" && big.payload.growth === -1, "shrink is capped at length 1");
+  assert(game.snake.segments.length === 1, "never below length 1");
+
+  assert(game.undo() && JSON.stringify(game.snake.cloneSegments()) === afterFirst, "undo re-attaches the dropped tail");
+  assert(game.currentLevel.tiles[1][1] === C.TILE.BIG_SOUR_ITEM, "undo restores the super sour jelly");
+  assert(game.undo() && JSON.stringify(game.snake.cloneSegments()) === start, "undo restores the full length");
+  assert(game.currentLevel.tiles[1][2] === C.TILE.SOUR_ITEM, "undo restores the sour jelly");
+
+  // A length-1 worm eats a sour jelly without shrinking
+  const step = sandbox.WormGameSimulation.simulateStep(
+    sandbox.WormGameSimulation.createState({ tiles: [[1, 0, C.TILE.SOUR_ITEM, 1]], segments: [{ x: 1, y: 0 }] }),
+    "right"
+  );
+  const event = step.events.find((e) => e.type === "item_collected");
+  assert(event.growth === 0 && event.dropped.length === 0 && step.state.segments.length === 1, "no-op shrink at length 1");
+}
+
+function testExitGoals() {
+  const { sandbox } = loadRuntime({});
+  const C = sandbox.WormGameConstants;
+  const { parseMap } = sandbox.WormGameLevels;
+  const Simulation = sandbox.WormGameSimulation;
+  const map = ["#######", "#S...E#", "#I.I..#", "#######"];
+  const level = parseMap({ id: 913, snakeLength: 1, theme: 0, minItems: 2, map });
+  assert(level.goals && level.goals.minItems === 2, "minItems parsed into goals");
+  assert(parseMap({ id: 914, snakeLength: 1, map }).goals === null, "no goals by default");
+  let threw = false;
+  try {
+    parseMap({ id: 915, snakeLength: 1, minItems: 3, map });
+  } catch (error) {
+    threw = /minItems/.test(error.message);
+  }
+  assert(threw, "minItems above the jelly count is rejected");
+
+  const game = new sandbox.WormPuzzleGame();
+  game.levels = [level];
+  game.loadLevel(0);
+  game.setState(C.GAME_STATE.PLAYING);
+  assert(!game.isExitOpen(), "exit starts closed");
+  runMoves(game, ["right", "right", "right"]);
+  game.drainEvents();
+  game.update(0, game.animationTimeMs + 220);
+  assert(!game.tryMove("right", 0), "closed exit blocks the head");
+  assert(game.drainEvents().some((e) => e.type === "blocked" && e.payload.reason === "exit_locked"), "blocked reason");
+  assert(game.getGoalStatus().missingItems === 2, "goal status counts missing jellies");
+  assert(game.formatGoalStatus((key, p) => `${key}:${p.collected}/${p.need}`) === "🔒 goalItems:0/2", "goal line");
+
+  game.togglePause();
+  assert(game.getStateOverlayData().extra.indexOf("0/2") !== -1, "pause overlay shows the goal");
+  game.togglePause();
+
+  runMoves(game, ["down", "left", "left", "left", "up"]);
+  assert(game.isExitOpen() && game.getGoalStatus().met, "goal met after two jellies");
+  runMoves(game, ["right", "right", "right", "right"]);
+  assert(game.state !== C.GAME_STATE.PLAYING, "open exit clears the level");
+
+  // The solver only counts exits that are open
+  const solveFor = (def) => {
+    const parsed = parseMap(def);
+    return sandbox.WormGameSolver.solve(
+      Simulation.createState({
+        tiles: parsed.tiles,
+        segments: new sandbox.WormGameSnake(parsed.spawn, parsed.snakeLength, parsed.tiles).cloneSegments(),
+        goals: parsed.goals,
+      })
+    );
+  };
+  assert(solveFor({ id: 916, snakeLength: 1, map }).moves.length === 4, "no goal: straight to the exit");
+  assert(solveFor({ id: 917, snakeLength: 1, minItems: 2, map }).moves.length === 6, "minItems: detour for jellies");
+  assert(solveFor({ id: 918, snakeLength: 1, allItems: true, map }).moves.length === 6, "allItems: detour for jellies");
+
+  const exact = solveFor({ id: 919, snakeLength: 1, exactLength: 2, map });
+  let state = Simulation.createState({
+    tiles: parseMap({ id: 919, snakeLength: 1, map }).tiles,
+    segments: [{ x: 1, y: 1 }],
+    goals: { exactLength: 2 },
+  });
+  for (const move of exact.moves) {
+    state = Simulation.simulateStep(state, move).state;
+  }
+  assert(exact.solved && state.segments.length === 2, "exactLength: reaches the exit at length 2");
+}
+
+function testBoulders() {
+  const { sandbox } = loadRuntime({});
+  const C = sandbox.WormGameConstants;
+  const Sim = sandbox.WormGameSimulation;
+  const def = { id: 914, snakeLength: 1, theme: 0, map: ["########", "#S.B.OE#", "########", "########"] };
+  const level = sandbox.WormGameLevels.parseMap(def);
+  assert(level.tiles[1][3] === C.TILE.BOULDER && level.tiles[1][5] === C.TILE.HOLE, "B and O parse");
+  assert(level.metrics.boulders === 1, "metrics count boulders");
+
+  // A boulder against a wall or the worm's own body cannot move
+  const walled = Sim.simulateStep(
+    Sim.createState({ tiles: [[1, 0, C.TILE.BOULDER, 1]], segments: [{ x: 1, y: 0 }] }),
+    "right"
+  );
+  assert(walled.events[0].reason === "boulder", "boulder against a wall blocks");
+  const holeStep = Sim.simulateStep(
+    Sim.createState({ tiles: [[1, 0, C.TILE.HOLE, 1]], segments: [{ x: 1, y: 0 }] }),
+    "right"
+  );
+  assert(holeStep.events[0].reason === "hole", "holes block the worm");
+  assert(!Sim.canEnterTile(C.TILE.HOLE, true) && !Sim.canEnterTile(C.TILE.BOULDER, true), "star power does not pass");
+
+  const game = new sandbox.WormPuzzleGame();
+  game.levels = [level];
+  game.loadLevel(0);
+  game.setState(C.GAME_STATE.PLAYING);
+  game.drainEvents();
+  runMoves(game, ["right", "right"]);
+  const pushed = game.drainEvents().find((e) => e.type === "boulder_pushed");
+  assert(pushed && pushed.payload.to.x === 4 && !pushed.payload.filled, "boulder_pushed event");
+  assert(game.currentLevel.tiles[1][4] === C.TILE.BOULDER && game.currentLevel.tiles[1][3] === C.TILE.EMPTY, "boulder moved");
+  game.storeReplayArchive();
+  assert(game.getReplayDebugState(2).tiles[1][4] === C.TILE.BOULDER, "replay debug state tracks the boulder");
+
+  runMoves(game, ["right"]);
+  const filled = game.drainEvents().find((e) => e.type === "boulder_pushed");
+  assert(filled && filled.payload.filled, "pushing into a hole fills it");
+  assert(game.currentLevel.tiles[1][5] === C.TILE.EMPTY && game.currentLevel.tiles[1][4] === C.TILE.EMPTY, "boulder and hole vanish");
+
+  assert(game.undo(), "undo the fill");
+  assert(game.currentLevel.tiles[1][4] === C.TILE.BOULDER && game.currentLevel.tiles[1][5] === C.TILE.HOLE, "undo digs the hole again");
+  assert(game.undo(), "undo the push");
+  assert(game.currentLevel.tiles[1][3] === C.TILE.BOULDER && game.currentLevel.tiles[1][4] === C.TILE.EMPTY, "undo moves the boulder back");
+  assert(game.snake.getHead().x === 2, "undo moves the head back");
+
+  // The solver keeps boulder positions in its state, so it finds the push-and-fill route
+  const fresh = sandbox.WormGameLevels.parseMap(def);
+  const solved = sandbox.WormGameSolver.solve(
+    Sim.createState({
+      tiles: fresh.tiles,
+      segments: new sandbox.WormGameSnake(fresh.spawn, 1, fresh.tiles).cloneSegments(),
+    })
+  );
+  assert(solved.solved && solved.moves.join() === "right,right,right,right,right", "solver pushes the boulder into the hole");
+
+  // The body blocks boulder landings even without body collision, so the solver keys boulder levels on the whole body:
+  // the first push is blocked by the body, and only after stepping out and back (same head, new body) does it work
+  const bodyDef = { id: 915, snakeLength: 6, theme: 0, map: ["#######", "###.###", "###..##", "#E.B.##", "###S.##", "#######"] };
+  const bodyLevel = sandbox.WormGameLevels.parseMap(bodyDef);
+  const bodyStart = Sim.createState({
+    tiles: bodyLevel.tiles,
+    segments: new sandbox.WormGameSnake(bodyLevel.spawn, 6, bodyLevel.tiles).cloneSegments(),
+  });
+  assert(Sim.simulateStep(bodyStart, "up").events[0].reason === "boulder", "body in the landing cell blocks the push");
+  const bodySolved = sandbox.WormGameSolver.solve(bodyStart);
+  assert(bodySolved.solved && bodySolved.moves.join() === "right,left,up,left,left", "solver moves the body out of the way");
+}
+
+function testSwitchesAndGates() {
+  const { sandbox } = loadRuntime({});
+  const C = sandbox.WormGameConstants;
+  const Sim = sandbox.WormGameSimulation;
+  const { parseMap } = sandbox.WormGameLevels;
+  const def = { id: 915, snakeLength: 1, theme: 0, map: ["########", "#S.B_..#", "#.....H#", "######E#"] };
+  const level = parseMap(def);
+  assert(level.tiles[1][4] === C.TILE.SWITCH && level.tiles[2][6] === C.TILE.GATE, "_ and H parse");
+  assert(level.channels.switches[0].channel === 1 && level.channels.gates[0].channel === 1, "default channel 1");
+  assert(level.metrics.gates === 1, "metrics count gates");
+  const rejects = (extra, pattern) => {
+    try {
+      parseMap(Object.assign({}, def, extra));
+    } catch (error) {
+      return pattern.test(error.message);
+    }
+    return false;
+  };
+  assert(rejects({ channels: { "6,2": 2 } }, /gate channel 2 has no switch/), "gate channel without a switch is rejected");
+  assert(rejects({ channels: { "1,1": 1 } }, /not a switch or gate/), "channel keys must point at switches or gates");
+
+  // A body segment resting on the switch holds the gate open; a gate never closes on the worm
+  const channels = { switches: [{ x: 1, y: 0, channel: 1 }], gates: [{ x: 3, y: 0, channel: 1 }] };
+  const start = Sim.createState({
+    tiles: [[1, C.TILE.SWITCH, 0, C.TILE.GATE, 0, 0, 1]],
+    segments: [{ x: 2, y: 0 }, { x: 1, y: 0 }],
+    channels,
+  });
+  assert(start.tiles[0][3] === C.TILE.GATE_OPEN, "createState settles gates from the starting body");
+  const onGate = Sim.simulateStep(start, "right").state;
+  assert(onGate.tiles[0][3] === C.TILE.GATE_OPEN, "gate stays open while the worm is on it");
+  const past = Sim.simulateStep(Sim.simulateStep(onGate, "right").state, "right");
+  assert(past.state.tiles[0][3] === C.TILE.GATE, "gate closes once the worm has left it");
+  assert(past.events.some((e) => e.type === "gates_changed" && !e.changes[0].open), "gates_changed event");
+  assert(Sim.getBlockReason(past.state, 3, 0, "left") === "gate", "closed gate blocks with reason gate");
+
+  const game = new sandbox.WormPuzzleGame();
+  game.levels = [level];
+  game.loadLevel(0);
+  game.setState(C.GAME_STATE.PLAYING);
+  game.drainEvents();
+  runMoves(game, ["right", "right"]);
+  const opened = game.drainEvents().find((e) => e.type === "gates_changed");
+  assert(opened && opened.payload.opened === 1, "boulder on the switch opens the gate");
+  assert(game.currentLevel.tiles[2][6] === C.TILE.GATE_OPEN, "gate tile opened");
+
+  assert(game.undo(), "undo the push");
+  assert(game.currentLevel.tiles[2][6] === C.TILE.GATE, "undo closes the gate");
+  assert(game.currentLevel.tiles[1][4] === C.TILE.SWITCH && game.currentLevel.tiles[1][3] === C.TILE.BOULDER, "undo uncovers the switch");
+
+  runMoves(game, ["right", "right"]);
+  assert(game.currentLevel.tiles[2][6] === C.TILE.GATE_OPEN, "head on the uncovered switch keeps the gate open");
+  runMoves(game, ["right"]);
+  assert(game.currentLevel.tiles[1][4] === C.TILE.SWITCH && game.currentLevel.tiles[2][6] === C.TILE.GATE, "switch released");
+
+  // Gate state is part of the solver's search state
+  const fresh = parseMap(def);
+  const solved = sandbox.WormGameSolver.solve(
+    Sim.createState({
+      tiles: fresh.tiles,
+      segments: new sandbox.WormGameSnake(fresh.spawn, 1, fresh.tiles).cloneSegments(),
+      channels: fresh.channels,
+    })
+  );
+  assert(solved.solved && solved.moves.length === 7, "solver parks the boulder on the switch");
+}
+
+function testDifficultyMetricsBlockers() {
+  const { sandbox } = loadRuntime({});
+  const C = sandbox.WormGameConstants;
+  const { parseMap, computeDifficultyMetrics } = sandbox.WormGameLevels;
+  const level = parseMap({
+    id: 916,
+    snakeLength: 1,
+    theme: 0,
+    map: ["#########", "#S.k.D.E#", "#.##_##.#", "#..H.BO.#", "#########"],
+  });
+  const m = level.metrics;
+  assert(m.doors === 1 && m.gates === 1 && m.boulders === 1 && m.holes === 1, "metrics count blockers");
+
+  // Doors, gates, boulders and holes shape the floor like walls until the puzzle opens them
+  const walled = level.tiles.map((row) =>
+    row.map((tile) =>
+      [C.TILE.DOOR, C.TILE.GATE, C.TILE.BOULDER, C.TILE.HOLE].includes(tile) ? C.TILE.WALL : tile
+    )
+  );
+  const w = computeDifficultyMetrics(walled);
+  assert(m.walkable === w.walkable && m.walkable === 13, "blockers are not open floor");
+  assert(m.deadEnds === w.deadEnds && m.junctions === w.junctions, "blockers cut corridors like walls");
+  assert(m.density === w.density, "blockers do not raise density");
+  assert(m.score > w.score, "blockers still add their own weight to the score");
+}
+
+function testChallengeMode() {
+  const { sandbox, storage } = loadRuntime({});
+  const C = sandbox.WormGameConstants;
+  const M = sandbox.WormGameStorageMigrations;
+  const level = sandbox.WormGameLevels.parseMap({
+    id: 916,
+    snakeLength: 1,
+    theme: 0,
+    par: 4,
+    map: ["########", "#S....E#", "#......#", "########"],
+  });
+  const game = new sandbox.WormPuzzleGame();
+  game.updateSettings({ challengeMode: "sideways" });
+  assert(game.settings.challengeMode === "off", "unknown challenge modes fall back to off");
+  game.updateSettings({ challengeMode: "moves" });
+  game.levels = [level];
+  game.loadLevel(0);
+  game.setState(C.GAME_STATE.PLAYING);
+  game.drainEvents();
+
+  // Move budget is ceil(par x 1.25) and undone moves still count against it
+  assert(game.getChallengeStatus().limit === 5, "budget derived from par");
+  runMoves(game, ["down", "up"]);
+  assert(game.undo(), "undo allowed");
+  assert(game.moveCount === 1 && game.getChallengeStatus().used === 2, "undo does not refund the budget");
+  runMoves(game, ["up", "down", "up"]);
+  assert(game.state === C.GAME_STATE.LEVEL_FAILED, "running out of moves fails the level");
+  const failed = game.drainEvents().find((e) => e.type === "level_failed");
+  assert(failed && failed.payload.reason === "moves", "level_failed event");
+  game.update(0, game.animationTimeMs + 220);
+  assert(!game.tryMove("right"), "no moves after failing");
+  assert(game.getStateOverlayData().title === "도전 실패", "failed overlay");
+
+  // Retry restarts with a fresh budget; a clear records a separate challenge best
+  assert(game.handleAction(C.ACTION.START), "Enter retries");
+  assert(game.state === C.GAME_STATE.PLAYING && game.getChallengeStatus().used === 0, "fresh attempt");
+  runMoves(game, ["right", "right", "right", "right", "right"]);
+  assert(game.state === C.GAME_STATE.GAME_COMPLETE, "clearing on the last budget move still clears");
+  assert(game.challengeBestMoves[916] === 5 && game.bestMoves[916] === 5, "challenge best stored alongside bestMoves");
+  const saved = JSON.parse(storage[C.STORAGE_KEYS.PROGRESS]);
+  assert(saved.challengeBestMoves[916] === 5 && saved.version === C.STORAGE_VERSION, "challenge bests persisted");
+
+  // The timer only runs while playing
+  game.updateSettings({ challengeMode: "timer" });
+  game.restartLevel();
+  assert(game.getChallengeStatus().limit === 20000, "timer has a minimum length");
+  game.togglePause();
+  game.update(15000, game.animationTimeMs + 15000);
+  assert(game.getChallengeStatus().used === 0, "timer stops while paused");
+  game.togglePause();
+  game.update(19999, game.animationTimeMs + 19999);
+  assert(game.state === C.GAME_STATE.PLAYING, "time left");
+  game.update(1, game.animationTimeMs + 1);
+  assert(game.state === C.GAME_STATE.LEVEL_FAILED, "timer expiry fails the level");
+  assert(game.drainEvents().some((e) => e.type === "level_failed" && e.payload.reason === "time"), "time reason");
+  assert(game.openLevelSelect(), "quit to level select from the failed state");
+
+  const v5 = M.PROGRESS_STEPS[4]({ version: 4, bestMoves: { 1: 9 } });
+  assert(v5.challengeBestMoves && v5.challengeBestTimes && v5.bestMoves[1] === 9, "v4 -> v5 adds challenge maps");
+}
+
+function testEndlessMode() {
+  const { sandbox, storage } = loadRuntime({});
+  const C = sandbox.WormGameConstants;
+  const M = sandbox.WormGameStorageMigrations;
+  const E = sandbox.WormGameEndless;
+
+  // Seeds round-trip through the shareable text form and rebuild the same maze
+  assert(E.parseSeed("#" + E.formatSeed(123456789)) === 123456789, "seed round-trip");
+  assert(E.parseSeed("not a seed") === null && E.parseSeed("") === null, "invalid seeds rejected");
+  const first = E.generateLevel(4242, 1);
+  const again = E.generateLevel(4242, 1);
+  assert(first && JSON.stringify(first.level.tiles) === JSON.stringify(again.level.tiles), "same seed, same maze");
+  assert(first.level.par > 0, "solver length becomes par");
+  const deeper = E.generateLevel(4242, 7);
+  assert(deeper.level.tiles.length * deeper.level.tiles[0].length >
+    first.level.tiles.length * first.level.tiles[0].length, "mazes grow with depth");
+
+  // Mazes that the decorations shortcut are rerolled: par never drops below a minimum that grows with depth
+  assert(E.minPar(1) < E.minPar(12) && E.minPar(12) < E.minPar(24), "minimum par grows with depth");
+  for (let depth = 1; depth <= 30; depth += 1) {
+    const built = E.generateLevel(12345, depth);
+    assert(built && built.level.par >= E.minPar(depth), `seed 12345 depth ${depth}: par ${built && built.level.par}`);
+  }
+  assert(E.generateLevel(7, 34).level.par >= E.minPar(34), "seed 7 depth 34 is no longer a short maze");
+
+  const game = new sandbox.WormPuzzleGame();
+  assert(game.startEndless(4242), "endless run starts from the title");
+  assert(game.state === C.GAME_STATE.PLAYING && game.getLevelLabel() === "∞ 1", "depth 1 in play");
+  assert(JSON.stringify(game.currentLevel.tiles) === JSON.stringify(first.level.tiles), "run uses the seeded maze");
+  assert(game.drainEvents().some((e) => e.type === "endless_level" && e.payload.seed === E.formatSeed(4242)), "endless_level event");
+
+  runMoves(game, solveCurrentLevel(sandbox, game));
+  assert(game.state === C.GAME_STATE.LEVEL_COMPLETE, "maze cleared");
+  const cleared = game.drainEvents().find((e) => e.type === "endless_clear");
+  assert(cleared && cleared.payload.streak === 1 && cleared.payload.previousBest === 0, "endless_clear event");
+  const saved = JSON.parse(storage[C.STORAGE_KEYS.PROGRESS]);
+  assert(saved.endlessBestStreak === 1 && saved.version === 6, "best streak persisted");
+  assert(!Object.keys(saved.bestMoves).includes("0"), "generated mazes leave no level records");
+
+  assert(game.nextLevel(), "next maze in the run");
+  for (let frame = 0; game.isEndlessLoading() && frame < 1000; frame += 1) {
+    game.update(16, game.animationTimeMs + 16);
+  }
+  assert(game.getEndlessStatus().depth === 2, "run moves to depth 2");
+  assert(game.getEndlessStatus().streak === 1, "streak carries over");
+  game.togglePause();
+  assert(game.exitToTitle() && !game.isEndless(), "leaving ends the run");
+
+  // Deep mazes are checked a frame budget at a time; play starts only once a solvable maze is found
+  const deepRun = new sandbox.WormPuzzleGame();
+  deepRun.startEndless(19);
+  runMoves(deepRun, solveCurrentLevel(sandbox, deepRun));
+  deepRun.drainEvents();
+  assert(deepRun.loadEndlessDepth(19) && deepRun.isEndlessLoading(), "deep maze is not finished in one call");
+  assert(
+    deepRun.state === C.GAME_STATE.LEVEL_COMPLETE && deepRun.getEndlessStatus().depth === 1,
+    "clear screen stays up while the maze is built"
+  );
+  assert(deepRun.drainEvents().some((e) => e.type === "endless_pending" && e.payload.depth === 19), "endless_pending event");
+  assert(!deepRun.nextLevel(), "next waits for the running generation");
+  let frames = 0;
+  while (deepRun.isEndlessLoading() && frames < 1000) {
+    deepRun.update(16, deepRun.animationTimeMs + 16);
+    frames += 1;
+  }
+  assert(frames > 1 && deepRun.state === C.GAME_STATE.PLAYING, "play starts once the maze is ready");
+  assert(deepRun.getEndlessStatus().depth === 19, "run moves to the generated depth");
+  assert(
+    JSON.stringify(deepRun.currentLevel.tiles) === JSON.stringify(E.generateLevel(19, 19).level.tiles),
+    "frame-stepped build matches the one-shot build"
+  );
+
+  // Leaving the clear screen drops the generation instead of jumping into the maze later
+  const leftRun = new sandbox.WormPuzzleGame();
+  leftRun.startEndless(19);
+  runMoves(leftRun, solveCurrentLevel(sandbox, leftRun));
+  leftRun.loadEndlessDepth(19);
+  assert(leftRun.openLevelSelect() && !leftRun.isEndlessLoading(), "changing screens cancels the build");
+  leftRun.drainEvents();
+  leftRun.update(16, leftRun.animationTimeMs + 16);
+  assert(leftRun.state === C.GAME_STATE.LEVEL_SELECT, "cancelled build never starts play");
+  assert(!leftRun.drainEvents().some((e) => e.type === "endless_level"), "no endless_level after cancelling");
+
+  const v6 = M.PROGRESS_STEPS[5]({ version: 5, clears: 3 });
+  assert(v6.endlessBestStreak === 0 && v6.clears === 3, "v5 -> v6 adds the best streak");
+}
+
+function testMusicTracks() {
+  const { sandbox } = loadRuntime({});
+  const Music = sandbox.WormGameMusic;
+  const C = sandbox.WormGameConstants;
+
+  assert(Math.abs(Music.noteFrequency("A4") - 440) < 1e-9, "A4 is 440 Hz");
+  assert(Math.abs(Music.noteFrequency("C5") - 523.25) < 0.01, "C5");
+  assert(Music.noteFrequency("H2") === null, "bad note names rejected");
+
+  // Every world has its own track and fixed settings override the world
+  const ids = new Set();
+  for (let world = 1; world <= Music.WORLD_COUNT; world += 1) {
+    const id = Music.resolveTrack("world", world);
+    assert(Music.TRACKS[id], "track for world " + world);
+    ids.add(id);
+  }
+  assert(ids.size === Music.WORLD_COUNT, "worlds do not share tracks");
+  assert(Music.resolveTrack("chill", 4) === "chill", "fixed track wins");
+  assert(Music.resolveTrack("bogus", 3) === "world3", "unknown settings follow the world");
+  assert(C.DEFAULT_SETTINGS.bgmTrack === "world", "per-world music by default");
+
+  // Holds lengthen notes, rests are silent, and scheduling is on the given clock
+  const track = Music.compileTrack("t", {
+    bpm: 120,
+    channels: {
+      lead: { gate: 1, notes: "C4 - - . | E4 . . ." },
+      drums: { drums: true, notes: "k . s h" },
+    },
+  });
+  assert(track.length === 8 && Math.abs(track.stepSec - 0.125) < 1e-9, "16th steps at 120 bpm");
+  const cursor = { step: 0, time: 10 };
+  const notes = Music.scheduleSteps(track, cursor, 10.5);
+  assert(cursor.step === 4 && Math.abs(cursor.time - 10.5) < 1e-9, "cursor advanced four steps");
+  const melodic = notes.filter((note) => !note.noise && !note.endFrequency);
+  assert(melodic.length === 1 && Math.abs(melodic[0].duration - 0.375) < 1e-9, "held note lasts three steps");
+  assert(notes.filter((note) => note.noise).length === 2 && notes.some((note) => note.endFrequency), "drum hits");
+  const wrapped = Music.scheduleSteps(track, { step: 7, time: 0 }, 0.2);
+  assert(wrapped.length === 3 && wrapped[1].time === 0.125, "loops back to step 0");
+
+  let error = null;
+  try {
+    Music.compileTrack("bad", { bpm: 100, channels: { a: { notes: "C4 . ." }, b: { notes: "C4 ." } } });
+  } catch (caught) {
+    error = caught;
+  }
+  assert(error && /divide/.test(error.message), "misaligned channels rejected");
+}
+
+function testMusicLayers() {
+  const { sandbox } = loadRuntime({});
+  const Music = sandbox.WormGameMusic;
+  const C = sandbox.WormGameConstants;
+
+  // Layer channels only sound while their layer is on
+  const track = Music.TRACKS.world3;
+  const count = (layers) => Music.scheduleSteps(track, { step: 0, time: 0 }, track.length * track.stepSec, layers).length;
+  const base = count(null);
+  const star = count({ star: true });
+  const exit = count({ exit: true });
+  assert(star - base === track.length, "star layer adds a note on every step");
+  assert(exit - base === track.length, "exit layer adds a percussion hit on every step");
+  assert(count({ star: true, exit: true }) === star + exit - base, "layers stack");
+
+  // The clear jingle resolves on the track's tonic: A minor climbs A, C, E, A
+  const jingle = track.jingle;
+  const lead = jingle.channels[0].steps.filter(Boolean).map((event) => event.frequency);
+  const ratio = (a, b) => Math.round(12 * Math.log2(b / a));
+  assert(lead.length === 4 && ratio(lead[0], lead[1]) === 3 && ratio(lead[0], lead[3]) === 12, "minor arpeggio");
+  assert(Math.abs(lead[0] - Music.noteFrequency("A4")) < 0.01, "jingle starts on the tonic");
+  const major = Music.TRACKS.world1.jingle.channels[0].steps;
+  assert(ratio(major[0].frequency, major[1].frequency) === 4, "major third");
+  const jingleEnd = (jingle.length - 0.5) * jingle.stepSec;
+  const jingleNotes = Music.scheduleSteps(jingle, { step: 0, time: 0 }, jingleEnd, { star: true });
+  const last = jingleNotes.reduce((end, note) => Math.max(end, note.time + note.duration), 0);
+  assert(jingleNotes.length === 6 && last < jingleEnd, "jingle rings out inside its own length");
+
+  // Exit distance drives the percussion layer; closed exits do not count
+  const game = new sandbox.WormPuzzleGame();
+  game.levels = [
+    sandbox.WormGameLevels.parseMap({ id: 917, snakeLength: 1, theme: 0, map: ["#######", "#S...E#", "#.....#", "#######"] }),
+    sandbox.WormGameLevels.parseMap({ id: 918, snakeLength: 1, theme: 0, minItems: 1, map: ["#######", "#S..IE#", "#.....#", "#######"] }),
+  ];
+  game.loadLevel(0);
+  game.setState(C.GAME_STATE.PLAYING);
+  assert(game.getExitDistance() === 4, "four cells from the exit");
+  runMoves(game, ["right"]);
+  assert(game.getExitDistance() <= C.GAMEPLAY.MUSIC_EXIT_NEAR_CELLS, "close enough for the layer");
+  game.loadLevel(1);
+  assert(game.getExitDistance() === null, "locked exit is not a target");
+}
+
+/**
+ * OfflineAudioContext stand-in for AudioManager: records every node and scheduled source
+ * instead of rendering samples, so tests can read back what would have played and when.
+ * A param's `value` jumps to the target of its latest automation (the level it settles at).
+ */
+function createOfflineAudioStub() {
+  const sources = [];
+  function param(value) {
+    return {
+      value,
+      events: [],
+      setValueAtTime(v, t) {
+        this.events.push({ kind: "set", value: v, time: t });
+        this.value = v;
+      },
+      linearRampToValueAtTime(v, t) {
+        this.events.push({ kind: "linear", value: v, time: t });
+        this.value = v;
+      },
+      exponentialRampToValueAtTime(v, t) {
+        this.events.push({ kind: "exp", value: v, time: t });
+        this.value = v;
+      },
+      setTargetAtTime(v, t) {
+        this.events.push({ kind: "target", value: v, time: t });
+        this.value = v;
+      },
+      cancelScheduledValues(t) {
+        this.events.push({ kind: "cancel", time: t });
+      },
+    };
+  }
+  function node(kind, extra) {
+    return Object.assign(
+      {
+        kind,
+        outputs: [],
+        connect(target) {
+          this.outputs.push(target);
+          return target;
+        },
+        disconnect() {
+          this.outputs = [];
+        },
+      },
+      extra
+    );
+  }
+  function source(kind, extra) {
+    const created = node(
+      kind,
+      Object.assign(
+        {
+          startAt: null,
+          stopAt: null,
+          start(t) {
+            this.startAt = t;
+          },
+          stop(t) {
+            this.stopAt = t;
+          },
+        },
+        extra
+      )
+    );
+    sources.push(created);
+    return created;
+  }
+
+  const context = {
+    currentTime: 0,
+    sampleRate: 8000,
+    state: "running",
+    destination: node("destination"),
+    resume() {
+      this.state = "running";
+    },
+    suspend() {
+      this.state = "suspended";
+    },
+    createOscillator: () => source("oscillator", { type: "sine", frequency: param(440) }),
+    createBufferSource: () => source("noise", { buffer: null }),
+    createGain: () => node("gain", { gain: param(1) }),
+    createBiquadFilter: () => node("filter", { type: "lowpass", frequency: param(350) }),
+    createBuffer(_channels, length) {
+      const data = new Float32Array(length);
+      return { getChannelData: () => data };
+    },
+  };
+
+  /**
+   * Scheduled sources as notes: start time, pitch, envelope peak, the node route toward the speakers
+   * and the level that reaches them (peak x every bus gain after the envelope).
+   */
+  function notes() {
+    return sources.map((played) => {
+      const route = [];
+      for (let current = played; current.outputs.length > 0; ) {
+        current = current.outputs[0];
+        route.push(current);
+      }
+      const envelope = route.find((entry) => entry.kind === "gain");
+      const levels = envelope.gain.events.filter((event) => event.kind !== "cancel").map((event) => event.value);
+      const peak = Math.max(...levels);
+      const buses = route.slice(route.indexOf(envelope) + 1).filter((entry) => entry.kind === "gain");
+      return {
+        kind: played.kind,
+        type: played.type,
+        frequency: played.frequency ? played.frequency.events[0].value : null,
+        start: played.startAt,
+        peak,
+        level: buses.reduce((level, bus) => level * bus.gain.value, peak),
+        route,
+        audible: route[route.length - 1] === context.destination,
+      };
+    });
+  }
+
+  const ticks = [];
+  const timers = {
+    setInterval(fn) {
+      ticks.push(fn);
+      return ticks.length;
+    },
+    clearInterval(id) {
+      ticks[id - 1] = null;
+    },
+  };
+
+  /**
+   * Lets `seconds` of wall time pass, waking the scheduler every 25 ms like the browser timer would.
+   * The audio clock only moves while the context is running.
+   */
+  function advance(seconds) {
+    for (let elapsed = 0; elapsed < seconds - 1e-9; elapsed += 0.025) {
+      if (context.state === "running") {
+        context.currentTime += Math.min(0.025, seconds - elapsed);
+      }
+      ticks.forEach((tick) => tick && tick());
+    }
+  }
+
+  return {
+    context,
+    timers,
+    notes,
+    advance,
+    clear() {
+      sources.length = 0;
+    },
+  };
+}
+
+function testAudioManager() {
+  const { sandbox } = loadRuntime({});
+  const Music = sandbox.WormGameMusic;
+  const stub = createOfflineAudioStub();
+  const audio = new sandbox.WormGameAudio({ createContext: () => stub.context, timers: stub.timers });
+  const near = (a, b) => Math.abs(a - b) < 1e-6;
+
+  // The context comes from the injected factory on first use
+  audio.playItem();
+  assert(audio.context === stub.context && stub.notes().length === 1, "SFX create the injected context lazily");
+  stub.clear();
+  audio.setBgmEnabled(false);
+  audio.unlock();
+
+  // SFX go straight to the destination at the current clock time, scaled by master x sfx volume
+  stub.context.currentTime = 1;
+  audio.playItem();
+  let notes = stub.notes();
+  assert(notes.length === 1 && notes[0].frequency === 620 && notes[0].type === "triangle", "playItem tone");
+  assert(notes[0].start === 1 && notes[0].route.includes(audio.buses.sfx) && notes[0].audible, "SFX routed to the sfx bus");
+  assert(near(notes[0].level, 0.06 * 0.8 * 0.8), "SFX level uses master and sfx volume");
+
+  stub.clear();
+  audio.playPortal();
+  audio.playClear();
+  notes = stub.notes();
+  assert(notes.map((note) => note.frequency).join() === "420,760,510,680", "portal then clear tones");
+  assert(notes.every((note) => note.start === 1), "one-shot SFX start immediately");
+
+  stub.clear();
+  audio.setMasterVolume(0.5);
+  audio.setSfxVolume(0.25);
+  audio.playItem();
+  assert(near(stub.notes()[0].level, 0.06 * 0.5 * 0.25), "volume changes apply to the sfx and master buses");
+  stub.clear();
+  audio.setSfxVolume(0);
+  audio.playItem();
+  assert(stub.notes().length === 0, "muted SFX schedule nothing");
+
+  // BGM: notes land on the track's step grid ahead of the clock, through the music filter
+  audio.setMusicWorld(1);
+  audio.setBgmEnabled(true);
+  const track = Music.TRACKS.world1;
+  const first = stub.context.currentTime + 0.05;
+  stub.advance(2);
+  notes = stub.notes();
+  const expected = Music.scheduleSteps(track, { step: 0, time: first }, stub.context.currentTime + 0.2, {});
+  assert(notes.length === expected.length && notes.length > 20, "sequencer scheduled the look-ahead window");
+  notes.forEach((note, index) => {
+    assert(near(note.start, expected[index].time), "note " + index + " on the step grid");
+    assert(note.route.includes(audio.musicFilter) && note.audible, "BGM routed through the music filter");
+  });
+  const leadNote = notes.find((note) => note.type === "square");
+  assert(leadNote && near(leadNote.frequency, Music.noteFrequency("C5")) && near(leadNote.start, first), "first lead note");
+  assert(near(leadNote.level, 0.045 * 0.5 * 0.8 * 0.5), "BGM ignores the SFX volume and uses bgm and master volume");
+  assert(notes.every((note) => note.start < stub.context.currentTime + 0.2 + 1e-9), "never scheduled past the horizon");
+
+  // Turning BGM off cuts the music bus and stops the sequencer; SFX keep playing
+  audio.setSfxVolume(1);
+  audio.setBgmEnabled(false);
+  assert(stub.notes().every((note) => !note.audible), "already scheduled BGM notes are cut off");
+  stub.clear();
+  stub.advance(1);
+  audio.playItem();
+  notes = stub.notes();
+  assert(notes.length === 1 && notes[0].frequency === 620, "only SFX while BGM is off");
+
+  // Master volume 0 silences both channels
+  stub.clear();
+  audio.setMasterVolume(0);
+  audio.setBgmEnabled(true);
+  stub.advance(1);
+  audio.playItem();
+  assert(stub.notes().length === 0, "master volume gates BGM and SFX");
+}
+
+function testAudioBusesAndPause() {
+  const { sandbox } = loadRuntime({});
+  const stub = createOfflineAudioStub();
+  const audio = new sandbox.WormGameAudio({ createContext: () => stub.context, timers: stub.timers });
+  const near = (a, b) => Math.abs(a - b) < 1e-6;
+  audio.setMusicWorld(1);
+  audio.unlock();
+  stub.advance(0.5);
+
+  // BGM volume is a bus, so it reaches notes that are already scheduled
+  const scheduled = stub.notes().filter((note) => note.route.includes(audio.buses.bgm));
+  assert(scheduled.length > 0, "music goes through the bgm bus");
+  audio.setBgmVolume(0.3);
+  assert(near(audio.buses.bgm.gain.value, 0.3), "bgm bus follows the slider");
+  assert(near(stub.notes()[0].level, scheduled[0].peak * 0.3 * 0.8), "already scheduled notes follow the bgm volume");
+  stub.clear();
+  audio.setBgmVolume(0);
+  stub.advance(0.5);
+  audio.playItem();
+  assert(stub.notes().length === 1 && stub.notes()[0].route.includes(audio.buses.sfx), "muted BGM leaves SFX alone");
+  audio.setBgmVolume(0.8);
+
+  // Stingers duck the BGM briefly; the SFX themselves are not ducked
+  stub.clear();
+  const duckAt = stub.context.currentTime;
+  audio.playPortal();
+  const duckEvents = audio.buses.duck.gain.events.filter((event) => event.time >= duckAt && event.kind !== "cancel");
+  assert(duckEvents.some((event) => near(event.value, 0.35) && near(event.time, duckAt + 0.04)), "BGM ducks on the stinger");
+  assert(near(duckEvents[duckEvents.length - 1].value, 1) && duckEvents[duckEvents.length - 1].time < duckAt + 1, "and comes back");
+  assert(stub.notes().every((note) => !note.route.includes(audio.buses.duck)), "stinger bypasses the duck bus");
+  audio.playItem();
+  assert(audio.buses.duck.gain.events.filter((event) => event.time >= duckAt).length === duckEvents.length + 1, "plain SFX do not duck");
+
+  // Game pause and hidden tab suspend the whole context until every reason is gone
+  audio.setPaused("game", true);
+  assert(stub.context.state === "suspended", "PAUSED suspends audio");
+  const pausedAt = stub.context.currentTime;
+  stub.clear();
+  stub.advance(1);
+  audio.playItem();
+  audio.unlock();
+  assert(stub.notes().length === 0 && stub.context.currentTime === pausedAt, "nothing plays or moves while paused");
+  assert(stub.context.state === "suspended", "unlock does not override a pause");
+  audio.setPaused("hidden", true);
+  audio.setPaused("game", false);
+  assert(stub.context.state === "suspended", "still hidden");
+  audio.setPaused("hidden", false);
+  assert(stub.context.state === "running", "resumes once visible and unpaused");
+
+  // Leaving PAUSED for level select (no play state in between) must lift the game pause reason
+  const pausedGame = new sandbox.WormPuzzleGame();
+  pausedGame.startGame(true);
+  pausedGame.togglePause();
+  pausedGame.drainEvents();
+  audio.setPaused("game", pausedGame.state === sandbox.WormGameConstants.GAME_STATE.PAUSED);
+  assert(stub.context.state === "suspended", "paused game suspends audio");
+  assert(pausedGame.openLevelSelect(), "level select opens from pause");
+  assert(
+    pausedGame.drainEvents().some((e) => e.type === "state" && e.payload.state === "level_select"),
+    "level select emits state"
+  );
+  audio.setPaused("game", pausedGame.state === sandbox.WormGameConstants.GAME_STATE.PAUSED);
+  assert(stub.context.state === "running", "audio resumes on the level select screen");
+  stub.advance(0.3);
+  assert(stub.notes().some((note) => note.route.includes(audio.buses.bgm)), "the sequencer picks up where it stopped");
+
+  const game = new sandbox.WormPuzzleGame();
+  assert(game.settings.bgmVolume === 0.8, "bgm volume default");
+  game.updateSettings({ bgmVolume: 3 });
+  assert(game.settings.bgmVolume === 1, "bgm volume clamped");
+}
+
+function testGamepadBindings() {
+  const C = loadRuntime({}).sandbox.WormGameConstants;
+  const { sandbox, storage } = loadRuntime({
+    [C.STORAGE_KEYS.SETTINGS]: JSON.stringify({
+      version: C.SETTINGS_VERSION,
+      gamepadBindings: { "Pad A": { undo: 7, hint: "3", bogus: 2 }, "Pad B": { pause: 99 }, "": { undo: 6 } },
+    }),
+  });
+  const game = new sandbox.WormPuzzleGame();
+
+  // Stored maps are sanitized per controller id and sit on top of the defaults
+  assert(JSON.stringify(game.settings.gamepadBindings) === JSON.stringify({ "Pad A": { undo: 7 } }), "bindings sanitized");
+  assert(game.getGamepadBindings("Pad A").undo === 7 && game.getGamepadBindings("Pad A").start === 0, "override on defaults");
+  assert(game.getGamepadBindings("Pad B").next === 5 && game.getGamepadBindings("Pad B").prev === 4, "shoulders default");
+
+  // Rebinding onto a button that is already used swaps the two actions
+  assert(game.setGamepadButton("Pad B", C.ACTION.UNDO, 5), "rebind accepted");
+  const swapped = game.getGamepadBindings("Pad B");
+  assert(swapped.undo === 5 && swapped.next === 1, "actions swapped");
+  assert(!game.setGamepadButton("Pad B", C.ACTION.MOVE_UP, 3), "movement is not rebindable");
+  assert(!game.setGamepadButton("Pad B", C.ACTION.UNDO, 40), "out of range button rejected");
+  const profile = JSON.parse(storage[C.STORAGE_KEYS.PROFILES]).slots[0];
+  assert(profile.settings.gamepadBindings["Pad B"].undo === 5, "bindings saved with the profile");
+
+  let pads = [];
+  sandbox.navigator.getGamepads = () => pads;
+  const calls = { restart: 0, nav: [], confirm: false };
+  const handler = sandbox.WormGameGamepad({
+    game,
+    audio: { unlock() {} },
+    onDirtyUI() {},
+    onConfirmRestart() {
+      calls.restart += 1;
+    },
+    onNavigate(direction) {
+      calls.nav.push(direction);
+    },
+    onConfirm() {
+      return calls.confirm;
+    },
+  });
+  const pad = (index, id, pressed, axes) => ({
+    index,
+    id,
+    connected: true,
+    axes: axes || [0, 0, 0, 0],
+    buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: pressed.includes(i) })),
+  });
+  let now = 0;
+  const frame = (a, b) => {
+    pads = [pad(0, "Pad A", a.pressed || [], a.axes), pad(1, "Pad B", b.pressed || [], b.axes)];
+    now += 100;
+    game.update(0, game.animationTimeMs + 220);
+    handler.process(now);
+  };
+  const idle = () => frame({}, {});
+
+  // Both controllers drive the game, each through its own map
+  frame({}, { pressed: [0] });
+  assert(game.state === C.GAME_STATE.PLAYING, "second controller starts the game");
+  const dpad = { up: 12, down: 13, left: 14, right: 15 };
+  const firstMove = solveCurrentLevel(sandbox, game)[0];
+  frame({ pressed: [dpad[firstMove]] }, {});
+  idle();
+  assert(game.moveCount === 1, "first controller moves");
+  frame({}, { pressed: [5] });
+  assert(game.moveCount === 0, "second controller undoes on its rebound button");
+  frame({ pressed: [dpad[firstMove]] }, {});
+  frame({ pressed: [1] }, {});
+  assert(game.moveCount === 1, "unbound button does nothing");
+  frame({ pressed: [7] }, {});
+  assert(game.moveCount === 0, "first controller undoes on its own button");
+  frame({ pressed: [2] }, {});
+  assert(calls.restart === 1, "restart goes through the confirm hook");
+
+  // Shoulders step between levels
+  idle();
+  frame({ pressed: [5] }, {});
+  assert(game.levelIndex === 1, "right shoulder jumps to the next level");
+  frame({ pressed: [4] }, {});
+  assert(game.levelIndex === 0, "left shoulder jumps back");
+  idle();
+
+  // Capture hands over the first new non-D-pad button and blocks play input meanwhile
+  let captured = null;
+  handler.startCapture((id, index) => {
+    captured = { id, index };
+  });
+  frame({}, { pressed: [dpad[firstMove]] });
+  assert(handler.isCapturing() && game.moveCount === 0, "D-pad ignored during capture");
+  frame({}, { pressed: [dpad[firstMove], 6] });
+  assert(captured && captured.id === "Pad B" && captured.index === 6 && !handler.isCapturing(), "button captured");
+  idle();
+
+  // Right stick navigates menus with its own repeat rate; start confirms the focused item first
+  frame({ axes: [0, 0, 0.9, 0] }, {});
+  frame({ axes: [0, 0, 0.9, 0] }, {});
+  assert(calls.nav.length === 1 && calls.nav[0] === "right", "stick nav fires once");
+  now += C.GAMEPLAY.GAMEPAD_NAV_REPEAT_MS;
+  frame({ axes: [0, 0, 0.9, 0] }, {});
+  assert(calls.nav.length === 2, "stick nav repeats after the delay");
+  frame({ pressed: [9] }, {});
+  assert(game.state === C.GAME_STATE.PAUSED, "pause button");
+  idle();
+  calls.confirm = true;
+  frame({ pressed: [0] }, {});
+  assert(game.state === C.GAME_STATE.PAUSED, "confirm hook consumes start");
+  idle();
+  calls.confirm = false;
+  frame({ pressed: [0] }, {});
+  assert(game.state === C.GAME_STATE.PLAYING, "start resumes otherwise");
+
+  assert(game.resetGamepadBindings("Pad B") && game.getGamepadBindings("Pad B").undo === 1, "reset to defaults");
+}
+
 const tests = [
   ["State Transition", testStateTransition],
   ["Undo Delta", testUndoDelta],
@@ -650,8 +2611,9 @@ const tests = [
   ["Item Growth & Undo", testItemGrowthAndUndo],
   ["Star & Portal", testStarAndPortal],
   ["Snake Basics", testSnakeBasics],
-  ["handleItemCollection Direct", testHandleItemCollectionDirect],
-  ["tickStarPower", testTickStarPower],
+  ["simulateStep Items", testSimulateStepItems],
+  ["simulateStep Star Power", testSimulateStepStarPower],
+  ["Simulation Consistency", testSimulationConsistency],
   ["checkPostMoveState", testCheckPostMoveState],
   ["Portal Undo Round-Trip", testPortalUndoRoundTrip],
   ["handleAction Dispatch", testHandleActionDispatch],
@@ -661,6 +2623,32 @@ const tests = [
   ["Settings Merge", testSettingsMerge],
   ["Level Select Items", testLevelSelectItems],
   ["Restart Level", testRestartLevel],
+  ["Body Collision", testBodyCollision],
+  ["Variable Board Size", testVariableBoardSize],
+  ["Level Editor Draft", testLevelEditorDraft],
+  ["Editor Play Test", testEditorPlaytest],
+  ["Solver Hint", testSolverHint],
+  ["Replay Persistence", testReplayPersistence],
+  ["Replay Import/Export", testReplayImportExport],
+  ["Replay Playback", testReplayPlayback],
+  ["Star Rating", testStarRating],
+  ["Save Profiles", testSaveProfiles],
+  ["Save Bundle", testSaveBundle],
+  ["Portal Channels", testPortalChannels],
+  ["Directional Tiles", testDirectionalTiles],
+  ["Keys & Doors", testKeysAndDoors],
+  ["Sour Jelly", testSourJelly],
+  ["Exit Goals", testExitGoals],
+  ["Boulders", testBoulders],
+  ["Switches & Gates", testSwitchesAndGates],
+  ["Difficulty Metrics Blockers", testDifficultyMetricsBlockers],
+  ["Challenge Mode", testChallengeMode],
+  ["Endless Mode", testEndlessMode],
+  ["Music Tracks", testMusicTracks],
+  ["Music Layers", testMusicLayers],
+  ["Audio Manager", testAudioManager],
+  ["Audio Buses & Pause", testAudioBusesAndPause],
+  ["Gamepad Bindings", testGamepadBindings],
 ];
 
 for (const [name, fn] of tests) {
@@ -6,10 +6,14 @@ const path = require("path");
 const vm = require("vm");
 
 const ROOT = path.resolve(__dirname, "..");
+const PARS_FILE = path.join(ROOT, "js/level-pars.js");
 const FILES = [
   "js/constants.js",
+  "js/level-pars.js",
   "js/levels.js",
   "js/snake.js",
+  "js/simulation.js",
+  "js/solver.js",
 ];
 
 function loadRuntime() {
@@ -27,143 +31,170 @@ function loadRuntime() {
   return sandbox;
 }
 
-function key(segments) {
-  return segments.map((s) => `${s.x},${s.y}`).join("|");
-}
-
-function stateKey(segments, starMoves) {
-  return `${key(segments)};${starMoves}`;
+function solveLevel(level, Snake, Simulation, Solver, goals = level.goals) {
+  const snake = new Snake(level.spawn, level.snakeLength, level.tiles);
+  const start = Simulation.createState({
+    tiles: level.tiles,
+    segments: snake.cloneSegments(),
+    bodyCollision: level.bodyCollision,
+    goals,
+    channels: level.channels,
+  });
+  const result = Solver.solve(start);
+  return { ...result, steps: result.moves.length };
 }
 
-function findExit(level, C) {
-  for (let y = 0; y < C.GRID_ROWS; y += 1) {
-    for (let x = 0; x < C.GRID_COLS; x += 1) {
-      if (level.tiles[y][x] === C.TILE.EXIT) {
-        return { x, y };
+function countJelly(level, C) {
+  let count = 0;
+  for (const row of level.tiles) {
+    for (const tile of row) {
+      if (tile === C.TILE.ITEM || tile === C.TILE.BIG_ITEM) {
+        count += 1;
       }
     }
   }
-  return null;
+  return count;
 }
 
-function isWalkable(level, C, x, y) {
-  if (x < 0 || y < 0 || x >= C.GRID_COLS || y >= C.GRID_ROWS) {
-    return false;
-  }
-  const tile = level.tiles[y][x];
-  return tile !== C.TILE.WALL && tile !== C.TILE.OBSTACLE;
+/** The level's own exit goals plus eating at least `count` jelly. */
+function jellyGoals(level, count) {
+  const minItems = Math.max(count, (level.goals && level.goals.minItems) || 0);
+  return { ...level.goals, minItems };
 }
 
-function occupies(segments, x, y, ignoreTail) {
-  const end = ignoreTail ? segments.length - 1 : segments.length;
-  for (let i = 0; i < end; i += 1) {
-    if (segments[i].x === x && segments[i].y === y) {
-      return true;
+/**
+ * Most jelly a clear can collect while staying within the par tolerance, so the par star and the
+ * jelly star can be earned in the same run. Jelly in trap cells (dead ends, one-way pockets) is left out.
+ */
+function findStarJelly(level, limit, C, Snake, Simulation, Solver) {
+  const total = countJelly(level, C);
+  if (level.goals && level.goals.allItems) {
+    return total;
+  }
+  let best = (level.goals && level.goals.minItems) || 0;
+  for (let count = best + 1; count <= total; count += 1) {
+    const result = solveLevel(level, Snake, Simulation, Solver, jellyGoals(level, count));
+    if (!result.solved || result.steps > limit) {
+      break;
     }
+    best = count;
   }
-  return false;
+  return best;
 }
 
-function solveLevel(level, C, Snake, maxStates = 350000) {
-  const snake = new Snake(level.spawn, level.snakeLength, level.tiles);
-  const start = snake.cloneSegments();
-  const exit = findExit(level, C);
-  const queue = [{ segments: start, steps: 0, starMoves: 0 }];
-  const seen = new Set([stateKey(start, 0)]);
-  let head = 0;
-  const portalA = [];
-  const portalB = [];
-
-  for (let y = 0; y < C.GRID_ROWS; y += 1) {
-    for (let x = 0; x < C.GRID_COLS; x += 1) {
-      if (level.tiles[y][x] === C.TILE.PORTAL_A) {
-        portalA.push({ x, y });
-      } else if (level.tiles[y][x] === C.TILE.PORTAL_B) {
-        portalB.push({ x, y });
-      }
-    }
+/** Checks that a 3-star run exists. Returns its length, or null when the level asks for no jelly. */
+function checkStarJelly(level, limit, Snake, Simulation, Solver) {
+  if (!(level.starJelly > 0)) {
+    return null;
   }
-
-  const directionNames = ["up", "down", "left", "right"];
-
-  while (head < queue.length) {
-    const node = queue[head++];
-    const headPos = node.segments[0];
-    if (headPos.x === exit.x && headPos.y === exit.y) {
-      return { solved: true, steps: node.steps, explored: seen.size };
-    }
-
-    if (seen.size > maxStates) {
-      return { solved: false, timeout: true, explored: seen.size };
-    }
-
-    for (const directionName of directionNames) {
-      const d = C.DIRECTIONS[directionName];
-      const nx = headPos.x + d.x;
-      const ny = headPos.y + d.y;
-      const tile = level.tiles[ny] && level.tiles[ny][nx];
-      if (tile === undefined || tile === C.TILE.WALL) {
-        continue;
-      }
-
-      const starActive = node.starMoves > 0;
-      if (tile === C.TILE.OBSTACLE && !starActive) {
-        continue;
-      }
-      const nextSegments = [{ x: nx, y: ny }];
-      for (let i = 0; i < node.segments.length - 1; i += 1) {
-        nextSegments.push(node.segments[i]);
-      }
-
-      let nextStarMoves = node.starMoves;
-      if (tile === C.TILE.STAR_ITEM) {
-        nextStarMoves = C.GAMEPLAY.STAR_POWER_MOVES;
-      } else if (nextStarMoves > 0) {
-        nextStarMoves -= 1;
-      }
-
-      if (tile === C.TILE.PORTAL_A && portalB.length > 0) {
-        const target = portalB[0];
-        nextSegments[0] = { x: target.x, y: target.y };
-      } else if (tile === C.TILE.PORTAL_B && portalA.length > 0) {
-        const target = portalA[0];
-        nextSegments[0] = { x: target.x, y: target.y };
-      }
-
-      const nextKey = stateKey(nextSegments, nextStarMoves);
-      if (seen.has(nextKey)) {
-        continue;
-      }
-      seen.add(nextKey);
-      queue.push({ segments: nextSegments, steps: node.steps + 1, starMoves: nextStarMoves });
-    }
+  const result = solveLevel(level, Snake, Simulation, Solver, jellyGoals(level, level.starJelly));
+  if (!result.solved) {
+    throw new Error(`no clear collects ${level.starJelly} jelly (explored ${result.explored})`);
   }
-
-  return { solved: false, timeout: false, explored: seen.size };
+  if (result.steps > limit) {
+    throw new Error(`${level.starJelly} jelly needs ${result.steps} moves, above the 3-star limit ${limit}`);
+  }
+  return result.steps;
 }
 
 function validateMap(level, C) {
-  if (level.tiles.length !== C.GRID_ROWS) {
+  if (level.width < C.MIN_GRID_SIZE || level.width > C.MAX_GRID_COLS) {
+    throw new Error(`Level ${level.id}: invalid width ${level.width}`);
+  }
+  if (level.height < C.MIN_GRID_SIZE || level.height > C.MAX_GRID_ROWS) {
+    throw new Error(`Level ${level.id}: invalid height ${level.height}`);
+  }
+  if (level.tiles.length !== level.height) {
     throw new Error(`Level ${level.id}: invalid row count`);
   }
-  for (let y = 0; y < C.GRID_ROWS; y += 1) {
-    if (level.tiles[y].length !== C.GRID_COLS) {
+  for (let y = 0; y < level.height; y += 1) {
+    if (level.tiles[y].length !== level.width) {
       throw new Error(`Level ${level.id}: invalid col count at row ${y}`);
     }
   }
 }
 
+/** "UDLR" letters for a move list, as stored in js/level-pars.js. */
+function encodeRoute(moves) {
+  return moves.map((direction) => direction.charAt(0).toUpperCase()).join("");
+}
+
+/**
+ * Checks that the stored hint route is still an optimal clear: it must reach the exit from the start
+ * in exactly `optimum` moves. A map edit without --write-pars would otherwise hand out a wrong hint.
+ */
+function checkRoute(level, optimum, C, Snake, Simulation) {
+  if (!level.route || level.route.length !== optimum) {
+    throw new Error(`stored route has ${level.route ? level.route.length : 0} moves, optimum is ${optimum}`);
+  }
+  const snake = new Snake(level.spawn, level.snakeLength, level.tiles);
+  let state = Simulation.createState({
+    tiles: level.tiles,
+    segments: snake.cloneSegments(),
+    bodyCollision: level.bodyCollision,
+    goals: level.goals,
+    channels: level.channels,
+  });
+  for (const direction of level.route) {
+    const next = Simulation.simulateStep(state, direction).state;
+    if (next === state) {
+      throw new Error(`stored route is blocked at move ${direction}`);
+    }
+    state = next;
+  }
+  const head = state.segments[0];
+  if (Simulation.getTile(state, head.x, head.y) !== C.TILE.EXIT) {
+    throw new Error("stored route does not end on the exit");
+  }
+}
+
+/** Regenerates js/level-pars.js from the solver optimum, star jelly and optimal route of each level. */
+function writePars(entries) {
+  const lines = Object.keys(entries)
+    .map(
+      (id) =>
+        `    ${id}: { par: ${entries[id].par}, starJelly: ${entries[id].starJelly}, route: "${entries[id].route}" },`
+    )
+    .join("\n");
+  const source = `/**
+ * level-pars.js — 레벨별 기준 이동 수, 별 기준 젤리 수, 힌트용 최적 경로 (자동 생성 — 직접 수정하지 말 것)
+ *
+ * \`node scripts/validate-levels.js --write-pars\`가 다시 만든다.
+ * par는 솔버 최단 이동 수, starJelly는 par 여유(STAR_PAR_TOLERANCE) 안에서 모을 수 있는 최대 젤리 수.
+ * route는 시작 지점부터의 솔버 최단 경로("UDLR")로, 인게임 힌트가 탐색 상한을 넘는 레벨에서도 처음부터 쓸 수 있게 한다.
+ * 직접 정한 기준이 필요하면 레벨 정의에 par/starJelly를 적는다 (이 표보다 우선).
+ *
+ * @module  WormGameLevelPars
+ * @exports global.WormGameLevelPars  { [levelId]: { par, starJelly, route } }
+ *
+ * ES Module 전환 시: export const LEVEL_PARS = { ... }
+ */
+(function attachLevelPars(global) {
+  "use strict";
+
+  global.WormGameLevelPars = Object.freeze({
+${lines}
+  });
+})(window);
+`;
+  fs.writeFileSync(PARS_FILE, source);
+}
+
 function run() {
+  const writeMode = process.argv.includes("--write-pars");
   const runtime = loadRuntime();
   const C = runtime.WormGameConstants;
   const levels = runtime.WormGameLevels.LEVELS;
   const Snake = runtime.WormGameSnake;
+  const Simulation = runtime.WormGameSimulation;
+  const Solver = runtime.WormGameSolver;
 
   let failed = false;
+  const entries = {};
 
   for (const level of levels) {
     validateMap(level, C);
-    const result = solveLevel(level, C, Snake);
+    const result = solveLevel(level, Snake, Simulation, Solver);
     if (!result.solved) {
       failed = true;
       console.error(
@@ -174,8 +205,37 @@ function run() {
       continue;
     }
 
+    if (writeMode) {
+      const limit = Math.ceil(result.steps * C.GAMEPLAY.STAR_PAR_TOLERANCE);
+      const starJelly = findStarJelly(level, limit, C, Snake, Simulation, Solver);
+      entries[level.id] = { par: result.steps, starJelly, route: encodeRoute(result.moves) };
+      console.log(`OK level ${level.id}: par ${result.steps}, star jelly ${starJelly}/${countJelly(level, C)}`);
+      continue;
+    }
+
+    if (!(level.par >= result.steps)) {
+      failed = true;
+      const reason =
+        level.par == null ? "missing par" : `par ${level.par} below optimum ${result.steps}`;
+      console.error(`FAIL level ${level.id}: ${reason} (run with --write-pars)`);
+      continue;
+    }
+
+    let starSteps;
+    try {
+      checkRoute(level, result.steps, C, Snake, Simulation);
+      const limit = Math.ceil(level.par * C.GAMEPLAY.STAR_PAR_TOLERANCE);
+      starSteps = checkStarJelly(level, limit, Snake, Simulation, Solver);
+    } catch (error) {
+      failed = true;
+      console.error(`FAIL level ${level.id}: ${error.message} (run with --write-pars)`);
+      continue;
+    }
+
+    const goals = level.goals ? `, goals ${JSON.stringify(level.goals)}` : "";
+    const stars = starSteps == null ? "" : `, ${level.starJelly} jelly in ${starSteps}`;
     console.log(
-      `OK level ${level.id}: solved in ${result.steps} moves (explored ${result.explored})`
+      `OK level ${level.id}: solved in ${result.steps} moves${stars}, par ${level.par}${goals} (explored ${result.explored})`
     );
   }
 
@@ -183,6 +243,11 @@ function run() {
     process.exit(1);
   }
 
+  if (writeMode) {
+    writePars(entries);
+    console.log(`Wrote ${Object.keys(entries).length} pars to js/level-pars.js.`);
+  }
+
   console.log(`Validation complete. ${levels.length} levels checked.`);
 }
 